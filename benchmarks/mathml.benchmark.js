@@ -0,0 +1,153 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import MathML, {parseDocument} from '../mathml.js';
+
+
+// The functions timed, typical of those plotted
+const RULES = {
+    'polynomial': '3x^4 - 2x^3 + x^2/2 - 7x + 1',
+    'trigonometric': '2sin(x - pi/2) + 1',
+    'constant subtrees': 'sqrt(2)/2 cos(2pi/3 x) + ln(10)/e^2',
+    'normal density': 'e^(-x^2/2)/sqrt(2pi)',
+    'piecewise': '<piecewise>' +
+        '<piece><apply><minus/><ci>x</ci></apply><apply><lt/><ci>x</ci><cn>0</cn></apply></piece>' +
+        '<piece><apply><power/><ci>x</ci><cn>2</cn></apply><apply><lt/><ci>x</ci><cn>1</cn></apply></piece>' +
+        '<otherwise><cn>1</cn></otherwise></piecewise>',
+    'sum': 'sum((-1)^k x^(2k + 1)/(2k + 1)!, k, 0, 3)',
+};
+
+// The functions applied by each <apply> action in RULES, by the closure-based
+// evaluator which the compiled exec() is compared with
+const ACTIONS = {
+    plus: (...args) => args.reduce((a, b) => a + b),
+    minus: (a, b) => b === undefined ? -a : a - b,
+    times: (...args) => args.reduce((a, b) => a * b),
+    divide: (a, b) => a / b,
+    power: (a, b) => a ** b,
+    root: Math.sqrt,
+    sin: Math.sin,
+    cos: Math.cos,
+    ln: Math.log,
+    lt: (a, b) => a < b,
+    factorial: function(n) {
+        let product = 1;
+
+        for(let i = 2; i <= n; i++) {
+            product *= i;
+        }
+
+        return product;
+    },
+};
+
+// The number of times each function is evaluated
+const EVALUATIONS = 200000;
+
+// The number of times each function is constructed
+const CONSTRUCTIONS = 200;
+
+/**
+ * Return the mean time, in nanoseconds, taken to call `func` with each of
+ * `args`.
+ *
+ * @param  {Function} func The function to be timed
+ * @param  {Array}    args The arguments it's called with, in turn
+ * @return {Number}        The mean time per call
+ */
+function time(func, args) {
+    let total = 0;
+    let start = process.hrtime.bigint();
+
+    for(let arg of args) {
+        total += func(arg) ? 1 : 0;
+    }
+
+    return Number(process.hrtime.bigint() - start) / args.length;
+}
+
+/**
+ * Return a function evaluating the MathML `node` by composing a closure for
+ * each node, as MathML was evaluated before it was compiled, for comparison.
+ * Only the elements used in RULES are supported.
+ *
+ * @param  {Element}  node A MathML node
+ * @return {Function}      A function of a scope, e.g. {x: 1}, returning the
+ *                         node's value
+ */
+function closure(node) {
+    let children = Array.from(node.children);
+
+    switch(node.tagName) {
+        case 'ci':
+            return (scope => scope[node.textContent.trim()]);
+        case 'cn':
+            let value = parseFloat(node.textContent);
+            return (scope => value);
+        case 'pi':
+            return (scope => Math.PI);
+        case 'exponentiale':
+            return (scope => Math.E);
+        case 'piecewise':
+            let pieces = children.map(child => child.tagName === 'otherwise' ?
+                [closure(child.children[0]), scope => true] :
+                [closure(child.children[0]), closure(child.children[1])]);
+
+            return (scope => pieces.find(([value, condition]) => condition(scope))[0](scope));
+        case 'apply':
+            let action = children[0].tagName;
+
+            if(action === 'sum') {
+                let [variable, lower, upper, body] = children.slice(1).map((child, i) =>
+                    i === 3 ? closure(child) : i === 0 ? child.textContent.trim() :
+                    closure(child.children[0]));
+
+                return function(scope) {
+                    let total = 0;
+
+                    for(let k = lower(scope); k <= upper(scope); k++) {
+                        total += body(Object.assign({}, scope, {[variable]: k}));
+                    }
+
+                    return total;
+                };
+            }
+
+            let func = ACTIONS[action];
+            let args = children.slice(1).map(closure);
+
+            return (scope => func(...args.map(arg => arg(scope))));
+        default:
+            throw new Error('Unsupported MathML element: ' + node.tagName);
+    }
+}
+
+test('benchmark-mathml', function() {
+    let xs = Array.from({length: EVALUATIONS}, (_, i) => -5 + 10 * i / EVALUATIONS);
+    let rows = [];
+
+    for(let [name, rule] of Object.entries(RULES)) {
+        let exec = new MathML(rule).exec;
+        let reference = closure(parseDocument(rule));
+        let closures = (x => reference({x: x}));
+
+        //each agrees with the other
+        xs.filter((x, i) => i % 1000 === 0).forEach(x =>
+            expect(closures(x)).toBeCloseTo(exec(x), 9));
+
+        //warm up, so that the JIT has compiled every function timed
+        time(exec, xs.slice(0, 1000));
+        time(closures, xs.slice(0, 1000));
+
+        rows.push({
+            rule: name,
+            'closures (ns)': time(closures, xs).toFixed(0),
+            'exec (ns)': time(exec, xs).toFixed(0),
+            'construct (µs)': (time(() => new MathML(rule),
+                xs.slice(0, CONSTRUCTIONS)) / 1000).toFixed(0),
+        });
+    }
+
+    console.table(rows);
+}, 60000);
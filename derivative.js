@@ -0,0 +1,807 @@
+/**
+ * Assert that `condition` is true. If it is not, raise an error with
+ * message `message`.
+ *
+ * @param  {Boolean} condition The condition being asserted
+ * @param  {String} message    The error string to be raised if condition
+ *                             is false
+ */
+function assert(condition, message) {
+    if(!condition) {
+        throw new Error(message);
+    }
+}
+
+const ZERO = '<cn>0</cn>';
+const ONE = '<cn>1</cn>';
+const TWO = '<cn>2</cn>';
+
+// The <apply> actions whose result is a truth value, not a number, and so
+// which can't be differentiated
+const LOGICAL = ['lt', 'leq', 'gt', 'geq', 'eq', 'neq', 'and', 'or', 'not'];
+
+// The <apply> actions whose result is constant except where it jumps, and so
+// whose derivative is zero wherever it exists
+const STEPWISE = ['floor', 'ceiling', 'quotient', 'gcd', 'lcm'];
+
+// The <apply> actions within which their <bvar> is bound, i.e. an identifier
+// of the same name outside them is a different one
+const BINDING = ['int', 'sum', 'product'];
+
+
+/**
+ * Given a term, return the number it represents if it is a single <cn>, or
+ * null otherwise.
+ *
+ * A term is either a MathML string, or an Object:
+ *     {action:_, args:_}
+ * describing an <apply> of `action` to the terms `args`, which is kept
+ * unwritten so that it can still be simplified, @see apply().
+ *
+ * @param  {String|Object} term The term
+ * @return {Number|null}        The number
+ */
+function numberOf(term) {
+    if(typeof term !== 'string') {
+        return null;
+    }
+
+    let matches = term.match(/^<cn>(-?[0-9]+(\.[0-9]+)?)<\/cn>$/);
+
+    return matches === null ? null : parseFloat(matches[1]);
+}
+
+/**
+ * Given a term, return the fraction it represents, as [numerator,
+ * denominator], if it is an integer <cn>, or a quotient or negation of
+ * fractions. Otherwise, return null.
+ *
+ * @param  {String|Object} term The term
+ * @return {Array|null}         The numerator and denominator
+ */
+function fractionOf(term) {
+    let parts = partsOf(term);
+
+    if(Number.isInteger(numberOf(term))) {
+        return [numberOf(term), 1];
+    } else if(actionOf(parts) === 'minus' && parts.args.length === 1) {
+        let fraction = fractionOf(parts.args[0]);
+
+        return fraction === null ? null : [-fraction[0], fraction[1]];
+    } else if(actionOf(parts) === 'divide') {
+        let [a, b] = parts.args.map(fractionOf);
+
+        return a === null || b === null || b[0] === 0 ? null : [a[0] * b[1], a[1] * b[0]];
+    }
+
+    return null;
+}
+
+/**
+ * Return the term of the fraction `n`/`d`, in its lowest terms.
+ *
+ * @param  {Int} n The numerator
+ * @param  {Int} d The denominator
+ * @return {String|Object} The term
+ */
+function fraction(n, d) {
+    let divisor = gcd(n, d) * Math.sign(d);
+    [n, d] = [n / divisor, d / divisor];
+
+    if(d === 1) {
+        return cn(n);
+    }
+
+    return apply('divide', cn(n), cn(d));
+}
+
+/**
+ * Find the greatest common divisor of two integers `a` and `b`.
+ *
+ * @param  {Int} a An integer
+ * @param  {Int} b An integer
+ * @return {Int}   The GCD of `a` and `b`
+ */
+function gcd(a, b) {
+    [a, b] = [Math.abs(a), Math.abs(b)];
+    while(b) {
+        [a, b] = [b, a % b];
+    }
+
+    return a;
+}
+
+/**
+ * Given a term, return the action of the <apply> it describes, or null if
+ * it is a MathML string.
+ *
+ * @param  {String|Object} term The term
+ * @return {String|null}        The action
+ */
+function actionOf(term) {
+    return typeof term === 'string' ? null : term.action;
+}
+
+/**
+ * Given a term, return its MathML string.
+ *
+ * @param  {String|Object} term The term
+ * @return {String}             The MathML string
+ */
+function toMathML(term) {
+    if(typeof term === 'string') {
+        return term;
+    }
+
+    return `<apply><${term.action}/>${term.args.map(toMathML).join('')}</apply>`;
+}
+
+/**
+ * Given a term, return it as an Object describing an <apply>, if it is one,
+ * @see numberOf(), so that its parts can be examined. A MathML string of an
+ * <apply> is parsed, and any other term returned as it is.
+ *
+ * @param  {String|Object} term The term
+ * @return {String|Object}      The term, parsed if it is an <apply>
+ */
+function partsOf(term) {
+    if(typeof term !== 'string' || !term.startsWith('<apply>')) {
+        return term;
+    }
+
+    let node = new DOMParser().parseFromString(term, 'text/xml').documentElement;
+    let serializer = new XMLSerializer();
+    let [action, ...args] = Array.from(node.children);
+
+    return apply(action.tagName, ...args.map(arg => serializer.serializeToString(arg)));
+}
+
+/**
+ * Given a number, return it as a MathML <cn>, or null if it can't be written
+ * as one, e.g. 1e-7.
+ *
+ * @param  {Number}      value The number
+ * @return {String|null}       The MathML <cn>
+ */
+function cn(value) {
+    let str = String(value);
+
+    return /^-?[0-9]+(\.[0-9]+)?$/.test(str) ? `<cn>${str}</cn>` : null;
+}
+
+/**
+ * Return the term applying `action` to `args`.
+ *
+ * @param  {String}           action The action, e.g. 'sin'
+ * @param  {...String|Object} args   The argument terms
+ * @return {Object}                  The term
+ */
+function apply(action, ...args) {
+    return {action: action, args: args};
+}
+
+/**
+ * Return the sum of `terms`, leaving out zeros, adding together any numbers
+ * and flattening nested sums.
+ *
+ * @param  {...String|Object} terms The terms
+ * @return {String|Object}          The sum
+ */
+function plus(...terms) {
+    terms = terms.flatMap(term => actionOf(term) === 'plus' ? term.args : [term]);
+
+    let numbers = terms.map(numberOf).filter(n => n !== null);
+    let others = terms.filter(term => numberOf(term) === null);
+    let sum = cn(numbers.reduce((a, b) => a + b, 0));
+
+    if(sum === null) {
+        others = terms.filter(term => numberOf(term) !== 0);
+    } else if(sum !== ZERO) {
+        others.push(sum);
+    }
+
+    if(others.length === 0) {
+        return ZERO;
+    }
+
+    return others.length === 1 ? others[0] : apply('plus', ...others);
+}
+
+/**
+ * Is `term` a negation, a negative number, or a product with a negative
+ * coefficient, so that it's written following a minus sign?
+ *
+ * @param  {String|Object} term The term
+ * @return {Boolean}            Whether `term` is negative
+ */
+function isNegation(term) {
+    if(actionOf(term) === 'times') {
+        return numberOf(term.args[0]) < 0;
+    }
+
+    return numberOf(term) < 0 || (actionOf(term) === 'minus' && term.args.length === 1);
+}
+
+/**
+ * Return the negation of `term`, removing a double negation, including
+ * that of a product with a negative coefficient.
+ *
+ * @param  {String|Object} term The term
+ * @return {String|Object}      The negation
+ */
+function negate(term) {
+    let number = numberOf(term);
+
+    if(number !== null) {
+        return cn(0 - number);
+    } else if(actionOf(term) === 'minus' && term.args.length === 1) {
+        return term.args[0];
+    } else if(actionOf(term) === 'times' && numberOf(term.args[0]) < 0) {
+        return times(cn(0 - numberOf(term.args[0])), ...term.args.slice(1));
+    }
+
+    return apply('minus', term);
+}
+
+/**
+ * Return the difference of `a` and `b`, simplifying where either is zero,
+ * they are the same, or both are fractions, and adding rather than
+ * subtracting a negation.
+ *
+ * @param  {String|Object} a The minuend
+ * @param  {String|Object} b The subtrahend
+ * @return {String|Object}   The difference
+ */
+function minus(a, b) {
+    let [numberA, numberB] = [numberOf(a), numberOf(b)];
+
+    if(numberB === 0) {
+        return a;
+    } else if(numberA === 0) {
+        return negate(b);
+    } else if(toMathML(a) === toMathML(b)) {
+        return ZERO;
+    } else if(numberA !== null && numberB !== null && cn(numberA - numberB) !== null) {
+        return cn(numberA - numberB);
+    } else if(fractionOf(a) !== null && fractionOf(b) !== null) {
+        let [[nA, dA], [nB, dB]] = [fractionOf(a), fractionOf(b)];
+
+        return fraction(nA * dB - nB * dA, dA * dB);
+    } else if(isNegation(b)) {
+        return plus(a, negate(b));
+    }
+
+    return apply('minus', a, b);
+}
+
+/**
+ * Return the product of `factors`, which is zero if any factor is zero.
+ * Nested products are flattened, ones are left out, any numbers and
+ * negations are multiplied together into a leading coefficient, and a
+ * quotient's denominator is cancelled with an equal factor, e.g. 1/x * x is
+ * 1.
+ *
+ * @param  {...String|Object} factors The factors
+ * @return {String|Object}            The product
+ */
+function times(...factors) {
+    let sign = 1;
+    factors = factors.flatMap(function flatten(factor) {
+        if(actionOf(factor) === 'times') {
+            return factor.args.flatMap(flatten);
+        } else if(actionOf(factor) === 'minus' && factor.args.length === 1) {
+            sign = -sign;
+            return flatten(factor.args[0]);
+        }
+
+        return [factor];
+    });
+
+    if(factors.some(factor => numberOf(factor) === 0)) {
+        return ZERO;
+    }
+
+    for(let i = 0; i < factors.length; i++) {
+        if(actionOf(factors[i]) !== 'divide') {
+            continue;
+        }
+
+        let [numerator, denominator] = factors[i].args;
+        let j = factors.findIndex(factor => toMathML(factor) === toMathML(denominator));
+
+        if(j !== -1) {
+            let cancelled = factors.filter((factor, k) => k !== i && k !== j);
+
+            return times(numerator, ...cancelled, ...(sign < 0 ? [cn(-1)] : []));
+        }
+    }
+
+    let numbers = factors.map(numberOf).filter(n => n !== null);
+    let others = factors.filter(factor => numberOf(factor) === null);
+    let coefficient = numbers.reduce((a, b) => a * b, sign);
+
+    if(cn(coefficient) === null) {
+        others = factors.filter(factor => numberOf(factor) !== 1);
+        coefficient = sign;
+    }
+
+    if(coefficient === -1 && others.length > 0) {
+        return negate(others.length === 1 ? others[0] : apply('times', ...others));
+    } else if(coefficient !== 1) {
+        others.unshift(cn(coefficient));
+    }
+
+    if(others.length === 0) {
+        return ONE;
+    }
+
+    return others.length === 1 ? others[0] : apply('times', ...others);
+}
+
+/**
+ * Return the quotient of `a` and `b`, simplifying where `a` is zero, `b` is
+ * one, or they are the same, and cancelling a factor of `a` with the base of
+ * a whole power `b`, e.g. 2x/x^3 is 2/x^2.
+ *
+ * @param  {String|Object} a The numerator
+ * @param  {String|Object} b The denominator
+ * @return {String|Object}   The quotient
+ */
+function divide(a, b) {
+    if(numberOf(a) === 0) {
+        return ZERO;
+    } else if(numberOf(b) === 1) {
+        return a;
+    } else if(toMathML(a) === toMathML(b)) {
+        return ONE;
+    } else if(actionOf(a) === 'minus' && a.args.length === 1) {
+        //the numerator is negated, rather than the quotient, e.g. -2/x^3
+        let quotient = divide(a.args[0], b);
+
+        return actionOf(quotient) === 'divide' ?
+            apply('divide', negate(quotient.args[0]), quotient.args[1]) : negate(quotient);
+    }
+
+    let denominator = partsOf(b);
+
+    if(actionOf(denominator) === 'power' && Number.isInteger(numberOf(denominator.args[1])) &&
+            numberOf(denominator.args[1]) > 1) {
+        let [base, exponent] = denominator.args;
+        let factors = actionOf(a) === 'times' ? a.args : [a];
+        let i = factors.findIndex(factor => toMathML(factor) === toMathML(base));
+
+        if(i !== -1) {
+            return divide(times(...factors.filter((factor, j) => j !== i)),
+                power(base, cn(numberOf(exponent) - 1)));
+        }
+    }
+
+    return apply('divide', a, b);
+}
+
+/**
+ * Return the power `base` ^ `exponent`, simplifying where the exponent is
+ * zero or one, and multiplying out a whole power of a whole power, e.g.
+ * (x^2)^2 is x^4.
+ *
+ * @param  {String|Object} base     The base
+ * @param  {String|Object} exponent The exponent
+ * @return {String|Object}          The power
+ */
+function power(base, exponent) {
+    if(numberOf(exponent) === 0) {
+        return ONE;
+    } else if(numberOf(exponent) === 1) {
+        return base;
+    }
+
+    let parts = partsOf(base);
+
+    if(actionOf(parts) === 'power' && [parts.args[1], exponent].every(
+            term => Number.isInteger(numberOf(term)) && numberOf(term) > 0)) {
+        return power(parts.args[0], cn(numberOf(parts.args[1]) * numberOf(exponent)));
+    }
+
+    return apply('power', base, exponent);
+}
+
+/**
+ * Return the natural logarithm of `term`, which is one if `term` is e.
+ *
+ * @param  {String|Object} term The term
+ * @return {String|Object}      The logarithm
+ */
+function ln(term) {
+    return term === '<exponentiale/>' ? ONE : apply('ln', term);
+}
+
+/**
+ * Return the square root of `term`.
+ *
+ * @param  {String|Object} term The term
+ * @return {Object}             The root
+ */
+function sqrt(term) {
+    return apply('root', term);
+}
+
+
+/**
+ * Differentiates content MathML symbolically with respect to one variable,
+ * producing the MathML of the derivative. Every other identifier is treated
+ * as a constant.
+ *
+ * The derivative is simplified only as far as leaving out terms which are
+ * zero, factors which are one, and so on, e.g. d/dx 3x^2 is 3 * 2 * x,
+ * written <apply><times/><cn>6</cn><ci>x</ci></apply>. Fractional exponents
+ * are folded, double negations removed and simple quotients cancelled, e.g.
+ * d/dx 1/x^2 is -2/x^3 rather than -(2x)/(x^2)^2, but for a fully
+ * simplified derivative, @see Simplifier from simplify.js.
+ */
+class Differentiator {
+    /**
+     * @constructs
+     * @param  {String}   variable The name of the variable being
+     *                             differentiated with respect to
+     * @param  {Function} nameOf   Given a <ci> node, returns the name of its
+     *                             identifier
+     */
+    constructor(variable, nameOf) {
+        this._variable = variable;
+        this._nameOf = nameOf;
+        this._serializer = new XMLSerializer();
+    }
+
+    /**
+     * Return the MathML string of the derivative of `node`, or, if `degree`
+     * is given, of its `degree`th derivative.
+     *
+     * @param  {Element} node   Any MathML node
+     * @param  {Int}     degree (Optional) The number of times to
+     *                          differentiate, defaults to 1
+     * @return {String}         The MathML of the derivative
+     */
+    differentiate(node, degree=1) {
+        let derivative = this._source(node);
+
+        for(let i = 0; i < degree; i++) {
+            derivative = toMathML(this._differentiateTerm(derivative));
+        }
+
+        return derivative;
+    }
+
+    /**
+     * Return the MathML string of `node` itself.
+     *
+     * @param  {Element} node Any MathML node
+     * @return {String}       The MathML string
+     */
+    _source(node) {
+        return this._serializer.serializeToString(node);
+    }
+
+    /**
+     * Does the value of `node` depend on the variable?
+     *
+     * @param  {Element} node Any MathML node
+     * @return {Boolean}      Whether `node` contains the variable
+     */
+    _dependsOn(node) {
+        if(node.tagName === 'ci') {
+            return this._nameOf(node) === this._variable;
+        }
+
+        let children = Array.from(node.children);
+
+        //where the variable is bound, only the limits can depend on it
+        if(this._boundBy(node) === this._variable) {
+            children = children.filter(child => ['lowlimit', 'uplimit'].includes(child.tagName));
+        }
+
+        return children.some(this._dependsOn, this);
+    }
+
+    /**
+     * Return the name of the variable bound by `node`, if it is an <apply>
+     * of one of BINDING, or else null.
+     *
+     * @param  {Element} node Any MathML node
+     * @return {String|null}  The name of the bound variable
+     */
+    _boundBy(node) {
+        if(node.tagName !== 'apply' || !BINDING.includes(node.firstElementChild.tagName)) {
+            return null;
+        }
+
+        let bvar = Array.from(node.children).find(child => child.tagName === 'bvar');
+
+        return this._nameOf(bvar.firstElementChild);
+    }
+
+    /**
+     * Return the MathML string of `node`, with the identifier `name`
+     * replaced by the MathML string `value` wherever it isn't bound.
+     *
+     * @param  {Element} node  Any MathML node
+     * @param  {String}  name  The name of the identifier being replaced
+     * @param  {String}  value The MathML string replacing it
+     * @return {String}        The MathML string
+     */
+    _substitute(node, name, value) {
+        if(node.tagName === 'ci') {
+            return this._nameOf(node) === name ? value : this._source(node);
+        } else if(node.childElementCount === 0) {
+            return this._source(node);
+        }
+
+        let bound = this._boundBy(node) === name;
+        let children = Array.from(node.children).map(child =>
+            bound && !['lowlimit', 'uplimit'].includes(child.tagName) ?
+                this._source(child) : this._substitute(child, name, value));
+
+        return `<${node.tagName}>${children.join('')}</${node.tagName}>`;
+    }
+
+    /**
+     * Return the derivative of `term`. Used where an expression is easiest
+     * differentiated after rewriting it, e.g. a logarithm to a variable
+     * base.
+     *
+     * @see  numberOf()
+     * @param  {String|Object} term The term
+     * @return {String|Object}      The derivative
+     */
+    _differentiateTerm(term) {
+        let doc = new DOMParser().parseFromString(toMathML(term), 'text/xml');
+
+        return this._differentiateNode(doc.documentElement);
+    }
+
+    /**
+     * Differentiate any MathML node.
+     *
+     * @param  {Element} node Any MathML node
+     * @return {String|Object}  The derivative, @see numberOf()
+     */
+    _differentiateNode(node) {
+        if(!['list', 'piecewise'].includes(node.tagName) && !this._dependsOn(node)) {
+            return ZERO;
+        }
+
+        switch(node.tagName) {
+            case 'apply':
+                return this._differentiateApply(node);
+            case 'ci':
+                return ONE;
+            case 'degree':
+            case 'logbase':
+                return this._differentiateNode(node.firstElementChild);
+            case 'list':
+                let elements = Array.from(node.children).map(
+                    child => toMathML(this._differentiateNode(child)));
+
+                return `<list>${elements.join('')}</list>`;
+            case 'piecewise':
+                let pieces = Array.from(node.children).map(child => {
+                    let value = toMathML(this._differentiateNode(child.children[0]));
+
+                    if(child.tagName === 'otherwise') {
+                        return `<otherwise>${value}</otherwise>`;
+                    }
+
+                    return `<piece>${value}${this._source(child.children[1])}</piece>`;
+                });
+
+                return `<piecewise>${pieces.join('')}</piecewise>`;
+            default:
+                throw new Error('Unknown MathML element: ' + node.tagName);
+        }
+    }
+
+    /**
+     * Differentiate an <apply> MathML node.
+     *
+     * @param  {Element} node A MathML <apply> node
+     * @return {String|Object}  The derivative, @see numberOf()
+     */
+    _differentiateApply(node) {
+        let action = node.firstElementChild.tagName;
+        let argNodes = Array.from(node.children).slice(1);
+
+        assert(!LOGICAL.includes(action),
+            `<apply><${action}/> can't be differentiated, its value is not a number.`);
+        assert(action !== 'factorial',
+            `<apply><factorial/> can't be differentiated with respect to <ci>${this._variable}</ci>.`);
+
+        if(STEPWISE.includes(action)) {
+            return ZERO;
+        } else if(BINDING.includes(action) || action === 'diff') {
+            return this._differentiateBound(node);
+        }
+
+        let u = argNodes.map(arg => this._source(
+            ['degree', 'logbase'].includes(arg.tagName) ? arg.firstElementChild : arg));
+        let du = argNodes.map(this._differentiateNode, this);
+        let self = this._source(node);
+
+        switch(action) {
+            case 'plus':
+                return plus(...du);
+            case 'minus':
+                return u.length === 1 ? negate(du[0]) : minus(du[0], du[1]);
+            case 'times':
+                //product rule, for any number of factors
+                return plus(...du.map((derivative, i) =>
+                    times(...u.map((factor, j) => i === j ? derivative : factor))));
+            case 'divide':
+                if(!this._dependsOn(argNodes[1])) {
+                    return divide(du[0], u[1]);
+                }
+
+                return divide(
+                    minus(times(du[0], u[1]), times(u[0], du[1])),
+                    power(u[1], TWO));
+            case 'power':
+                if(!this._dependsOn(argNodes[1])) {
+                    return times(u[1], power(u[0], minus(u[1], ONE)), du[0]);
+                } else if(!this._dependsOn(argNodes[0])) {
+                    return times(self, ln(u[0]), du[1]);
+                }
+
+                //d/dx f^g = f^g (g' ln f + g f' / f)
+                return times(self, plus(
+                    times(du[1], ln(u[0])),
+                    divide(times(u[1], du[0]), u[0])));
+            case 'root':
+                if(u.length === 1) {
+                    return divide(du[0], times(TWO, self));
+                } else if(!this._dependsOn(argNodes[0])) {
+                    return divide(du[1], times(u[0], power(self, minus(u[0], ONE))));
+                }
+
+                return this._differentiateTerm(power(u[1], divide(ONE, u[0])));
+            case 'sin':
+                return times(apply('cos', u[0]), du[0]);
+            case 'cos':
+                return negate(times(apply('sin', u[0]), du[0]));
+            case 'tan':
+                return times(power(apply('sec', u[0]), TWO), du[0]);
+            case 'sec':
+                return times(self, apply('tan', u[0]), du[0]);
+            case 'csc':
+                return negate(times(self, apply('cot', u[0]), du[0]));
+            case 'cot':
+                return negate(times(power(apply('csc', u[0]), TWO), du[0]));
+            case 'arcsin':
+                return divide(du[0], sqrt(minus(ONE, power(u[0], TWO))));
+            case 'arccos':
+                return negate(divide(du[0], sqrt(minus(ONE, power(u[0], TWO)))));
+            case 'arctan':
+                return divide(du[0], plus(ONE, power(u[0], TWO)));
+            case 'arcsec':
+                return divide(du[0],
+                    times(apply('abs', u[0]), sqrt(minus(power(u[0], TWO), ONE))));
+            case 'arccsc':
+                return negate(divide(du[0],
+                    times(apply('abs', u[0]), sqrt(minus(power(u[0], TWO), ONE)))));
+            case 'arccot':
+                return negate(divide(du[0], plus(ONE, power(u[0], TWO))));
+            case 'sinh':
+                return times(apply('cosh', u[0]), du[0]);
+            case 'cosh':
+                return times(apply('sinh', u[0]), du[0]);
+            case 'tanh':
+                return divide(du[0], power(apply('cosh', u[0]), TWO));
+            case 'arcsinh':
+                return divide(du[0], sqrt(plus(power(u[0], TWO), ONE)));
+            case 'arccosh':
+                return divide(du[0], sqrt(minus(power(u[0], TWO), ONE)));
+            case 'arctanh':
+                return divide(du[0], minus(ONE, power(u[0], TWO)));
+            case 'abs':
+                return times(divide(u[0], self), du[0]);
+            case 'ln':
+                return divide(du[0], u[0]);
+            case 'log':
+                if(u.length === 1) {
+                    return divide(du[0], times(u[0], ln(cn(10))));
+                } else if(!this._dependsOn(argNodes[0])) {
+                    return divide(du[1], times(u[1], ln(u[0])));
+                }
+
+                return this._differentiateTerm(divide(ln(u[1]), ln(u[0])));
+            case 'exp':
+                return times(self, du[0]);
+            case 'rem':
+                //a rem b = a - b * quotient(a, b), and the quotient is stepwise
+                return minus(du[0], times(apply('quotient', u[0], u[1]), du[1]));
+            case 'min':
+            case 'max':
+                return this._differentiateExtremum(action, u, du);
+            default:
+                throw new Error('Unknown <apply> action: ' + action);
+        }
+    }
+
+    /**
+     * Differentiate an <apply> of <int/>, <sum/>, <product/> or <diff/>,
+     * each of which has a bound variable.
+     *
+     * An integral is differentiated by the Leibniz rule: for limits a and b,
+     * the derivative of the integral of f(t) is f(b)b' - f(a)a', plus the
+     * integral of f's own derivative if f depends on the variable. A sum is
+     * differentiated term by term, so long as its limits don't depend on the
+     * variable, and a <diff/> by differentiating its result again.
+     *
+     * @param  {Element} node A MathML <apply> node
+     * @return {String|Object}  The derivative, @see numberOf()
+     */
+    _differentiateBound(node) {
+        let action = node.firstElementChild.tagName;
+        let children = Array.from(node.children).slice(1);
+        let qualifier = (tag => children.find(child => child.tagName === tag));
+        let [bvar, lowlimit, uplimit] = ['bvar', 'lowlimit', 'uplimit'].map(qualifier);
+        let body = children.find(child => !['bvar', 'lowlimit', 'uplimit'].includes(child.tagName));
+        let name = this._nameOf(bvar.firstElementChild);
+        //the body only depends on the variable if it isn't the bound one
+        let bodyDepends = name !== this._variable && this._dependsOn(body);
+        let qualified = (derivative => `<apply><${action}/>` + this._source(bvar) +
+            this._source(lowlimit) + this._source(uplimit) + toMathML(derivative) + '</apply>');
+
+        switch(action) {
+            case 'diff':
+                let degree = qualifier('bvar').getElementsByTagName('degree')[0];
+                let differentiator = new Differentiator(name, this._nameOf);
+                let derivative = differentiator.differentiate(body,
+                    degree === undefined ? 1 : parseInt(degree.textContent));
+
+                return this._differentiateTerm(derivative);
+            case 'int':
+                let [a, b] = [lowlimit, uplimit].map(limit => limit.firstElementChild);
+
+                return plus(
+                    times(this._substitute(body, name, this._source(b)), this._differentiateNode(b)),
+                    negate(times(this._substitute(body, name, this._source(a)), this._differentiateNode(a))),
+                    bodyDepends ? qualified(this._differentiateNode(body)) : ZERO);
+            case 'sum':
+                assert(!this._dependsOn(lowlimit) && !this._dependsOn(uplimit),
+                    `<apply><sum/> can't be differentiated with respect to <ci>${this._variable}</ci>, as its limits depend on it.`);
+
+                return qualified(this._differentiateNode(body));
+            default:
+                throw new Error(`<apply><${action}/> can't be differentiated with respect to <ci>${this._variable}</ci>.`);
+        }
+    }
+
+    /**
+     * Differentiate a <min/> or <max/>. The derivative is that of whichever
+     * argument is the minimum (maximum), so is written as a <piecewise>.
+     *
+     * @param  {String} action 'min' or 'max'
+     * @param  {Array}  u      The MathML strings of the arguments
+     * @param  {Array}  du     The terms of their derivatives
+     * @return {String}        The MathML of the derivative
+     */
+    _differentiateExtremum(action, u, du) {
+        if(u.length === 1) {
+            return du[0];
+        }
+
+        let relation = action === 'min' ? 'leq' : 'geq';
+        let pieces = u.slice(0, -1).map((arg, i) => {
+            let conditions = u.filter((other, j) => j !== i)
+                .map(other => apply(relation, arg, other));
+            let condition = conditions.length === 1 ?
+                conditions[0] : apply('and', ...conditions);
+
+            return `<piece>${toMathML(du[i])}${toMathML(condition)}</piece>`;
+        });
+        let otherwise = toMathML(du[du.length - 1]);
+
+        return `<piecewise>${pieces.join('')}<otherwise>${otherwise}</otherwise></piecewise>`;
+    }
+}
+
+
+export default Differentiator;
@@ -0,0 +1,324 @@
+// The number of equal steps an interval is sampled at, by default, when
+// looking for discontinuities
+const DEFAULT_SAMPLES = 1000;
+
+// The most times a bracket around a discontinuity is narrowed, by bisection
+// or golden section search. Doubles have a 52 bit mantissa, so this is ample
+// to narrow any bracket to adjacent doubles.
+const MAX_ITERATIONS = 200;
+
+// A step across which the function changes by more than this many times as
+// much as across either step beside it is searched for a jump
+const JUMP_RATIO = 10;
+
+// The distances, as fractions of a sample step, at which a function is
+// evaluated either side of a point to find its limits there. Each is a
+// hundredth of the last, so that the differences between the values at
+// successive distances shrink quickly where the function is continuous.
+const LIMIT_DISTANCES = [1e-3, 1e-5, 1e-7];
+
+// How much a function's size must increase by, as a fraction of the last
+// increase, as it gets closer to a point for it to be growing without bound
+const UNBOUNDED_RATIO = 0.9;
+
+// How different, relative to their size, two limits must be to differ
+const LIMIT_TOLERANCE = 1e-9;
+
+// How close two discontinuities must be to be counted as one
+const DUPLICATE_TOLERANCE = 1e-9;
+
+// The golden ratio, less one, by which golden section search narrows
+const GOLDEN = (Math.sqrt(5) - 1) / 2;
+
+
+/**
+ * Given a bracket [a, b] across which `test` changes from true to false (or
+ * vice versa), narrow it by bisection, returning the point at which it
+ * changes.
+ *
+ * @param  {Function} test A function taking a Number and returning a Boolean
+ * @param  {Number}   a    The start of the bracket
+ * @param  {Number}   b    The end of the bracket
+ * @return {Number}        The point at which `test` changes
+ */
+function bisect(test, a, b) {
+    let ta = test(a);
+
+    for(let i = 0; i < MAX_ITERATIONS; i++) {
+        //doubles are densest around 0, so halving a bracket across 0 would
+        //never reach it: split it there instead
+        let m = Math.sign(a) * Math.sign(b) < 0 ? 0 : (a + b) / 2;
+
+        //the bracket can't be narrowed any further
+        if(m <= Math.min(a, b) || m >= Math.max(a, b)) {
+            break;
+        }
+
+        if(test(m) === ta) {
+            a = m;
+        } else {
+            b = m;
+        }
+    }
+
+    return (a + b) / 2;
+}
+
+/**
+ * Given a step [a, b] across which `func` changes suspiciously much, narrow
+ * it down, by repeatedly halving it and keeping the half across which
+ * `func` changes the most. Returns the point the step narrows to.
+ *
+ * @param  {Function} func The function
+ * @param  {Number}   a    The start of the step
+ * @param  {Number}   b    The end of the step
+ * @return {Number}        The point at which the change is greatest
+ */
+function narrowJump(func, a, b) {
+    let [fa, fb] = [func(a), func(b)];
+
+    for(let i = 0; i < MAX_ITERATIONS; i++) {
+        //doubles are densest around 0, so halving a bracket across 0 would
+        //never reach it: split it there instead
+        let m = Math.sign(a) * Math.sign(b) < 0 ? 0 : (a + b) / 2;
+
+        if(m <= a || m >= b) {
+            break;
+        }
+
+        let fm = func(m);
+
+        if(!Number.isFinite(fm)) {
+            return m;
+        } else if(Math.abs(fm - fa) >= Math.abs(fb - fm)) {
+            [b, fb] = [m, fm];
+        } else {
+            [a, fa] = [m, fm];
+        }
+    }
+
+    return (a + b) / 2;
+}
+
+/**
+ * Find the point in [a, b] at which |func| is greatest, by golden section
+ * search. This is only reliable if |func| rises to a single peak in [a, b],
+ * as it does around a pole.
+ *
+ * @param  {Function} func The function
+ * @param  {Number}   a    The start of the interval
+ * @param  {Number}   b    The end of the interval
+ * @return {Number}        The point at which |func| peaks
+ */
+function findPeak(func, a, b) {
+    //undefined points are treated as lower than any other
+    let size = (x => {
+        let y = Math.abs(func(x));
+        return Number.isNaN(y) ? -1 : y;
+    });
+    let c = b - GOLDEN * (b - a);
+    let d = a + GOLDEN * (b - a);
+    let [fc, fd] = [size(c), size(d)];
+
+    for(let i = 0; i < MAX_ITERATIONS && c < d; i++) {
+        if(fc === Infinity || fd === Infinity) {
+            return fc === Infinity ? c : d;
+        }
+
+        if(fc > fd) {
+            [b, d, fd] = [d, c, fc];
+            c = b - GOLDEN * (b - a);
+            fc = size(c);
+        } else {
+            [a, c, fc] = [c, d, fd];
+            d = a + GOLDEN * (b - a);
+            fd = size(d);
+        }
+    }
+
+    return (a + b) / 2;
+}
+
+/**
+ * Return the values of `func` as x approaches `x` from one side, at each of
+ * LIMIT_DISTANCES sample steps away.
+ *
+ * @param  {Function} func The function
+ * @param  {Number}   x    The point approached
+ * @param  {Int}      side -1 to approach from the left, 1 from the right
+ * @param  {Number}   step The size of a sample step
+ * @return {Array}         The values, ever closer to x
+ */
+function approach(func, x, side, step) {
+    return LIMIT_DISTANCES.map(distance => func(x + side * distance * step));
+}
+
+/**
+ * Given the values of a function approaching a point, @see approach(),
+ * return the limit of the function at that point: ±Infinity if it grows
+ * without bound, NaN if the function is undefined there, and otherwise the
+ * value closest to the point.
+ *
+ * A function grows without bound if its size increases as it gets closer,
+ * by (nearly) as much or more each time, where a continuous function would
+ * increase by ever smaller amounts. So e.g. ln(x) grows without bound as x
+ * approaches 0, increasing by the same amount each time x is divided by 100.
+ *
+ * @param  {Array}  values The values approaching the point
+ * @return {Number}        The limit
+ */
+function limit(values) {
+    let last = values[values.length - 1];
+
+    if(!values.every(Number.isFinite)) {
+        return Number.isNaN(last) ? NaN : last;
+    }
+
+    let sizes = values.map(Math.abs);
+    let increases = sizes.slice(1).map((size, i) => size - sizes[i]);
+    let unbounded = increases.every((increase, i) =>
+        increase > 0 && (i === 0 || increase >= UNBOUNDED_RATIO * increases[i - 1]));
+
+    return unbounded ? Math.sign(last) * Infinity : last;
+}
+
+/**
+ * Decide whether `func` is discontinuous at `x`, and if so, how.
+ *
+ * Returns null if `func` is continuous at x, or undefined on either side of
+ * it (so x is an end of its domain, rather than a discontinuity in it), and
+ * otherwise an Object:
+ *     {x:_, type:_, left:_, right:_}
+ * where `left` and `right` are the limits of func from the left and the
+ * right of x, and `type` is one of:
+ *  - 'pole', if func grows without bound on either side of x;
+ *  - 'jump', if the limits differ;
+ *  - 'hole', if the limits are the same, but func is undefined at x, or
+ *    takes some other value there.
+ *
+ * @param  {Function} func The function
+ * @param  {Number}   x    The point
+ * @param  {Number}   step The size of a sample step
+ * @return {Object|null}   The discontinuity
+ */
+function classify(func, x, step) {
+    let leftValues = approach(func, x, -1, step);
+    let rightValues = approach(func, x, 1, step);
+    let [left, right] = [limit(leftValues), limit(rightValues)];
+    let discontinuity = {x: x, type: null, left: left, right: right};
+
+    if(Math.abs(left) === Infinity || Math.abs(right) === Infinity) {
+        discontinuity.type = 'pole';
+    } else if(Number.isNaN(left) || Number.isNaN(right)) {
+        return null;
+    } else {
+        //a continuous function's values either side of x get closer
+        //together as they get closer to x, so a difference which doesn't
+        //shrink is a jump
+        let differences = leftValues.map((value, i) => Math.abs(rightValues[i] - value));
+        let [near, nearest] = differences.slice(-2);
+        //how much the values on each side are still changing, so how far
+        //they may be from the limits
+        let drift = Math.max(...[leftValues, rightValues].map(values =>
+            Math.abs(values[values.length - 1] - values[values.length - 2])));
+        let tolerance = LIMIT_TOLERANCE * Math.max(1, Math.abs(left), Math.abs(right));
+        let value = func(x);
+
+        if(nearest > tolerance && nearest > near / 2) {
+            discontinuity.type = 'jump';
+        } else if(!Number.isFinite(value) || Math.abs(value - (left + right) / 2) >
+                Math.max(tolerance, 10 * nearest, 10 * drift)) {
+            discontinuity.type = 'hole';
+        } else {
+            return null;
+        }
+    }
+
+    return discontinuity;
+}
+
+/**
+ * Return the limit of `func` as x approaches `x` from one side: ±Infinity if
+ * it grows without bound, NaN if it's undefined there, and otherwise its
+ * value a tiny fraction of `step` from x, @see limit().
+ *
+ * Usage:
+ *     findLimit(x => Math.sin(x) / x, 0, 1, 0.01); // => 1
+ *
+ * @param  {Function} func The function, taking and returning a Number
+ * @param  {Number}   x    The point approached
+ * @param  {Int}      side -1 to approach from the left, 1 from the right
+ * @param  {Number}   step The size of a sample step near x
+ * @return {Number}        The limit
+ */
+export function findLimit(func, x, side, step) {
+    return limit(approach(func, x, side, step));
+}
+
+/**
+ * Return the points in (a, b) at which `func` is discontinuous: its poles,
+ * jumps, and removable holes. @see classify() for what each is returned
+ * as.
+ *
+ * The interval is sampled at `samples` equal steps, and points which might
+ * be discontinuities are searched for: where the function becomes defined
+ * or undefined; where it's undefined at a lone sample; the peaks of its
+ * size, which poles are; and steps across which it changes far more than
+ * across the steps either side, which jumps are. Each is then classified by
+ * the function's limits either side of it.
+ *
+ * A hole at which the function is undefined at only a single point can't
+ * be found by sampling, unless a sample lands on it. So other points which
+ * might be holes may be passed in `candidates`, e.g. the roots of the
+ * denominator of a fraction, @see MathML.singularities. These are also
+ * classified, and a hole found at any which the function is undefined at.
+ *
+ * Discontinuities closer together than a sample step may be missed.
+ *
+ * @param  {Function} func       The function, taking and returning a Number
+ * @param  {Number}   a          The start of the interval
+ * @param  {Number}   b          The end of the interval
+ * @param  {Array}    candidates (Optional) Other points to classify
+ * @param  {Int}      samples    (Optional) The number of steps sampled
+ * @return {Array}               The discontinuities, in order of x
+ */
+export default function findDiscontinuities(func, a, b, candidates=[], samples=DEFAULT_SAMPLES) {
+    let step = (b - a) / samples;
+    let xs = Array.from({length: samples + 1}, (_, i) => i === samples ? b : a + step * i);
+    let ys = xs.map(x => func(x));
+    let defined = ys.map(Number.isFinite);
+    let changes = ys.slice(1).map((y, i) => Math.abs(y - ys[i]));
+    let points = candidates.slice();
+
+    for(let i = 0; i <= samples; i++) {
+        if(i < samples && defined[i] !== defined[i + 1]) {
+            points.push(bisect(x => Number.isFinite(func(x)), xs[i], xs[i + 1]));
+        }
+
+        if(!defined[i] && defined[i - 1] && defined[i + 1]) {
+            //undefined at a lone sample
+            points.push(xs[i]);
+        }
+
+        if(i > 0 && i < samples && defined[i - 1] && defined[i] && defined[i + 1] &&
+                Math.abs(ys[i]) > Math.abs(ys[i - 1]) && Math.abs(ys[i]) > Math.abs(ys[i + 1])) {
+            points.push(findPeak(func, xs[i - 1], xs[i + 1]));
+        }
+
+        if(i < samples && changes[i] > JUMP_RATIO * Math.max(
+                i > 0 ? changes[i - 1] : 0, i < samples - 1 ? changes[i + 1] : 0)) {
+            points.push(narrowJump(func, xs[i], xs[i + 1]));
+        }
+    }
+
+    let discontinuities = points
+        .filter(x => x > a && x < b)
+        .sort((p, q) => p - q)
+        .map(x => classify(func, x, step))
+        .filter(discontinuity => discontinuity !== null);
+
+    //only keep the first of any found more than once
+    return discontinuities.filter((discontinuity, i) => i === 0 ||
+        discontinuity.x - discontinuities[i - 1].x >
+            DUPLICATE_TOLERANCE * Math.max(1, Math.abs(discontinuity.x)));
+}
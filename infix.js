@@ -0,0 +1,639 @@
+/**
+ * Assert that `condition` is true. If it is not, raise an error with
+ * message `message`.
+ *
+ * @param  {Boolean} condition The condition being asserted
+ * @param  {String} message    The error string to be raised if condition
+ *                             is false
+ */
+function assert(condition, message) {
+    if(!condition) {
+        throw new Error(message);
+    }
+}
+
+// The functions which may be called by name, and the MathML <apply> action
+// each corresponds to. Names are matched longest first, so e.g. "sinh" is
+// never read as "sin h".
+const FUNCTIONS = {
+    sin: 'sin', cos: 'cos', tan: 'tan',
+    sec: 'sec', csc: 'csc', cot: 'cot',
+    arcsin: 'arcsin', arccos: 'arccos', arctan: 'arctan',
+    asin: 'arcsin', acos: 'arccos', atan: 'arctan',
+    arcsec: 'arcsec', arccsc: 'arccsc', arccot: 'arccot',
+    sinh: 'sinh', cosh: 'cosh', tanh: 'tanh',
+    arcsinh: 'arcsinh', arccosh: 'arccosh', arctanh: 'arctanh',
+    ln: 'ln', log: 'log', exp: 'exp', abs: 'abs',
+    sqrt: 'root', root: 'root',
+    floor: 'floor', ceil: 'ceiling', ceiling: 'ceiling',
+    min: 'min', max: 'max', gcd: 'gcd', lcm: 'lcm',
+    rem: 'rem', mod: 'rem', quotient: 'quotient',
+    int: 'int', diff: 'diff', sum: 'sum', product: 'product'
+};
+
+// The named constants, and their MathML equivalents
+const CONSTANTS = {
+    pi: '<pi/>',
+    'π': '<pi/>',
+    e: '<exponentiale/>'
+};
+
+// Multi-letter identifiers. Any other run of letters is read as a product of
+// single-letter identifiers, e.g. "xy" is x*y.
+const IDENTIFIERS = ['theta'];
+
+// The keywords joining conditions, and those separating the value and
+// condition of each piece of a piecewise expression
+const KEYWORDS = ['and', 'or', 'not', 'if', 'otherwise'];
+
+// The relational operators, and the MathML <apply> action of each
+const RELATIONS = {
+    '=': 'eq',
+    '!=': 'neq',
+    '<': 'lt',
+    '<=': 'leq',
+    '>': 'gt',
+    '>=': 'geq'
+};
+
+// Every word the tokeniser recognises, longest first
+const WORDS = [
+    ...Object.keys(FUNCTIONS),
+    ...Object.keys(CONSTANTS),
+    ...IDENTIFIERS,
+    ...KEYWORDS
+].sort((a, b) => b.length - a.length);
+
+
+/**
+ * A recursive-descent parser for mathematical expressions written in infix
+ * notation, e.g. "x^2 - 3sin(2x)", which produces the equivalent content
+ * MathML.
+ *
+ * The grammar, from lowest to highest precedence, is:
+ *     or       := and ('or' and)*
+ *     and      := not ('and' not)*
+ *     not      := 'not' not | relation
+ *     relation := sum (('=' | '!=' | '<' | '<=' | '>' | '>=') sum)*
+ *     sum      := product (('+' | '-') product)*
+ *     product  := unary (('*' | '/') unary | power)*
+ *     unary    := '-' unary | '+' unary | power
+ *     power    := postfix ('^' unary)?
+ *     postfix  := primary '!'*
+ *     primary  := number | constant | identifier | function | '(' list ')'
+ *               | '|' or '|' | '{' pieces '}'
+ *     pieces   := piece (';' piece)*
+ *     piece    := or 'if' or | or 'otherwise'
+ *
+ * Juxtaposition is multiplication, so "2x", "3sin(x)" and "(x+1)(x-1)" are
+ * all products. A function name may be followed by its arguments in
+ * brackets, "sin(2x)", or by a single power, "sin x" or "sin x^2", or by a
+ * number multiplying identifiers and constants, "sin 2x" or "cos 2pi t".
+ * Anything further is a separate factor, so "sin x cos x" is
+ * "sin(x) cos(x)".
+ *
+ * A chain of relations "a < b < c" is read as "a < b and b < c". A bracketed
+ * list of two or more expressions, e.g. "(0, 2pi)", becomes a MathML <list>.
+ * Braces enclose a piecewise expression, as written by MathML.toInfix(), e.g.
+ * "{-x if x < 0; x otherwise}", of which only the last piece may be
+ * 'otherwise'.
+ */
+class InfixParser {
+    /**
+     * @constructs
+     * @param  {String} str The infix expression
+     */
+    constructor(str) {
+        this._source = str;
+        this._tokens = this._tokenise(str);
+        this._pos = 0;
+        //the depth of |...| brackets currently being parsed
+        this._absDepth = 0;
+    }
+
+    /**
+     * Parse the whole expression, returning the equivalent MathML string.
+     *
+     * @return {String} The MathML string
+     */
+    parse() {
+        let mathml = this._parseOr();
+
+        assert(this._peek() === null,
+            `Unexpected '${this._peekValue()}' in expression: ${this._source}`);
+
+        return mathml;
+    }
+
+    /**
+     * Split the string `str` into an array of tokens, each an Object:
+     *     {type:_, value:_}
+     * where `type` is one of 'number', 'word', 'letter' or 'symbol'.
+     *
+     * @param  {String} str The infix expression
+     * @return {Array}      The tokens
+     */
+    _tokenise(str) {
+        let tokens = [];
+        let pos = 0;
+
+        while(pos < str.length) {
+            let rest = str.slice(pos);
+            let matches = null;
+
+            if((matches = rest.match(/^\s+/)) !== null) {
+                //skip whitespace
+            } else if((matches = rest.match(/^([0-9]+(\.[0-9]*)?|\.[0-9]+)/)) !== null) {
+                //a second decimal point, e.g. "3.5.2", isn't the start of
+                //another number to multiply by
+                assert(rest[matches[0].length] !== '.',
+                    `Invalid number '${rest.match(/^[0-9.]+/)[0]}' in expression: ${str}`);
+                tokens.push({type: 'number', value: matches[0]});
+            } else if((matches = rest.match(/^(<=|>=|!=|[-+*/^!=<>(),|{};])/)) !== null) {
+                tokens.push({type: 'symbol', value: matches[0]});
+            } else if((matches = rest.match(/^[a-zA-Zα-ωΑ-Ω]+/)) !== null) {
+                //split a run of letters into known words and single letters
+                let letters = matches[0];
+                while(letters.length > 0) {
+                    let word = WORDS.find(w => letters.startsWith(w)) || letters[0];
+                    tokens.push({type: word.length > 1 || word in CONSTANTS ?
+                                       'word' : 'letter', value: word});
+                    letters = letters.slice(word.length);
+                }
+            } else {
+                throw new Error(`Unexpected '${rest[0]}' in expression: ${str}`);
+            }
+
+            pos += matches[0].length;
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Return the next token without consuming it, or null if there are no
+     * more tokens.
+     *
+     * @return {Object|null} The next token
+     */
+    _peek() {
+        return this._pos < this._tokens.length ? this._tokens[this._pos] : null;
+    }
+
+    /**
+     * Return the value of the next token, or "end of expression" if there
+     * are no more, for use in error messages.
+     *
+     * @return {String} The next token's value
+     */
+    _peekValue() {
+        let token = this._peek();
+
+        return token === null ? 'end of expression' : token.value;
+    }
+
+    /**
+     * If the next token is the symbol or word `value`, consume it and return
+     * true. Otherwise return false.
+     *
+     * @param  {String}  value The expected token value
+     * @return {Boolean}       True if the token was consumed
+     */
+    _accept(value) {
+        let token = this._peek();
+
+        if(token !== null && token.value === value &&
+                (token.type === 'symbol' || token.type === 'word')) {
+            this._pos++;
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Consume the next token, which must be the symbol `value`.
+     *
+     * @param  {String} value The expected token value
+     */
+    _expect(value) {
+        assert(this._accept(value),
+            `Expected '${value}' but found '${this._peekValue()}' in expression: ${this._source}`);
+    }
+
+    /**
+     * Wrap MathML arguments in an <apply> of `action`.
+     *
+     * @param  {String} action The MathML action, e.g. 'plus'
+     * @param  {Array}  args   The MathML strings of the arguments
+     * @return {String}        The <apply> MathML string
+     */
+    _apply(action, args) {
+        return `<apply><${action}/>${args.join('')}</apply>`;
+    }
+
+    /**
+     * Parse the grammar rule `or`: conditions joined by 'or'.
+     *
+     * @see  InfixParser
+     * @return {String} The equivalent MathML string
+     */
+    _parseOr() {
+        let args = [this._parseAnd()];
+        while(this._accept('or')) {
+            args.push(this._parseAnd());
+        }
+
+        return args.length === 1 ? args[0] : this._apply('or', args);
+    }
+
+    /**
+     * Parse the grammar rule `and`: conditions joined by 'and'.
+     *
+     * @see  InfixParser
+     * @return {String} The equivalent MathML string
+     */
+    _parseAnd() {
+        let args = [this._parseNot()];
+        while(this._accept('and')) {
+            args.push(this._parseNot());
+        }
+
+        return args.length === 1 ? args[0] : this._apply('and', args);
+    }
+
+    /**
+     * Parse the grammar rule `not`: a condition, optionally negated by
+     * 'not'.
+     *
+     * @see  InfixParser
+     * @return {String} The equivalent MathML string
+     */
+    _parseNot() {
+        if(this._accept('not')) {
+            return this._apply('not', [this._parseNot()]);
+        }
+
+        return this._parseRelation();
+    }
+
+    /**
+     * Parse the grammar rule `relation`: an expression, or a chain of
+     * relations between expressions.
+     *
+     * @see  InfixParser
+     * @return {String} The equivalent MathML string
+     */
+    _parseRelation() {
+        let terms = [this._parseSum()];
+        let relations = [];
+
+        let token = this._peek();
+        while(token !== null && token.type === 'symbol' && token.value in RELATIONS) {
+            this._pos++;
+            relations.push(RELATIONS[token.value]);
+            terms.push(this._parseSum());
+            token = this._peek();
+        }
+
+        if(relations.length === 0) {
+            return terms[0];
+        }
+
+        let comparisons = relations.map((relation, i) =>
+            this._apply(relation, [terms[i], terms[i + 1]]));
+
+        return comparisons.length === 1 ?
+            comparisons[0] : this._apply('and', comparisons);
+    }
+
+    /**
+     * Parse the grammar rule `sum`: terms joined by '+' or '-'.
+     *
+     * @see  InfixParser
+     * @return {String} The equivalent MathML string
+     */
+    _parseSum() {
+        let result = this._parseProduct();
+
+        while(true) {
+            if(this._accept('+')) {
+                result = this._apply('plus', [result, this._parseProduct()]);
+            } else if(this._accept('-')) {
+                result = this._apply('minus', [result, this._parseProduct()]);
+            } else {
+                return result;
+            }
+        }
+    }
+
+    /**
+     * Parse the grammar rule `product`: factors joined by '*', '/' or
+     * juxtaposition.
+     *
+     * @see  InfixParser
+     * @return {String} The equivalent MathML string
+     */
+    _parseProduct() {
+        let result = this._parseUnary();
+
+        while(true) {
+            if(this._accept('*')) {
+                result = this._apply('times', [result, this._parseUnary()]);
+            } else if(this._accept('/')) {
+                result = this._apply('divide', [result, this._parseUnary()]);
+            } else if(this._startsPrimary()) {
+                //implicit multiplication, e.g. 2x
+                result = this._apply('times', [result, this._parsePower()]);
+            } else {
+                return result;
+            }
+        }
+    }
+
+    /**
+     * Can the next token begin a primary, and so be implicitly multiplied by
+     * what precedes it?
+     *
+     * @return {Boolean} True if the next token starts a primary
+     */
+    _startsPrimary() {
+        let token = this._peek();
+
+        if(token === null) {
+            return false;
+        } else if(token.type === 'symbol') {
+            //inside |...|, a | closes the absolute value rather than
+            //opening another
+            return token.value === '(' || token.value === '{' ||
+                (token.value === '|' && this._absDepth === 0);
+        } else {
+            return !KEYWORDS.includes(token.value);
+        }
+    }
+
+    /**
+     * Parse the grammar rule `unary`: a power, optionally negated.
+     *
+     * @see  InfixParser
+     * @return {String} The equivalent MathML string
+     */
+    _parseUnary() {
+        if(this._accept('-')) {
+            return this._apply('minus', [this._parseUnary()]);
+        } else if(this._accept('+')) {
+            return this._parseUnary();
+        }
+
+        return this._parsePower();
+    }
+
+    /**
+     * Parse the grammar rule `power`: a postfix expression, optionally
+     * raised to a power.
+     *
+     * @see  InfixParser
+     * @return {String} The equivalent MathML string
+     */
+    _parsePower() {
+        let base = this._parsePostfix();
+
+        if(this._accept('^')) {
+            return this._apply('power', [base, this._parseUnary()]);
+        }
+
+        return base;
+    }
+
+    /**
+     * Parse the grammar rule `postfix`: a primary, optionally followed by
+     * factorials.
+     *
+     * @see  InfixParser
+     * @return {String} The equivalent MathML string
+     */
+    _parsePostfix() {
+        let result = this._parsePrimary();
+
+        while(this._accept('!')) {
+            result = this._apply('factorial', [result]);
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse the grammar rule `primary`: a number, constant, identifier,
+     * function call, bracketed expression or list, absolute value, or
+     * piecewise expression.
+     *
+     * @see  InfixParser
+     * @return {String} The equivalent MathML string
+     */
+    _parsePrimary() {
+        let token = this._peek();
+
+        assert(token !== null,
+            `Unexpected end of expression: ${this._source}`);
+
+        if(token.type === 'number') {
+            this._pos++;
+            //MathML <cn> requires a digit either side of the decimal point
+            let value = token.value.replace(/^\./, '0.').replace(/\.$/, '');
+
+            return `<cn>${value}</cn>`;
+        } else if(token.type === 'letter') {
+            this._pos++;
+
+            return `<ci>${token.value}</ci>`;
+        } else if(token.type === 'word') {
+            this._pos++;
+
+            if(token.value in CONSTANTS) {
+                return CONSTANTS[token.value];
+            } else if(token.value in FUNCTIONS) {
+                return this._parseFunction(token.value);
+            } else if(IDENTIFIERS.includes(token.value)) {
+                return `<ci>${token.value}</ci>`;
+            }
+        } else if(this._accept('(')) {
+            let elements = [this._parseOr()];
+            while(this._accept(',')) {
+                elements.push(this._parseOr());
+            }
+            this._expect(')');
+
+            return elements.length === 1 ?
+                elements[0] : `<list>${elements.join('')}</list>`;
+        } else if(this._accept('|')) {
+            this._absDepth++;
+            let arg = this._parseOr();
+            this._absDepth--;
+            this._expect('|');
+
+            return this._apply('abs', [arg]);
+        } else if(this._accept('{')) {
+            return this._parsePieces();
+        }
+
+        throw new Error(`Unexpected '${token.value}' in expression: ${this._source}`);
+    }
+
+    /**
+     * Parse the grammar rule `pieces`, the opening brace having already been
+     * consumed, returning the MathML <piecewise>.
+     *
+     * @see  InfixParser
+     * @return {String} The equivalent MathML string
+     */
+    _parsePieces() {
+        let pieces = [];
+
+        do {
+            let value = this._parseOr();
+
+            if(this._accept('otherwise')) {
+                pieces.push(`<otherwise>${value}</otherwise>`);
+                //the otherwise piece must be the last
+                break;
+            }
+
+            this._expect('if');
+            pieces.push(`<piece>${value}${this._parseOr()}</piece>`);
+        } while(this._accept(';'));
+
+        this._expect('}');
+
+        return `<piecewise>${pieces.join('')}</piecewise>`;
+    }
+
+    /**
+     * Assert that `arg`, the MathML of the second argument of the function
+     * `name`, is an identifier, as the variable it binds must be.
+     *
+     * @param  {String} name The name of the function
+     * @param  {String} arg  The MathML string of the argument
+     */
+    _assertBoundVariable(name, arg) {
+        assert(/^<ci>[^<]*<\/ci>$/.test(arg),
+            `${name}() must have a variable as its second argument in expression: ${this._source}`);
+    }
+
+    /**
+     * Parse the single argument of a function written without brackets: a
+     * power, e.g. "sin x^2", or, if that is just a number, the product of it
+     * and any identifiers and constants following it, e.g. "sin 2pi x".
+     *
+     * @see  InfixParser
+     * @return {String} The equivalent MathML string
+     */
+    _parseArgument() {
+        let isNumber = this._peek() !== null && this._peek().type === 'number';
+        let start = this._pos;
+        let result = this._parsePower();
+
+        if(!isNumber || this._pos !== start + 1) {
+            return result;
+        }
+
+        let token = this._peek();
+        while(token !== null && (token.type === 'letter' ||
+                token.value in CONSTANTS || IDENTIFIERS.includes(token.value))) {
+            result = this._apply('times', [result, this._parsePower()]);
+            token = this._peek();
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse the arguments of the function `name`, the name itself having
+     * already been consumed, returning the MathML <apply>.
+     *
+     * @param  {String} name The name of the function
+     * @return {String}      The MathML string
+     */
+    _parseFunction(name) {
+        let action = FUNCTIONS[name];
+        let args = [];
+
+        if(this._accept('(')) {
+            args.push(this._parseOr());
+            while(this._accept(',')) {
+                args.push(this._parseOr());
+            }
+            this._expect(')');
+        } else {
+            //e.g. "sin x", "sin x^2", "sin 2x"
+            args.push(this._parseArgument());
+        }
+
+        switch(action) {
+            case 'root':
+                if(name === 'sqrt') {
+                    assert(args.length === 1,
+                        `sqrt() must have 1 argument in expression: ${this._source}`);
+
+                    return this._apply('root', args);
+                }
+
+                //root(x, n) is the nth root of x
+                assert(args.length === 2,
+                    `root() must have 2 arguments in expression: ${this._source}`);
+
+                return this._apply('root', [`<degree>${args[1]}</degree>`, args[0]]);
+            case 'log':
+                //log(x, b) is the log of x to base b
+                assert(args.length === 1 || args.length === 2,
+                    `log() must have 1 or 2 arguments in expression: ${this._source}`);
+
+                if(args.length === 2) {
+                    return this._apply('log', [`<logbase>${args[1]}</logbase>`, args[0]]);
+                }
+
+                return this._apply('log', args);
+            case 'int':
+            case 'sum':
+            case 'product':
+                //int(f, t, a, b) is the integral of f from t = a to t = b
+                assert(args.length === 4,
+                    `${name}() must have 4 arguments in expression: ${this._source}`);
+                this._assertBoundVariable(name, args[1]);
+
+                return this._apply(action, [`<bvar>${args[1]}</bvar>`,
+                    `<lowlimit>${args[2]}</lowlimit>`, `<uplimit>${args[3]}</uplimit>`, args[0]]);
+            case 'diff':
+                //diff(f, x, n) is the nth derivative of f with respect to x
+                assert(args.length === 2 || args.length === 3,
+                    `diff() must have 2 or 3 arguments in expression: ${this._source}`);
+                this._assertBoundVariable(name, args[1]);
+
+                let degree = args.length === 3 ? `<degree>${args[2]}</degree>` : '';
+
+                return this._apply('diff', [`<bvar>${args[1]}${degree}</bvar>`, args[0]]);
+            default:
+                return this._apply(action, args);
+        }
+    }
+}
+
+
+/**
+ * Given a mathematical expression written in infix notation, return the
+ * equivalent content MathML string.
+ *
+ * Usage:
+ *     parseInfix('x^2 - 3sin(2x)');
+ *     // => '<apply><minus/><apply><power/><ci>x</ci><cn>2</cn></apply>...'
+ *
+ * @see  InfixParser
+ * @param  {String} str The infix expression
+ * @return {String}     The equivalent MathML string
+ */
+function parseInfix(str) {
+    let parser = new InfixParser(str);
+
+    return parser.parse();
+}
+
+export default parseInfix;
@@ -0,0 +1,123 @@
+/**
+ * Assert that `condition` is true. If it is not, raise an error with
+ * message `message`.
+ *
+ * @param  {Boolean} condition The condition being asserted
+ * @param  {String} message    The error string to be raised if condition
+ *                             is false
+ */
+function assert(condition, message) {
+    if(!condition) {
+        throw new Error(message);
+    }
+}
+
+// The absolute error allowed in an integral, by default
+const DEFAULT_TOLERANCE = 1e-10;
+
+// The number of equal subintervals the interval is split into before
+// adaptive refinement begins. Without this, a periodic function which happens
+// to take equal values at the first few sample points (e.g. sin(x)^2 over
+// [0, 2pi]) could be wrongly judged to have converged straight away.
+const INITIAL_INTERVALS = 16;
+
+// The number of times a subinterval may be halved. Limits the work done when
+// the integral doesn't converge to the requested tolerance, e.g. where the
+// function jumps or is unbounded.
+const MAX_DEPTH = 14;
+
+
+/**
+ * Apply Simpson's rule to `func` over the interval [a, b], given the values
+ * of func at each end.
+ *
+ * Returns an Object:
+ *     {m:_, fm:_, area:_}
+ * where `m` is the midpoint of the interval, `fm` is func(m), and `area` is
+ * the approximate integral. The midpoint is returned so that it needn't be
+ * evaluated again when the interval is halved.
+ *
+ * @param  {Function} func The function being integrated
+ * @param  {Number}   a    The start of the interval
+ * @param  {Number}   fa   func(a)
+ * @param  {Number}   b    The end of the interval
+ * @param  {Number}   fb   func(b)
+ * @return {Object}        The approximation
+ */
+function simpson(func, a, fa, b, fb) {
+    let m = (a + b) / 2;
+    let fm = func(m);
+
+    return {m: m, fm: fm, area: (b - a) / 6 * (fa + 4 * fm + fb)};
+}
+
+/**
+ * Integrate `func` over [a, b] by adaptive Simpson's rule, given Simpson's
+ * rule applied to the whole interval, @see simpson().
+ *
+ * The interval is halved and each half estimated; if together they differ
+ * from the whole by more than 15 * tolerance, each half is integrated
+ * recursively with half the tolerance. Otherwise their sum, with Richardson
+ * extrapolation applied, is returned.
+ *
+ * @param  {Function} func      The function being integrated
+ * @param  {Number}   a         The start of the interval
+ * @param  {Number}   fa        func(a)
+ * @param  {Number}   b         The end of the interval
+ * @param  {Number}   fb        func(b)
+ * @param  {Object}   whole     Simpson's rule over [a, b]
+ * @param  {Number}   tolerance The absolute error allowed
+ * @param  {Int}      depth     The number of further halvings allowed
+ * @return {Number}             The approximate integral
+ */
+function adaptiveSimpson(func, a, fa, b, fb, whole, tolerance, depth) {
+    let left = simpson(func, a, fa, whole.m, whole.fm);
+    let right = simpson(func, whole.m, whole.fm, b, fb);
+    let delta = left.area + right.area - whole.area;
+
+    if(depth <= 0 || Math.abs(delta) <= 15 * tolerance) {
+        return left.area + right.area + delta / 15;
+    }
+
+    return adaptiveSimpson(func, a, fa, whole.m, whole.fm, left, tolerance / 2, depth - 1)
+        + adaptiveSimpson(func, whole.m, whole.fm, b, fb, right, tolerance / 2, depth - 1);
+}
+
+/**
+ * Numerically integrate `func` from `a` to `b`, using adaptive Simpson's
+ * rule.
+ *
+ * If b < a, the integral is negated as usual. An error is raised if the
+ * function is undefined anywhere it is sampled, or the integral is
+ * otherwise not a finite number.
+ *
+ * @param  {Function} func      The function being integrated, taking and
+ *                              returning a Number
+ * @param  {Number}   a         The lower limit of integration
+ * @param  {Number}   b         The upper limit of integration
+ * @param  {Number}   tolerance (Optional) The absolute error allowed
+ * @return {Number}             The approximate integral
+ */
+export default function integrate(func, a, b, tolerance=DEFAULT_TOLERANCE) {
+    assert(Number.isFinite(a) && Number.isFinite(b),
+        `Invalid limits of integration: ${a}, ${b}`);
+
+    let width = (b - a) / INITIAL_INTERVALS;
+    let total = 0;
+
+    for(let i = 0; i < INITIAL_INTERVALS; i++) {
+        let start = a + i * width;
+        let end = i === INITIAL_INTERVALS - 1 ? b : a + (i + 1) * width;
+        let fStart = func(start);
+        let fEnd = func(end);
+        let whole = simpson(func, start, fStart, end, fEnd);
+
+        total += adaptiveSimpson(func, start, fStart, end, fEnd, whole,
+            tolerance / INITIAL_INTERVALS, MAX_DEPTH);
+    }
+
+    assert(Number.isFinite(total),
+        `The integral from ${a} to ${b} is undefined.`);
+
+    return total;
+}
@@ -0,0 +1,880 @@
+/**
+ * Assert that `condition` is true. If it is not, raise an error with
+ * message `message`.
+ *
+ * @param  {Boolean} condition The condition being asserted
+ * @param  {String} message    The error string to be raised if condition
+ *                             is false
+ */
+function assert(condition, message) {
+    if(!condition) {
+        throw new Error(message);
+    }
+}
+
+// The relative amount by which the bounds of an Interval are widened after
+// each inexact operation, so that they still hold despite floating point
+// rounding. Arithmetic is correctly rounded, to within half an ulp, but the
+// Math functions are only accurate to within an ulp or so: this allows two.
+const ROUNDING = 2 * Number.EPSILON;
+
+
+/**
+ * Return a number no greater than the exact value which `x` was rounded
+ * from, for the lower bound of an Interval.
+ *
+ * @param  {Number} x A rounded number
+ * @return {Number}   A number a little less than `x`
+ */
+function roundDown(x) {
+    //a 0 rounded from a non-zero number keeps its sign
+    if(x === 0) {
+        return Object.is(x, -0) ? -Number.MIN_VALUE : 0;
+    }
+
+    return Number.isFinite(x) ? x - Math.abs(x) * ROUNDING - Number.MIN_VALUE : x;
+}
+
+/**
+ * Return a number no less than the exact value which `x` was rounded from,
+ * for the upper bound of an Interval.
+ *
+ * @param  {Number} x A rounded number
+ * @return {Number}   A number a little greater than `x`
+ */
+function roundUp(x) {
+    if(x === 0) {
+        return Object.is(x, -0) ? 0 : Number.MIN_VALUE;
+    }
+
+    return Number.isFinite(x) ? x + Math.abs(x) * ROUNDING + Number.MIN_VALUE : x;
+}
+
+/**
+ * Return the product of two bounds of Intervals. 0 * Infinity is NaN, but an
+ * unbounded Interval containing 0 only stands for finite numbers, so their
+ * product is 0.
+ *
+ * @param  {Number} a A bound
+ * @param  {Number} b A bound
+ * @return {Number}   Their product
+ */
+function multiply(a, b) {
+    let product = a * b;
+
+    return Number.isNaN(product) ? 0 : product;
+}
+
+/**
+ * Test whether [lo, hi] contains any of the points `offset` + k * `period`,
+ * for integers k.
+ *
+ * @param  {Number}  lo     The start of the interval
+ * @param  {Number}  hi     The end of the interval
+ * @param  {Number}  offset Any one of the points
+ * @param  {Number}  period The distance between the points
+ * @return {Boolean}        True if any point is in [lo, hi]
+ */
+function containsPeriodic(lo, hi, offset, period) {
+    return Math.ceil((lo - offset) / period) <= Math.floor((hi - offset) / period);
+}
+
+
+/**
+ * A class for interval arithmetic: each Interval [lo, hi] stands for some
+ * unknown number within it, and each operation returns bounds on every
+ * value the result could take. Bounds are rounded outwards, so they hold
+ * exactly despite floating point error.
+ *
+ * As well as bounds, each Interval records whether the function which
+ * produced it is defined, and whether it is continuous, everywhere on its
+ * inputs, e.g.:
+ *     new Interval(-1, 4).sqrt()  // => [0, 2], not defined at all of [-1, 4]
+ *     new Interval(-1, 4).floor() // => [-1, 4], not continuous
+ *     new Interval(-2, -1).ln()   // => empty: defined nowhere on [-2, -1]
+ *
+ * Wherever a function is undefined, it contributes nothing to the bounds.
+ * Results which are neither numbers nor undefined, such as infinities, lie
+ * outside of any finite bounds.
+ *
+ * Truth values, as returned by comparisons, are Intervals within [0, 1]:
+ * [1, 1] is certainly true, [0, 0] certainly false, and [0, 1] either.
+ */
+class Interval {
+    /**
+     * Creates a new Interval [lo, hi]. If lo > hi, or either is NaN, the
+     * Interval is empty, and defined nowhere.
+     *
+     * @constructs
+     * @param  {Number}  lo         The lower bound
+     * @param  {Number}  hi         (Optional) The upper bound, defaults to
+     *                              `lo`
+     * @param  {Boolean} defined    (Optional) Whether the value is defined
+     *                              for every input, defaults to true
+     * @param  {Boolean} continuous (Optional) Whether the value is
+     *                              continuous for every input, defaults to
+     *                              `defined`
+     * @return {Interval}           A new Interval object
+     */
+    constructor(lo, hi=lo, defined=true, continuous=defined) {
+        if(!(lo <= hi)) {
+            [lo, hi, defined] = [Infinity, -Infinity, false];
+        }
+
+        this.lo = lo;
+        this.hi = hi;
+        this.defined = defined;
+        this.continuous = defined && continuous;
+    }
+
+    /**
+     * Return an empty Interval, the value of a function which is defined
+     * nowhere on its inputs.
+     *
+     * @return {Interval} An empty Interval
+     */
+    static empty() {
+        return new Interval(Infinity, -Infinity);
+    }
+
+    /**
+     * Return an Interval sure to contain the exact number which `x` was
+     * rounded from, e.g. Interval.rounded(Math.PI) contains pi.
+     *
+     * @param  {Number}   x A rounded number
+     * @return {Interval}   An Interval around `x`
+     */
+    static rounded(x) {
+        return new Interval(roundDown(x), roundUp(x));
+    }
+
+    /**
+     * Convert a value to an Interval: an Interval is returned unchanged, a
+     * pair [lo, hi] becomes the Interval [lo, hi], and a number x becomes
+     * the Interval [x, x].
+     *
+     * @param  {Interval|Array|Number} value The value to be converted
+     * @return {Interval}                    The equivalent Interval
+     */
+    static from(value) {
+        if(value instanceof Interval) {
+            return value;
+        } else if(Array.isArray(value)) {
+            assert(value.length === 2, 'An Interval must have 2 bounds.');
+
+            return new Interval(value[0], value[1]);
+        } else {
+            assert(typeof value === 'number', 'Invalid Interval: ' + value);
+
+            return new Interval(value);
+        }
+    }
+
+    /**
+     * Return the smallest Interval containing every one of `intervals`,
+     * defined and continuous only where all of them are.
+     *
+     * @param  {Array}    intervals The Intervals
+     * @return {Interval}           Their hull
+     */
+    static hull(intervals) {
+        let nonempty = intervals.filter(interval => !interval.isEmpty);
+
+        if(nonempty.length === 0) {
+            return Interval.empty();
+        }
+
+        return new Interval(
+            Math.min(...nonempty.map(interval => interval.lo)),
+            Math.max(...nonempty.map(interval => interval.hi)),
+            intervals.every(interval => interval.defined),
+            intervals.every(interval => interval.continuous));
+    }
+
+    /** GETTERS AND SETTERS */
+
+    /**
+     * Returns true if the Interval is empty.
+     *
+     * @return {Boolean} True if the Interval contains no numbers
+     */
+    get isEmpty() {
+        return this.lo > this.hi;
+    }
+
+    /**
+     * Returns true if the Interval contains a single number.
+     *
+     * @return {Boolean} True if lo === hi
+     */
+    get isPoint() {
+        return this.lo === this.hi;
+    }
+
+    /**
+     * Returns true if the Interval, as a truth value, is certainly true:
+     * defined, and excluding 0.
+     *
+     * @return {Boolean} True if certainly true
+     */
+    get isTrue() {
+        return this.defined && !this.contains(0);
+    }
+
+    /**
+     * Returns true if the Interval, as a truth value, is certainly false:
+     * either exactly 0, or defined nowhere.
+     *
+     * @return {Boolean} True if certainly false
+     */
+    get isFalse() {
+        return this.isEmpty || (this.lo === 0 && this.hi === 0);
+    }
+
+    /** OPERATORS */
+
+    /**
+     * Adds an Interval to this Interval. Returns the sum, but does not
+     * mutate this object.
+     *
+     * @param  {Interval} interval The Interval to be added
+     * @return {Interval}          The sum of the two Intervals
+     */
+    plus(interval) {
+        return arithmetic([this, interval], this.lo + interval.lo, this.hi + interval.hi);
+    }
+
+    /**
+     * Subtracts an Interval from this Interval. Returns the difference, but
+     * does not mutate this object.
+     *
+     * @param  {Interval} interval The Interval to be subtracted
+     * @return {Interval}          The difference of the two Intervals
+     */
+    minus(interval) {
+        return arithmetic([this, interval], this.lo - interval.hi, this.hi - interval.lo);
+    }
+
+    /**
+     * Multiplies this Interval by another. Returns the product, but does not
+     * mutate this object.
+     *
+     * @param  {Interval} interval The Interval to be multiplied by
+     * @return {Interval}          The product of the two Intervals
+     */
+    times(interval) {
+        let [a, b, c, d] = [multiply(this.lo, interval.lo), multiply(this.lo, interval.hi),
+                            multiply(this.hi, interval.lo), multiply(this.hi, interval.hi)];
+
+        return arithmetic([this, interval], Math.min(a, b, c, d), Math.max(a, b, c, d));
+    }
+
+    /**
+     * Divides this Interval by another. Returns the quotient, but does not
+     * mutate this object. It's undefined wherever the divisor is 0.
+     *
+     * @param  {Interval} interval The Interval to be divided by
+     * @return {Interval}          The quotient of the two Intervals
+     */
+    divide(interval) {
+        return this.times(interval._reciprocal());
+    }
+
+    /**
+     * Raises this Interval to the power of another. Returns the power, but
+     * does not mutate this object.
+     *
+     * As with **, a negative base is only defined to an integer power, and
+     * 0 to a negative power is undefined (rather than infinite).
+     *
+     * @param  {Interval} interval The exponent
+     * @return {Interval}          The power
+     */
+    power(interval) {
+        let [c, d] = [interval.lo, interval.hi];
+
+        if(c === d && Number.isInteger(c)) {
+            return this._integerPower(c);
+        }
+
+        //the base is only defined where it's non-negative...
+        let power = Interval.empty();
+        if(this.hi >= 0) {
+            let [a, b] = [Math.max(this.lo, 0), this.hi];
+            let corners = [a ** c, a ** d, b ** c, b ** d];
+
+            power = corners.some(Number.isNaN) ?
+                exact([this, interval], 0, Infinity, false) :
+                rounded([this, interval], Math.min(...corners), Math.max(...corners),
+                    this.lo >= 0 && !(a === 0 && c < 0), a > 0 || c > 0);
+        }
+
+        //...except to integer powers, which could be anything
+        if(this.lo < 0 && Math.ceil(c) <= d) {
+            return Interval.hull([power, exact([this, interval], -Infinity, Infinity, false)]);
+        }
+
+        return power;
+    }
+
+    /**
+     * Returns the negation of this Interval, but does not mutate this object.
+     *
+     * @return {Interval} The negation
+     */
+    negate() {
+        return exact([this], -this.hi, -this.lo);
+    }
+
+    /**
+     * Returns the absolute value of this Interval, but does not mutate this
+     * object.
+     *
+     * @return {Interval} The absolute value
+     */
+    abs() {
+        let [lo, hi] = [Math.abs(this.lo), Math.abs(this.hi)];
+
+        return exact([this], this.contains(0) ? 0 : Math.min(lo, hi), Math.max(lo, hi));
+    }
+
+    /**
+     * Returns the lesser of this Interval and another, but does not mutate
+     * this object.
+     *
+     * @param  {Interval} interval The Interval to be compared with
+     * @return {Interval}          The minimum
+     */
+    min(interval) {
+        return exact([this, interval],
+            Math.min(this.lo, interval.lo), Math.min(this.hi, interval.hi));
+    }
+
+    /**
+     * Returns the greater of this Interval and another, but does not mutate
+     * this object.
+     *
+     * @param  {Interval} interval The Interval to be compared with
+     * @return {Interval}          The maximum
+     */
+    max(interval) {
+        return exact([this, interval],
+            Math.max(this.lo, interval.lo), Math.max(this.hi, interval.hi));
+    }
+
+    /**
+     * Returns the remainder of this Interval divided by another, with the
+     * sign of this Interval, as %. It's undefined wherever the divisor is 0.
+     *
+     * @param  {Interval} interval The divisor
+     * @return {Interval}          The remainder
+     */
+    rem(interval) {
+        let defined = !interval.contains(0);
+        let m = Math.max(Math.abs(interval.lo), Math.abs(interval.hi));
+
+        if(interval.isPoint && defined && this.hi - this.lo < m) {
+            //% is exact, and unless it wraps around within this Interval, it
+            //differs from its argument by a constant
+            let [lo, hi] = [this.lo % m, this.hi % m];
+
+            if(Math.abs((hi - lo) - (this.hi - this.lo)) < m / 2) {
+                return exact([this, interval], lo, hi);
+            }
+        }
+
+        return exact([this, interval],
+            this.lo >= 0 ? 0 : Math.max(this.lo, -m),
+            this.hi <= 0 ? 0 : Math.min(this.hi, m), defined, false);
+    }
+
+    /**
+     * Returns the integer part of this Interval divided by another, as
+     * Math.trunc(a / b). It's undefined wherever the divisor is 0.
+     *
+     * @param  {Interval} interval The divisor
+     * @return {Interval}          The quotient
+     */
+    quotient(interval) {
+        if(this.isPoint && interval.isPoint) {
+            let value = Math.trunc(this.lo / interval.lo);
+
+            return exact([this, interval], value, value, interval.lo !== 0);
+        }
+
+        let quotient = this.divide(interval);
+        let [lo, hi] = [Math.trunc(quotient.lo), Math.trunc(quotient.hi)];
+
+        return exact([quotient], lo, hi, true, lo === hi);
+    }
+
+    /** FUNCTIONS */
+
+    /**
+     * Returns the square root of this Interval, undefined below 0.
+     *
+     * @return {Interval} The square root
+     */
+    sqrt() {
+        return monotone(this, Math.sqrt, {min: 0});
+    }
+
+    /**
+     * Returns the exponential of this Interval.
+     *
+     * @return {Interval} e to the power of this Interval
+     */
+    exp() {
+        return monotone(this, Math.exp);
+    }
+
+    /**
+     * Returns the natural logarithm of this Interval, undefined at and below
+     * 0.
+     *
+     * @return {Interval} The logarithm
+     */
+    ln() {
+        return monotone(this, Math.log, {min: 0, open: true});
+    }
+
+    /**
+     * Returns the sine of this Interval.
+     *
+     * @return {Interval} The sine
+     */
+    sin() {
+        return this._periodicExtrema(Math.sin, Math.PI / 2, -Math.PI / 2);
+    }
+
+    /**
+     * Returns the cosine of this Interval.
+     *
+     * @return {Interval} The cosine
+     */
+    cos() {
+        return this._periodicExtrema(Math.cos, 0, Math.PI);
+    }
+
+    /**
+     * Returns the tangent of this Interval, undefined at its poles.
+     *
+     * @return {Interval} The tangent
+     */
+    tan() {
+        let [lo, hi] = [Math.tan(this.lo), Math.tan(this.hi)];
+
+        if(!(this.hi - this.lo < Math.PI) || lo > hi ||
+                containsPeriodic(this.lo, this.hi, Math.PI / 2, Math.PI)) {
+            return exact([this], -Infinity, Infinity, false);
+        }
+
+        return rounded([this], lo, hi);
+    }
+
+    /**
+     * Returns the inverse sine of this Interval, undefined outside [-1, 1].
+     *
+     * @return {Interval} The inverse sine
+     */
+    arcsin() {
+        return monotone(this, Math.asin, {min: -1, max: 1});
+    }
+
+    /**
+     * Returns the inverse cosine of this Interval, undefined outside
+     * [-1, 1].
+     *
+     * @return {Interval} The inverse cosine
+     */
+    arccos() {
+        return monotone(this, Math.acos, {min: -1, max: 1, decreasing: true});
+    }
+
+    /**
+     * Returns the inverse tangent of this Interval.
+     *
+     * @return {Interval} The inverse tangent
+     */
+    arctan() {
+        return monotone(this, Math.atan);
+    }
+
+    /**
+     * Returns the hyperbolic sine of this Interval.
+     *
+     * @return {Interval} The hyperbolic sine
+     */
+    sinh() {
+        return monotone(this, Math.sinh);
+    }
+
+    /**
+     * Returns the hyperbolic cosine of this Interval.
+     *
+     * @return {Interval} The hyperbolic cosine
+     */
+    cosh() {
+        return monotone(this.abs(), Math.cosh);
+    }
+
+    /**
+     * Returns the hyperbolic tangent of this Interval.
+     *
+     * @return {Interval} The hyperbolic tangent
+     */
+    tanh() {
+        return monotone(this, Math.tanh);
+    }
+
+    /**
+     * Returns the inverse hyperbolic sine of this Interval.
+     *
+     * @return {Interval} The inverse hyperbolic sine
+     */
+    arcsinh() {
+        return monotone(this, Math.asinh);
+    }
+
+    /**
+     * Returns the inverse hyperbolic cosine of this Interval, undefined
+     * below 1.
+     *
+     * @return {Interval} The inverse hyperbolic cosine
+     */
+    arccosh() {
+        return monotone(this, Math.acosh, {min: 1});
+    }
+
+    /**
+     * Returns the inverse hyperbolic tangent of this Interval, undefined
+     * outside (-1, 1).
+     *
+     * @return {Interval} The inverse hyperbolic tangent
+     */
+    arctanh() {
+        return monotone(this, Math.atanh, {min: -1, max: 1, open: true});
+    }
+
+    /**
+     * Returns the floor of this Interval, which is discontinuous wherever
+     * the Interval contains an integer greater than its lower bound.
+     *
+     * @return {Interval} The floor
+     */
+    floor() {
+        let [lo, hi] = [Math.floor(this.lo), Math.floor(this.hi)];
+
+        return exact([this], lo, hi, true, lo === hi);
+    }
+
+    /**
+     * Returns the ceiling of this Interval, which is discontinuous wherever
+     * the Interval contains an integer less than its upper bound.
+     *
+     * @return {Interval} The ceiling
+     */
+    ceiling() {
+        let [lo, hi] = [Math.ceil(this.lo), Math.ceil(this.hi)];
+
+        return exact([this], lo, hi, true, lo === hi);
+    }
+
+    /** COMPARISONS */
+
+    /**
+     * Returns the truth value of this Interval < another.
+     *
+     * @param  {Interval} interval The Interval to be compared with
+     * @return {Interval}          The truth value
+     */
+    lt(interval) {
+        return truth([this, interval], this.lo < interval.hi, this.hi >= interval.lo);
+    }
+
+    /**
+     * Returns the truth value of this Interval <= another.
+     *
+     * @param  {Interval} interval The Interval to be compared with
+     * @return {Interval}          The truth value
+     */
+    leq(interval) {
+        return truth([this, interval], this.lo <= interval.hi, this.hi > interval.lo);
+    }
+
+    /**
+     * Returns the truth value of this Interval > another.
+     *
+     * @param  {Interval} interval The Interval to be compared with
+     * @return {Interval}          The truth value
+     */
+    gt(interval) {
+        return interval.lt(this);
+    }
+
+    /**
+     * Returns the truth value of this Interval >= another.
+     *
+     * @param  {Interval} interval The Interval to be compared with
+     * @return {Interval}          The truth value
+     */
+    geq(interval) {
+        return interval.leq(this);
+    }
+
+    /**
+     * Returns the truth value of this Interval === another.
+     *
+     * @param  {Interval} interval The Interval to be compared with
+     * @return {Interval}          The truth value
+     */
+    eq(interval) {
+        return truth([this, interval],
+            this.lo <= interval.hi && this.hi >= interval.lo,
+            !(this.isPoint && interval.isPoint && this.lo === interval.lo));
+    }
+
+    /**
+     * Returns the truth value of this Interval !== another.
+     *
+     * @param  {Interval} interval The Interval to be compared with
+     * @return {Interval}          The truth value
+     */
+    neq(interval) {
+        return this.eq(interval).not();
+    }
+
+    /**
+     * Returns the truth value of this Interval and another.
+     *
+     * @param  {Interval} interval The Interval to be combined with
+     * @return {Interval}          The truth value
+     */
+    and(interval) {
+        return truth([], !this.isFalse && !interval.isFalse, !this.isTrue || !interval.isTrue);
+    }
+
+    /**
+     * Returns the truth value of this Interval or another.
+     *
+     * @param  {Interval} interval The Interval to be combined with
+     * @return {Interval}          The truth value
+     */
+    or(interval) {
+        return truth([], !this.isFalse || !interval.isFalse, !this.isTrue && !interval.isTrue);
+    }
+
+    /**
+     * Returns the truth value of not this Interval.
+     *
+     * @return {Interval} The truth value
+     */
+    not() {
+        return truth([], !this.isTrue, !this.isFalse);
+    }
+
+    /** MISCELLANEOUS */
+
+    /**
+     * Test whether the Interval contains a number.
+     *
+     * @param  {Number}  x The number
+     * @return {Boolean}   True if lo <= x <= hi
+     */
+    contains(x) {
+        return this.lo <= x && x <= this.hi;
+    }
+
+    /**
+     * Returns the intersection of this Interval and another, where both bound
+     * the same value, e.g. found in different ways. The value is defined, or
+     * continuous, if either shows it to be.
+     *
+     * @param  {Interval} interval The other bounds on the value
+     * @return {Interval}          The intersection
+     */
+    intersect(interval) {
+        return new Interval(Math.max(this.lo, interval.lo), Math.min(this.hi, interval.hi),
+            this.defined || interval.defined, this.continuous || interval.continuous);
+    }
+
+    /**
+     * Returns this Interval widened by `absolute`, plus `relative` times the
+     * size of each bound, e.g. to allow for the error in an approximation.
+     *
+     * @param  {Number}   absolute The absolute amount to widen by
+     * @param  {Number}   relative (Optional) The relative amount to widen by
+     * @return {Interval}          The widened Interval
+     */
+    widen(absolute, relative=0) {
+        return rounded([this],
+            this.lo - absolute - Math.abs(this.lo) * relative,
+            this.hi + absolute + Math.abs(this.hi) * relative);
+    }
+
+    /**
+     * Return the reciprocal of this Interval, undefined wherever it's 0.
+     *
+     * @return {Interval} 1 divided by this Interval
+     */
+    _reciprocal() {
+        let [lo, hi] = [this.lo, this.hi];
+
+        if(lo > 0 || hi < 0) {
+            return rounded([this], 1 / hi, 1 / lo);
+        } else if(lo === 0 && hi > 0) {
+            return rounded([this], 1 / hi, Infinity, false);
+        } else if(hi === 0 && lo < 0) {
+            return rounded([this], -Infinity, 1 / lo, false);
+        } else if(lo < 0 && hi > 0) {
+            return exact([this], -Infinity, Infinity, false);
+        }
+
+        //the Interval is [0, 0], or empty
+        return Interval.empty();
+    }
+
+    /**
+     * Return this Interval to the integer power `n`.
+     *
+     * @param  {Number}   n An integer
+     * @return {Interval}   The power
+     */
+    _integerPower(n) {
+        if(n < 0) {
+            return this._integerPower(-n)._reciprocal();
+        }
+
+        let [lo, hi] = [this.lo ** n, this.hi ** n];
+
+        if(n % 2 === 1) {
+            return rounded([this], lo, hi);
+        }
+
+        return rounded([this], this.contains(0) ? 0 : Math.min(lo, hi), Math.max(lo, hi));
+    }
+
+    /**
+     * Return `func`, a function with period 2pi, applied to this Interval,
+     * given the points at which it has its maximum (1) and minimum (-1).
+     *
+     * @param  {Function} func    The function, e.g. Math.sin
+     * @param  {Number}   maximum A point at which `func` is 1
+     * @param  {Number}   minimum A point at which `func` is -1
+     * @return {Interval}         The function applied to this Interval
+     */
+    _periodicExtrema(func, maximum, minimum) {
+        if(!(this.hi - this.lo < 2 * Math.PI)) {
+            return exact([this], -1, 1);
+        }
+
+        let [lo, hi] = [func(this.lo), func(this.hi)];
+
+        return rounded([this],
+            containsPeriodic(this.lo, this.hi, minimum, 2 * Math.PI) ? -1 : Math.min(lo, hi),
+            containsPeriodic(this.lo, this.hi, maximum, 2 * Math.PI) ? 1 : Math.max(lo, hi));
+    }
+}
+
+/**
+ * Return the Interval [lo, hi], the result of an exact operation on
+ * `operands`, defined and continuous only where they all are.
+ *
+ * @param  {Array}    operands   The Intervals operated on
+ * @param  {Number}   lo         The lower bound of the result
+ * @param  {Number}   hi         The upper bound of the result
+ * @param  {Boolean}  defined    (Optional) Whether the operation is defined
+ *                               on all of `operands`, defaults to true
+ * @param  {Boolean}  continuous (Optional) Whether it's continuous there,
+ *                               defaults to `defined`
+ * @return {Interval}            The result
+ */
+function exact(operands, lo, hi, defined=true, continuous=defined) {
+    //a loop, rather than some() and every(), as this is called for every
+    //operation while plotting
+    for(let operand of operands) {
+        if(operand.isEmpty) {
+            return Interval.empty();
+        }
+
+        defined = defined && operand.defined;
+        continuous = continuous && operand.continuous;
+    }
+
+    return new Interval(lo, hi, defined, continuous);
+}
+
+/**
+ * As exact(), but for an operation whose bounds were rounded, so are
+ * widened to allow for it.
+ *
+ * @see exact()
+ */
+function rounded(operands, lo, hi, defined=true, continuous=defined) {
+    return exact(operands, roundDown(lo), roundUp(hi), defined, continuous);
+}
+
+/**
+ * As rounded(), but for addition, subtraction or multiplication, which are
+ * exact on integers (within Number.MAX_SAFE_INTEGER), so aren't widened.
+ *
+ * @see rounded()
+ */
+function arithmetic(operands, lo, hi) {
+    //checked without building an Array of the bounds, as this is called
+    //for most operations while plotting
+    if(Number.isSafeInteger(lo) && Number.isSafeInteger(hi) && operands.every(operand =>
+            Number.isSafeInteger(operand.lo) && Number.isSafeInteger(operand.hi))) {
+        return exact(operands, lo, hi);
+    }
+
+    return rounded(operands, lo, hi);
+}
+
+/**
+ * Apply a monotone function `func` to `interval`, given the domain on which
+ * `func` is defined:
+ *     {min:_, max:_, open:_, decreasing:_}
+ * where `min` and `max` are the ends of the domain, `open` is true if they
+ * are excluded from it, and `decreasing` is true if `func` is decreasing.
+ *
+ * @param  {Interval} interval The Interval
+ * @param  {Function} func     The function, e.g. Math.exp
+ * @param  {Object}   domain   (Optional) The domain, defaults to all numbers
+ * @return {Interval}          The function applied to `interval`
+ */
+function monotone(interval, func, {min=-Infinity, max=Infinity, open=false, decreasing=false}={}) {
+    let [lo, hi] = [Math.max(interval.lo, min), Math.min(interval.hi, max)];
+    let defined = open ? interval.lo > min && interval.hi < max :
+        interval.lo >= min && interval.hi <= max;
+
+    if(lo > hi || (open && (hi === min || lo === max))) {
+        return Interval.empty();
+    }
+
+    [lo, hi] = decreasing ? [func(hi), func(lo)] : [func(lo), func(hi)];
+
+    return rounded([interval], lo, hi, defined);
+}
+
+/**
+ * Return a truth value, [0, 0], [1, 1] or [0, 1], given whether it could be
+ * true and whether it could be false. Comparing an undefined value is false,
+ * as with NaN.
+ *
+ * @param  {Array}    operands   The Intervals compared
+ * @param  {Boolean}  canBeTrue  Whether the truth value could be true
+ * @param  {Boolean}  canBeFalse Whether it could be false
+ * @return {Interval}            The truth value
+ */
+function truth(operands, canBeTrue, canBeFalse) {
+    if(operands.some(operand => operand.isEmpty)) {
+        return new Interval(0);
+    }
+
+    canBeFalse = canBeFalse || operands.some(operand => !operand.defined);
+
+    return new Interval(canBeFalse ? 0 : 1, canBeTrue ? 1 : 0, true, !(canBeTrue && canBeFalse));
+}
+
+export default Interval;
@@ -1,6 +1,10 @@
 import './dependencies.js'
-import {Rational, RationalTuple} from './rational.js';
-import MathML from './mathml.js';
+import {Rational, RationalTuple, recogniseRational} from './rational.js';
+import MathML, {parseDocument} from './mathml.js';
+import Interval from './interval.js';
+import integrate from './integrate.js';
+import findRoots, {findSignChanges} from './roots.js';
+import findDiscontinuities, {findLimit} from './discontinuities.js';
 
 // The name of the WebComponent element tag (and the prefix to the subelement
 // tag names)
@@ -17,6 +21,9 @@ const GUTTER_BOTTOM = 20;
 // The radius, in pixels, of a <math-plot-point>
 const POINTRADIUS = 3;
 
+// The color inside a hollow point, e.g. the open end of an interval
+const HOLLOW_POINT_FILL = '#ffffff';
+
 // The space reserved, in pixels, for the axis labels (the 'x' and 'y' text)
 const LABELWIDTH = 15;
 const LABELHEIGHT = 21;
@@ -30,14 +37,61 @@ const AXIS_ARROW_LENGTH = 10;
 
 const FONTSIZE = 17;
 
+// The appearance of the messages drawn for elements which couldn't be
+// plotted, if the <math-plot> has the `show-errors` attribute
+const ERROR_COLOR = '#d93025';
+const ERROR_BACKGROUND = 'rgba(255, 255, 255, 0.85)';
+const ERROR_FONTSIZE = 12;
+const ERROR_PADDING = 4;
+
 // The (default) minimum space, in pixels, between two axis markers
 const MINSTEPSIZE = 40;
 
+// The number of equal steps in t at which a parametric curve is first sampled,
+// before it's refined, and searched for discontinuities
+const PARAMETRIC_STEPS = 1000;
+
+// The space, in pixels, between the samples a function's curve is first
+// drawn through, before being refined wherever it's not yet smooth
+const INITIAL_SAMPLE_SPACING = 4;
+
+// The most times a step between samples of a curve may be halved. Limits the
+// work done where a curve can never be made smooth, e.g. sin(1/x) near 0.
+const MAX_SAMPLE_DEPTH = 10;
+
+// The furthest, in pixels, a curve may stray from a straight line between
+// two samples before they're refined
+const SAMPLE_TOLERANCE = 0.25;
+
+// The sharpest bend, in radians, allowed between two successive segments of
+// a curve (at least a pixel long) before they're refined
+const MAX_SAMPLE_BEND = 0.1;
+
+// The number of bisections used to find where a curve crosses the top or
+// bottom of the drawRegion
+const CROSSING_BISECTIONS = 40;
+
+// The size, in pixels, of the grid cells used to trace an implicit curve
+const IMPLICIT_CELL_SIZE = 4;
+
+// The ways of choosing the height of each rectangle of a Riemann sum, or, for
+// 'trapezoid', of approximating with trapezoids instead
+const RIEMANN_METHODS = ['left', 'right', 'midpoint', 'trapezoid', 'upper', 'lower'];
+
+// The number of points sampled across each subinterval to find the greatest
+// and least values of the function, for upper and lower Riemann sums
+const RIEMANN_SAMPLES = 50;
+
+// How close to a point a function must be on either side for it to be
+// continuous there, where marking features such as extrema
+const CONTINUITY_TOLERANCE = 1e-6;
+
 // The default properties of all canvas drawing
 const DEFAULT_PLOT_PARAMETERS = {
     lineWidth: 2,
     color: '#000000',
     fillColor: '#d4d4d4',
+    negativeFillColor: '#f4c7c3',
     lineDash: [],
 };
 
@@ -62,6 +116,127 @@ function assert(condition, message) {
 }
 
 
+/**
+ * A single number in the syntax understood by Rational, e.g. "2pi", "-1/2",
+ * "e/3"
+ */
+const RATIONAL_PATTERN = /^-?([0-9]+(pi|e)?|pi|e)(\/-?([0-9]+(pi|e)?|pi|e))?$/;
+
+/**
+ * Return whether `str` describes a number which Rational can parse directly,
+ * rather than one which must be parsed as an infix expression.
+ *
+ * @param  {String}  str The string representation of the number
+ * @return {Boolean}     Whether Rational understands `str`
+ */
+function isRationalString(str) {
+    return RATIONAL_PATTERN.test(str.replace(/\s/g, ''));
+}
+
+/**
+ * Given a string describing a number, either as a Rational, a MathML term or
+ * an infix expression, which may use any of `parameters`, return an
+ * equivalent int/float, @see MathPlot._parseNumberToApprox().
+ *
+ * @param  {String} numStr     The string representation of the number
+ * @param  {Object} parameters The values of any parameters, by name
+ * @return {Number}            The number
+ */
+function approxNumber(numStr, parameters) {
+    numStr = numStr.trim();
+    if(isRationalString(numStr)) {
+        return new Rational(numStr.replace(/\s/g, '')).approx;
+    }
+
+    //since a number shouldn't have any unknowns in it, it shouldn't matter
+    //what argument you pass exec(). Just pass something because all MathML
+    //functions are built to expect an x value
+    return new MathML(numStr, ['x'], parameters).exec(0);
+}
+
+/**
+ * Return whether `str` describes a tuple which RationalTuple can parse
+ * directly, rather than one which must be parsed as an infix expression.
+ *
+ * @param  {String}  str The string representation of the tuple
+ * @return {Boolean}     Whether RationalTuple understands `str`
+ */
+function isRationalTupleString(str) {
+    str = str.replace(/\s/g, '');
+    if(!/^[(\[].*[)\]]$/.test(str)) {
+        return false;
+    }
+
+    return str.slice(1, -1).split(',').every(isRationalString);
+}
+
+/**
+ * Given a computed value, return it rounded to 3 decimal places for use in a
+ * label, preceded by '=' if the rounding is exact or '≈' if not, e.g.
+ * "= 21" or "≈ 2.188".
+ *
+ * @param  {Number} num The value
+ * @return {String}     The value as it should be written
+ */
+function formatComputedValue(num) {
+    let rounded = Math.round(num * 1000) / 1000;
+
+    // avoid writing "-0"
+    return `${rounded === num ? '=' : '≈'} ${rounded + 0}`;
+}
+
+/**
+ * Given a function `func`, return a function approximating its derivative by
+ * central differences.
+ *
+ * @param  {Function} func The function, taking and returning a Number
+ * @return {Function}      The approximate derivative
+ */
+function numericDerivative(func) {
+    return function(x) {
+        let h = 1e-6 * Math.max(1, Math.abs(x));
+
+        return (func(x + h) - func(x - h)) / (2 * h);
+    };
+}
+
+/**
+ * Clip the polygon `points` to the horizontal band bottom <= y <= top,
+ * returning the points of the clipped polygon, which is empty if none of the
+ * polygon lies within the band.
+ *
+ * @param  {Array}  points The polygon's vertices, each an [x, y] pair
+ * @param  {Number} bottom The least y value of the band
+ * @param  {Number} top    The greatest y value of the band
+ * @return {Array}         The clipped polygon's vertices
+ */
+function clipPolygon(points, bottom, top) {
+    //clip to each edge of the band in turn, where `inside(y)` is the signed
+    //distance of y inside that edge
+    [y => y - bottom, y => top - y].forEach(function(inside) {
+        let clipped = [];
+
+        points.forEach(function(point, i) {
+            let next = points[(i + 1) % points.length];
+            let [d, dNext] = [inside(point[1]), inside(next[1])];
+
+            if(d >= 0) {
+                clipped.push(point);
+            }
+            if(d * dNext < 0) {
+                let t = d / (d - dNext);
+                clipped.push([point[0] + t * (next[0] - point[0]),
+                              point[1] + t * (next[1] - point[1])]);
+            }
+        });
+
+        points = clipped;
+    });
+
+    return points;
+}
+
+
 /**
  * The MathPlot is a canvas element which plots graphs of mathematical
  * functions
@@ -81,6 +256,10 @@ class MathPlot extends HTMLElement {
         this.canvas = this.shadowRoot.getElementById('canvas');
         this.context = this.canvas.getContext('2d');
 
+        //values of the named parameters declared by <math-plot-parameter>
+        //children, which may be referenced by any MathML rule
+        this.parameters = {};
+
         //define canvas properties
         this._initDefinedProperties();
         this._initDerivedProperties();
@@ -106,6 +285,9 @@ class MathPlot extends HTMLElement {
         this.drawYAxis = this.getAttribute('hide-y-axis') !== null ? false : true;
         this.drawOrigin = this.getAttribute('hide-origin') !== null ? false : true;
         this.drawGrid = this.getAttribute('show-grid') !== null ? true : false;
+        //draw a message on the canvas for each element which couldn't be
+        //plotted, @see _reportError()
+        this.showErrors = this.getAttribute('show-errors') !== null ? true : false;
         //indicates that the x axis only should be measured in multiples of pi
         this.piUnits = this.getAttribute('pi-units') !== null ? true : false;
         //overrides the default unit-marking step sizes
@@ -138,6 +320,8 @@ class MathPlot extends HTMLElement {
      *     "(0, 2pi)"
      * or as a MathML <list>:
      *     "<list><cn>0</cn><apply><times/><cn>2</cn><pi/></apply></list>"
+     * or as an infix tuple:
+     *     "(0, 2 * pi)"
      *
      * The range is returned as an object:
      *     {min:_, max:_, size:_}
@@ -164,7 +348,7 @@ class MathPlot extends HTMLElement {
 
     /**
      * Given a string describing a list, either as a tuple of Rational
-     * descriptions or a MathML <list>, return a RationalTuple
+     * descriptions, a MathML <list> or an infix tuple, return a RationalTuple
      *
      * The list can, as described, either be a given as a tuple of Rationals:
      *     "(0, 1, 2pi)"
@@ -174,26 +358,26 @@ class MathPlot extends HTMLElement {
      *         <cn>1</cn>
      *         <apply><times/><cn>2</cn><pi/></apply>
      *      </list>"
+     * or as an infix tuple:
+     *     "(0, sqrt(2), 2pi)"
      *
      * @param  {String}         listStr The string representation of the list
      * @return {RationalTuple}          An equivalent RationalTuple
      */
     _parseListToRational(listStr) {
         listStr = listStr.trim();
-        if(listStr.length >= 6 && listStr.slice(0, 6) == '<list>') {
-            let listMathML = new MathML(listStr);
+        if(isRationalTupleString(listStr)) {
+            return new RationalTuple(listStr);
+        } else {
+            let listMathML = this._parseRule(this._normaliseList(listStr));
 
             return listMathML.rational;
-        } else {
-            return new RationalTuple(listStr);
         }
-
-        return list;
     }
 
     /**
      * Given a string describing a list, either as a tuple of Rational
-     * descriptions or a MathML <list>, return an equivalent array of
+     * descriptions, a MathML <list> or an infix tuple, return an equivalent array of
      * ints/floats.
      *
      * The list can, as described, either be a given as a tuple of Rationals:
@@ -204,6 +388,8 @@ class MathPlot extends HTMLElement {
      *         <cn>1</cn>
      *         <apply><times/><cn>2</cn><pi/></apply>
      *      </list>"
+     * or as an infix tuple:
+     *     "(0, sqrt(2), 2pi)"
      *
      * The return will be an array of ints/floats:
      *     [0, 1, 6.283...]
@@ -213,28 +399,72 @@ class MathPlot extends HTMLElement {
      */
     _parseListToApprox(listStr) {
         listStr = listStr.trim();
-        if(listStr.length >= 6 && listStr.slice(0, 6) == '<list>') {
-            let listMathML = new MathML(listStr);
+        if(isRationalTupleString(listStr)) {
+            let listRational = new RationalTuple(listStr);
+
+            return listRational.approx;
+        } else {
+            let listMathML = this._parseRule(this._normaliseList(listStr));
 
             //since a range shouldn't have any unknowns in it, it shouldn't
             //matter what argument you pass exec(). Just pass something because
             //all MathML functions are built to expect an x value
             return listMathML.exec(0);
-        } else {
-            let listRational = new RationalTuple(listStr);
+        }
+    }
 
-            return listRational.approx;
+    /**
+     * Given a string describing a list, as for _parseListToApprox(), return
+     * whether each end is closed if the list is read as an interval.
+     *
+     * Only a tuple of Rationals can describe an interval, e.g. "[0, 2pi)". A
+     * MathML <list> has no notion of closure, so returns null.
+     *
+     * @see  RationalTuple.closed
+     * @param  {String}     listStr The string representation of the list
+     * @return {Array|null}         A pair of Booleans for the left and right
+     *                              ends, or null
+     */
+    _parseIntervalClosure(listStr) {
+        listStr = listStr.trim();
+        if(listStr[0] === '<') {
+            return null;
+        }
+
+        return [listStr[0] === '[', listStr[listStr.length - 1] === ']'];
+    }
+
+    /**
+     * Given a string describing a list, as for _parseListToApprox(), return a
+     * string which MathML can parse.
+     *
+     * A MathML <list> is returned as is. Otherwise the string is an infix
+     * tuple, possibly written as an interval, e.g. "[0, sqrt(2))". Its
+     * brackets are replaced with parentheses, since closure is read
+     * separately by _parseIntervalClosure().
+     *
+     * @param  {String} listStr The string representation of the list
+     * @return {String}         A MathML <list> or an infix tuple
+     */
+    _normaliseList(listStr) {
+        listStr = listStr.trim();
+        if(listStr[0] === '<') {
+            return listStr;
         }
+
+        return '(' + listStr.slice(1, -1) + ')';
     }
 
     /**
-     * Given a string describing a number, either as a Rational or a MathML
-     * term, return the equivalent Rational
+     * Given a string describing a number, either as a Rational, a MathML
+     * term or an infix expression, return the equivalent Rational
      *
      * The term can, as described, either be a given as a Rational:
      *     "2pi"
      * or as MathML:
      *     "<apply><times/><cn>2</cn><pi/></apply>"
+     * or as an infix expression:
+     *     "2 * pi"
      *
      * The return will be a Rational:
      *     Rational("2pi")
@@ -244,23 +474,25 @@ class MathPlot extends HTMLElement {
      */
     _parseNumberToRational(numStr) {
         numStr = numStr.trim();
-        if(numStr[0] == '<') {
-            let numMathML = new MathML(numStr);
+        if(isRationalString(numStr)) {
+            return new Rational(numStr.replace(/\s/g, ''));
+        } else {
+            let numMathML = this._parseRule(numStr);
 
             return numMathML.rational;
-        } else {
-            return new Rational(numStr);
         }
     }
 
     /**
-     * Given a string describing a number, either as a Rational or a MathML
-     * term, return an equivalent int/float.
+     * Given a string describing a number, either as a Rational, a MathML
+     * term or an infix expression, return an equivalent int/float.
      *
      * The term can, as described, either be a given as a Rational:
      *     "2pi"
      * or as MathML:
      *     "<apply><times/><cn>2</cn><pi/></apply>"
+     * or as an infix expression:
+     *     "2 * pi"
      *
      * The return will be an int/float:
      *     6.283
@@ -269,20 +501,40 @@ class MathPlot extends HTMLElement {
      * @return {Int|Float}         An equivalent int/float
      */
     _parseNumberToApprox(numStr) {
-        numStr = numStr.trim();
-        if(numStr[0] == '<') {
-            let numMathML = new MathML(numStr);
+        return approxNumber(numStr, this.parameters);
+    }
 
-            //since a range shouldn't have any unknowns in it, it shouldn't
-            //matter what argument you pass exec(). Just pass something because
-            //all MathML functions are built to expect an x value
-            var num = numMathML.exec(0);
-        } else {
-            var num = new Rational(numStr);
-            num = num.approx;
-        }
+    /**
+     * Given a string `rule`, either MathML or an infix expression, return the
+     * root node of the equivalent MathML, unwrapped from any <math> or
+     * <semantics> element.
+     *
+     * Only needed where the MathML itself is inspected before being passed to
+     * MathML, which otherwise parses the string itself.
+     *
+     * @see  parseDocument() from mathml.js
+     * @param  {String}  rule The MathML or infix string
+     * @return {Element}      The root MathML node
+     */
+    _parseRuleToNode(rule) {
+        return parseDocument(rule);
+    }
 
-        return num;
+    /**
+     * Given a MathML (or infix) string `rule`, return the equivalent MathML
+     * object.
+     *
+     * Any parameters declared with <math-plot-parameter> are made available
+     * to the rule as constants.
+     *
+     * @see  class MathML from mathml.js
+     * @param  {String} rule      The MathML string
+     * @param  {Array}  variables (Optional) The variables of the rule,
+     *                            defaults to ['x']
+     * @return {MathML}           The equivalent MathML object
+     */
+    _parseRule(rule, variables=['x']) {
+        return new MathML(rule, variables, this.parameters);
     }
 
     /**
@@ -372,11 +624,22 @@ class MathPlot extends HTMLElement {
     /**
      * The custom element is now connected to the DOM. Draw the axes, and all
      * the <math-plot-...> child elements.
+     *
+     * An element which can't be plotted doesn't stop the others from being
+     * plotted: it's skipped, and the error reported, @see _reportError().
      */
     connectedCallback() {
+        //the elements which couldn't be plotted, and why
+        this.errors = [];
+
+        // parameters must be known before any rule referencing them is parsed
+        Array.from(this.children)
+            .filter(el => el.tagName.toLowerCase() === TAGNAME + '-parameter')
+            .forEach(el => this._isolate(el, this._addParameterElement));
+
         // split elements into those which need to be plotted before the axes
         // are drawn, and those to be plotted after.
-        const PLOT_BEFORE_AXES = ['floodfill'];
+        const PLOT_BEFORE_AXES = ['floodfill', 'region', 'riemann'];
         let [plot_before, plot_after] = Array.from(this.children).reduce(
             function([before, after], el) {
                 //get the tag of each element, and remove leading "math-plot-"
@@ -389,11 +652,126 @@ class MathPlot extends HTMLElement {
             [[], []]
         );
 
-        plot_before.map(this._plotElement, this);
+        plot_before.forEach(el => this._isolate(el, this._plotElement));
 
         this.drawAxes();
 
-        plot_after.map(this._plotElement, this);
+        plot_after.forEach(el => this._isolate(el, this._plotElement));
+
+        if(this.showErrors) {
+            this._drawErrors();
+        }
+    }
+
+    /**
+     * Call `action` (a method of this) on the child element `el`, reporting
+     * any error it throws rather than letting it stop the rest of the plot
+     * being drawn, @see _reportError(). Any change `action` makes to the
+     * canvas context's state, e.g. its line width, is undone afterwards.
+     *
+     * @param  {HTMLElement} el     The <math-plot-...> element
+     * @param  {Function}    action The method to call on it
+     */
+    _isolate(el, action) {
+        this.context.save();
+
+        try {
+            action.call(this, el);
+        } catch(error) {
+            this._reportError(el, error);
+        } finally {
+            this.context.restore();
+        }
+    }
+
+    /**
+     * Report that the child element `el` couldn't be plotted, because of
+     * `error`, by dispatching a `math-plot-error` CustomEvent from `el`. The
+     * event bubbles, and its `detail` is an Object:
+     *     {element:_, error:_}
+     *
+     * Unless the event is cancelled, the error is recorded in this.errors,
+     * and either drawn on the canvas, if this has the `show-errors`
+     * attribute, @see _drawErrors(), or else logged to the console.
+     *
+     * @param  {HTMLElement} el    The <math-plot-...> element
+     * @param  {Error}       error The error it threw
+     */
+    _reportError(el, error) {
+        let event = new CustomEvent(TAGNAME + '-error', {
+            bubbles: true,
+            composed: true,
+            cancelable: true,
+            detail: {element: el, error: error},
+        });
+
+        if(el.dispatchEvent(event)) {
+            this.errors.push({element: el, error: error});
+
+            if(!this.showErrors) {
+                console.error(error);
+            }
+        }
+    }
+
+    /**
+     * Draw a message at the top of the canvas for each element in
+     * this.errors, naming the element by its tag and its position among
+     * this element's children, e.g.
+     *     math-plot-function[2]: <cn> must contain a number. (apply[0] > cn[1])
+     * and outline the canvas, so that a broken element can't go unnoticed.
+     */
+    _drawErrors() {
+        if(this.errors.length === 0) {
+            return;
+        }
+
+        let children = Array.from(this.children);
+        let lineHeight = ERROR_FONTSIZE + ERROR_PADDING;
+
+        this.context.save();
+        this.context.font = ERROR_FONTSIZE + 'px sans-serif';
+        this.context.textBaseline = 'top';
+        this.context.setLineDash([]);
+        this.context.lineWidth = 2;
+        this.context.strokeStyle = ERROR_COLOR;
+        this.context.strokeRect(1, 1, this.width - 2, this.height - 2);
+
+        this.errors.forEach(function({element, error}, i) {
+            let name = `${element.tagName.toLowerCase()}[${children.indexOf(element)}]`;
+            let path = typeof error.path === 'string' ? ` (${error.path})` : '';
+            let text = `${name}: ${error.message}${path}`;
+            let maxWidth = this.width - 4 * ERROR_PADDING;
+            let width = Math.min(this.context.measureText(text).width, maxWidth);
+            let top = ERROR_PADDING + i * lineHeight;
+
+            this.context.fillStyle = ERROR_BACKGROUND;
+            this.context.fillRect(ERROR_PADDING, top, width + 2 * ERROR_PADDING, lineHeight);
+            this.context.fillStyle = ERROR_COLOR;
+            this.context.fillText(text, 2 * ERROR_PADDING, top + ERROR_PADDING / 2, maxWidth);
+        }, this);
+
+        this.context.restore();
+    }
+
+    /**
+     * Given a <math-plot-parameter> element, record the value of the named
+     * parameter it declares, so that it can be referenced by other elements.
+     *
+     * The value may itself reference previously-declared parameters.
+     * 
+     * @param  {HTMLElement} el The <math-plot-parameter> element
+     */
+    _addParameterElement(el) {
+        let name = el.getAttribute('name');
+        let value = el.getAttribute('value');
+
+        assert(name !== null && name.trim() !== '',
+            '<math-plot-parameter> No name provided.');
+        assert(value !== null,
+            '<math-plot-parameter> No value provided.');
+
+        this.parameters[name.trim()] = this._parseNumberToApprox(value);
     }
 
     /**
@@ -428,133 +806,753 @@ class MathPlot extends HTMLElement {
             case 'floodfill':
                 this._plotFloodfillElement(el);
                 break;
+            case 'parametric':
+                this._plotParametricElement(el);
+                break;
+            case 'polar':
+                this._plotPolarElement(el);
+                break;
+            case 'implicit':
+                this._plotImplicitElement(el);
+                break;
+            case 'region':
+                this._plotRegionElement(el);
+                break;
+            case 'tangent':
+                this._plotTangentElement(el);
+                break;
+            case 'normal':
+                this._plotNormalElement(el);
+                break;
+            case 'secant':
+                this._plotSecantElement(el);
+                break;
+            case 'riemann':
+                this._plotRiemannElement(el);
+                break;
+            case 'intersections':
+                this._plotIntersectionsElement(el);
+                break;
         }
     }
 
     /**
      * Given a <math-plot-function> element, plot the function described.
-     * 
+     *
+     * If the domain is given in interval notation, e.g. "[0, 2pi)", its ends
+     * are marked with a filled point if closed, or a hollow point if open.
+     * The ends of a domain written "(a, b)" are only marked if the element
+     * has the `mark-endpoints` attribute.
+     *
+     * If the element has a `derivative` attribute n, the nth derivative of
+     * `rule` is plotted instead.
+     *
+     * The curve is broken at the function's poles and jumps. If the element
+     * has a `show-asymptotes` attribute, a dashed vertical asymptote is
+     * drawn at each pole, and if it has `show-holes`, each removable hole is
+     * marked with a hollow point.
+     *
      * @param  {HTMLElement} el The <math-plot-function> element
      */
     _plotFunctionElement(el) {
-        let rule = el.getAttribute('rule');
-        let mathml = new MathML(rule);
+        let mathml = this._parseFunctionElementRule(el);
         let domain = el.getAttribute('domain');
         let params = this._getParams(el);
+        let endpoints = null;
 
         if(domain !== null) {
+            let closed = this._parseIntervalClosure(domain);
             domain = this._parseListToApprox(domain);
 
-            domain[0] = Math.max(domain[0], this.drawRegion.left);
-            domain[1] = Math.min(domain[1], this.drawRegion.right);
-
             assert(domain.length === 2,
                 '<math-plot-function> Invalid domain provided.')
 
-            this.plotFunction(params, mathml.exec, domain);
-        } else {
-            this.plotFunction(params, mathml.exec);
+            if(closed !== null && (closed.includes(true) ||
+                    el.getAttribute('mark-endpoints') !== null)) {
+                endpoints = [
+                    {x: domain[0], closed: closed[0]},
+                    {x: domain[1], closed: closed[1]}
+                ];
+            }
+
+            domain[0] = Math.max(domain[0], this.drawRegion.left);
+            domain[1] = Math.min(domain[1], this.drawRegion.right);
         }
-    }
 
-    /**
-     * Given a <math-plot-line> element, plot the line described.
-     * 
-     * @param  {HTMLElement} el The <math-plot-line> element
-     */
-    _plotLineElement(el) {
-        let pointA = this._parseListToApprox(el.getAttribute('point-a'));
-        let pointB = this._parseListToApprox(el.getAttribute('point-b'));
-        let params = this._getParams(el);
+        let discontinuities = this._getDiscontinuities(mathml,
+            domain || [this.drawRegion.left, this.drawRegion.right]);
 
-        assert(pointA.length === 2 && pointB.length === 2,
-            '<math-plot-line> Invalid points provided.');
+        if(el.getAttribute('show-asymptotes') !== null) {
+            let asymptoteParams = Object.assign({}, params, {lineDash: [10, 5]});
 
-        let rise = pointB[1] - pointA[1];
-        let run = pointB[0] - pointA[0];
+            discontinuities.filter(discontinuity => discontinuity.type === 'pole')
+                .forEach(pole => this.plotVerticalLine(asymptoteParams, pole.x));
+        }
 
-        if(run === 0) {
-            assert(rise !== 0,
-                '<math-plot-line> The two points cannot be the same.');
-            this.plotVerticalLine(params, pointA[0]);
-        } else {
-            let m = rise / run;
-            let func = (x => m * (x - pointA[0]) + pointA[1]);
-            this.plotFunction(params, func);
+        this.plotFunction(params, mathml.exec, domain, mathml.branch,
+            discontinuities.filter(discontinuity => discontinuity.type !== 'hole')
+                .map(discontinuity => discontinuity.x),
+            this._getBoundsFunction(mathml));
+
+        if(el.getAttribute('show-holes') !== null) {
+            discontinuities.filter(discontinuity => discontinuity.type === 'hole' &&
+                    discontinuity.left >= this.drawRegion.bottom &&
+                    discontinuity.left <= this.drawRegion.top)
+                .forEach(hole => this.plotPoint(params, [hole.x, hole.left],
+                    POINTRADIUS, null, true));
         }
-    }
 
-    /**
-     * Given a <math-plot-line-segment> element, plot the line segment
-     * described.
-     * 
-     * @param  {HTMLElement} el The <math-plot-line-segment> element
-     */
-    _plotLineSegmentElement(el) {
-        let pointA = this._parseListToApprox(el.getAttribute('point-a'));
-        let pointB = this._parseListToApprox(el.getAttribute('point-b'));
-        let label = el.getAttribute('label');
-        let params = this._getParams(el);
+        if(endpoints !== null) {
+            let step = (endpoints[1].x - endpoints[0].x) /
+                this._getSampleCount([endpoints[0].x, endpoints[1].x]);
 
-        assert(pointA.length === 2 && pointB.length === 2,
-            '<math-plot-line-segment> Invalid points provided.');
+            endpoints.forEach(function(end, i) {
+                //an open end is marked where the curve approaches it, as the
+                //function may be undefined, or take another value, there
+                let y = end.closed ? mathml.exec(end.x) :
+                    findLimit(mathml.exec, end.x, i === 0 ? 1 : -1, step);
 
-        assert(pointA[0] !== pointB[0] || pointA[1] !== pointB[1],
-            '<math-plot-line-segment> The two points cannot be the same.');
+                //only mark ends which are actually visible on the plot
+                if(end.x < this.drawRegion.left || end.x > this.drawRegion.right ||
+                        !(y >= this.drawRegion.bottom && y <= this.drawRegion.top)) {
+                    return;
+                }
 
-        this.plotLineSegment(params, pointA, pointB, label);
+                this.plotPoint(params, [end.x, y], POINTRADIUS, null, !end.closed);
+            }, this);
+        }
+
+        this._markFunctionFeatures(el, mathml,
+            domain || [this.drawRegion.left, this.drawRegion.right], params);
     }
 
     /**
-     * Given a <math-plot-asymptote> element, plot the asymptote described
-     * 
-     * @param  {HTMLElement} el The <math-plot-asymptote> element
+     * Mark the features of the function plotted by a <math-plot-function>
+     * element which it asks for: its x and y intercepts (`mark-intercepts`),
+     * turning points (`mark-extrema`), and points of inflection
+     * (`mark-inflections`). If it has a `label-coordinates` attribute, each
+     * point is labelled with its coordinates.
+     *
+     * The features are found numerically within `domain`: the x intercepts,
+     * turning points and points of inflection as the points at which the
+     * function, its derivative and its second derivative (respectively)
+     * change sign, @see findSignChanges() from roots.js. Any turning point on
+     * the x axis is also an x intercept. Only features visible on the plot
+     * are marked.
+     *
+     * @param  {HTMLElement} el     The <math-plot-function> element
+     * @param  {MathML}      mathml The function plotted
+     * @param  {Array}       domain The interval [a, b] searched
+     * @param  {Object}      params Point/label parameters, @see _renderLine
      */
-    _plotAsymptoteElement(el) {
-        let xIntercept = el.getAttribute('x-intercept');
-        let yIntercept = el.getAttribute('y-intercept');
-        let params = this._getParams(el);
+    _markFunctionFeatures(el, mathml, domain, params) {
+        let [intercepts, extrema, inflections] = ['mark-intercepts',
+            'mark-extrema', 'mark-inflections'].map(name => el.getAttribute(name) !== null);
 
-        // asymptotes are automatically dashed
-        params.lineDash = [10, 5];
+        if(!intercepts && !extrema && !inflections) {
+            return;
+        }
 
-        if(xIntercept !== null && yIntercept !== null) {
-            let xInt = this._parseNumberToApprox(xIntercept);
-            let yInt = this._parseNumberToApprox(yIntercept);
+        let func = mathml.exec;
+        let [derivative, secondDerivative] = this._getDerivatives(mathml, 2);
+        let points = [];
 
-            let rise = -yInt;
-            let run = xInt;
-            let m = rise / run;
+        if(intercepts) {
+            points.push(...this._getZeros(func, derivative, domain).map(x => [x, 0]));
 
-            let func = (x => m * x + yInt);
-            this.plotFunction(params, func);
-        } else if(xIntercept !== null) {
-            let int = this._parseNumberToApprox(xIntercept);
+            if(domain[0] <= 0 && domain[1] >= 0) {
+                points.push([0, func(0)]);
+            }
+        }
 
-            this.plotVerticalLine(params, int);
-        } else if(yIntercept !== null) {
-            let int = this._parseNumberToApprox(yIntercept);
+        if(extrema) {
+            points.push(...this._getTurningPoints(func, derivative, domain)
+                .map(x => [x, func(x)]));
+        }
 
-            this.plotHorizontalLine(params, int);
+        if(inflections) {
+            //the turning points of the derivative
+            points.push(...this._getTurningPoints(derivative, secondDerivative, domain)
+                .filter(x => this._isContinuousAt(func, x))
+                .map(x => [x, func(x)]));
         }
+
+        //only mark each visible point once
+        points = points.filter((point, i) =>
+            Number.isFinite(point[1]) &&
+            point[1] >= this.drawRegion.bottom && point[1] <= this.drawRegion.top &&
+            !points.slice(0, i).some(other =>
+                Math.abs(other[0] - point[0]) < 1e-9 && Math.abs(other[1] - point[1]) < 1e-9));
+
+        points.forEach(function(point) {
+            let label = el.getAttribute('label-coordinates') !== null ?
+                this._getCoordinatesLabel(point) : null;
+
+            this.plotPoint(params, point, POINTRADIUS, label);
+        }, this);
     }
 
     /**
-     * Given a <math-plot-point> element, plot the point.
-     * 
-     * @param  {HTMLElement} el The <math-plot-point> element
+     * Return the discontinuities of the function described by `mathml` in
+     * `domain`, @see findDiscontinuities() from discontinuities.js. The
+     * roots of its singularities (@see MathML.singularities) are checked
+     * as well, so that holes where it's undefined at a single point, e.g.
+     * that of sin(x)/x at 0, are found.
+     *
+     * @param  {MathML} mathml The function
+     * @param  {Array}  domain The interval [a, b] searched
+     * @return {Array}         The discontinuities, in order of x
      */
-    _plotPointElement(el) {
-        let pos = this._parseListToRational(el.getAttribute('position'));
+    _getDiscontinuities(mathml, domain) {
+        let samples = this._getSampleCount(domain);
+        let candidates = mathml.singularities.flatMap(singularity =>
+            findRoots(singularity, domain[0], domain[1], samples));
 
-        let radius = POINTRADIUS;
-        if(el.getAttribute('radius') !== null) {
-            radius = el.getAttribute('radius');
+        return findDiscontinuities(mathml.exec, domain[0], domain[1], candidates, samples);
+    }
+
+    /**
+     * Given a MathML function of x, return a function bounding it across any
+     * interval [lo, hi], returning an Interval, @see MathML.execInterval().
+     *
+     * Interval arithmetic treats each occurrence of x as independent, so
+     * overestimates how much e.g. x^3 - 3x varies. Where the function has a
+     * derivative, the bounds are narrowed: to the values at lo and hi, if
+     * the derivative shows it's monotone, or else by the mean value theorem
+     * to
+     *     f(m) + f'([lo, hi]) * ([lo, hi] - m)
+     * for m the midpoint, which is far tighter across narrow intervals.
+     *
+     * @param  {MathML}   mathml The function
+     * @return {Function}        A function of [lo, hi] bounding it
+     */
+    _getBoundsFunction(mathml) {
+        let slope;
+
+        try {
+            slope = mathml.derivative().execInterval;
+        } catch(e) {
+            //not every function can be differentiated
+            return mathml.execInterval;
         }
 
-        let label = null;
-        if(el.getAttribute('label') !== null) {
-            label = {type: 'text', value: el.getAttribute('label')};
+        return function(domain) {
+            let bounds = mathml.execInterval(domain);
+            let gradient = bounds.continuous ? slope(domain) : null;
+
+            //the mean value theorem only holds where there's a derivative
+            if(gradient === null || !gradient.defined) {
+                return bounds;
+            }
+
+            if(gradient.lo > 0 || gradient.hi < 0) {
+                return bounds.intersect(Interval.hull(domain.map(x => mathml.execInterval(x))));
+            }
+
+            let m = new Interval((domain[0] + domain[1]) / 2);
+
+            return bounds.intersect(mathml.execInterval(m)
+                .plus(gradient.times(Interval.from(domain).minus(m))));
+        };
+    }
+
+    /**
+     * Return the number of samples to take of a function over `domain`
+     * when looking for its features: about one a pixel.
+     *
+     * @param  {Array} domain The interval [a, b] searched
+     * @return {Int}          The number of samples
+     */
+    _getSampleCount(domain) {
+        return Math.max(1, Math.ceil((domain[1] - domain[0]) * this.unitSize.x));
+    }
+
+    /**
+     * Return the turning points of `func` within `domain`: the points at
+     * which its `derivative` changes sign, and it is continuous.
+     *
+     * @param  {Function} func       The function
+     * @param  {Function} derivative Its derivative
+     * @param  {Array}    domain     The interval [a, b] searched
+     * @return {Array}               The x coordinates of the turning points
+     */
+    _getTurningPoints(func, derivative, domain) {
+        return findSignChanges(derivative, domain[0], domain[1], this._getSampleCount(domain))
+            .filter(x => this._isContinuousAt(func, x));
+    }
+
+    /**
+     * Return the zeros of `func` within `domain`: the points at which it
+     * crosses zero, and the turning points at which it touches zero without
+     * crossing, e.g. the zero of x^2.
+     *
+     * @see  findRoots() from roots.js
+     * @param  {Function} func       The function
+     * @param  {Function} derivative Its derivative
+     * @param  {Array}    domain     The interval [a, b] searched
+     * @return {Array}               The x coordinates of the zeros, in order
+     */
+    _getZeros(func, derivative, domain) {
+        let roots = findRoots(func, domain[0], domain[1], this._getSampleCount(domain));
+        let touching = this._getTurningPoints(func, derivative, domain).filter(x =>
+            Math.abs(func(x)) <= CONTINUITY_TOLERANCE &&
+            !roots.some(root => Math.abs(root - x) < 1e-9));
+
+        return roots.concat(touching).sort((a, b) => a - b);
+    }
+
+    /**
+     * Return the first `count` derivatives of the function described by
+     * `mathml`, as JavaScript functions.
+     *
+     * Each derivative is found symbolically where possible, and numerically
+     * otherwise, e.g. for <factorial/>.
+     *
+     * @see  MathML.derivative()
+     * @param  {MathML} mathml The function
+     * @param  {Int}    count  The number of derivatives
+     * @return {Array}         The derivatives, first derivative first
+     */
+    _getDerivatives(mathml, count) {
+        let derivatives = [];
+        let func = mathml.exec;
+
+        for(let i = 0; i < count; i++) {
+            try {
+                mathml = mathml === null ? null : mathml.derivative('x');
+            } catch(e) {
+                mathml = null;
+            }
+
+            func = mathml === null ? numericDerivative(func) : mathml.exec;
+            derivatives.push(func);
+        }
+
+        return derivatives;
+    }
+
+    /**
+     * Is `func` continuous at `x`? That is, is it defined at x, and very
+     * close to its value there just either side?
+     *
+     * @param  {Function} func The function
+     * @param  {Number}   x    The x coordinate
+     * @return {Boolean}       Whether func is continuous at x
+     */
+    _isContinuousAt(func, x) {
+        let y = func(x);
+        let h = 1e-9 * Math.max(1, Math.abs(x));
+
+        return Number.isFinite(y) && [x - h, x + h].every(
+            near => Math.abs(func(near) - y) <= CONTINUITY_TOLERANCE);
+    }
+
+    /**
+     * Return a coordinates label for `point`, for plotPoint(). Where both
+     * coordinates are recognisably exact, e.g. pi/2, they are written as
+     * Rationals, and otherwise as decimals rounded to 3 places.
+     *
+     * @see  recogniseRational() from rational.js
+     * @param  {Array}  point The point [x, y]
+     * @return {Object}       The label
+     */
+    _getCoordinatesLabel(point) {
+        let rationals = point.map(value => recogniseRational(value));
+
+        if(rationals.every(rational => rational !== null)) {
+            return {type: 'coordinates', tuple: new RationalTuple(rationals)};
+        }
+
+        // `+ 0` to avoid writing "-0"
+        let decimals = point.map(value => Math.round(value * 1000) / 1000 + 0);
+
+        return {type: 'text', value: `(${decimals.join(', ')})`};
+    }
+
+    /**
+     * Given a <math-plot-function> element, return the MathML object of the
+     * function it plots: its `rule`, or the nth derivative of `rule` if it
+     * has a `derivative` attribute n.
+     *
+     * @param  {HTMLElement} el The <math-plot-function> element
+     * @return {MathML}         The function plotted
+     */
+    _parseFunctionElementRule(el) {
+        let mathml = this._parseRule(el.getAttribute('rule'));
+        let derivative = el.getAttribute('derivative');
+
+        if(derivative !== null) {
+            assert(/^\s*[0-9]+\s*$/.test(derivative),
+                '<math-plot-function> Invalid derivative provided.');
+
+            let order = parseInt(derivative);
+
+            for(let i = 0; i < order; i++) {
+                mathml = mathml.derivative('x');
+            }
+        }
+
+        return mathml;
+    }
+
+    /**
+     * Given a <math-plot-line> element, plot the line described.
+     * 
+     * @param  {HTMLElement} el The <math-plot-line> element
+     */
+    _plotLineElement(el) {
+        let pointA = this._parseListToApprox(el.getAttribute('point-a'));
+        let pointB = this._parseListToApprox(el.getAttribute('point-b'));
+        let params = this._getParams(el);
+
+        assert(pointA.length === 2 && pointB.length === 2,
+            '<math-plot-line> Invalid points provided.');
+
+        let rise = pointB[1] - pointA[1];
+        let run = pointB[0] - pointA[0];
+
+        if(run === 0) {
+            assert(rise !== 0,
+                '<math-plot-line> The two points cannot be the same.');
+            this.plotVerticalLine(params, pointA[0]);
+        } else {
+            let m = rise / run;
+            let func = (x => m * (x - pointA[0]) + pointA[1]);
+            this.plotFunction(params, func);
+        }
+    }
+
+    /**
+     * Given a <math-plot-line-segment> element, plot the line segment
+     * described.
+     * 
+     * @param  {HTMLElement} el The <math-plot-line-segment> element
+     */
+    _plotLineSegmentElement(el) {
+        let pointA = this._parseListToApprox(el.getAttribute('point-a'));
+        let pointB = this._parseListToApprox(el.getAttribute('point-b'));
+        let label = el.getAttribute('label');
+        let params = this._getParams(el);
+
+        assert(pointA.length === 2 && pointB.length === 2,
+            '<math-plot-line-segment> Invalid points provided.');
+
+        assert(pointA[0] !== pointB[0] || pointA[1] !== pointB[1],
+            '<math-plot-line-segment> The two points cannot be the same.');
+
+        this.plotLineSegment(params, pointA, pointB, label);
+    }
+
+    /**
+     * Given a <math-plot-asymptote> element, plot the asymptote described
+     * 
+     * @param  {HTMLElement} el The <math-plot-asymptote> element
+     */
+    _plotAsymptoteElement(el) {
+        let xIntercept = el.getAttribute('x-intercept');
+        let yIntercept = el.getAttribute('y-intercept');
+        let params = this._getParams(el);
+
+        // asymptotes are automatically dashed
+        params.lineDash = [10, 5];
+
+        if(xIntercept !== null && yIntercept !== null) {
+            let xInt = this._parseNumberToApprox(xIntercept);
+            let yInt = this._parseNumberToApprox(yIntercept);
+
+            let rise = -yInt;
+            let run = xInt;
+            let m = rise / run;
+
+            let func = (x => m * x + yInt);
+            this.plotFunction(params, func);
+        } else if(xIntercept !== null) {
+            let int = this._parseNumberToApprox(xIntercept);
+
+            this.plotVerticalLine(params, int);
+        } else if(yIntercept !== null) {
+            let int = this._parseNumberToApprox(yIntercept);
+
+            this.plotHorizontalLine(params, int);
+        }
+    }
+
+    /**
+     * Given a <math-plot-tangent> element, plot the tangent to the function
+     * described at x = `at`.
+     *
+     * @param  {HTMLElement} el The <math-plot-tangent> element
+     */
+    _plotTangentElement(el) {
+        let mathml = this._parseReferencedFunction(el);
+        let x = this._parseNumberToApprox(this._getRequiredAttribute(el, 'at'));
+        let y = mathml.exec(x);
+        let slope = this._slopeAt(mathml, x);
+
+        assert(Number.isFinite(y) && !Number.isNaN(slope),
+            `<math-plot-tangent> The function is not differentiable at x = ${x}.`);
+
+        this._plotLineThroughElement(el, [x, y], slope, [[x, y]]);
+    }
+
+    /**
+     * Given a <math-plot-normal> element, plot the normal to the function
+     * described at x = `at`.
+     *
+     * @param  {HTMLElement} el The <math-plot-normal> element
+     */
+    _plotNormalElement(el) {
+        let mathml = this._parseReferencedFunction(el);
+        let x = this._parseNumberToApprox(this._getRequiredAttribute(el, 'at'));
+        let y = mathml.exec(x);
+        let slope = this._slopeAt(mathml, x);
+
+        assert(Number.isFinite(y) && !Number.isNaN(slope),
+            `<math-plot-normal> The function is not differentiable at x = ${x}.`);
+
+        //a horizontal tangent has a vertical normal, of infinite slope
+        this._plotLineThroughElement(el, [x, y], -1 / slope, [[x, y]]);
+    }
+
+    /**
+     * Given a <math-plot-secant> element, plot the secant of the function
+     * described through x = `at-a` and x = `at-b`.
+     *
+     * @param  {HTMLElement} el The <math-plot-secant> element
+     */
+    _plotSecantElement(el) {
+        let mathml = this._parseReferencedFunction(el);
+        let xA = this._parseNumberToApprox(this._getRequiredAttribute(el, 'at-a'));
+        let xB = this._parseNumberToApprox(this._getRequiredAttribute(el, 'at-b'));
+        let pointA = [xA, mathml.exec(xA)];
+        let pointB = [xB, mathml.exec(xB)];
+
+        assert(xA !== xB,
+            '<math-plot-secant> The two points cannot be the same.');
+        assert(Number.isFinite(pointA[1]) && Number.isFinite(pointB[1]),
+            '<math-plot-secant> The function is undefined at one of the points.');
+
+        let slope = (pointB[1] - pointA[1]) / (pointB[0] - pointA[0]);
+        let midPoint = [(xA + xB) / 2, (pointA[1] + pointB[1]) / 2];
+
+        this._plotLineThroughElement(el, midPoint, slope, [pointA, pointB]);
+    }
+
+    /**
+     * Given a <math-plot-intersections> element, mark the points at which
+     * two curves intersect within the visible region of the plot, labelled
+     * with their coordinates if `label-coordinates` is set.
+     *
+     * Each curve is given by `rule-a` (`rule-b`), or by `function-a`
+     * (`function-b`), the id of a sibling <math-plot-function>, in which case
+     * only intersections within that element's own domain are marked. The
+     * intersections are found as the zeros of the difference of the two
+     * functions, @see _getZeros(), so include points at which the curves
+     * touch without crossing.
+     *
+     * @param  {HTMLElement} el The <math-plot-intersections> element
+     */
+    _plotIntersectionsElement(el) {
+        let mathmlA = this._parseReferencedFunction(el, '-a');
+        let mathmlB = this._parseReferencedFunction(el, '-b');
+        let domain = el.getAttribute('domain');
+        let params = this._getParams(el);
+
+        if(domain !== null) {
+            domain = this._parseListToApprox(domain);
+
+            assert(domain.length === 2,
+                '<math-plot-intersections> Invalid domain provided.');
+
+            domain[0] = Math.max(domain[0], this.drawRegion.left);
+            domain[1] = Math.min(domain[1], this.drawRegion.right);
+        } else {
+            domain = [this.drawRegion.left, this.drawRegion.right];
+        }
+
+        ['-a', '-b'].map(suffix => this._getReferencedDomain(el, suffix))
+            .filter(referenced => referenced !== null)
+            .forEach(function(referenced) {
+                domain = [Math.max(domain[0], referenced[0]), Math.min(domain[1], referenced[1])];
+            });
+
+        if(domain[0] >= domain[1]) {
+            return;
+        }
+
+        let [derivativeA] = this._getDerivatives(mathmlA, 1);
+        let [derivativeB] = this._getDerivatives(mathmlB, 1);
+        let difference = (x => mathmlA.exec(x) - mathmlB.exec(x));
+        let points = this._getZeros(difference, x => derivativeA(x) - derivativeB(x), domain)
+            .map(x => [x, mathmlA.exec(x)])
+            .filter(point => point[1] >= this.drawRegion.bottom && point[1] <= this.drawRegion.top);
+
+        points.forEach(function(point) {
+            let label = el.getAttribute('label-coordinates') !== null ?
+                this._getCoordinatesLabel(point) : null;
+
+            this.plotPoint(params, point, POINTRADIUS, label);
+        }, this);
+    }
+
+    /**
+     * Given an element drawn against a function, such as a
+     * <math-plot-tangent>, return the MathML object of that function.
+     *
+     * The function is either given by the element's own `rule`, or by
+     * `function`, the id of a sibling <math-plot-function>. Where an element
+     * refers to more than one function, its attributes are distinguished by
+     * `suffix`, e.g. `rule-a` and `function-a`.
+     *
+     * @param  {HTMLElement} el     The element
+     * @param  {String}      suffix (Optional) The suffix of the attributes
+     * @return {MathML}             The function
+     */
+    _parseReferencedFunction(el, suffix='') {
+        let rule = el.getAttribute('rule' + suffix);
+
+        if(rule !== null) {
+            return this._parseRule(rule);
+        }
+
+        return this._parseFunctionElementRule(this._getReferencedElement(el, suffix));
+    }
+
+    /**
+     * Given an element drawn against a function, return the domain of the
+     * <math-plot-function> it refers to, @see _parseReferencedFunction(), or
+     * null if it has none, or the function is given by the element's own
+     * `rule`.
+     *
+     * @param  {HTMLElement} el     The element
+     * @param  {String}      suffix (Optional) The suffix of the attributes
+     * @return {Array|null}         The domain, [min, max]
+     */
+    _getReferencedDomain(el, suffix='') {
+        if(el.getAttribute('rule' + suffix) !== null) {
+            return null;
+        }
+
+        let domain = this._getReferencedElement(el, suffix).getAttribute('domain');
+
+        if(domain === null) {
+            return null;
+        }
+
+        domain = this._parseListToApprox(domain);
+
+        assert(domain.length === 2,
+            '<math-plot-function> Invalid domain provided.');
+
+        return domain;
+    }
+
+    /**
+     * Return the sibling <math-plot-function> whose id is given by the
+     * `function` attribute (with `suffix`) of the element `el`, raising an
+     * error if there's no such element.
+     *
+     * @param  {HTMLElement} el     The element
+     * @param  {String}      suffix (Optional) The suffix of the attribute
+     * @return {HTMLElement}        The <math-plot-function> element
+     */
+    _getReferencedElement(el, suffix='') {
+        let tag = el.tagName.toLowerCase();
+        let reference = el.getAttribute('function' + suffix);
+
+        assert(reference !== null,
+            `<${tag}> No rule${suffix} or function${suffix} provided.`);
+
+        let functionEl = Array.from(this.children).find(child =>
+            child.tagName.toLowerCase() === TAGNAME + '-function' &&
+            child.id === reference);
+
+        assert(typeof functionEl !== 'undefined',
+            `<${tag}> No <math-plot-function> with id "${reference}".`);
+
+        return functionEl;
+    }
+
+    /**
+     * Return the value of the attribute `name` of the element `el`, raising
+     * an error if it isn't set.
+     *
+     * @param  {HTMLElement} el   The element
+     * @param  {String}      name The name of the attribute
+     * @return {String}           The value of the attribute
+     */
+    _getRequiredAttribute(el, name) {
+        let value = el.getAttribute(name);
+
+        assert(value !== null,
+            `<${el.tagName.toLowerCase()}> No ${name} provided.`);
+
+        return value;
+    }
+
+    /**
+     * Return the slope of the function described by `mathml` at `x`.
+     *
+     * @see  _getDerivatives()
+     * @param  {MathML} mathml The function
+     * @param  {Number} x      The x coordinate
+     * @return {Number}        The slope, which may be infinite
+     */
+    _slopeAt(mathml, x) {
+        return this._getDerivatives(mathml, 1)[0](x);
+    }
+
+    /**
+     * Plot the line with slope `slope` through `point` for a
+     * <math-plot-tangent>, <math-plot-normal> or <math-plot-secant> element,
+     * applying the attributes they share: `length`, `mark-points`, `label`
+     * and `label-slope`.
+     *
+     * @param  {HTMLElement} el     The element
+     * @param  {Array}       point  The point [x, y] the line is centred on
+     * @param  {Number}      slope  The slope, which may be infinite
+     * @param  {Array}       marks  The points [x, y] marked by `mark-points`
+     */
+    _plotLineThroughElement(el, point, slope, marks) {
+        let params = this._getParams(el);
+        let length = el.getAttribute('length');
+        let label = el.getAttribute('label');
+
+        if(length !== null) {
+            length = this._parseNumberToApprox(length);
+
+            assert(length > 0,
+                `<${el.tagName.toLowerCase()}> Invalid length provided.`);
+        }
+
+        if(label === null && el.getAttribute('label-slope') !== null) {
+            label = Number.isFinite(slope) ?
+                `m = ${Math.round(slope * 100) / 100}` : 'm undefined';
+        }
+
+        this.plotLineThroughPoint(params, point, slope, length, label);
+
+        if(el.getAttribute('mark-points') !== null) {
+            marks.forEach(mark => this.plotPoint(params, mark, POINTRADIUS, null));
+        }
+    }
+
+    /**
+     * Given a <math-plot-point> element, plot the point.
+     * 
+     * @param  {HTMLElement} el The <math-plot-point> element
+     */
+    _plotPointElement(el) {
+        let pos = this._parseListToRational(el.getAttribute('position'));
+
+        let radius = POINTRADIUS;
+        if(el.getAttribute('radius') !== null) {
+            radius = el.getAttribute('radius');
+        }
+
+        let label = null;
+        if(el.getAttribute('label') !== null) {
+            label = {type: 'text', value: el.getAttribute('label')};
         } else if (el.getAttribute('label-coordinates') !== null) {
             label = {type: 'coordinates', tuple: pos};
         }
@@ -572,7 +1570,9 @@ class MathPlot extends HTMLElement {
         assert(pos.length === 2,
             '<math-plot-point> Invalid position provided.');
 
-        this.plotPoint(params, pos.approx, radius, label);
+        let hollow = el.getAttribute('hollow') !== null;
+
+        this.plotPoint(params, pos.approx, radius, label, hollow);
     }
 
     /**
@@ -588,59 +1588,357 @@ class MathPlot extends HTMLElement {
         let text = el.getAttribute('text');
         let params = this._getParams(el);
 
-        assert(typeof text === "string" && text.length > 0,
-            '<math-plot-text> No text given.');
+        assert(typeof text === "string" && text.length > 0,
+            '<math-plot-text> No text given.');
+
+        let pos = {}
+
+        if(top !== null) {
+            pos.top = this._parseNumberToApprox(top);
+        } else if(bottom !== null) {
+            pos.bottom = this._parseNumberToApprox(bottom);
+        }
+
+        if(left !== null) {
+            pos.left = this._parseNumberToApprox(left);
+        } else if(right !== null) {
+            pos.right = this._parseNumberToApprox(right);
+        }
+
+        this.plotText(params, text, pos);
+    }
+
+    /**
+     * Given a <math-plot-floodfill> element, flood the region described.
+     *
+     * If both the `rule-top` and `rule-bottom` attributes are defined, the
+     * space between them will be filled regardless of which is on top across
+     * the entire `domain`.
+     * If only `rule-top` is defined, the space between it and the bottom of
+     * `this`.`drawRegion` will be filled.
+     * If only `rule-bottom` is defined, the space between it and the top of
+     * `this`.`drawRegion` will be filled.
+     * 
+     * @param  {HTMLElement} el The <math-plot-floodfill> element
+     */
+    _plotFloodfillElement(el) {
+        let rule_top = el.getAttribute('rule-top') || `<cn>${this.drawRegion.top}</cn>`;
+        let rule_bottom = el.getAttribute('rule-bottom') || `<cn>${this.drawRegion.bottom}</cn>`;
+        let mathml_top = this._parseRule(rule_top);
+        let mathml_bottom = this._parseRule(rule_bottom);
+        let domain = el.getAttribute('domain');
+        let label = el.getAttribute('label');
+        let showArea = el.getAttribute('show-area');
+        let params = this._getParams(el);
+
+        if(domain !== null) {
+            domain = this._parseListToApprox(domain);
+
+            domain[0] = Math.max(domain[0], this.drawRegion.left);
+            domain[1] = Math.min(domain[1], this.drawRegion.right);
+
+            assert(domain.length === 2,
+                '<math-plot-floodfill> Invalid domain provided.')
+        } else {
+            domain = [this.drawRegion.left, this.drawRegion.right];
+        }
+
+        if(showArea !== null) {
+            assert(['', 'signed', 'absolute'].includes(showArea),
+                '<math-plot-floodfill> Invalid show-area provided.');
+            //without both, the region is bounded by the edge of the plot, and
+            //its area would change with the range
+            assert(el.getAttribute('rule-top') !== null && el.getAttribute('rule-bottom') !== null,
+                '<math-plot-floodfill> show-area requires both rule-top and rule-bottom.');
+
+            let area = null;
+            try {
+                area = this._getFloodfillArea(mathml_top.exec, mathml_bottom.exec,
+                    domain, showArea === 'absolute');
+            } catch(error) {
+                //the integrand may be infinite somewhere, e.g. 1/sqrt(x) at 0,
+                //in which case the region is still filled, just unlabelled
+                area = null;
+            }
+
+            if(area !== null) {
+                let areaLabel = 'A ' + formatComputedValue(area);
+
+                label = label === null ? areaLabel : `${label}, ${areaLabel}`;
+            }
+        }
+
+        this.plotFloodfill(params, mathml_top.exec, mathml_bottom.exec, domain, label);
+    }
+
+    /**
+     * Return the area between `funcTop` and `funcBottom` over `domain`, as
+     * filled by plotFloodfill().
+     *
+     * The area is signed, i.e. negative where `funcBottom` is above
+     * `funcTop`, unless `absolute` is true.
+     *
+     * @param  {Function} funcTop    The top of the region
+     * @param  {Function} funcBottom The bottom of the region
+     * @param  {Array}    domain     The interval [a, b] filled over
+     * @param  {Boolean}  absolute   Whether to count all area as positive
+     * @return {Number}              The area
+     */
+    _getFloodfillArea(funcTop, funcBottom, domain, absolute) {
+        let height = (x => funcTop(x) - funcBottom(x));
+
+        if(absolute) {
+            return integrate(x => Math.abs(height(x)), domain[0], domain[1]);
+        }
+
+        return integrate(height, domain[0], domain[1]);
+    }
+
+    /**
+     * Given a <math-plot-riemann> element, plot the rectangles (or
+     * trapezoids) of the Riemann sum described.
+     *
+     * `domain` is divided into `n` subintervals of equal width, and over each
+     * is drawn a rectangle whose height is the value of `rule` at the
+     * subinterval's left end, right end or midpoint, or its greatest or
+     * least value in the subinterval, as chosen by `method`. If `method` is
+     * 'trapezoid', trapezoids joining the values at either end are drawn
+     * instead.
+     * 
+     * @param  {HTMLElement} el The <math-plot-riemann> element
+     */
+    _plotRiemannElement(el) {
+        let mathml = this._parseRule(this._getRequiredAttribute(el, 'rule'));
+        let domain = this._parseListToApprox(this._getRequiredAttribute(el, 'domain'));
+        let n = this._getRequiredAttribute(el, 'n');
+        let method = el.getAttribute('method') || 'left';
+        let label = el.getAttribute('label');
+        let params = this._getParams(el);
+
+        assert(domain.length === 2 && domain[0] < domain[1],
+            '<math-plot-riemann> Invalid domain provided.');
+        assert(/^\s*[0-9]+\s*$/.test(n) && parseInt(n) > 0,
+            '<math-plot-riemann> Invalid n provided.');
+        assert(RIEMANN_METHODS.includes(method),
+            '<math-plot-riemann> Unknown method: ' + method);
+
+        let shapes = this._getRiemannShapes(mathml.exec, domain, parseInt(n), method);
+
+        if(label === null && el.getAttribute('label-sum') !== null) {
+            let sum = shapes.reduce((total, shape) => total +
+                (shape.right - shape.left) * (shape.heights[0] + shape.heights[1]) / 2, 0);
+
+            label = 'Σ ' + formatComputedValue(sum);
+        }
+
+        this.plotRiemann(params, shapes, label);
+    }
+
+    /**
+     * Return the shapes of a Riemann sum of `func` over `domain`, divided
+     * into `n` subintervals, using `method`, @see _plotRiemannElement().
+     *
+     * Each shape is returned as an Object:
+     *     {left:_, right:_, heights:_}
+     * where `left` and `right` are the ends of the subinterval, and `heights`
+     * is the pair of heights of the shape's left and right sides, which are
+     * equal unless it is a trapezoid.
+     *
+     * @param  {Function} func   The function being summed
+     * @param  {Array}    domain The interval [a, b] being summed over
+     * @param  {Int}      n      The number of subintervals
+     * @param  {String}   method One of RIEMANN_METHODS
+     * @return {Array}           The shapes
+     */
+    _getRiemannShapes(func, domain, n, method) {
+        let width = (domain[1] - domain[0]) / n;
+
+        return Array.from({length: n}, function(_, i) {
+            let left = domain[0] + i * width;
+            let right = domain[0] + (i + 1) * width;
+            let heights = null;
+
+            switch(method) {
+                case 'left':
+                    heights = [func(left), func(left)];
+                    break;
+                case 'right':
+                    heights = [func(right), func(right)];
+                    break;
+                case 'midpoint':
+                    let mid = func((left + right) / 2);
+                    heights = [mid, mid];
+                    break;
+                case 'trapezoid':
+                    heights = [func(left), func(right)];
+                    break;
+                case 'upper':
+                case 'lower':
+                    let samples = Array.from({length: RIEMANN_SAMPLES + 1},
+                        (_, j) => func(left + j * width / RIEMANN_SAMPLES));
+                    let extreme = method === 'upper' ?
+                        Math.max(...samples) : Math.min(...samples);
+                    heights = [extreme, extreme];
+                    break;
+            }
+
+            assert(heights.every(Number.isFinite),
+                `<math-plot-riemann> The function is undefined on [${left}, ${right}].`);
+
+            return {left: left, right: right, heights: heights};
+        });
+    }
+
+    /**
+     * Given a <math-plot-parametric> element, plot the parametric curve
+     * described.
+     *
+     * `rule-x` and `rule-y` are MathML functions of the parameter t, and are
+     * plotted for all t in `t-range`.
+     * 
+     * @param  {HTMLElement} el The <math-plot-parametric> element
+     */
+    _plotParametricElement(el) {
+        let ruleX = el.getAttribute('rule-x');
+        let ruleY = el.getAttribute('rule-y');
+        let tRange = el.getAttribute('t-range');
+        let params = this._getParams(el);
+
+        assert(ruleX !== null && ruleY !== null,
+            '<math-plot-parametric> Both rule-x and rule-y are required.');
+        assert(tRange !== null,
+            '<math-plot-parametric> No t-range provided.');
+
+        let mathmlX = this._parseRule(ruleX, ['t']);
+        let mathmlY = this._parseRule(ruleY, ['t']);
+        tRange = this._parseListToApprox(tRange);
+
+        assert(tRange.length === 2 && tRange[0] < tRange[1],
+            '<math-plot-parametric> Invalid t-range provided.');
+
+        this.plotParametric(params, mathmlX.exec, mathmlY.exec, tRange);
+    }
+
+    /**
+     * Given a <math-plot-polar> element, plot the polar curve described.
+     *
+     * `rule` is a MathML function of theta (either <ci>theta</ci> or
+     * <ci>θ</ci>), giving the radius r at each angle in `theta-range`.
+     * 
+     * @param  {HTMLElement} el The <math-plot-polar> element
+     */
+    _plotPolarElement(el) {
+        let rule = el.getAttribute('rule');
+        let thetaRange = el.getAttribute('theta-range') || '(0, 2pi)';
+        let params = this._getParams(el);
+
+        assert(rule !== null, '<math-plot-polar> No rule provided.');
+
+        let mathml = this._parseRule(rule, ['theta']);
+        thetaRange = this._parseListToApprox(thetaRange);
+
+        assert(thetaRange.length === 2 && thetaRange[0] < thetaRange[1],
+            '<math-plot-polar> Invalid theta-range provided.');
+
+        this.plotPolar(params, mathml.exec, thetaRange);
+    }
+
+    /**
+     * Given a <math-plot-implicit> element, plot the curve described.
+     *
+     * `rule` is a MathML (or infix) relation in x and y. It may either be an equation
+     * <apply><eq/>...</apply>, or an expression, which will be taken to be
+     * equal to zero.
+     * 
+     * @param  {HTMLElement} el The <math-plot-implicit> element
+     */
+    _plotImplicitElement(el) {
+        let rule = el.getAttribute('rule');
+        let params = this._getParams(el);
+
+        assert(rule !== null, '<math-plot-implicit> No rule provided.');
 
-        let pos = {}
+        let node = this._parseRuleToNode(rule);
 
-        if(top !== null) {
-            pos.top = this._parseNumberToApprox(top);
-        } else if(bottom !== null) {
-            pos.bottom = this._parseNumberToApprox(bottom);
-        }
+        //an equation a = b is plotted as the zero set of a - b
+        if(node.tagName === 'apply' && node.firstElementChild !== null &&
+                node.firstElementChild.tagName === 'eq') {
+            let serializer = new XMLSerializer();
+            let args = Array.from(node.children).slice(1).map(arg =>
+                serializer.serializeToString(arg));
 
-        if(left !== null) {
-            pos.left = this._parseNumberToApprox(left);
-        } else if(right !== null) {
-            pos.right = this._parseNumberToApprox(right);
+            rule = `<apply><minus/>${args.join('')}</apply>`;
         }
 
-        this.plotText(params, text, pos);
+        let mathml = this._parseRule(rule, ['x', 'y']);
+
+        this.plotImplicit(params, mathml.exec);
     }
 
     /**
-     * Given a <math-plot-floodfill> element, flood the region described.
+     * Given a <math-plot-region> element, shade the region described.
      *
-     * If both the `rule-top` and `rule-bottom` attributes are defined, the
-     * space between them will be filled regardless of which is on top across
-     * the entire `domain`.
-     * If only `rule-top` is defined, the space between it and the bottom of
-     * `this`.`drawRegion` will be filled.
-     * If only `rule-bottom` is defined, the space between it and the top of
-     * `this`.`drawRegion` will be filled.
+     * `rule` is a MathML (or infix) inequality in x and y (<lt/>, <leq/>, <gt/> or
+     * <geq/>), or several inequalities combined with <and/>. Every point
+     * satisfying `rule` is filled, and the boundary of each inequality is
+     * drawn dashed if the inequality is strict, and solid if it isn't.
      * 
-     * @param  {HTMLElement} el The <math-plot-floodfill> element
+     * @param  {HTMLElement} el The <math-plot-region> element
      */
-    _plotFloodfillElement(el) {
-        let rule_top = el.getAttribute('rule-top') || `<cn>${this.drawRegion.top}</cn>`;
-        let rule_bottom = el.getAttribute('rule-bottom') || `<cn>${this.drawRegion.bottom}</cn>`;
-        let mathml_top = new MathML(rule_top);
-        let mathml_bottom = new MathML(rule_bottom);
-        let domain = el.getAttribute('domain');
-        let label = el.getAttribute('label');
+    _plotRegionElement(el) {
+        let rule = el.getAttribute('rule');
         let params = this._getParams(el);
 
-        if(domain !== null) {
-            domain = this._parseListToApprox(domain);
+        assert(rule !== null, '<math-plot-region> No rule provided.');
 
-            domain[0] = Math.max(domain[0], this.drawRegion.left);
-            domain[1] = Math.min(domain[1], this.drawRegion.right);
+        let inequalities = this._parseInequalities(rule);
 
-            assert(domain.length === 2,
-                '<math-plot-floodfill> Invalid domain provided.')
-        }
+        this.plotRegion(params, inequalities);
+    }
 
-        this.plotFloodfill(params, mathml_top.exec, mathml_bottom.exec, domain, label);
+    /**
+     * Given a MathML string describing an inequality in x and y, or several
+     * inequalities joined by <and/>, return an array of the inequalities.
+     *
+     * Each inequality a < b (or a <= b, etc.) is returned as an Object:
+     *     {func:_, sense:_, strict:_}
+     * where `func` is the function (a - b) of x and y, `sense` is -1 if
+     * func must be negative and 1 if it must be positive, and `strict` is
+     * whether func is allowed to equal zero.
+     * 
+     * @param  {String} rule The MathML (or infix) string
+     * @return {Array}       The parsed inequalities
+     */
+    _parseInequalities(rule) {
+        const RELATIONS = {
+            lt: {sense: -1, strict: true},
+            leq: {sense: -1, strict: false},
+            gt: {sense: 1, strict: true},
+            geq: {sense: 1, strict: false}
+        };
+
+        let serializer = new XMLSerializer();
+
+        let parseNode = (node) => {
+            assert(node.tagName === 'apply' && node.children.length >= 3,
+                '<math-plot-region> rule must be an inequality.');
+
+            let [action, ...args] = Array.from(node.children);
+
+            if(action.tagName === 'and') {
+                return args.map(parseNode).flat();
+            }
+
+            assert(action.tagName in RELATIONS && args.length === 2,
+                '<math-plot-region> Unknown inequality: ' + action.tagName);
+
+            let [lhs, rhs] = args.map(arg => serializer.serializeToString(arg));
+            let mathml = this._parseRule(`<apply><minus/>${lhs}${rhs}</apply>`, ['x', 'y']);
+
+            return [Object.assign({func: mathml.exec}, RELATIONS[action.tagName])];
+        };
+
+        return parseNode(this._parseRuleToNode(rule));
     }
 
     /**
@@ -665,6 +1963,11 @@ class MathPlot extends HTMLElement {
             params.fillColor = fillColor;
         }
 
+        let negativeFillColor = el.getAttribute('negative-fill-color');
+        if(negativeFillColor !== null) {
+            params.negativeFillColor = negativeFillColor;
+        }
+
         let dashed = el.getAttribute('dashed');
         if(dashed !== null) {
             params.lineDash = [10, 5];
@@ -848,30 +2151,653 @@ class MathPlot extends HTMLElement {
                 stepSizePixels = unitSize * stepSize.approx;
             }
 
-            //can't be zero because i will always be incremented at least once
-            return baseStepSize.divide(i - 2);
-        }
+            //can't be zero because i will always be incremented at least once
+            return baseStepSize.divide(i - 2);
+        }
+    }
+
+    /**
+     * Numerically integrate `rule`, a function of x, from `a` to `b`, using
+     * any parameters declared with this element's <math-plot-parameter>
+     * children, @see MathPlot.integrate().
+     *
+     * @param  {String}        rule The function to be integrated
+     * @param  {Number|String} a    The lower limit of integration
+     * @param  {Number|String} b    The upper limit of integration
+     * @return {Number}             The approximate integral
+     */
+    integrate(rule, a, b) {
+        return MathPlot.integrate(rule, a, b, this.parameters);
+    }
+
+    /**
+     * Numerically integrate `rule`, a function of x, from `a` to `b`, without
+     * needing a <math-plot> element.
+     *
+     * `rule` may be MathML or an infix expression, and may use any of
+     * `parameters`, an Object of their values by name. The limits may be
+     * given as numbers, or as strings in any form accepted for a number
+     * attribute, e.g. "pi/2".
+     *
+     *     MathPlot.integrate('x^2', 0, 3); // => 9
+     *
+     * @param  {String}        rule       The function to be integrated
+     * @param  {Number|String} a          The lower limit of integration
+     * @param  {Number|String} b          The upper limit of integration
+     * @param  {Object}        parameters (Optional) The values of any
+     *                                    parameters used
+     * @return {Number}                   The approximate integral
+     */
+    static integrate(rule, a, b, parameters={}) {
+        let mathml = new MathML(rule, ['x'], parameters);
+        let [lower, upper] = [a, b].map(
+            limit => typeof limit === 'string' ? approxNumber(limit, parameters) : limit);
+
+        return integrate(mathml.exec, lower, upper);
+    }
+
+    /**
+     * Given a (JavaScript) function `func`, which will convert an x coordinate
+     * into the appropriate y coordinate for a (mathematical) function, plot
+     * the curve of said mathematical function.
+     *
+     * If `func` is piecewise, `branch` should be a function returning, for
+     * any x, an identifier of the piece used at x (@see MathML.branch). The
+     * curve will then be broken, rather than joined, at the boundary between
+     * two pieces.
+     *
+     * The curve is also broken at each of `breaks`, and wherever `func` is
+     * undefined. If `breaks` isn't given, the curve is broken at the poles
+     * and jumps of `func`, @see findDiscontinuities() from
+     * discontinuities.js.
+     *
+     * The curve is sampled adaptively, @see _sampleFunction(), and clipped
+     * to the top and bottom of the drawRegion, @see _clipRun(). If
+     * `interval` is given, bounding `func` across any interval (@see
+     * MathML.execInterval), the bounds are used to find every narrow spike,
+     * break and gap in the curve, however fine.
+     *
+     * @param  {Object}   params   Line parameters, @see _renderLine
+     * @param  {Function} func     A JS function describing the curve to be
+     *                             plotted
+     * @param  {Array}    domain   (Optional) The domain in which to draw the
+     *                             function
+     * @param  {Function} branch   (Optional) A JS function identifying the
+     *                             piece of `func` used at each x
+     * @param  {Array}    breaks   (Optional) The x coordinates at which the
+     *                             curve is discontinuous
+     * @param  {Function} interval (Optional) A JS function returning an
+     *                             Interval bounding `func` across [lo, hi]
+     */
+    plotFunction(params, func, domain, branch, breaks, interval) {
+        if(typeof domain === "undefined" || domain === null) {
+            domain = [this.drawRegion.left, this.drawRegion.right];
+        }
+
+        if(typeof branch === "undefined" || branch === null) {
+            branch = (x => null);
+        }
+
+        if(typeof interval === "undefined") {
+            interval = null;
+        }
+
+        if(typeof breaks === "undefined" || breaks === null) {
+            breaks = findDiscontinuities(func, domain[0], domain[1], [],
+                    this._getSampleCount(domain))
+                .filter(discontinuity => discontinuity.type !== 'hole')
+                .map(discontinuity => discontinuity.x);
+        }
+
+        let runs = this._splitAtBreaks(domain, breaks).flatMap(
+            piece => this._sampleFunction(func, piece, branch, interval));
+
+        this.context.save();
+            //move (0,0) to graph centre;
+            this.context.translate(this.center.x, this.center.y)
+            //change scale from pixels to graph units, and invert y axis
+            this.context.scale(this.scale.x, this.scale.y);
+            
+            this.context.beginPath();
+
+            runs.forEach(run => this._traceClipped(this._clipRun(func, run)));
+
+        this.context.restore();
+
+        this._renderLine(params);
+    }
+
+    /**
+     * Split `domain` at each of `breaks` within it, returning the pieces
+     * [a, b] between them, each stopping just short of the breaks, so that a
+     * curve can be sampled separately on each.
+     *
+     * @param  {Array} domain The interval [a, b]
+     * @param  {Array} breaks The points at which to split it
+     * @return {Array}        The pieces
+     */
+    _splitAtBreaks(domain, breaks) {
+        let offset = (domain[1] - domain[0]) * 1e-9;
+        let ends = [domain[0]].concat(
+            breaks.filter(x => x > domain[0] && x < domain[1]).sort((a, b) => a - b),
+            [domain[1]]);
+
+        return ends.slice(1).map((end, i) => [
+            i === 0 ? ends[0] : ends[i] + offset,
+            i === ends.length - 2 ? end : end - offset
+        ]).filter(([start, end]) => start < end);
+    }
+
+    /**
+     * Add a run of clipped points to the current path, as returned by
+     * _clipRun() or _clipParametricRun(). Where the curve is beyond the
+     * drawRegion, it isn't drawn, rather than drawn along its edge.
+     *
+     * @param  {Array} points The clipped points, {x:_, y:_, outside:_}
+     */
+    _traceClipped(points) {
+        points.forEach(function(point, i) {
+            if(point.outside) {
+                return;
+            } else if(i === 0 || points[i - 1].outside) {
+                this.context.moveTo(point.x, point.y);
+            } else {
+                this.context.lineTo(point.x, point.y);
+            }
+        }, this);
+    }
+
+    /**
+     * Sample the curve of a (JavaScript) function `func` across `domain`,
+     * returning the points [x, y] to draw it through.
+     *
+     * The function is first sampled every INITIAL_SAMPLE_SPACING pixels.
+     * Each step between samples is then halved, recursively, wherever the
+     * curve isn't yet smooth (@see _isSampleRough()), so that straight parts
+     * of the curve take few samples, and sharp bends and steep slopes many.
+     *
+     * The points are returned as an Array of runs, each an Array of points
+     * which should be joined. The curve is broken between runs wherever
+     * `func` is undefined, or moves from one piece to another of a piecewise
+     * function, @see plotFunction().
+     *
+     * If `interval` isn't null, each step is first bounded with it. Steps on
+     * which `func` is undefined, or entirely above or below the drawRegion,
+     * are skipped, and steps on which it may not be continuous are refined
+     * to the limit, and the curve broken there if it still may not be.
+     *
+     * @param  {Function} func     A JS function describing the curve
+     * @param  {Array}    domain   The interval [a, b] sampled
+     * @param  {Function} branch   A JS function identifying the piece of
+     *                             `func` used at each x
+     * @param  {Function} interval (Optional) A JS function returning an
+     *                             Interval bounding `func` across [lo, hi]
+     * @return {Array}             The runs of points
+     */
+    _sampleFunction(func, domain, branch, interval=null) {
+        let steps = Math.max(1, Math.ceil(
+            (domain[1] - domain[0]) * this.scale.x / INITIAL_SAMPLE_SPACING));
+        let sample = (x => ({x: x, y: func(x), branch: branch(x)}));
+        let runs = [[]];
+
+        //add a point to the current run, or start a new one
+        let push = function(point) {
+            let run = runs[runs.length - 1];
+
+            if(point === null || !Number.isFinite(point.y)) {
+                if(run.length > 0) {
+                    runs.push([]);
+                }
+            } else {
+                run.push([point.x, point.y]);
+            }
+        };
+
+        //sample the step from `start` to `end`, less `start` itself, within
+        //the bounds `outer` of the step it was refined from
+        let refine = (start, end, depth, outer=null) => {
+            if(start.branch !== end.branch) {
+                let [lo, hi] = this._findBranchBoundary(branch, start.x, end.x);
+                let [loSample, hiSample] = [sample(lo), sample(hi)];
+
+                refine(start, loSample, depth);
+                push(null);
+                push(hiSample);
+                refine(hiSample, end, depth);
+                return;
+            }
+
+            let mid = sample((start.x + end.x) / 2);
+
+            //the step's own bounds, which lie within the outer step's, needn't
+            //be found if the outer bounds are already close to its samples
+            let bounds = interval === null ? null :
+                this._isBoundedBy(outer, [start, mid, end]) ? outer : interval([start.x, end.x]);
+
+            if(bounds !== null && (bounds.isEmpty || bounds.lo > this.drawRegion.top ||
+                    bounds.hi < this.drawRegion.bottom)) {
+                if(bounds.isEmpty) {
+                    push(null);
+                }
+
+                push(end);
+                return;
+            }
+
+            if(depth > 0 && this._isSampleRough(start, mid, end, bounds)) {
+                refine(start, mid, depth - 1, bounds);
+                refine(mid, end, depth - 1, bounds);
+            } else if(bounds !== null && !bounds.continuous) {
+                //the curve may jump, or become undefined, within the step
+                push(null);
+                push(end);
+            } else {
+                push(mid);
+                push(end);
+            }
+        };
+
+        let start = sample(domain[0]);
+        push(start);
+
+        for(let i = 1; i <= steps; i++) {
+            let end = sample(i === steps ? domain[1] :
+                domain[0] + (domain[1] - domain[0]) * i / steps);
+
+            refine(start, end, MAX_SAMPLE_DEPTH);
+            start = end;
+        }
+
+        return runs.filter(run => run.length > 0);
+    }
+
+    /**
+     * Decide whether a function's `bounds` across a step show that nothing
+     * lies between its `samples`: whether it's continuous across the step,
+     * and the bounds (within the drawRegion) stray no more than
+     * SAMPLE_TOLERANCE pixels beyond the samples. If so, the bounds across
+     * any part of the step needn't be found, as they can show no more.
+     *
+     * @param  {Interval|null} bounds  The function's bounds across the step
+     * @param  {Array}         samples The samples in the step, {x:_, y:_}
+     * @return {Boolean}               True if the bounds hold nothing more
+     */
+    _isBoundedBy(bounds, samples) {
+        if(bounds === null || !bounds.continuous) {
+            return false;
+        }
+
+        let clamp = (y => Math.max(Math.min(y, this.drawRegion.top), this.drawRegion.bottom));
+        let ys = samples.map(sample => clamp(sample.y));
+
+        return !((clamp(bounds.hi) - Math.max(...ys)) * -this.scale.y > SAMPLE_TOLERANCE ||
+            (Math.min(...ys) - clamp(bounds.lo)) * -this.scale.y > SAMPLE_TOLERANCE);
+    }
+
+    /**
+     * Given three successive samples of a curve, decide whether the steps
+     * between them need refining: whether the middle sample strays more than
+     * SAMPLE_TOLERANCE pixels from the midpoint of the outer two, or the
+     * curve bends there by more than MAX_SAMPLE_BEND.
+     *
+     * Steps at which the curve becomes defined or undefined are refined, to
+     * find where it does so, and steps entirely beyond one side of the
+     * drawRegion are not. The samples may be of a parametric curve, @see
+     * _sampleParametric(), as well as of a function.
+     *
+     * If the function's `bounds` across the steps are given, the steps are
+     * also refined unless they show nothing lies between the samples, since
+     * a narrow spike may, @see _isBoundedBy().
+     *
+     * @param  {Object}   start  The first sample, {x:_, y:_}
+     * @param  {Object}   mid    The middle sample
+     * @param  {Object}   end    The last sample
+     * @param  {Interval} bounds (Optional) The function's bounds across the
+     *                           steps
+     * @return {Boolean}         True if the steps need refining
+     */
+    _isSampleRough(start, mid, end, bounds=null) {
+        let samples = [start, mid, end];
+        let defined = samples.map(sample =>
+            Number.isFinite(sample.x) && Number.isFinite(sample.y));
+
+        if(bounds !== null && !this._isBoundedBy(bounds, samples)) {
+            return true;
+        }
+
+        if(!defined.every(isDefined => isDefined)) {
+            return defined.some(isDefined => isDefined);
+        }
+
+        if(samples.every(sample => sample.y > this.drawRegion.top) ||
+                samples.every(sample => sample.y < this.drawRegion.bottom) ||
+                samples.every(sample => sample.x > this.drawRegion.right) ||
+                samples.every(sample => sample.x < this.drawRegion.left)) {
+            return false;
+        }
+
+        //the samples in pixels
+        let [a, m, b] = samples.map(sample =>
+            [sample.x * this.scale.x, -sample.y * this.scale.y]);
+
+        if(Math.hypot(m[0] - (a[0] + b[0]) / 2, m[1] - (a[1] + b[1]) / 2) > SAMPLE_TOLERANCE) {
+            return true;
+        }
+
+        let [u, v] = [[m[0] - a[0], m[1] - a[1]], [b[0] - m[0], b[1] - m[1]]];
+        let bend = Math.abs(Math.atan2(u[0] * v[1] - u[1] * v[0], u[0] * v[0] + u[1] * v[1]));
+
+        return Math.hypot(...u) >= 1 && Math.hypot(...v) >= 1 && bend > MAX_SAMPLE_BEND;
+    }
+
+    /**
+     * Given a run of points [x, y] on the curve of `func`, @see
+     * _sampleFunction(), clip it to the top and bottom of the drawRegion.
+     *
+     * Returns the points as Objects:
+     *     {x:_, y:_, outside:_}
+     * with any beyond the drawRegion moved onto its top or bottom, and
+     * marked `outside`. Wherever the curve crosses the top or bottom, the
+     * exact point at which it does so is added, found by bisection on
+     * `func`.
+     *
+     * @param  {Function} func A JS function describing the curve
+     * @param  {Array}    run  The points
+     * @return {Array}         The clipped points
+     */
+    _clipRun(func, run) {
+        let [top, bottom] = [this.drawRegion.top, this.drawRegion.bottom];
+        let clipped = [];
+
+        run.forEach(function(point, i) {
+            if(i > 0) {
+                let prev = run[i - 1];
+                let direction = Math.sign(point[0] - prev[0]);
+
+                //the boundaries crossed since the last point, in order
+                clipped.push(...[top, bottom]
+                    .filter(y => (prev[1] - y) * (point[1] - y) < 0)
+                    .map(y => ({x: this._findCrossing(func, prev, point, y), y: y, outside: false}))
+                    .sort((a, b) => (a.x - b.x) * direction));
+            }
+
+            clipped.push({
+                x: point[0],
+                y: Math.max(Math.min(point[1], top), bottom),
+                outside: point[1] > top || point[1] < bottom
+            });
+        }, this);
+
+        return clipped;
+    }
+
+    /**
+     * Given two points `pointA` and `pointB` on the curve of `func`, either
+     * side of the horizontal line at `y`, find by bisection the x at which
+     * the curve crosses that line.
+     *
+     * @param  {Function} func   A JS function describing the curve
+     * @param  {Array}    pointA A point [x, y] on one side of the line
+     * @param  {Array}    pointB A point [x, y] on the other side
+     * @param  {Number}   y      The y coordinate of the line
+     * @return {Number}          The x coordinate of the crossing
+     */
+    _findCrossing(func, pointA, pointB, y) {
+        let [a, b] = [pointA[0], pointB[0]];
+        let side = Math.sign(pointA[1] - y);
+
+        for(let i = 0; i < CROSSING_BISECTIONS; i++) {
+            let m = (a + b) / 2;
+
+            if(Math.sign(func(m) - y) === side) {
+                a = m;
+            } else {
+                b = m;
+            }
+        }
+
+        return (a + b) / 2;
+    }
+
+    /**
+     * Given a function `branch` identifying the piece of a piecewise function
+     * used at each x, and two x values `lo` and `hi` on different pieces,
+     * narrow down the boundary between the pieces by bisection.
+     *
+     * Returns a pair [lo, hi], a tiny distance apart, where `lo` is on the
+     * same piece as the original `lo`, and `hi` is not.
+     *
+     * @param  {Function} branch A JS function identifying the piece at x
+     * @param  {Number}   lo     An x value on one side of the boundary
+     * @param  {Number}   hi     An x value on the other side of the boundary
+     * @return {Array}           The narrowed pair [lo, hi]
+     */
+    _findBranchBoundary(branch, lo, hi) {
+        const BISECTIONS = 30;
+        let loBranch = branch(lo);
+
+        for(let i = 0; i < BISECTIONS; i++) {
+            let mid = (lo + hi) / 2;
+
+            if(branch(mid) === loBranch) {
+                lo = mid;
+            } else {
+                hi = mid;
+            }
+        }
+
+        return [lo, hi];
+    }
+
+    /**
+     * Given two (JavaScript) functions `funcX` and `funcY`, which will convert
+     * a parameter t into the x and y coordinates respectively of a point on a
+     * curve, plot that curve for all t in `tRange`.
+     *
+     * As in plotFunction(), the curve is broken at the poles and jumps of
+     * either coordinate, @see findDiscontinuities() from discontinuities.js,
+     * and wherever it's undefined. It's sampled adaptively, @see
+     * _sampleParametric(), and clipped to the drawRegion, @see
+     * _clipParametricRun().
+     * 
+     * @param  {Object}   params  Line parameters, @see _renderLine
+     * @param  {Function} funcX   A JS function giving the x coordinate at t
+     * @param  {Function} funcY   A JS function giving the y coordinate at t
+     * @param  {Array}    tRange  The range of t over which to draw the curve
+     */
+    plotParametric(params, funcX, funcY, tRange) {
+        let breaks = [funcX, funcY].flatMap(func =>
+            findDiscontinuities(func, tRange[0], tRange[1], [], PARAMETRIC_STEPS)
+                .filter(discontinuity => discontinuity.type !== 'hole')
+                .map(discontinuity => discontinuity.x));
+        let runs = this._splitAtBreaks(tRange, breaks).flatMap(
+            piece => this._sampleParametric(funcX, funcY, piece));
+
+        this.context.save();
+            //move (0,0) to graph centre;
+            this.context.translate(this.center.x, this.center.y)
+            //change scale from pixels to graph units, and invert y axis
+            this.context.scale(this.scale.x, this.scale.y);
+            
+            this.context.beginPath();
+
+            runs.forEach(run => this._traceClipped(this._clipParametricRun(funcX, funcY, run)));
+
+        this.context.restore();
+
+        this._renderLine(params);
+    }
+
+    /**
+     * Sample the parametric curve (funcX(t), funcY(t)) across `tRange`,
+     * returning the points to draw it through, @see plotParametric().
+     *
+     * As in _sampleFunction(), the curve is first sampled at PARAMETRIC_STEPS
+     * equal steps in t, and each step halved, recursively, wherever the curve
+     * isn't yet smooth, @see _isSampleRough(). The points are returned as an
+     * Array of runs, each an Array of points {t:_, x:_, y:_} which should be
+     * joined, the curve being broken wherever it's undefined.
+     *
+     * @param  {Function} funcX  A JS function giving the x coordinate at t
+     * @param  {Function} funcY  A JS function giving the y coordinate at t
+     * @param  {Array}    tRange The interval [a, b] of t sampled
+     * @return {Array}           The runs of points
+     */
+    _sampleParametric(funcX, funcY, tRange) {
+        let sample = (t => ({t: t, x: funcX(t), y: funcY(t)}));
+        let runs = [[]];
+
+        //add a point to the current run, or start a new one if the curve is
+        //undefined there
+        let push = function(point) {
+            let run = runs[runs.length - 1];
+
+            if(Number.isFinite(point.x) && Number.isFinite(point.y)) {
+                run.push(point);
+            } else if(run.length > 0) {
+                runs.push([]);
+            }
+        };
+
+        //sample the step from `start` to `end`, less `start` itself
+        let refine = (start, end, depth) => {
+            let mid = sample((start.t + end.t) / 2);
+
+            if(depth > 0 && this._isSampleRough(start, mid, end)) {
+                refine(start, mid, depth - 1);
+                refine(mid, end, depth - 1);
+            } else {
+                push(mid);
+                push(end);
+            }
+        };
+
+        let start = sample(tRange[0]);
+        push(start);
+
+        for(let i = 1; i <= PARAMETRIC_STEPS; i++) {
+            let end = sample(i === PARAMETRIC_STEPS ? tRange[1] :
+                tRange[0] + (tRange[1] - tRange[0]) * i / PARAMETRIC_STEPS);
+
+            refine(start, end, MAX_SAMPLE_DEPTH);
+            start = end;
+        }
+
+        return runs.filter(run => run.length > 0);
+    }
+
+    /**
+     * Given a run of points {t:_, x:_, y:_} on the parametric curve
+     * (funcX(t), funcY(t)), @see _sampleParametric(), clip it to the
+     * drawRegion.
+     *
+     * Returns the points as Objects:
+     *     {x:_, y:_, outside:_}
+     * with any beyond the drawRegion marked `outside`. Wherever the curve
+     * crosses an edge of the drawRegion, the exact point at which it does so
+     * is added, found by bisection on t, @see _findCrossing().
+     *
+     * @param  {Function} funcX A JS function giving the x coordinate at t
+     * @param  {Function} funcY A JS function giving the y coordinate at t
+     * @param  {Array}    run   The points
+     * @return {Array}          The clipped points
+     */
+    _clipParametricRun(funcX, funcY, run) {
+        let {left, right, top, bottom} = this.drawRegion;
+        let isOutside = (point => point.x < left || point.x > right ||
+            point.y < bottom || point.y > top);
+        //each edge of the drawRegion, as the coordinate and its value there
+        let edges = [['x', left], ['x', right], ['y', bottom], ['y', top]];
+        let clipped = [];
+
+        run.forEach(function(point, i) {
+            if(i > 0) {
+                let prev = run[i - 1];
+
+                //the edges crossed since the last point, in order
+                clipped.push(...edges
+                    .filter(([coord, value]) => (prev[coord] - value) * (point[coord] - value) < 0)
+                    .map(([coord, value]) => {
+                        let t = this._findCrossing(coord === 'x' ? funcX : funcY,
+                            [prev.t, prev[coord]], [point.t, point[coord]], value);
+                        let crossing = {t: t, x: funcX(t), y: funcY(t)};
+                        crossing[coord] = value;
+
+                        return crossing;
+                    })
+                    .sort((a, b) => a.t - b.t)
+                    .map(crossing => ({x: crossing.x, y: crossing.y, outside: isOutside(crossing)})));
+            }
+
+            clipped.push({x: point.x, y: point.y, outside: isOutside(point)});
+        }, this);
+
+        return clipped;
+    }
+
+    /**
+     * Given a (JavaScript) function `func`, which will convert an angle theta
+     * into a radius r, plot the polar curve r = func(theta) for all theta in
+     * `thetaRange`.
+     *
+     * Negative values of r are plotted on the opposite side of the origin, so
+     * e.g. r = -1 at theta = 0 is the point (-1, 0).
+     * 
+     * @param  {Object}   params      Line parameters, @see _renderLine
+     * @param  {Function} func        A JS function giving the radius at theta
+     * @param  {Array}    thetaRange  The range of theta over which to draw
+     *                                the curve
+     */
+    plotPolar(params, func, thetaRange) {
+        let funcX = (theta => func(theta) * Math.cos(theta));
+        let funcY = (theta => func(theta) * Math.sin(theta));
+
+        this.plotParametric(params, funcX, funcY, thetaRange);
     }
 
     /**
-     * Given a (JavaScript) function `func`, which will convert an x coordinate
-     * into the appropriate y coordinate for a (mathematical) function, plot
-     * the curve of said mathematical function.
+     * Given a (JavaScript) function `func` of two arguments x and y, plot the
+     * curve func(x, y) = 0 across the draw region.
+     *
+     * The curve is traced using marching squares: `func` is sampled on a grid
+     * of IMPLICIT_CELL_SIZE pixel cells, and wherever its sign changes along
+     * the edge of a cell, a segment of the curve is drawn between the
+     * (linearly interpolated) crossing points.
+     * 
+     * If `mask` is provided, only the parts of the curve for which
+     * mask(x, y) is true will be drawn.
      * 
      * @param  {Object}   params  Line parameters, @see _renderLine
-     * @param  {Function} func    A JS function describing the curve to be
-     *                            plotted
-     * @param  {Array}    domain  (Optional) The domain in which to draw the
-     *                            function
+     * @param  {Function} func    A JS function of x and y whose zero set is
+     *                            to be plotted
+     * @param  {Function} mask    (Optional) A JS function of x and y, true
+     *                            where the curve may be drawn
      */
-    plotFunction(params, func, domain) {
-        //the distance in graph coords equal to a pixel, inverse of scale.x
-        let drawStep = 1 / this.scale.x;
-
-        if(typeof domain == "undefined") {
-            domain = [this.drawRegion.left, this.drawRegion.right];
+    plotImplicit(params, func, mask) {
+        let columns = Math.ceil(this.drawRegion.width * this.scale.x / IMPLICIT_CELL_SIZE);
+        let rows = Math.ceil(this.drawRegion.height * -this.scale.y / IMPLICIT_CELL_SIZE);
+        let cellWidth = this.drawRegion.width / columns;
+        let cellHeight = this.drawRegion.height / rows;
+
+        let xAt = (i => this.drawRegion.left + i * cellWidth);
+        let yAt = (j => this.drawRegion.bottom + j * cellHeight);
+
+        //sample every corner of the grid once
+        let values = [];
+        for(let i = 0; i <= columns; i++) {
+            values.push([]);
+            for(let j = 0; j <= rows; j++) {
+                values[i].push(func(xAt(i), yAt(j)));
+            }
         }
 
+        //the point at which the curve crosses between two corners, found by
+        //linear interpolation
+        let crossing = function(x0, y0, v0, x1, y1, v1) {
+            let ratio = v0 / (v0 - v1);
+            return [x0 + ratio * (x1 - x0), y0 + ratio * (y1 - y0)];
+        };
+
         this.context.save();
             //move (0,0) to graph centre;
             this.context.translate(this.center.x, this.center.y)
@@ -879,47 +2805,57 @@ class MathPlot extends HTMLElement {
             this.context.scale(this.scale.x, this.scale.y);
             
             this.context.beginPath();
-            this.context.moveTo(domain[0], func(domain[0]));
-            
-            let prevY = func(domain[0]);
-            for(var x = domain[0]; x <= domain[1]; x += drawStep) {
-                let curY = func(x);
-
-                if(Math.abs(curY-prevY) > this.drawRegion.height) {
-                    //if the difference between the y values of two points is
-                    //greater than the entire draw region, assume it's a
-                    //discontinuity and move to, rather than draw a line to,
-                    //the next point.
-                    this.context.moveTo(x, curY);
-                } else if(curY >= this.drawRegion.top) {
-                    //if the line is going to be drawn past drawRegion.top,
-                    //clip it
-                    //if the previous one was also past the top, skip entirely
-                    //so you don't get a horizontal line at drawRegion.top
-                    if(prevY < this.drawRegion.top) {
-                        this.context.lineTo(x, this.drawRegion.top);
-                    } else {
-                        this.context.moveTo(x, curY);
+
+            for(let i = 0; i < columns; i++) {
+                for(let j = 0; j < rows; j++) {
+                    let [x0, x1] = [xAt(i), xAt(i + 1)];
+                    let [y0, y1] = [yAt(j), yAt(j + 1)];
+                    let bl = values[i][j];
+                    let br = values[i + 1][j];
+                    let tr = values[i + 1][j + 1];
+                    let tl = values[i][j + 1];
+
+                    if(![bl, br, tr, tl].every(Number.isFinite)) {
+                        continue;
                     }
-                } else {
-                    this.context.lineTo(x, curY);
-                }
 
-                prevY = curY;
-            }
+                    //the crossing points on each edge of the cell, if any
+                    let edges = {
+                        bottom: (bl > 0) !== (br > 0) ? crossing(x0, y0, bl, x1, y0, br) : null,
+                        right: (br > 0) !== (tr > 0) ? crossing(x1, y0, br, x1, y1, tr) : null,
+                        top: (tl > 0) !== (tr > 0) ? crossing(x0, y1, tl, x1, y1, tr) : null,
+                        left: (bl > 0) !== (tl > 0) ? crossing(x0, y0, bl, x0, y1, tl) : null
+                    };
+
+                    let points = [edges.bottom, edges.right, edges.top, edges.left]
+                        .filter(point => point !== null);
+
+                    let segments = [];
+                    if(points.length === 2) {
+                        segments.push(points);
+                    } else if(points.length === 4) {
+                        //a saddle: decide which corners are joined using the
+                        //value at the centre of the cell
+                        let centre = func((x0 + x1) / 2, (y0 + y1) / 2);
+
+                        if((centre > 0) === (bl > 0)) {
+                            segments.push([edges.bottom, edges.right]);
+                            segments.push([edges.top, edges.left]);
+                        } else {
+                            segments.push([edges.bottom, edges.left]);
+                            segments.push([edges.top, edges.right]);
+                        }
+                    }
+
+                    segments.forEach(([a, b]) => {
+                        if(typeof mask !== "undefined" &&
+                                !mask((a[0] + b[0]) / 2, (a[1] + b[1]) / 2)) {
+                            return;
+                        }
 
-            // Draw a line to the right end of the domain. If the gradient of
-            // a function near the right end of the domain is very large, even
-            // one drawStep's distance can leave a visible gap. This resolves
-            // it.
-            // The logic here is the same as above, rewritten to skip the bits
-            // which aren't relevant to the final point in the domain.
-            let curY = func(domain[1]);
-            if(Math.abs(curY-prevY) <= this.drawRegion.height) {
-                if(curY < this.drawRegion.top) {
-                    this.context.lineTo(domain[1], curY);
-                } else if(prevY < this.drawRegion.top) {
-                    this.context.lineTo(domain[1], this.drawRegion.top);
+                        this.context.moveTo(a[0], a[1]);
+                        this.context.lineTo(b[0], b[1]);
+                    });
                 }
             }
 
@@ -928,6 +2864,73 @@ class MathPlot extends HTMLElement {
         this._renderLine(params);
     }
 
+    /**
+     * Given an array of `inequalities` in x and y, as returned by
+     * _parseInequalities(), fill the region in which all are satisfied, then
+     * draw the part of each inequality's boundary which borders the region.
+     *
+     * Boundaries of strict inequalities are dashed, others are solid.
+     *
+     * @see  _parseInequalities
+     * @param  {Object} params       Line/fill parameters, @see _renderLine
+     * @param  {Array}  inequalities The inequalities describing the region
+     */
+    plotRegion(params, inequalities) {
+        //the distance in graph coords equal to a pixel
+        let drawStepX = 1 / this.scale.x;
+        let drawStepY = -1 / this.scale.y;
+
+        //does (x, y) satisfy every inequality, other than the one at index
+        //`skip`? if `inclusive`, treat strict inequalities as non-strict
+        let satisfies = (x, y, skip=null, inclusive=false) =>
+            inequalities.every(function(ineq, i) {
+                if(i === skip) {
+                    return true;
+                }
+
+                let value = ineq.sense * ineq.func(x, y);
+                return (ineq.strict && !inclusive) ? value > 0 : value >= 0;
+            });
+
+        this.context.save();
+            //move (0,0) to graph centre;
+            this.context.translate(this.center.x, this.center.y)
+            //change scale from pixels to graph units, and invert y axis
+            this.context.scale(this.scale.x, this.scale.y);
+
+            this.context.beginPath();
+
+            //fill each pixel column as a series of rectangles, one for each
+            //vertical run of points in the region. the rectangles are a pixel
+            //wider than the columns, so no seams show between them
+            for(let x = this.drawRegion.left; x <= this.drawRegion.right; x += drawStepX) {
+                let runStart = null;
+
+                for(let y = this.drawRegion.bottom; y <= this.drawRegion.top + drawStepY; y += drawStepY) {
+                    let inRegion = y <= this.drawRegion.top && satisfies(x, y);
+
+                    if(inRegion && runStart === null) {
+                        runStart = y;
+                    } else if(!inRegion && runStart !== null) {
+                        this.context.rect(x - drawStepX / 2, runStart - drawStepY / 2,
+                            drawStepX * 2, y - runStart);
+                        runStart = null;
+                    }
+                }
+            }
+
+        this.context.restore();
+        this._renderFill(params);
+
+        inequalities.forEach((ineq, i) => {
+            let lineParams = Object.assign({}, params,
+                {lineDash: ineq.strict ? [10, 5] : []});
+            let mask = ((x, y) => satisfies(x, y, i, true));
+
+            this.plotImplicit(lineParams, ineq.func, mask);
+        });
+    }
+
     /**
      * Given an x intercept `x`, plot a vertical line running from top to
      * bottom of the graph.
@@ -993,30 +2996,88 @@ class MathPlot extends HTMLElement {
         this._renderLine(params);
 
         if(label !== null) {
-            let midPoint = [
-                (pointA[0] + pointB[0]) / 2,
-                (pointA[1] + pointB[1]) / 2
+            this._renderLineSegmentLabel(params, pointA, pointB, label);
+        }
+    }
+
+    /**
+     * Write `label` beside the midpoint of the line segment between `pointA`
+     * and `pointB`, on whichever side best suits its slope.
+     *
+     * @see  plotLineSegment()
+     * @param  {Object} params Line parameters, @see _renderLine
+     * @param  {Array}  pointA One end of the line segment
+     * @param  {Array}  pointB The other end of the line segment
+     * @param  {String} label  The text label
+     */
+    _renderLineSegmentLabel(params, pointA, pointB, label) {
+        let midPoint = [
+            (pointA[0] + pointB[0]) / 2,
+            (pointA[1] + pointB[1]) / 2
+        ];
+
+        let rise = pointB[1] - pointA[1];
+        let run = pointB[0] - pointA[0];
+
+        //make a best guess for where the label should go based on the
+        //slope of the line segment
+        let pos = null;
+        if(run === 0 || (rise / run) > 10) {
+            pos = {left: midPoint[0], centerY: midPoint[1]};
+        } else if(rise / run > 1) {
+            pos = {left: midPoint[0], top: midPoint[1]};
+        } else if(rise / run > 0.1) {
+            pos = {right: midPoint[0], bottom: midPoint[1]};
+        } else if(rise / run > -0.1) {
+            pos = {centerX: midPoint[0], bottom: midPoint[1]};
+        } else {
+            pos = {left: midPoint[0], bottom: midPoint[1]};
+        }
+
+        this._renderText(params, label, pos);
+    }
+
+    /**
+     * Plot the straight line with slope `slope` through `point`, e.g. a
+     * tangent.
+     *
+     * If `length` is null, the line runs across the whole graph. Otherwise
+     * it is a line segment of `length` units, centred on `point`. If
+     * `label` !== null, it is written beside `point`, as for a line segment.
+     *
+     * @see  plotLineSegment()
+     * @param  {Object} params Line parameters, @see _renderLine
+     * @param  {Array}  point  The point [x, y] on the line
+     * @param  {Number} slope  The slope of the line, infinite if vertical
+     * @param  {Number} length (Optional) The length of the line segment
+     * @param  {String} label  (Optional) A text label for the line
+     */
+    plotLineThroughPoint(params, point, slope, length=null, label=null) {
+        //a unit vector along the line
+        let direction = Number.isFinite(slope) ?
+            [1 / Math.hypot(1, slope), slope / Math.hypot(1, slope)] : [0, 1];
+        let along = (distance => [
+            point[0] + distance * direction[0],
+            point[1] + distance * direction[1]
+        ]);
+
+        let ends = null;
+        if(length !== null) {
+            ends = [along(-length / 2), along(length / 2)];
+        } else if(Number.isFinite(slope)) {
+            ends = [this.drawRegion.left, this.drawRegion.right].map(
+                x => [x, point[1] + slope * (x - point[0])]);
+        } else {
+            ends = [
+                [point[0], this.drawRegion.bottom],
+                [point[0], this.drawRegion.top]
             ];
+        }
 
-            let rise = pointB[1] - pointA[1];
-            let run = pointB[0] - pointA[0];
-
-            //make a best guess for where the label should go based on the
-            //slope of the line segment
-            let pos = null;
-            if(run === 0 || (rise / run) > 10) {
-                pos = {left: midPoint[0], centerY: midPoint[1]};
-            } else if(rise / run > 1) {
-                pos = {left: midPoint[0], top: midPoint[1]};
-            } else if(rise / run > 0.1) {
-                pos = {right: midPoint[0], bottom: midPoint[1]};
-            } else if(rise / run > -0.1) {
-                pos = {centerX: midPoint[0], bottom: midPoint[1]};
-            } else {
-                pos = {left: midPoint[0], bottom: midPoint[1]};
-            }
+        this.plotLineSegment(params, ends[0], ends[1], null);
 
-            this._renderText(params, label, pos);
+        if(label !== null) {
+            this._renderLineSegmentLabel(params, along(-1), along(1), label);
         }
     }
 
@@ -1026,13 +3087,17 @@ class MathPlot extends HTMLElement {
      * The label is just positioned below and to the right of the point,
      * there's no collision logic. If more precision is needed, use the
      * <math-plot-text> element to label.
+     *
+     * If `hollow`, the point is drawn as an outlined circle rather than a
+     * filled one, e.g. to mark the open end of an interval.
      * 
-     * @param  {Object} params Point/label parameters, @see _renderLine
-     * @param  {Array}  pos    The position of the point being plotted
-     * @param  {Int}    radius The radius, in pixels, of the point
-     * @param  {String} label  (Optional) A text label for the point
+     * @param  {Object}  params Point/label parameters, @see _renderLine
+     * @param  {Array}   pos    The position of the point being plotted
+     * @param  {Int}     radius The radius, in pixels, of the point
+     * @param  {String}  label  (Optional) A text label for the point
+     * @param  {Boolean} hollow (Optional) Draw the point hollow
      */
-    plotPoint(params, pos, radius, label) {
+    plotPoint(params, pos, radius, label, hollow=false) {
         // Can't transform canvas because if x and y scales aren't the same the
         // point will be deformed. Instead, calculate point position in canvas
         // coordinates.
@@ -1043,10 +3108,20 @@ class MathPlot extends HTMLElement {
         this.context.beginPath();
         this.context.arc(xPosCanvasCoords, yPosCanvasCoords, radius, 0,
                          2*Math.PI);
-        this.context.fillStyle = parms.color;
-        this.context.fill();
 
-        if(label !== null) {
+        if(hollow) {
+            this.context.fillStyle = HOLLOW_POINT_FILL;
+            this.context.fill();
+            this.context.lineWidth = 1.5;
+            this.context.strokeStyle = parms.color;
+            this.context.setLineDash([]);
+            this.context.stroke();
+        } else {
+            this.context.fillStyle = parms.color;
+            this.context.fill();
+        }
+
+        if(typeof label !== "undefined" && label !== null) {
             let positionPixels = {left: pos[0], top: pos[1]};
             let positionCanvas = {left: pos[0]*this.scale.x + this.center.x,
                                   top: pos[1]*this.scale.y + this.center.y};
@@ -1109,6 +3184,9 @@ class MathPlot extends HTMLElement {
      * (mathematical) function, floodfill the area between those two functions
      * within the `domain`.
      *
+     * Each bound is sampled adaptively, @see _sampleFunction(), and clipped
+     * to the top and bottom of the drawRegion, @see _clipRun().
+     *
      * If `label` !== null, write the label as well.
      * 
      * @param  {Object}   params  Line parameters, @see _renderLine
@@ -1121,13 +3199,24 @@ class MathPlot extends HTMLElement {
      * @param  {String}   label   (Optional) A text label for the line segment
      */
     plotFloodfill(params, func1, func2, domain, label) {
-        //the distance in graph coords equal to a pixel, inverse of scale.x
-        let drawStep = 1 / this.scale.x;
-
         if(typeof domain === "undefined" || domain === null) {
             domain = [this.drawRegion.left, this.drawRegion.right];
         }
 
+        //each bound, sampled adaptively and clipped to the drawRegion, with
+        //any points at which it's undefined left out
+        let [bound1, bound2] = [func1, func2].map(func =>
+            this._sampleFunction(func, domain, x => null)
+                .flatMap(run => this._clipRun(func, run))
+                .map(point => [point.x, point.y]));
+
+        // used to plot the label, if there is one
+        let poly = bound1.concat(bound2.reverse());
+
+        if(poly.length === 0) {
+            return;
+        }
+
         this.context.save();
             //move (0,0) to graph centre;
             this.context.translate(this.center.x, this.center.y)
@@ -1136,26 +3225,7 @@ class MathPlot extends HTMLElement {
             
             this.context.beginPath();
 
-            this.context.moveTo(domain[0], func1(domain[0]));
-            // used to plot the label, if there is one
-            let poly = [[domain[0], func1(domain[0])]];
-
-            // clip a y value to ensure it stays within the drawRegion
-            const clipY = (y) => Math.max(Math.min(y, this.drawRegion.top), this.drawRegion.bottom);
-            
-            for(var x = domain[0]; x <= domain[1]; x += drawStep) {
-                let y = clipY(func1(x));
-
-                this.context.lineTo(x, y);
-                poly.push([x, y]);
-            }
-
-            for(var x = domain[1]; x >= domain[0]; x -= drawStep) {
-                let y = clipY(func2(x));
-
-                this.context.lineTo(x, y);
-                poly.push([x, y]);
-            }
+            poly.forEach(point => this.context.lineTo(point[0], point[1]));
 
             this.context.closePath();
             // The polygon array needs to be a closed loop, so add the first
@@ -1173,6 +3243,86 @@ class MathPlot extends HTMLElement {
         }
     }
 
+    /**
+     * Given the `shapes` of a Riemann sum, as returned by
+     * _getRiemannShapes(), fill and outline each rectangle or trapezoid.
+     *
+     * Parts of shapes above the x axis are filled with params.fillColor, and
+     * parts below it, which count negatively towards the sum, with
+     * params.negativeFillColor. If `label` !== null, it is written above the
+     * shapes.
+     *
+     * @see  _getRiemannShapes()
+     * @param  {Object} params Line/fill parameters, @see _renderLine
+     * @param  {Array}  shapes The shapes of the Riemann sum
+     * @param  {String} label  (Optional) A text label for the sum
+     */
+    plotRiemann(params, shapes, label=null) {
+        let parms = Object.assign({}, DEFAULT_PLOT_PARAMETERS, params);
+
+        // clip a y value to ensure it stays within the drawRegion
+        const clipY = (y) => Math.max(Math.min(y, this.drawRegion.top), this.drawRegion.bottom);
+
+        // add a polygon, clipped to the drawRegion, to the current path
+        const trace = (points) => {
+            let clipped = clipPolygon(points, this.drawRegion.bottom, this.drawRegion.top);
+
+            clipped.forEach(([x, y], i) => i === 0 ?
+                this.context.moveTo(x, y) : this.context.lineTo(x, y));
+            this.context.closePath();
+        };
+
+        //fill the parts of each shape above, then below, the x axis
+        [1, -1].forEach(function(sign) {
+            //clip a height to this side of the axis
+            const side = (y => sign > 0 ? Math.max(y, 0) : Math.min(y, 0));
+
+            this.context.save();
+                this.context.translate(this.center.x, this.center.y);
+                this.context.scale(this.scale.x, this.scale.y);
+
+                this.context.beginPath();
+                shapes.forEach(function({left, right, heights}) {
+                    let [a, b] = heights;
+                    let points = [[left, 0], [left, side(a)]];
+
+                    //a trapezoid may cross the axis
+                    if(a * b < 0) {
+                        points.push([left + (right - left) * a / (a - b), 0]);
+                    }
+                    points.push([right, side(b)], [right, 0]);
+
+                    trace(points);
+                }, this);
+            this.context.restore();
+
+            this._renderFill(sign > 0 ?
+                params : Object.assign({}, params, {fillColor: parms.negativeFillColor}));
+        }, this);
+
+        this.context.save();
+            this.context.translate(this.center.x, this.center.y);
+            this.context.scale(this.scale.x, this.scale.y);
+
+            this.context.beginPath();
+            shapes.forEach(function({left, right, heights}) {
+                trace([[left, 0], [left, heights[0]], [right, heights[1]], [right, 0]]);
+            }, this);
+        this.context.restore();
+
+        this._renderLine(params);
+
+        if(label !== null) {
+            let top = Math.max(0, ...shapes.map(shape => clipY(Math.max(...shape.heights))));
+            let pos = {
+                centerX: (shapes[0].left + shapes[shapes.length - 1].right) / 2,
+                bottom: top
+            };
+
+            this._renderText(params, label, pos);
+        }
+    }
+
     /**
      * Called by the various _plot* functions, sets context attributes to
      * either their defaults (defined in DEFAULT_PLOT_PARAMETERS) or their
@@ -1359,6 +3509,150 @@ class MathPlotFloodfill extends HTMLElement {
 }
 
 
+/**
+ * Defines a parametric curve to be plotted on the MathPlot canvas.
+ * @see  MathPlotFunction
+ */
+class MathPlotParametric extends HTMLElement {
+    /**
+     * @constructs
+     */
+    constructor() {
+        super();
+    }
+}
+
+
+/**
+ * Defines a polar curve to be plotted on the MathPlot canvas.
+ * @see  MathPlotFunction
+ */
+class MathPlotPolar extends HTMLElement {
+    /**
+     * @constructs
+     */
+    constructor() {
+        super();
+    }
+}
+
+
+/**
+ * Defines an implicitly-defined curve to be plotted on the MathPlot canvas.
+ * @see  MathPlotFunction
+ */
+class MathPlotImplicit extends HTMLElement {
+    /**
+     * @constructs
+     */
+    constructor() {
+        super();
+    }
+}
+
+
+/**
+ * Defines a region, bounded by inequalities, to be filled on the MathPlot
+ * canvas.
+ * @see  MathPlotFunction
+ */
+class MathPlotRegion extends HTMLElement {
+    /**
+     * @constructs
+     */
+    constructor() {
+        super();
+    }
+}
+
+
+/**
+ * Defines the tangent to a function, to be plotted on the MathPlot canvas.
+ * @see  MathPlotFunction
+ */
+class MathPlotTangent extends HTMLElement {
+    /**
+     * @constructs
+     */
+    constructor() {
+        super();
+    }
+}
+
+
+/**
+ * Defines the normal to a function, to be plotted on the MathPlot canvas.
+ * @see  MathPlotFunction
+ */
+class MathPlotNormal extends HTMLElement {
+    /**
+     * @constructs
+     */
+    constructor() {
+        super();
+    }
+}
+
+
+/**
+ * Defines a secant of a function, to be plotted on the MathPlot canvas.
+ * @see  MathPlotFunction
+ */
+class MathPlotSecant extends HTMLElement {
+    /**
+     * @constructs
+     */
+    constructor() {
+        super();
+    }
+}
+
+
+/**
+ * Defines the rectangles of a Riemann sum of a function, to be plotted on
+ * the MathPlot canvas.
+ * @see  MathPlotFunction
+ */
+class MathPlotRiemann extends HTMLElement {
+    /**
+     * @constructs
+     */
+    constructor() {
+        super();
+    }
+}
+
+
+/**
+ * Defines the points at which two curves intersect, to be marked on the
+ * MathPlot canvas.
+ * @see  MathPlotFunction
+ */
+class MathPlotIntersections extends HTMLElement {
+    /**
+     * @constructs
+     */
+    constructor() {
+        super();
+    }
+}
+
+
+/**
+ * Declares a named parameter, whose value can be referenced by the rules of
+ * the other elements on the MathPlot canvas.
+ * @see  MathPlotFunction
+ */
+class MathPlotParameter extends HTMLElement {
+    /**
+     * @constructs
+     */
+    constructor() {
+        super();
+    }
+}
+
+
 customElements.define(TAGNAME, MathPlot);
 customElements.define(TAGNAME + '-function', MathPlotFunction);
 customElements.define(TAGNAME + '-line', MathPlotLine);
@@ -1367,3 +3661,15 @@ customElements.define(TAGNAME + '-asymptote', MathPlotAsymptote);
 customElements.define(TAGNAME + '-point', MathPlotPoint);
 customElements.define(TAGNAME + '-text', MathPlotText);
 customElements.define(TAGNAME + '-floodfill', MathPlotFloodfill);
+customElements.define(TAGNAME + '-parametric', MathPlotParametric);
+customElements.define(TAGNAME + '-polar', MathPlotPolar);
+customElements.define(TAGNAME + '-implicit', MathPlotImplicit);
+customElements.define(TAGNAME + '-region', MathPlotRegion);
+customElements.define(TAGNAME + '-parameter', MathPlotParameter);
+customElements.define(TAGNAME + '-tangent', MathPlotTangent);
+customElements.define(TAGNAME + '-normal', MathPlotNormal);
+customElements.define(TAGNAME + '-secant', MathPlotSecant);
+customElements.define(TAGNAME + '-riemann', MathPlotRiemann);
+customElements.define(TAGNAME + '-intersections', MathPlotIntersections);
+
+export default MathPlot;
@@ -1,19 +1,699 @@
 import {Rational, RationalTuple} from './rational.js';
+import parseInfix from './infix.js';
+import {InfixSerializer, LatexSerializer, PresentationSerializer} from './serialize.js';
+import Differentiator from './derivative.js';
+import Simplifier from './simplify.js';
+import integrate from './integrate.js';
+import Interval from './interval.js';
+
+// Alternative spellings of <ci> names, which are treated as identical to the
+// name they map to
+const CI_ALIASES = {
+    'θ': 'theta',
+};
+
+// The key under which evaluating a <piecewise> records, in the scope object,
+// which of its pieces was used. @see MathML.branch
+const BRANCH = Symbol('branch');
+
+// The <apply> actions which take a bound variable, given in a <bvar>
+const BOUND_ACTIONS = ['int', 'diff', 'sum', 'product'];
+
+// The most terms a <sum/> or <product/> will add up before giving up, and
+// evaluating to NaN
+const MAX_TERMS = 100000;
+
+// The functions, and symbols, which compiled MathML may refer to by name,
+// @see MathML._parseNodeToFunction()
+const RUNTIME = {BRANCH: BRANCH, factorial: factorial, gcd: gcd, lcm: lcm,
+                 integral: integral, series: series};
+
+// The number of random points at which equivalent() compares two MathML
+// strings which don't simplify to the same thing, the range each identifier
+// is chosen from, the relative difference allowed between their values, and
+// the seed the points are generated from, so that each call compares the
+// same points
+const EQUIVALENCE_SAMPLES = 32;
+const EQUIVALENCE_RANGE = [-10, 10];
+const EQUIVALENCE_TOLERANCE = 1e-9;
+const EQUIVALENCE_SEED = 0x2545f491;
+
+// When bounding an integral with an Interval, the number of equal pieces its
+// range is first split into, the number of times each piece may then be
+// halved, the number where the integrand may jump (only one half of such a
+// piece still can, so each costs little), and the width of the bounds aimed
+// for, shared between the pieces in proportion to their widths: @see
+// integralInterval()
+const INTEGRAL_PIECES = 16;
+const INTEGRAL_DEPTH = 4;
+const INTEGRAL_JUMP_DEPTH = 24;
+const INTEGRAL_TOLERANCE = 1e-4;
+
+// The most bounds on squares of its grids, @see integralInterval(), which
+// each <int/> remembers: plotting bounds integrals over overlapping ranges
+const INTEGRAL_CACHE_SIZE = 4096;
+
+// The relative error allowed for in the Lanczos approximation used by
+// factorial(), when bounding it with an Interval
+const FACTORIAL_TOLERANCE = 1e-13;
+
+// The point at which x! is least for x > -1, and its value there
+const FACTORIAL_MINIMUM = {x: 0.46163214496836234, y: 0.8856031944108887};
+
+// The most characters of MathML quoted in a MathMLError, @see MathMLError
+const SNIPPET_LENGTH = 80;
+
+// The namespace of MathML elements, which may be given either as the default
+// namespace, e.g. <math xmlns="...">, or with a prefix, e.g. <m:apply>
+const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+
+// The encodings of an <annotation-xml> which mark it as containing content
+// MathML, @see normalize()
+const CONTENT_ENCODINGS = ['mathml-content', 'application/mathml-content+xml'];
 
 /**
- * Assert that `condition` is true. If it is not, raise an error with
+ * Assert that `condition` is true. If it is not, raise a MathMLError with
  * message `message`.
  * 
  * @param  {Boolean} condition The condition being asserted
  * @param  {String} message    The error string to be raised if condition
  *                             is false
+ * @param  {String} code       (Optional) The kind of error, @see
+ *                             MathMLError, defaults to 'invalid'
  */
-function assert(condition, message) {
+function assert(condition, message, code='invalid') {
     if(!condition) {
-        throw new Error(message);
+        throw new MathMLError(message, code);
+    }
+}
+
+/**
+ * Find the greatest common divisor of two integers `a` and `b`. Returns NaN
+ * if either is not an integer.
+ *
+ * @param  {Number} a An integer
+ * @param  {Number} b An integer
+ * @return {Number}   The GCD of `a` and `b`
+ */
+function gcd(a, b) {
+    if(!Number.isInteger(a) || !Number.isInteger(b)) {
+        return NaN;
+    }
+
+    [a, b] = [Math.abs(a), Math.abs(b)];
+    while(b) {
+        [a, b] = [b, a % b];
+    }
+
+    return a;
+}
+
+/**
+ * Find the lowest common multiple of two integers `a` and `b`. Returns NaN
+ * if either is not an integer.
+ *
+ * @param  {Number} a An integer
+ * @param  {Number} b An integer
+ * @return {Number}   The LCM of `a` and `b`
+ */
+function lcm(a, b) {
+    if(a === 0 || b === 0) {
+        return 0;
+    }
+
+    return Math.abs(a * b) / gcd(a, b);
+}
+
+/**
+ * Find the factorial of `n`. For non-integers, the factorial is extended
+ * using the gamma function, n! = Γ(n + 1), calculated with the Lanczos
+ * approximation.
+ *
+ * @param  {Number} n The number whose factorial is to be found
+ * @return {Number}   n!
+ */
+function factorial(n) {
+    if(Number.isInteger(n)) {
+        if(n < 0) {
+            return NaN;
+        }
+
+        let result = 1;
+        for(let i = 2; i <= n; i++) {
+            result *= i;
+        }
+
+        return result;
+    }
+
+    const LANCZOS_G = 7;
+    const LANCZOS_COEFFICIENTS = [
+        0.99999999999980993, 676.5203681218851, -1259.1392167224028,
+        771.32342877765313, -176.61502916214059, 12.507343278686905,
+        -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+    ];
+
+    //reflection formula, since the approximation only holds for n > -0.5
+    if(n < -0.5) {
+        return Math.PI / (Math.sin(Math.PI * (n + 1)) * factorial(-n - 1));
+    }
+
+    let sum = LANCZOS_COEFFICIENTS[0];
+    for(let i = 1; i < LANCZOS_G + 2; i++) {
+        sum += LANCZOS_COEFFICIENTS[i] / (n + i);
+    }
+
+    let t = n + LANCZOS_G + 0.5;
+    return Math.sqrt(2 * Math.PI) * t ** (n + 0.5) * Math.exp(-t) * sum;
+}
+
+
+/**
+ * Given an Interval `n`, return an Interval bounding n! across it, @see
+ * factorial(). It's undefined at the negative integers.
+ *
+ * @param  {Interval} n The Interval whose factorial is to be found
+ * @return {Interval}   n!
+ */
+function factorialInterval(n) {
+    let parts = [];
+
+    //above -1, x! has a single minimum, either side of which it's monotone...
+    if(n.hi > -1) {
+        let [lo, hi] = [Math.max(n.lo, -1), n.hi];
+        let [a, b] = [lo, hi].map(x => x === -1 || x === Infinity ? Infinity : factorial(x));
+        let bounds = hi < FACTORIAL_MINIMUM.x ? [b, a] :
+            lo > FACTORIAL_MINIMUM.x ? [a, b] : [FACTORIAL_MINIMUM.y, Math.max(a, b)];
+
+        parts.push(new Interval(...bounds, lo > -1).widen(0, FACTORIAL_TOLERANCE));
+    }
+
+    //...and below, it's found by the reflection formula, as in factorial()
+    if(n.lo < -1) {
+        let [x, one, pi] = [new Interval(n.lo, Math.min(n.hi, -1)), new Interval(1),
+                            Interval.rounded(Math.PI)];
+
+        parts.push(pi.divide(pi.times(x.plus(one)).sin()
+            .times(factorialInterval(x.negate().minus(one)))));
+    }
+
+    let hull = Interval.hull(parts);
+    return new Interval(hull.lo, hull.hi, hull.defined && n.defined,
+        hull.continuous && n.continuous);
+}
+
+/**
+ * Return a generator of pseudo-random numbers in [0, 1), seeded with the
+ * integer `seed` (the mulberry32 generator). Unlike Math.random(), the same
+ * seed always generates the same numbers.
+ *
+ * @param  {Number} seed The seed
+ * @return {Function}    The generator, taking no arguments
+ */
+function seededRandom(seed) {
+    return function() {
+        seed = (seed + 0x6d2b79f5) | 0;
+
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Compare the values of two MathML strings at the same point, @see
+ * MathML.equivalent(). Numbers agree if they're equal but for rounding error,
+ * and lists if each of their elements do. A number doesn't agree with an
+ * undefined value (NaN or infinite), but two undefined values are ignored.
+ *
+ * @param  {*} a The value of one
+ * @param  {*} b The value of the other
+ * @return {Boolean|null} Whether they agree, or null if both are undefined
+ */
+function agree(a, b) {
+    if(Array.isArray(a) && Array.isArray(b)) {
+        let elements = a.length === b.length ? a.map((element, i) => agree(element, b[i])) : [false];
+
+        return elements.includes(false) ? false : elements.includes(null) ? null : true;
+    } else if(typeof a !== typeof b || Array.isArray(a) || Array.isArray(b)) {
+        return false;
+    } else if(typeof a === 'boolean') {
+        return a === b;
+    } else if(!Number.isFinite(a) || !Number.isFinite(b)) {
+        return Number.isFinite(a) || Number.isFinite(b) ? false : null;
+    }
+
+    return Math.abs(a - b) <= EQUIVALENCE_TOLERANCE * Math.max(1, Math.abs(a), Math.abs(b));
+}
+
+/**
+ * Find the integral of `func` from `a` to `b`, @see integrate() from
+ * integrate.js, or NaN wherever it's undefined.
+ *
+ * @param  {Function} func The function to be integrated
+ * @param  {Number}   a    The lower limit
+ * @param  {Number}   b    The upper limit
+ * @return {Number}        The integral
+ */
+function integral(func, a, b) {
+    try {
+        return integrate(func, a, b);
+    } catch(e) {
+        //the integral is undefined
+        return NaN;
+    }
+}
+
+/**
+ * Return an Interval bounding the integral of a function from `a` to `b`,
+ * given `bounds`, a function of an Interval t returning an Interval bounding
+ * the integrand across it, and `derivatives`, a function of t returning
+ * Intervals bounding the integrand's first and second derivatives, or null
+ * if it can't be differentiated.
+ *
+ * The range is split into about INTEGRAL_PIECES pieces, on a grid whose
+ * spacing is a power of 2, and the integral across each bounded by the
+ * integrand's bounds across it, times its width. Where the integrand is
+ * twice continuously differentiable across a piece [l, r], it's also bounded
+ * by Taylor's theorem about a point m near the middle:
+ *     f(m) (r - l) + f'(m) ((r - m)^2 - (m - l)^2) / 2
+ *         + f''([l, r]) ((r - m)^3 + (m - l)^3) / 6
+ * which is far tighter across narrow pieces. A piece whose bounds are wider
+ * than its share of INTEGRAL_TOLERANCE is halved, up to INTEGRAL_DEPTH times,
+ * or INTEGRAL_JUMP_DEPTH where the integrand may jump, to narrow down where.
+ *
+ * Where the range covers only part of a square of the grid, its halves are
+ * bounded instead, and so on down to the smallest pieces, so that the range
+ * is covered by whole squares as far as possible. The bounds on each square
+ * are remembered in `cache`, under `key` and the square, so that integrals
+ * over overlapping ranges, as plotting finds, share them.
+ *
+ * The bounds hold despite rounding error. If the integrand is undefined
+ * anywhere in the range, so is the integral.
+ *
+ * @param  {Function} bounds      Bounds on the integrand across an Interval
+ * @param  {Function} derivatives Bounds on its derivatives across an
+ *                                Interval, as a pair, or null
+ * @param  {Number}   a           The lower limit
+ * @param  {Number}   b           The upper limit
+ * @param  {Map}      cache       The bounds remembered on squares of grids
+ * @param  {String}   key         Identifies the integrand in `cache`
+ * @return {Interval}             Bounds on the integral
+ */
+function integralInterval(bounds, derivatives, a, b, cache, key) {
+    let [lo, hi] = a <= b ? [a, b] : [b, a];
+    let spacing = 2 ** Math.ceil(Math.log2((hi - lo) / INTEGRAL_PIECES));
+
+    //bound the integral across [l, r], halved `level` times from a square of
+    //the grid, or return null where it's undefined
+    let piece = function(l, r, level) {
+        let span = new Interval(l, r);
+        let [left, right] = [new Interval(l), new Interval(r)];
+        let values = bounds(span);
+
+        if(!values.defined) {
+            return null;
+        }
+
+        let total = values.times(right.minus(left));
+        let tolerance = INTEGRAL_TOLERANCE * (r - l) / (spacing * INTEGRAL_PIECES);
+
+        if(total.hi - total.lo > tolerance && values.continuous && derivatives !== null) {
+            let [first, second] = derivatives(span);
+
+            if(first.continuous && second.continuous) {
+                //m is rounded, so isn't quite the middle of [l, r]
+                let m = new Interval((l + r) / 2);
+                let [below, above] = [m.minus(left), right.minus(m)];
+                let square = (x => x.times(x));
+
+                total = total.intersect(bounds(m).times(right.minus(left))
+                    .plus(derivatives(m)[0].times(square(above).minus(square(below)))
+                        .divide(new Interval(2)))
+                    .plus(second.times(square(above).times(above).plus(square(below).times(below)))
+                        .divide(new Interval(6))));
+            }
+        }
+
+        if(level < (values.continuous ? INTEGRAL_DEPTH : INTEGRAL_JUMP_DEPTH) &&
+                total.hi - total.lo > tolerance) {
+            let halves = [piece(l, (l + r) / 2, level + 1), piece((l + r) / 2, r, level + 1)];
+
+            return halves.includes(null) ? null : halves[0].plus(halves[1]);
+        }
+
+        return total;
+    };
+
+    //bound the integral across the part of the square [l, r] of the grid,
+    //halved `level` times, within the range, or return null where it's
+    //undefined
+    let cover = function(l, r, level) {
+        let square = [key, l, r].join();
+
+        if(l >= lo && r <= hi) {
+            if(!cache.has(square)) {
+                if(cache.size >= INTEGRAL_CACHE_SIZE) {
+                    cache.clear();
+                }
+
+                cache.set(square, piece(l, r, level));
+            }
+
+            return cache.get(square);
+        } else if(level === INTEGRAL_DEPTH) {
+            return piece(Math.max(l, lo), Math.min(r, hi), level);
+        }
+
+        let halves = [[l, (l + r) / 2], [(l + r) / 2, r]]
+            .filter(([start, end]) => start < hi && end > lo)
+            .map(([start, end]) => cover(start, end, level + 1));
+
+        return halves.includes(null) ? null :
+            halves.reduce((total, half) => total.plus(half));
+    };
+
+    if(!(hi > lo)) {
+        return new Interval(0);
+    }
+
+    let total = new Interval(0);
+
+    for(let i = Math.floor(lo / spacing); i < hi / spacing; i++) {
+        let part = cover(i * spacing, (i + 1) * spacing, 0);
+
+        if(part === null) {
+            return new Interval(-Infinity, Infinity, false);
+        }
+
+        total = total.plus(part);
+    }
+
+    //the integral is continuous in its limits, even if the integrand jumps
+    total = new Interval(total.lo, total.hi);
+
+    return a <= b ? total : total.negate();
+}
+
+/**
+ * Find the sum, or product, of `term(i)` over the integers i from `lower` to
+ * `upper`. Returns NaN if there are infinitely many, or more than MAX_TERMS.
+ *
+ * @param  {String}   action Either 'sum' or 'product'
+ * @param  {Function} term   The function giving each term
+ * @param  {Number}   lower  The low limit, which needn't be an integer
+ * @param  {Number}   upper  The high limit, which needn't be an integer
+ * @return {Number}          The sum or product
+ */
+function series(action, term, lower, upper) {
+    let [first, last] = [Math.ceil(lower), Math.floor(upper)];
+    let total = action === 'sum' ? 0 : 1;
+
+    if(!Number.isFinite(first) || !Number.isFinite(last) || last - first >= MAX_TERMS) {
+        return NaN;
+    }
+
+    for(let i = first; i <= last; i++) {
+        total = action === 'sum' ? total + term(i) : total * term(i);
+    }
+
+    return total;
+}
+
+/**
+ * Return a JavaScript expression for the number or boolean `value`, which can
+ * be used as an operand without further parentheses.
+ *
+ * @param  {Number|Boolean} value The value
+ * @return {String}               The expression
+ */
+function literal(value) {
+    if(Object.is(value, -0)) {
+        return '(-0)';
+    }
+
+    return value < 0 ? `(${value})` : String(value);
+}
+
+/**
+ * Return compiled MathML, @see MathML._compileNode(), for the constant
+ * `value`.
+ *
+ * @param  {Number|Boolean} value The value
+ * @return {Object}               The compiled expression
+ */
+function constant(value) {
+    return {source: literal(value), constant: true, value: value};
+}
+
+/**
+ * Given compiled MathML, @see MathML._compileNode(), evaluate it if it's
+ * constant (and hasn't been already), returning it as a literal.
+ *
+ * @param  {Object} code The compiled expression
+ * @return {Object}      The expression, evaluated if constant
+ */
+function fold(code) {
+    if(!code.constant || 'value' in code) {
+        return code;
+    }
+
+    return constant(evaluate(`return ${code.source};`));
+}
+
+/**
+ * Is `value` an object mapping identifiers to values, rather than the value
+ * of a single variable, when passed to MathML.exec()? Lists and Intervals
+ * are values.
+ *
+ * @param  {*} value The argument
+ * @return {Boolean} Whether it is a scope
+ */
+function isScope(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value) &&
+        !(value instanceof Interval);
+}
+
+/**
+ * Run the body of a JavaScript function, `source`, in which each of RUNTIME
+ * can be referred to by name, returning its result.
+ *
+ * @param  {String} source The function body
+ * @return {*}             Its return value
+ */
+function evaluate(source) {
+    return new Function(...Object.keys(RUNTIME), source)(...Object.values(RUNTIME));
+}
+
+/**
+ * Abbreviate the MathML (or infix) string `source` to at most SNIPPET_LENGTH
+ * characters, for quoting in an error.
+ *
+ * @param  {String} source The string
+ * @return {String}        Its start, with an ellipsis if anything was cut
+ */
+function snippet(source) {
+    source = source.trim().replace(/\s+/g, ' ');
+
+    return source.length > SNIPPET_LENGTH ? source.slice(0, SNIPPET_LENGTH - 1) + '…' : source;
+}
+
+/**
+ * Test whether `node` is a MathML element named `name`, either in the MathML
+ * namespace or in none.
+ *
+ * @param  {Node}    node Any DOM node
+ * @param  {String}  name The local name of the element
+ * @return {Boolean}      True if `node` is such an element
+ */
+function isMathMLElement(node, name) {
+    return node.nodeType === Node.ELEMENT_NODE && node.localName === name &&
+        [null, MATHML_NAMESPACE].includes(node.namespaceURI);
+}
+
+/**
+ * Tidy the MathML node `node`, and everything inside it, so that it can be
+ * read simply by its tagName and children, returning the node which takes its
+ * place (which is `node` itself unless it's replaced):
+ *  - comments and processing instructions are removed, as are text nodes
+ *    which are only whitespace, and the rest of the text is trimmed, e.g.
+ *    `<cn> 2 </cn>` becomes `<cn>2</cn>`
+ *  - MathML elements given a namespace prefix, e.g. <m:apply>, are replaced
+ *    by unprefixed ones. Elements in any other namespace are left as they
+ *    are, so are reported as unknown.
+ *  - a <semantics> is replaced by its content MathML, the contents of an
+ *    <annotation-xml> with encoding "MathML-Content" if it has one, or else
+ *    by its first child. Other annotations are ignored.
+ *
+ * @param  {Element} node A MathML node
+ * @return {Element}      The tidied node
+ */
+function normalize(node) {
+    if(node.prefix !== null && node.namespaceURI === MATHML_NAMESPACE) {
+        let unprefixed = node.ownerDocument.createElementNS(MATHML_NAMESPACE, node.localName);
+
+        Array.from(node.attributes).filter(attr => attr.prefix === null)
+            .forEach(attr => unprefixed.setAttribute(attr.name, attr.value));
+
+        while(node.firstChild !== null) {
+            unprefixed.appendChild(node.firstChild);
+        }
+
+        node.replaceWith(unprefixed);
+        node = unprefixed;
+    }
+
+    Array.from(node.childNodes).forEach(function(child) {
+        if(child.nodeType === Node.ELEMENT_NODE) {
+            normalize(child);
+        } else if(child.nodeType === Node.TEXT_NODE ||
+                child.nodeType === Node.CDATA_SECTION_NODE) {
+            let text = child.data.trim();
+
+            if(text === '') {
+                child.remove();
+            } else if(text !== child.data || child.nodeType === Node.CDATA_SECTION_NODE) {
+                child.replaceWith(node.ownerDocument.createTextNode(text));
+            }
+        } else {
+            child.remove();
+        }
+    });
+
+    if(isMathMLElement(node, 'semantics')) {
+        let content = Array.from(node.children).find(child =>
+            isMathMLElement(child, 'annotation-xml') &&
+            CONTENT_ENCODINGS.includes((child.getAttribute('encoding') || '').toLowerCase()));
+        let replacement = content === undefined ? node.firstElementChild : content.firstElementChild;
+
+        if(replacement === null) {
+            throw new MathMLError('<semantics> must contain an expression.', 'wrong-arity', node);
+        }
+
+        node.replaceWith(replacement);
+        node = replacement;
+    }
+
+    return node;
+}
+
+/**
+ * Parse the MathML, or infix, string `mathml` to an XML document, returning
+ * its root element, tidied, @see normalize(). The string may be a whole
+ * <math> element, in which case its contents are returned.
+ *
+ * @param  {String}  mathml A MathML string, or an infix expression
+ * @return {Element}        The root MathML node
+ */
+function parseDocument(mathml) {
+    //anything which isn't XML is taken to be an infix expression
+    if(mathml.trim()[0] !== '<') {
+        try {
+            mathml = parseInfix(mathml);
+        } catch(error) {
+            throw new MathMLError(error.message, 'invalid-infix').quote(mathml);
+        }
+    }
+
+    let doc = new DOMParser().parseFromString(mathml, 'text/xml');
+    let parserError = doc.getElementsByTagName('parsererror')[0];
+
+    //browsers don't throw on malformed XML, but return a document containing
+    //(or consisting of) a <parsererror> describing the problem
+    if(parserError !== undefined) {
+        let message = parserError.textContent.trim().split('\n')[0];
+
+        throw new MathMLError(`Malformed MathML: ${message}`, 'malformed-xml').quote(mathml);
     }
+
+    let root = normalize(doc.documentElement);
+
+    if(isMathMLElement(root, 'math')) {
+        if(root.childElementCount !== 1) {
+            throw new MathMLError('<math> must have 1 child.', 'wrong-arity', root);
+        }
+
+        root = root.firstElementChild;
+    }
+
+    return root;
 }
 
+class MathMLError extends Error {
+    /**
+     * @constructs
+     *
+     * An error in a MathML string, thrown when constructing a MathML object,
+     * or returned by MathML.validate(). Besides its message, it has:
+     *  - `code`, the kind of error, one of:
+     *    - 'malformed-xml', if the string isn't well-formed XML
+     *    - 'invalid-infix', if it's an infix expression which can't be parsed
+     *    - 'unknown-element', for an element, or <apply> action, which
+     *      isn't supported
+     *    - 'wrong-arity', for an element with the wrong number of children
+     *    - 'invalid-number', for a <cn> which doesn't contain a number
+     *    - 'unknown-identifier', for a <ci> given no value, @see
+     *      MathML.validate()
+     *    - 'invalid', for anything else, e.g. a missing <bvar>
+     *  - `node`, the element at fault (or null if there isn't one)
+     *  - `path`, the route to `node` from the root element, giving each
+     *    element's tag and its position among its parent's children, e.g.
+     *    'apply[0] > apply[2] > cn[1]' (or null)
+     *  - `snippet`, the start of the MathML of `node`, or of the string as
+     *    a whole if it couldn't be parsed (or null)
+     *
+     * @param  {String}  message The description of the error
+     * @param  {String}  code    (Optional) The kind of error, defaults to
+     *                           'invalid'
+     * @param  {Element} node    (Optional) The element at fault
+     */
+    constructor(message, code='invalid', node=null) {
+        super(message);
+
+        this.name = 'MathMLError';
+        this.code = code;
+        this.node = null;
+        this.path = null;
+        this.snippet = null;
+
+        if(node !== null) {
+            this.locate(node);
+        }
+    }
+
+    /**
+     * Record `node` as the element at fault, along with its path and MathML.
+     *
+     * @param  {Element}     node The element at fault
+     * @return {MathMLError}      This error
+     */
+    locate(node) {
+        let steps = [];
+
+        for(let step = node; step !== null; step = step.parentElement) {
+            let siblings = step.parentElement === null ? [step] : Array.from(step.parentElement.children);
+            steps.unshift(`${step.tagName}[${siblings.indexOf(step)}]`);
+        }
+
+        this.node = node;
+        this.path = steps.join(' > ');
+
+        return this.quote(new XMLSerializer().serializeToString(node));
+    }
+
+    /**
+     * Record the start of `source`, the MathML (or infix) string at fault.
+     *
+     * @param  {String}      source The string at fault
+     * @return {MathMLError}        This error
+     */
+    quote(source) {
+        this.snippet = snippet(source);
+
+        return this;
+    }
+}
 
 class MathML {
     /**
@@ -35,185 +715,1483 @@ class MathML {
      *     console.log(mathml.exec(2)); // => 6.283...
      *     let mathml2 = new MathML('<apply><times/><pi/><cn>2</cn></apply>');
      *     console.log(mathml2.rational.approx); // => 6.283...
+     *     let mathml3 = new MathML('<apply><cos/><ci>t</ci></apply>', ['t']);
+     *     console.log(mathml3.exec(0)); // => 1
+     *     let mathml4 = new MathML('<apply><times/><ci>a</ci><ci>x</ci></apply>');
+     *     console.log(mathml4.exec({a: 2, x: 3})); // => 6
+     *
+     * Note specifically:
+     *  - any <ci> identifier may be used in the MathML string, but every one
+     *    must be given a value when this.exec() is called, either in
+     *    `constants` or in the call itself.
+     *  - this.exec() is a function which will apply the described action. It
+     *    can either be called with one argument per variable, in the order
+     *    given in `variables`, or with a single object mapping identifiers
+     *    to values. e.g.:
+     *        <apply><power/><ci>x</ci><cn>2</cn></apply> will result in:
+     *        ((x) => x**2)
+     *  - MathML can be arbitrarily complex, but must have exactly one
+     *    root-level node. This may be a <math> element, in any namespace
+     *    prefix, and <semantics> wrappers are replaced by their content
+     *    MathML. @see normalize()
+     *  - instead of MathML, the string may be an infix expression such as
+     *    'x^2 - 3sin(2x)', which is converted to MathML. @see infix.js
+     *  - if the string is malformed, or describes something which can't be
+     *    evaluated, a MathMLError is thrown, recording where the problem
+     *    lies. @see MathML.validate() to find every problem at once.
+     * 
+     * NOTE: The actual function returned isn't as simple as suggested above,
+     *       although it has the same net effect. Internally, this._func()
+     *       takes a single `scope` object mapping each identifier to its
+     *       value, and this.exec() takes the variables as its parameters,
+     *       with the constants' values read in advance. Both are compiled to
+     *       JavaScript source, with constant subtrees evaluated in advance,
+     *       so are as quick to run as if written by hand, @see
+     *       _compileFunctions(). They're compiled with `new Function()`, so
+     *       pages must allow 'unsafe-eval' if they set a Content Security
+     *       Policy.
+     * 
+     * @param  {String}   mathml    A MathML <apply> node, or an infix
+     *                              expression
+     * @param  {Array}    variables (Optional) The names of the identifiers
+     *                              which are passed to exec() positionally,
+     *                              defaults to ['x']
+     * @param  {Object}   constants (Optional) Fixed values for any other
+     *                              identifiers, e.g. {a: 2}
+     */
+    constructor(mathml, variables=['x'], constants={}) {
+        this._variables = variables;
+        this._constants = constants;
+        this._identifiers = new Set();
+        this._bound = [];
+        this._hasPiecewise = false;
+        this._root = parseDocument(mathml);
+
+        let compiled = this._compileFunctions(this._root);
+        this._func = compiled.scoped;
+        this._exec = compiled.positional;
+
+        //only compiled if needed, @see execInterval()
+        this._intervalFunc = null;
+    }
+
+    /**
+     * Check the MathML string `mathml`, returning every problem found with
+     * it as an Array of MathMLErrors (empty if there are none), rather than
+     * throwing the first as the constructor does.
+     *
+     *     let problems = MathML.validate('<apply><sin/><cn>1.2.3</cn><ci>a</ci></apply>');
+     *     console.log(problems.map(problem => problem.code)); // => ['wrong-arity', 'invalid-number', 'unknown-identifier']
+     *     console.log(problems[1].path); // => 'apply[0] > cn[1]'
+     *
+     * Besides anything which would stop the string being evaluated, each
+     * <ci> is reported which is neither one of `variables` nor given a value
+     * in `constants` (nor bound by an enclosing <bvar>), so would need its
+     * value to be passed to exec().
+     *
+     * @param  {String} mathml    A MathML <apply> node, or an infix
+     *                            expression
+     * @param  {Array}  variables (Optional) The names of the identifiers
+     *                            which are passed to exec(), defaults to ['x']
+     * @param  {Object} constants (Optional) Fixed values for any other
+     *                            identifiers, e.g. {a: 2}
+     * @return {Array}            The problems found, in document order
+     */
+    static validate(mathml, variables=['x'], constants={}) {
+        let root;
+
+        try {
+            root = parseDocument(mathml);
+        } catch(error) {
+            if(error instanceof MathMLError) {
+                return [error];
+            }
+
+            throw error;
+        }
+
+        //the problems are collected by compiling the root as part of a
+        //valid MathML object, @see _compileNode()
+        let problems = [];
+        let validator = new MathML('<cn>0</cn>', variables, constants);
+        validator._compileNode(root, {free: new Map(), bound: new Map(), depth: 0,
+                                      recording: false, problems: problems});
+
+        //an <apply>'s arguments are checked before the <apply> itself
+        return problems.sort((a, b) => a.node === b.node ? 0 :
+            a.node.compareDocumentPosition(b.node) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+    }
+
+    /**
+     * Get the function performing the action described by the MathML string.
+     *
+     * Although phrased as a get (and it is one), because it returns a function
+     * it can be used to execute the MathML operation. So it can be used e.g.:
+     *
+     *     let mathml = new MathML('<apply><times/><pi/><ci>x</ci></apply>');
+     *     console.log(mathml.exec(2)); // => 6.283...
+     *     console.log(mathml.exec({x: 2})); // => 6.283...
+     * 
+     * @return {Function} The function described by the MathML string used to
+     *                    constuct this object.
+     */
+    get exec() {
+        return this._exec;
+    }
+
+    /**
+     * Get a function which, given the same arguments as this.exec() but with
+     * Intervals in place of numbers, returns an Interval bounding every value
+     * the MathML string takes across them, @see Interval from interval.js.
+     * Each argument may be an Interval, a pair [lo, hi], or a number:
+     *
+     *     let mathml = new MathML('<apply><power/><ci>x</ci><cn>2</cn></apply>');
+     *     let bounds = mathml.execInterval([-1, 2]);
+     *     console.log([bounds.lo, bounds.hi]); // => [0, 4.000...]
+     *     console.log(mathml.execInterval({x: [3, 4]}).hi); // => 16.000...
+     *
+     * The bounds hold despite rounding error. The Interval also records
+     * whether the MathML string is defined, and continuous, everywhere
+     * across the arguments: e.g. across [-1, 1], ln(x) is bounded above by 0,
+     * but isn't defined everywhere.
+     *
+     * @return {Function} A function bounding this.exec() across Intervals
+     */
+    get execInterval() {
+        if(this._intervalFunc === null) {
+            this._intervalFunc = this._parseNodeToIntervalFunction(this._root);
+        }
+
+        return ((...values) => {
+            let scope = this._bind(values);
+            Object.keys(scope).forEach(name => scope[name] = Interval.from(scope[name]));
+
+            return this._intervalFunc(scope);
+        });
+    }
+
+    /**
+     * Get a function which, given the same arguments as this.exec(), returns
+     * a string identifying which piece of each <piecewise> element is used to
+     * calculate the result. Two arguments giving the same string are on the
+     * same piece of a piecewise function.
+     *
+     * If the MathML contains no <piecewise> elements, returns null.
+     *
+     *     let mathml = new MathML('<piecewise>' +
+     *         '<piece><cn>0</cn><apply><lt/><ci>x</ci><cn>0</cn></apply></piece>' +
+     *         '<otherwise><ci>x</ci></otherwise></piecewise>');
+     *     console.log(mathml.branch(-1)); // => "0"
+     *     console.log(mathml.branch(1)); // => "otherwise"
+     *
+     * @return {Function|null} A function returning the piece used at a point
+     */
+    get branch() {
+        if(!this._hasPiecewise) {
+            return null;
+        }
+
+        return ((...values) => {
+            let scope = this._bind(values);
+            scope[BRANCH] = [];
+            this._func(scope);
+
+            return scope[BRANCH].join(',');
+        });
+    }
+
+    /**
+     * Get the names of every <ci> identifier used in the MathML string.
+     *
+     * @return {Array} The identifiers' names
+     */
+    get identifiers() {
+        return Array.from(this._identifiers);
+    }
+
+    /**
+     * Get functions, taking the same arguments as this.exec(), whose roots
+     * are the points at which the MathML string may be undefined: the
+     * denominator of each <divide/>, <rem/> and <quotient/>; the base of
+     * each <power/> which isn't to a constant, non-negative power; the
+     * argument of each <ln/>, <log/>, <arcsec/> and <arccsc/>; and the cos
+     * or sin of the argument of each <tan/> and <sec/>, or <cot/> and <csc/>.
+     *
+     *     let mathml = new MathML('<apply><divide/><cn>1</cn><apply><minus/><ci>x</ci><cn>2</cn></apply></apply>');
+     *     console.log(mathml.singularities[0](2)); // => 0
+     *
+     * The MathML string needn't be undefined at every such root (it
+     * may be another piece of a <piecewise> which is used there, for
+     * example), and nothing is found inside an <int/>, <diff/>, <sum/> or
+     * <product/>.
+     *
+     * @see  findDiscontinuities() from discontinuities.js
+     * @return {Array} The functions
+     */
+    get singularities() {
+        return this._getSingularities(this._root).map(func =>
+            ((...values) => func(this._bind(values))));
+    }
+
+    /**
+     * Get a rational representing the same number as the MathML string.
+     *
+     * Note that this will only work if the number described is in fact of a
+     * form supported by the Rational class.
+     * 
+     * @return {Rational|RationalTuple}  An equivalent Rational to the number
+     *                                   (or RationalTuple to the list)
+     *                                   described by the MathML string used to
+     *                                   constuct this object.
+     */
+    get rational() {
+        return this._parseNodeToRational(this._root);
+    }
+
+    /**
+     * Return the derivative of the MathML string with respect to the
+     * identifier `variable`, as a new MathML object with the same variables
+     * and constants. Any other identifier is treated as a constant.
+     *
+     *     let mathml = new MathML('<apply><sin/><apply><times/><cn>2</cn><ci>x</ci></apply></apply>');
+     *     console.log(mathml.derivative().toInfix()); // => "2cos(2x)"
+     *
+     * @see  Differentiator from derivative.js
+     * @param  {String} variable (Optional) The identifier to differentiate
+     *                           with respect to, defaults to the first of
+     *                           the variables
+     * @return {MathML}          The derivative
+     */
+    derivative(variable=this._variables[0]) {
+        let differentiator = new Differentiator(variable, node => this._parseIdentifier(node));
+        let derivative = differentiator.differentiate(this._root);
+
+        return new MathML(derivative, this._variables, this._constants);
+    }
+
+    /**
+     * Return the MathML string simplified, as a new MathML object with the
+     * same variables and constants. Its form is canonical: constants are
+     * folded, sums and products flattened and sorted, like terms collected,
+     * and identities such as x*1 = x and ln(e^x) = x applied.
+     *
+     *     let mathml = new MathML('x*1 + 2(x + 0) + ln(e^3)');
+     *     console.log(mathml.simplify().toInfix()); // => "3x + 3"
+     *
+     * @see  Simplifier from simplify.js
+     * @return {MathML} The simplified MathML
+     */
+    simplify() {
+        let simplifier = new Simplifier(node => this._parseIdentifier(node));
+
+        return new MathML(simplifier.simplify(this._root), this._variables, this._constants);
+    }
+
+    /**
+     * Test whether the MathML string is equivalent to `other`, i.e. takes
+     * the same value for every value of its identifiers.
+     *
+     *     let mathml = new MathML('(x + 1)^2');
+     *     console.log(mathml.equivalent('x^2 + 2x + 1')); // => true
+     *     console.log(mathml.equivalent('sin(x)^2 + cos(x)^2')); // => false
+     *
+     * They're equivalent if they simplify to the same thing, @see
+     * simplify(). If not, which doesn't mean they're different (e.g.
+     * sin(x)^2 + cos(x)^2 and 1), they're compared at EQUIVALENCE_SAMPLES
+     * pseudo-random points, the same for every call, and are equivalent if
+     * they agree at each one: both undefined, or both defined and equal, at
+     * least one being defined. Identifiers given in `constants` keep their
+     * values.
+     *
+     * @param  {MathML|String} other The MathML to compare, or a MathML
+     *                               string or infix expression
+     * @return {Boolean}             Whether they're equivalent
+     */
+    equivalent(other) {
+        if(!(other instanceof MathML)) {
+            other = new MathML(other, this._variables, this._constants);
+        }
+
+        let canonical = [this, other].map(mathml =>
+            new Simplifier(node => mathml._parseIdentifier(node)).simplify(mathml._root));
+
+        if(canonical[0] === canonical[1]) {
+            return true;
+        }
+
+        let identifiers = new Set(this.identifiers.concat(other.identifiers));
+        let [low, high] = EQUIVALENCE_RANGE;
+        let random = seededRandom(EQUIVALENCE_SEED);
+        let defined = false;
+
+        for(let i = 0; i < EQUIVALENCE_SAMPLES; i++) {
+            let values = {};
+            identifiers.forEach(name => values[name] = low + (high - low) * random());
+
+            let [a, b] = [this, other].map(function(mathml) {
+                let scope = Object.assign({}, values);
+                Object.keys(mathml._constants).forEach(name => delete scope[name]);
+
+                return mathml.exec(scope);
+            });
+            let agreement = agree(a, b);
+
+            if(agreement === false) {
+                return false;
+            }
+
+            defined = defined || agreement === true;
+        }
+
+        return defined;
+    }
+
+    /**
+     * Return the MathML string as an infix expression, which can itself be
+     * parsed by MathML, including a <piecewise> written in braces.
+     *
+     *     let mathml = new MathML('<apply><times/><cn>2</cn><apply><sin/><ci>x</ci></apply></apply>');
+     *     console.log(mathml.toInfix()); // => "2sin(x)"
+     *
+     * @see  InfixSerializer from serialize.js
+     * @return {String} The equivalent infix expression
+     */
+    toInfix() {
+        return new InfixSerializer().serialize(this._root);
+    }
+
+    /**
+     * Return the MathML string as LaTeX.
+     *
+     *     let mathml = new MathML('<apply><divide/><pi/><cn>2</cn></apply>');
+     *     console.log(mathml.toLatex()); // => "\frac{\pi}{2}"
+     *
+     * @see  LatexSerializer from serialize.js
+     * @return {String} The equivalent LaTeX
+     */
+    toLatex() {
+        return new LatexSerializer().serialize(this._root);
+    }
+
+    /**
+     * Return the (content) MathML string as presentation MathML, in a <math>
+     * element which browsers can display.
+     *
+     * @see  PresentationSerializer from serialize.js
+     * @return {String} The equivalent presentation MathML
+     */
+    toPresentationMathML() {
+        return new PresentationSerializer().serialize(this._root);
+    }
+
+    /**
+     * Parse any MathML node, returning a function which will perform the
+     * described action.
+     *
+     * Rather than composing a closure for each node, which is costly to run,
+     * the node is compiled to the source of a single JavaScript function, in
+     * which constant subtrees have already been evaluated, @see
+     * _compileNode(). Each identifier is read from the scope once, on entry.
+     *
+     * @see constructor
+     * @param  {Element}   node Any MathML node
+     * @return {Function}       A function of a scope, performing the action
+     *                          described by `node`
+     */
+    _parseNodeToFunction(node) {
+        return this._compileFunctions(node).scoped;
+    }
+
+    /**
+     * Compile any MathML node to two JavaScript functions performing the
+     * described action, returned as an Object:
+     *     {scoped:_, positional:_}
+     * where `scoped` is a function of a scope, @see _parseNodeToFunction(),
+     * and `positional` takes the same arguments as this.exec(). Called with
+     * one value per variable, it takes them as its parameters, and the
+     * values of constants are read once, now, so that nothing is done on
+     * each call besides evaluating the MathML. Called with a single scope
+     * object, it binds the scope, @see _bind(), and calls `scoped`.
+     *
+     * If an identifier is neither a variable nor a constant, so can only be
+     * given a value in a scope object, calling `positional` with values
+     * throws a MathMLError.
+     *
+     * @param  {Element} node Any MathML node
+     * @return {Object}       The compiled functions
+     */
+    _compileFunctions(node) {
+        let context = {free: new Map(), bound: new Map(), depth: 0, recording: true,
+                       problems: null};
+        let result = fold(this._compileNode(node, context)).source;
+        let free = Array.from(context.free);
+        let reads = free.map(([name, local]) =>
+            `        const ${local} = scope[${JSON.stringify(name)}];\n`);
+
+        //variables are parameters, any other identifiers are read from the
+        //constants, and are unbound if there's no such constant
+        let parameters = this._variables.map((name, i) =>
+            context.free.has(name) ? context.free.get(name) : `_${i}`);
+        let others = free.filter(([name]) => !this._variables.includes(name));
+        let unbound = others.find(([name]) => !(name in this._constants));
+        let constants = others.map(([name, local]) =>
+            `    const ${local} = constants[${JSON.stringify(name)}];\n`);
+        let body = unbound === undefined ? `return ${result};` :
+            `return fail(${JSON.stringify(unbound[0])});`;
+
+        let factory = evaluate(`return function(constants, isScope, bind, fail) {\n` +
+            `    const scoped = function(scope) {\n` +
+            `        const branches = scope[BRANCH];\n${reads.join('')}` +
+            `        return ${result};\n` +
+            `    };\n${constants.join('')}` +
+            `    const positional = function(${parameters.join(', ')}) {\n` +
+            `        if(arguments.length === 1 && isScope(arguments[0])) {\n` +
+            `            return scoped(bind(arguments[0]));\n` +
+            `        }\n` +
+            `        const branches = undefined;\n` +
+            `        ${body}\n` +
+            `    };\n` +
+            `    return {scoped: scoped, positional: positional};\n` +
+            `};`);
+
+        return factory(this._constants, isScope, (scope => this._bind([scope])), function(name) {
+            throw new MathMLError(`No value given for <ci>${name}</ci>.`, 'unknown-identifier');
+        });
+    }
+
+    /**
+     * Compile any MathML node to a JavaScript expression performing the
+     * described action, returned as an Object:
+     *     {source:_, constant:_}
+     * where `source` is the expression, and `constant` is true if it doesn't
+     * depend on any identifier, so can be evaluated once, @see fold(). The
+     * expression is always either a single term or parenthesised, so can be
+     * used as an operand without further parentheses.
+     *
+     * `context` records the names of the JavaScript variables holding the
+     * identifiers' values:
+     *     {free:_, bound:_, depth:_, recording:_, problems:_}
+     * where `free` and `bound` are Maps from identifiers, read from the
+     * scope or bound by an enclosing <int/>, <sum/> or <product/>
+     * respectively, to variable names, `depth` is the number of enclosing
+     * bound variables, and `recording` is true if the pieces of <piecewise>
+     * elements used are to be recorded, @see branch().
+     *
+     * Any error is thrown as a MathMLError locating the node at fault,
+     * unless `problems` is an Array, in which case the error is added to it
+     * and the node compiled to NaN, so that the rest of the MathML is still
+     * checked, @see validate().
+     *
+     * @see parseNodeToFunction
+     * @param  {Element} node    Any MathML node
+     * @param  {Object}  context The variables in scope
+     * @return {Object}          The compiled expression
+     */
+    _compileNode(node, context) {
+        try {
+            switch(node.tagName) {
+                case 'apply':
+                    return this._compileApply(node, context);
+                case 'ci':
+                    let name = this._parseIdentifier(node);
+                    //bound variables are given their values by the <apply>
+                    //binding them, so needn't be passed to exec()
+                    if(!this._bound.includes(name)) {
+                        this._identifiers.add(name);
+                    }
+
+                    if(context.bound.has(name)) {
+                        return {source: context.bound.get(name), constant: false};
+                    } else if(context.problems !== null && !this._variables.includes(name) &&
+                            !(name in this._constants)) {
+                        context.problems.push(new MathMLError(`No value given for <ci>${name}</ci>.`,
+                            'unknown-identifier', node));
+                    }
+
+                    if(!context.free.has(name)) {
+                        context.free.set(name, `v${context.free.size}`);
+                    }
+
+                    return {source: context.free.get(name), constant: false};
+                case 'cn':
+                    assert(/^-?[0-9]+(\.[0-9]+)?$/.test(node.textContent), '<cn> must contain a number.',
+                        'invalid-number');
+
+                    return constant(parseFloat(node.textContent));
+                case 'degree':
+                case 'logbase':
+                    assert(node.childElementCount === 1,
+                        `<${node.tagName}> must have 1 child.`, 'wrong-arity');
+
+                    return this._compileNode(node.firstElementChild, context);
+                case 'pi':
+                    return constant(Math.PI);
+                case 'exponentiale':
+                    return constant(Math.E);
+                case 'list':
+                    let elements = Array.from(node.children).map(child =>
+                        fold(this._compileNode(child, context)).source);
+
+                    return {source: `[${elements.join(', ')}]`, constant: false};
+                case 'piecewise':
+                    return this._compilePiecewise(node, context);
+                default:
+                    throw new MathMLError('Unknown MathML element: ' + node.tagName,
+                        'unknown-element');
+            }
+        } catch(error) {
+            //other errors, e.g. TypeErrors, aren't the MathML's fault
+            if(!(error instanceof MathMLError) && error.constructor !== Error) {
+                throw error;
+            }
+
+            let problem = error instanceof MathMLError ? error : new MathMLError(error.message);
+
+            if(problem.node === null) {
+                problem.locate(node);
+            }
+
+            if(context.problems === null) {
+                throw problem;
+            }
+
+            context.problems.push(problem);
+
+            return constant(NaN);
+        }
+    }
+
+    /**
+     * Compile an <apply> MathML node to a JavaScript expression performing
+     * the <apply> action. If every argument is constant, so is the <apply>.
+     *
+     * @see compileNode
+     * @param  {Element} node    A MathML <apply> node
+     * @param  {Object}  context The variables in scope
+     * @return {Object}          The compiled expression
+     */
+    _compileApply(node, context) {
+        assert(node.childElementCount >= 2, "<apply> must have at least two children.", 'wrong-arity');
+
+        let action = node.firstElementChild.tagName;
+
+        if(BOUND_ACTIONS.includes(action)) {
+            return this._compileBoundApply(node, context);
+        }
+
+        let argNodes = Array.from(node.children).slice(1);
+        let args = argNodes.map(child => this._compileNode(child, context));
+        let isConstant = args.every(arg => arg.constant);
+
+        //only whole constant subtrees are evaluated, not each of their parts
+        args = args.map(arg => isConstant ? arg.source : fold(arg).source);
+        const code = (source => ({source: source, constant: isConstant}));
+
+        switch(action) {
+            case 'plus':
+                return code(`(${['0'].concat(args).join(' + ')})`);
+            case 'minus':
+                assert(node.childElementCount === 2 || node.childElementCount === 3,
+                    '<apply><minus/> must have 2 or 3 children.', 'wrong-arity');
+
+                if(node.childElementCount === 3) {
+                    return code(`(${args[0]} - ${args[1]})`);
+                } else {
+                    return code(`(-${args[0]})`);
+                }
+            case 'times':
+                return code(`(${['1'].concat(args).join(' * ')})`);
+            case 'divide':
+                this._assertChildren(node, 3);
+                return code(`(${args[0]} / ${args[1]})`);
+            case 'power':
+                this._assertChildren(node, 3);
+                return code(`(${args[0]} ** ${args[1]})`);
+            case 'root':
+                assert(node.childElementCount === 2 || node.childElementCount === 3,
+                    '<apply><root/> must have 2 or 3 children.', 'wrong-arity');
+
+                if(node.childElementCount === 3) {
+                    return code(`(${args[1]} ** (1 / ${args[0]}))`);
+                } else {
+                    return code(`Math.sqrt(${args[0]})`);
+                }
+            case 'sin':
+                this._assertChildren(node, 2);
+                return code(`Math.sin(${args[0]})`);
+            case 'cos':
+                this._assertChildren(node, 2);
+                return code(`Math.cos(${args[0]})`);
+            case 'tan':
+                this._assertChildren(node, 2);
+                return code(`Math.tan(${args[0]})`);
+            case 'arcsin':
+                this._assertChildren(node, 2);
+                return code(`Math.asin(${args[0]})`);
+            case 'arccos':
+                this._assertChildren(node, 2);
+                return code(`Math.acos(${args[0]})`);
+            case 'arctan':
+                this._assertChildren(node, 2);
+                return code(`Math.atan(${args[0]})`);
+            case 'sec':
+                this._assertChildren(node, 2);
+                return code(`(1 / Math.cos(${args[0]}))`);
+            case 'csc':
+                this._assertChildren(node, 2);
+                return code(`(1 / Math.sin(${args[0]}))`);
+            case 'cot':
+                this._assertChildren(node, 2);
+                return code(`(1 / Math.tan(${args[0]}))`);
+            case 'arcsec':
+                this._assertChildren(node, 2);
+                return code(`Math.acos(1 / ${args[0]})`);
+            case 'arccsc':
+                this._assertChildren(node, 2);
+                return code(`Math.asin(1 / ${args[0]})`);
+            case 'arccot':
+                this._assertChildren(node, 2);
+                //the principal value of arccot lies in (0, pi)
+                return code(`(${literal(Math.PI / 2)} - Math.atan(${args[0]}))`);
+            case 'sinh':
+                this._assertChildren(node, 2);
+                return code(`Math.sinh(${args[0]})`);
+            case 'cosh':
+                this._assertChildren(node, 2);
+                return code(`Math.cosh(${args[0]})`);
+            case 'tanh':
+                this._assertChildren(node, 2);
+                return code(`Math.tanh(${args[0]})`);
+            case 'arcsinh':
+                this._assertChildren(node, 2);
+                return code(`Math.asinh(${args[0]})`);
+            case 'arccosh':
+                this._assertChildren(node, 2);
+                return code(`Math.acosh(${args[0]})`);
+            case 'arctanh':
+                this._assertChildren(node, 2);
+                return code(`Math.atanh(${args[0]})`);
+            case 'abs':
+                this._assertChildren(node, 2);
+                return code(`Math.abs(${args[0]})`);
+            case 'ln':
+                this._assertChildren(node, 2);
+                return code(`Math.log(${args[0]})`);
+            case 'exp':
+                this._assertChildren(node, 2);
+                return code(`Math.exp(${args[0]})`);
+            case 'floor':
+                this._assertChildren(node, 2);
+                return code(`Math.floor(${args[0]})`);
+            case 'ceiling':
+                this._assertChildren(node, 2);
+                return code(`Math.ceil(${args[0]})`);
+            case 'factorial':
+                this._assertChildren(node, 2);
+                return code(`factorial(${args[0]})`);
+            case 'min':
+                return code(`Math.min(${args.join(', ')})`);
+            case 'max':
+                return code(`Math.max(${args.join(', ')})`);
+            case 'rem':
+                this._assertChildren(node, 3);
+                return code(`(${args[0]} % ${args[1]})`);
+            case 'quotient':
+                this._assertChildren(node, 3);
+                return code(`Math.trunc(${args[0]} / ${args[1]})`);
+            case 'gcd':
+            case 'lcm':
+                return code(args.reduce((a, b) => `${action}(${a}, ${b})`));
+            case 'log':
+                let childCount = node.childElementCount;
+
+                assert([2, 3].includes(childCount),
+                    `<apply><log/> must have 1 or 2 children.`, 'wrong-arity');
+
+                if(childCount === 2) {
+                    return code(`(Math.log(${args[0]}) / ${literal(Math.log(10))})`);
+                } else {
+                    return code(`(Math.log(${args[1]}) / Math.log(${args[0]}))`);
+                }
+            case 'lt':
+                this._assertChildren(node, 3);
+                return code(`(${args[0]} < ${args[1]})`);
+            case 'leq':
+                this._assertChildren(node, 3);
+                return code(`(${args[0]} <= ${args[1]})`);
+            case 'gt':
+                this._assertChildren(node, 3);
+                return code(`(${args[0]} > ${args[1]})`);
+            case 'geq':
+                this._assertChildren(node, 3);
+                return code(`(${args[0]} >= ${args[1]})`);
+            case 'eq':
+                this._assertChildren(node, 3);
+                return code(`(${args[0]} === ${args[1]})`);
+            case 'neq':
+                this._assertChildren(node, 3);
+                return code(`(${args[0]} !== ${args[1]})`);
+            case 'and':
+                return code(`(${args.map(arg => '!!' + arg).join(' && ')})`);
+            case 'or':
+                return code(`(${args.map(arg => '!!' + arg).join(' || ')})`);
+            case 'not':
+                this._assertChildren(node, 2);
+                return code(`(!${args[0]})`);
+            default:
+                throw new MathMLError('Unknown <apply> action: ' + action, 'unknown-element');
+        }
+    }
+
+    /**
+     * Compile an <apply> of <int/>, <diff/>, <sum/> or <product/> to a
+     * JavaScript expression performing the <apply> action.
+     *
+     * Each has a bound variable, given in a <bvar>, which only has a value
+     * within the <apply>, and hides any identifier of the same name outside
+     * it. <int/>, <sum/> and <product/> also need the limits of the bound
+     * variable, given in a <lowlimit> and an <uplimit>, e.g. the integral of
+     * sin(t^2) from 0 to x:
+     *
+     *     <apply><int/>
+     *         <bvar><ci>t</ci></bvar>
+     *         <lowlimit><cn>0</cn></lowlimit>
+     *         <uplimit><ci>x</ci></uplimit>
+     *         <apply><sin/><apply><power/><ci>t</ci><cn>2</cn></apply></apply>
+     *     </apply>
+     *
+     * Integrals are evaluated numerically, and are NaN wherever they can't
+     * be, @see integral(). Sums and products are over the integers from the
+     * low limit to the high limit, so the limits needn't be integers
+     * themselves: a partial sum up to x is a step function of x, @see
+     * series(). <diff/> is differentiated symbolically, with respect to the
+     * bound variable, as many times as the <degree> in the <bvar>, if there
+     * is one.
+     *
+     * @see compileApply
+     * @param  {Element} node    A MathML <apply> node
+     * @param  {Object}  context The variables in scope
+     * @return {Object}          The compiled expression
+     */
+    _compileBoundApply(node, context) {
+        let action = node.firstElementChild.tagName;
+        let {variable, degree, lowlimit, uplimit, body} = this._getQualifiers(node);
+
+        if(action === 'diff') {
+            //the body is compiled first, so that any problem in it is found
+            //where it lies, rather than in its derivative
+            let problems = context.problems === null ? 0 : context.problems.length;
+            this._compileNode(body, context);
+
+            if(context.problems !== null && context.problems.length > problems) {
+                return constant(NaN);
+            }
+
+            let differentiator = new Differentiator(variable, child => this._parseIdentifier(child));
+            let derivative = differentiator.differentiate(body, degree === null ? 1 : degree);
+            let doc = new DOMParser().parseFromString(derivative, 'text/xml');
+
+            return this._compileNode(doc.documentElement, context);
+        }
+
+        assert(degree === null, `<apply><${action}/> <bvar> can't have a <degree>.`);
+        assert(lowlimit !== null && uplimit !== null,
+            `<apply><${action}/> must have a <lowlimit> and an <uplimit>.`);
+
+        let lower = fold(this._compileNode(lowlimit, context)).source;
+        let upper = fold(this._compileNode(uplimit, context)).source;
+
+        //the body is a function of the bound variable. Pieces used within
+        //the body don't affect which branch the whole is on.
+        let local = `t${context.depth}`;
+        let inner = {
+            free: context.free,
+            bound: new Map(context.bound).set(variable, local),
+            depth: context.depth + 1,
+            recording: false,
+            problems: context.problems,
+        };
+
+        this._bound.push(variable);
+        let term = `((${local}) => ${fold(this._compileNode(body, inner)).source})`;
+        this._bound.pop();
+
+        switch(action) {
+            case 'int':
+                return {source: `integral(${term}, ${lower}, ${upper})`, constant: false};
+            case 'sum':
+            case 'product':
+                return {source: `series('${action}', ${term}, ${lower}, ${upper})`,
+                        constant: false};
+        }
+    }
+
+    /**
+     * Given an <apply> of one of BOUND_ACTIONS, return its parts as an Object:
+     *     {variable:_, degree:_, lowlimit:_, uplimit:_, body:_}
+     * where `variable` is the name of the bound variable, `degree` is the
+     * Int in its <degree> (or null if there isn't one), `lowlimit` and
+     * `uplimit` are the limit nodes' contents (or null), and `body` is the
+     * node the action is applied to.
+     *
+     * @param  {Element} node A MathML <apply> node
+     * @return {Object}       The parts of the <apply>
+     */
+    _getQualifiers(node) {
+        let action = node.firstElementChild.tagName;
+        let children = Array.from(node.children).slice(1);
+        let qualifier = (tag => children.find(child => child.tagName === tag) || null);
+        let bvar = qualifier('bvar');
+        let body = children.filter(child => !['bvar', 'lowlimit', 'uplimit'].includes(child.tagName));
+
+        assert(bvar !== null && bvar.firstElementChild !== null &&
+                bvar.firstElementChild.tagName === 'ci',
+            `<apply><${action}/> must have a <bvar> containing a <ci>.`);
+        assert(body.length === 1,
+            `<apply><${action}/> must have 1 child besides its qualifiers.`, 'wrong-arity');
+
+        let degree = Array.from(bvar.children).find(child => child.tagName === 'degree');
+        let limit = (tag => qualifier(tag) === null ? null : qualifier(tag).firstElementChild);
+
+        if(degree !== undefined) {
+            assert(/^\s*[0-9]+\s*$/.test(degree.textContent),
+                '<bvar> <degree> must be a whole number.');
+        }
+
+        return {
+            variable: this._parseIdentifier(bvar.firstElementChild),
+            degree: degree === undefined ? null : parseInt(degree.textContent),
+            lowlimit: limit('lowlimit'),
+            uplimit: limit('uplimit'),
+            body: body[0],
+        };
+    }
+
+    /**
+     * Compile a <piecewise> MathML node to a JavaScript expression
+     * evaluating it.
+     *
+     * The expression takes the value of the first <piece> whose condition is
+     * true, or else the value of the <otherwise>, if there is one. If there
+     * is no matching piece, it's NaN: the function is undefined there.
+     *
+     * @see compileNode
+     * @param  {Element} node    A MathML <piecewise> node
+     * @param  {Object}  context The variables in scope
+     * @return {Object}          The compiled expression
+     */
+    _compilePiecewise(node, context) {
+        this._hasPiecewise = true;
+
+        let pieces = this._getPieces(node).map(piece => {
+            let value = fold(this._compileNode(piece.value, context)).source;
+
+            //record the piece used, @see branch()
+            if(context.recording) {
+                value = `(branches && branches.push(${JSON.stringify(piece.key)}), ${value})`;
+            }
+
+            return {
+                value: value,
+                condition: piece.condition === null ?
+                    null : fold(this._compileNode(piece.condition, context)).source,
+            };
+        });
+
+        let source = pieces.reduceRight((otherwise, piece) => piece.condition === null ?
+            piece.value : `${piece.condition} ? ${piece.value} : ${otherwise}`, 'NaN');
+
+        return {source: `(${source})`, constant: false};
+    }
+
+    /**
+     * Given a <piecewise> MathML node, return an array of its pieces, each an
+     * Object:
+     *     {key:_, value:_, condition:_}
+     * where `value` and `condition` are the MathML nodes of the piece, and
+     * `key` identifies it. An <otherwise> piece, which must come last, has
+     * the key "otherwise" and a null condition. An error in a piece is
+     * located at the piece, rather than the <piecewise>.
+     *
+     * @param  {Element} node A MathML <piecewise> node
+     * @return {Array}        The pieces
+     */
+    _getPieces(node) {
+        let children = Array.from(node.children);
+
+        return children.map(function(child, i) {
+            try {
+                if(child.tagName === 'piece') {
+                    assert(child.childElementCount === 2,
+                        '<piece> must have 2 children.', 'wrong-arity');
+
+                    return {key: String(i), value: child.children[0],
+                            condition: child.children[1]};
+                } else if(child.tagName === 'otherwise') {
+                    assert(child.childElementCount === 1,
+                        '<otherwise> must have 1 child.', 'wrong-arity');
+                    assert(i === children.length - 1,
+                        '<otherwise> must be the last child of <piecewise>.');
+
+                    return {key: 'otherwise', value: child.children[0],
+                            condition: null};
+                }
+
+                throw new MathMLError('Unknown <piecewise> child: ' + child.tagName, 'unknown-element');
+            } catch(error) {
+                throw error.locate(child);
+            }
+        });
+    }
+
+    /**
+     * Parse any MathML node, returning a function which will bound the
+     * described action across Intervals, @see execInterval().
      *
-     * Note specifically:
-     *  - x is the only <ci> allowed in the MathML string.
-     *  - this._func() is a function of the form func(x) which will apply
-     *    the described action. e.g.:
-     *        <apply><power/><ci>x</ci><cn>2</cn></apply> will result in:
-     *        ((x) => x**2)
-     *  - MathML can be arbitrarily complex, but must have exactly one
-     *    root-level node.
-     * 
-     * NOTE: Due to limitations on composing functions recursively, the actual
-     *       function returned isn't as simple as suggested above, although it
-     *       has the same net effect. Highly complex functions may be costly
-     *       to run.
-     * 
-     * @param  {String}   mathml A MathML <apply> node
+     * As for _parseNodeToFunction(), the node is compiled to the source of a
+     * single JavaScript function, here calling Interval's methods, so that
+     * bounding it, done for every step sampled when plotting, is quick.
+     * Subtrees without identifiers are bounded in advance, and <piecewise>
+     * elements, and actions with bound variables, are bounded by the
+     * functions _parseNodeToInterval() returns for them.
+     *
+     * @param  {Element}   node Any MathML node
+     * @return {Function}       A function of a scope of Intervals, returning
+     *                          an Interval
      */
-    constructor(mathml) {
-        let parser = new DOMParser();
-        let doc = parser.parseFromString(mathml, 'text/xml');
+    _parseNodeToIntervalFunction(node) {
+        let context = {free: new Map(), table: []};
+        let result = this._compileIntervalNode(node, context);
+        let reads = Array.from(context.free, ([name, local]) =>
+            `        const ${local} = scope[${JSON.stringify(name)}];\n`);
 
-        this._root = doc.firstChild;
-        this._func = this._parseNodeToFunction(this._root);
+        return evaluate(`return function(k) {\n    return function(scope) {\n${reads.join('')}` +
+            `        return ${result};\n    };\n};`)(context.table);
     }
 
     /**
-     * Get the function performing the action described by the MathML string.
+     * Compile any MathML node to a JavaScript expression bounding the
+     * described action across Intervals, @see _parseNodeToIntervalFunction().
      *
-     * Although phrased as a get (and it is one), because it returns a function
-     * it can be used to execute the MathML operation. So it can be used e.g.:
+     * `context` records the names of the JavaScript variables holding the
+     * identifiers' Intervals, and the values the expression refers to:
+     *     {free:_, table:_}
+     * where `free` is a Map from identifiers to variable names, and `table`
+     * an Array of Intervals, and functions of the scope, referred to as
+     * k[i].
      *
-     *     let mathml = new MathML('<apply><times/><pi/><ci>x</ci></apply>');
-     *     console.log(mathml.exec(2)); // => 6.283...
-     * 
-     * @return {Function} The function described by the MathML string used to
-     *                    constuct this object.
+     * @param  {Element} node    Any MathML node
+     * @param  {Object}  context The variables and values referred to
+     * @return {String}          The compiled expression
      */
-    get exec() {
-        return this._func
+    _compileIntervalNode(node, context) {
+        let refer = function(value) {
+            context.table.push(value);
+
+            return `k[${context.table.length - 1}]`;
+        };
+
+        if(node.tagName !== 'ci' && node.getElementsByTagName('ci').length === 0) {
+            return refer(this._parseNodeToInterval(node)({}));
+        }
+
+        switch(node.tagName) {
+            case 'ci':
+                let name = this._parseIdentifier(node);
+
+                if(!context.free.has(name)) {
+                    context.free.set(name, `v${context.free.size}`);
+                }
+
+                return context.free.get(name);
+            case 'degree':
+            case 'logbase':
+                return this._compileIntervalNode(node.firstElementChild, context);
+            case 'list':
+                let elements = Array.from(node.children).map(child =>
+                    this._compileIntervalNode(child, context));
+
+                return `[${elements.join(', ')}]`;
+            case 'apply':
+                let action = node.firstElementChild.tagName;
+
+                if(!BOUND_ACTIONS.includes(action) && !['gcd', 'lcm'].includes(action)) {
+                    return this._compileIntervalApply(node, context, refer);
+                }
+                //falls through, to be bounded by a function
+            default:
+                return `${refer(this._parseNodeToInterval(node))}(scope)`;
+        }
     }
 
     /**
-     * Get a rational representing the same number as the MathML string.
+     * Compile an <apply> MathML node to a JavaScript expression bounding the
+     * <apply> action across Intervals, as _parseApplyToInterval() does.
      *
-     * Note that this will only work if the number described is in fact of a
-     * form supported by the Rational class.
-     * 
-     * @return {Rational|RationalTuple}  An equivalent Rational to the number
-     *                                   (or RationalTuple to the list)
-     *                                   described by the MathML string used to
-     *                                   constuct this object.
+     * @see compileIntervalNode
+     * @param  {Element}  node    A MathML <apply> node
+     * @param  {Object}   context The variables and values referred to
+     * @param  {Function} refer   Given a value, adds it to the table and
+     *                            returns the expression referring to it
+     * @return {String}           The compiled expression
      */
-    get rational() {
-        return this._parseNodeToRational(this._root);
+    _compileIntervalApply(node, context, refer) {
+        let action = node.firstElementChild.tagName;
+        let args = Array.from(node.children).slice(1).map(child =>
+            this._compileIntervalNode(child, context));
+        let one = refer(new Interval(1));
+
+        switch(action) {
+            case 'plus':
+                return args.reduce((sum, arg) => `${sum}.plus(${arg})`, refer(new Interval(0)));
+            case 'minus':
+                return args.length === 2 ? `${args[0]}.minus(${args[1]})` : `${args[0]}.negate()`;
+            case 'times':
+                return args.reduce((product, arg) => `${product}.times(${arg})`, one);
+            case 'divide':
+            case 'power':
+            case 'rem':
+            case 'quotient':
+            case 'lt':
+            case 'leq':
+            case 'gt':
+            case 'geq':
+            case 'eq':
+            case 'neq':
+                return `${args[0]}.${action}(${args[1]})`;
+            case 'root':
+                return args.length === 2 ? `${args[1]}.power(${one}.divide(${args[0]}))` : `${args[0]}.sqrt()`;
+            case 'sin':
+            case 'cos':
+            case 'tan':
+            case 'arcsin':
+            case 'arccos':
+            case 'arctan':
+            case 'sinh':
+            case 'cosh':
+            case 'tanh':
+            case 'arcsinh':
+            case 'arccosh':
+            case 'arctanh':
+            case 'abs':
+            case 'ln':
+            case 'exp':
+            case 'floor':
+            case 'ceiling':
+            case 'not':
+                return `${args[0]}.${action}()`;
+            case 'sec':
+                return `${one}.divide(${args[0]}.cos())`;
+            case 'csc':
+                return `${one}.divide(${args[0]}.sin())`;
+            case 'cot':
+                return `${args[0]}.cos().divide(${args[0]}.sin())`;
+            case 'arcsec':
+                return `${one}.divide(${args[0]}).arccos()`;
+            case 'arccsc':
+                return `${one}.divide(${args[0]}).arcsin()`;
+            case 'arccot':
+                return `${refer(Interval.rounded(Math.PI / 2))}.minus(${args[0]}.arctan())`;
+            case 'factorial':
+                return `${refer(factorialInterval)}(${args[0]})`;
+            case 'min':
+            case 'max':
+                return args.reduce((a, b) => `${a}.${action}(${b})`);
+            case 'and':
+                return args.reduce((all, arg) => `${all}.and(${arg})`, one);
+            case 'or':
+                return args.reduce((any, arg) => `${any}.or(${arg})`, refer(new Interval(0)));
+            case 'log':
+                if(args.length === 1) {
+                    return `${args[0]}.ln().divide(${refer(Interval.rounded(Math.log(10)))})`;
+                }
+
+                return `${args[1]}.ln().divide(${args[0]}.ln())`;
+            default:
+                throw new MathMLError('Unknown <apply> action: ' + action, 'unknown-element');
+        }
     }
 
     /**
-     * Parse any MathML node, returning a function which will perform the
-     * described action.
+     * Parse any MathML node, returning a function which will bound the
+     * described action across Intervals, @see execInterval().
      *
-     * @see constructor
+     * The node is assumed to have already been parsed by
+     * _parseNodeToFunction(), so to be valid.
+     *
+     * @see parseNodeToFunction
      * @param  {Element}   node Any MathML node
-     * @return {Function}       A function performing the action described by
-     *                          `node`
+     * @return {Function}       A function of a scope of Intervals, returning
+     *                          an Interval
      */
-    _parseNodeToFunction(node) {
+    _parseNodeToInterval(node) {
         switch(node.tagName) {
             case 'apply':
-                return this._parseApplyToFunction(node);
+                return this._parseApplyToInterval(node);
             case 'ci':
-                assert(node.textContent === 'x', '<ci> can only take \'x\' in <math-plot>.')
+                let name = this._parseIdentifier(node);
 
-                return (x => x);
+                return (scope => scope[name]);
             case 'cn':
-                assert(/^-?[0-9]+(\.[0-9]+)?$/.test(node.textContent), '<cn> must contain a number.');
+                let value = parseFloat(node.textContent);
+                //a decimal such as 0.1 is rounded to the nearest double
+                let number = Number.isInteger(value) ? new Interval(value) : Interval.rounded(value);
 
-                return (x => parseFloat(node.textContent));
+                return (scope => number);
             case 'degree':
             case 'logbase':
-                return this._parseNodeToFunction(node.firstChild);
+                return this._parseNodeToInterval(node.firstElementChild);
             case 'pi':
-                return (x => Math.PI);
+                let pi = Interval.rounded(Math.PI);
+
+                return (scope => pi);
             case 'exponentiale':
-                return (x => Math.E);
+                let e = Interval.rounded(Math.E);
+
+                return (scope => e);
             case 'list':
-                let elementNodes = Array.from(node.children);
-                let elements = elementNodes.map(this._parseNodeToFunction, this);
+                let elements = Array.from(node.children).map(this._parseNodeToInterval, this);
 
-                return (x => elements.reduce((a, e) => a.concat([e(x)]), []));
+                return (scope => elements.map(element => element(scope)));
+            case 'piecewise':
+                return this._parsePiecewiseToInterval(node);
             default:
-                throw new Error('Unknown MathML element: ' + node.tagName);
+                throw new MathMLError('Unknown MathML element: ' + node.tagName, 'unknown-element');
         }
     }
 
     /**
-     * Parse an <apply> MathML node, returning a function which will perform
-     * the <apply> action.
+     * Parse an <apply> MathML node, returning a function which will bound the
+     * <apply> action across Intervals.
      *
-     * @see parseNodeToFunction
+     * @see parseNodeToInterval
      * @param  {Element}   node A MathML <apply> node
-     * @return {Function}       A function performing the action described by
-     *                          `node`
+     * @return {Function}       A function of a scope of Intervals, returning
+     *                          an Interval
      */
-    _parseApplyToFunction(node) {
-        assert(node.childElementCount >= 2, "<apply> must have at least two children.")
+    _parseApplyToInterval(node) {
+        let action = node.firstElementChild.tagName;
 
-        let action = node.firstChild.tagName;
-        let argNodes = Array.from(node.children).slice(1);
-        let args = argNodes.map(this._parseNodeToFunction, this);
+        if(BOUND_ACTIONS.includes(action)) {
+            return this._parseBoundApplyToInterval(node);
+        }
+
+        let args = Array.from(node.children).slice(1).map(this._parseNodeToInterval, this);
+        let one = new Interval(1);
 
         switch(action) {
             case 'plus':
-                this._assertChildren(node, 3);
-                return ((x) => args[0](x) + args[1](x));
+                return ((scope) => args.reduce((sum, arg) => sum.plus(arg(scope)), new Interval(0)));
             case 'minus':
-                assert(node.childElementCount === 2 || node.childElementCount === 3,
-                    '<apply><minus/> must have 2 or 3 children.');
-
-                if(node.childElementCount === 3) {
-                    return ((x) => args[0](x) - args[1](x));
+                if(args.length === 2) {
+                    return ((scope) => args[0](scope).minus(args[1](scope)));
                 } else {
-                    return ((x) => -args[0](x));
+                    return ((scope) => args[0](scope).negate());
                 }
             case 'times':
-                this._assertChildren(node, 3);
-                return ((x) => args[0](x) * args[1](x));
+                return ((scope) => args.reduce((product, arg) => product.times(arg(scope)), one));
             case 'divide':
-                this._assertChildren(node, 3);
-                return ((x) => args[0](x) / args[1](x));
             case 'power':
-                this._assertChildren(node, 3);
-                return ((x) => args[0](x) ** args[1](x));
+            case 'rem':
+            case 'quotient':
+            case 'lt':
+            case 'leq':
+            case 'gt':
+            case 'geq':
+            case 'eq':
+            case 'neq':
+                return ((scope) => args[0](scope)[action](args[1](scope)));
             case 'root':
-                assert(node.childElementCount === 2 || node.childElementCount === 3,
-                    '<apply><root/> must have 2 or 3 children.');
-
-                if(node.childElementCount === 3) {
-                    return ((x) => args[1](x) ** (1 / args[0](x)));
+                if(args.length === 2) {
+                    return ((scope) => args[1](scope).power(one.divide(args[0](scope))));
                 } else {
-                    return ((x) => Math.sqrt(args[0](x)));
+                    return ((scope) => args[0](scope).sqrt());
                 }
             case 'sin':
-                this._assertChildren(node, 2);
-                return ((x) => Math.sin(args[0](x)));
             case 'cos':
-                this._assertChildren(node, 2);
-                return ((x) => Math.cos(args[0](x)));
             case 'tan':
-                this._assertChildren(node, 2);
-                return ((x) => Math.tan(args[0](x)));
             case 'arcsin':
-                this._assertChildren(node, 2);
-                return ((x) => Math.asin(args[0](x)));
             case 'arccos':
-                this._assertChildren(node, 2);
-                return ((x) => Math.acos(args[0](x)));
             case 'arctan':
-                this._assertChildren(node, 2);
-                return ((x) => Math.atan(args[0](x)));
+            case 'sinh':
+            case 'cosh':
+            case 'tanh':
+            case 'arcsinh':
+            case 'arccosh':
+            case 'arctanh':
             case 'abs':
-                this._assertChildren(node, 2);
-                return ((x) => Math.abs(args[0](x)));
             case 'ln':
-                this._assertChildren(node, 2);
-                return ((x) => Math.log(args[0](x)));
-            case 'log':
-                let childCount = node.childElementCount;
+            case 'exp':
+            case 'floor':
+            case 'ceiling':
+            case 'not':
+                return ((scope) => args[0](scope)[action]());
+            case 'sec':
+                return ((scope) => one.divide(args[0](scope).cos()));
+            case 'csc':
+                return ((scope) => one.divide(args[0](scope).sin()));
+            case 'cot':
+                return ((scope) => args[0](scope).cos().divide(args[0](scope).sin()));
+            case 'arcsec':
+                return ((scope) => one.divide(args[0](scope)).arccos());
+            case 'arccsc':
+                return ((scope) => one.divide(args[0](scope)).arcsin());
+            case 'arccot':
+                let halfPi = Interval.rounded(Math.PI / 2);
 
-                assert([2, 3].includes(childCount),
-                    `<apply><log/> must have 1 or 2 children.`);
+                return ((scope) => halfPi.minus(args[0](scope).arctan()));
+            case 'factorial':
+                return ((scope) => factorialInterval(args[0](scope)));
+            case 'min':
+            case 'max':
+                return ((scope) => args.map(arg => arg(scope)).reduce((a, b) => a[action](b)));
+            case 'and':
+                return ((scope) => args.reduce((all, arg) => all.and(arg(scope)), one));
+            case 'or':
+                return ((scope) => args.reduce((any, arg) => any.or(arg(scope)), new Interval(0)));
+            case 'gcd':
+            case 'lcm':
+                let func = action === 'gcd' ? gcd : lcm;
 
-                if(childCount === 2) {
-                    return ((x) => Math.log(args[0](x)) / Math.log(10));
+                //only defined at integers, so only bounded at single points
+                return function(scope) {
+                    let values = args.map(arg => arg(scope));
+
+                    if(values.some(value => value.isEmpty)) {
+                        return Interval.empty();
+                    } else if(values.every(value => value.isPoint)) {
+                        return new Interval(values.map(value => value.lo).reduce(func));
+                    }
+
+                    return new Interval(0, Infinity, false);
+                };
+            case 'log':
+                if(args.length === 1) {
+                    let ln10 = Interval.rounded(Math.log(10));
+
+                    return ((scope) => args[0](scope).ln().divide(ln10));
                 } else {
-                    return ((x) => Math.log(args[1](x)) / Math.log(args[0](x)));
+                    return ((scope) => args[1](scope).ln().divide(args[0](scope).ln()));
                 }
             default:
-                throw new Error('Unknown <apply> action: ' + action);
+                throw new MathMLError('Unknown <apply> action: ' + action, 'unknown-element');
+        }
+    }
+
+    /**
+     * Parse an <apply> of <int/>, <diff/>, <sum/> or <product/>, returning a
+     * function which will bound the <apply> action across Intervals.
+     *
+     * An integral is bounded between the midpoints of its limits, @see
+     * integralInterval(), and the rest by the integrand's bounds across each
+     * limit. If the integrand depends on anything else which isn't a single
+     * point, the integrand's bounds across everything integrated over are
+     * used instead. A sum or product is bounded across every range of terms
+     * its limits could give.
+     *
+     * @see parseBoundApplyToFunction
+     * @param  {Element}   node A MathML <apply> node
+     * @return {Function}       A function of a scope of Intervals, returning
+     *                          an Interval
+     */
+    _parseBoundApplyToInterval(node) {
+        let action = node.firstElementChild.tagName;
+        let {variable, degree, lowlimit, uplimit, body} = this._getQualifiers(node);
+
+        if(action === 'diff') {
+            let differentiator = new Differentiator(variable, child => this._parseIdentifier(child));
+            let derivative = differentiator.differentiate(body, degree === null ? 1 : degree);
+            let doc = new DOMParser().parseFromString(derivative, 'text/xml');
+
+            return this._parseNodeToInterval(doc.documentElement);
+        }
+
+        let lower = this._parseNodeToInterval(lowlimit);
+        let upper = this._parseNodeToInterval(uplimit);
+        let func = this._parseNodeToInterval(body);
+        const at = ((scope, value, bound=func) => bound(Object.assign({}, scope, {[variable]: value})));
+
+        switch(action) {
+            case 'int':
+                let derivatives;
+
+                try {
+                    let differentiator = new Differentiator(variable, child => this._parseIdentifier(child));
+                    derivatives = [1, 2].map(degree => this._parseNodeToInterval(
+                        new DOMParser().parseFromString(differentiator.differentiate(body, degree),
+                            'text/xml').documentElement));
+                } catch(e) {
+                    //not every integrand can be differentiated
+                    derivatives = null;
+                }
+
+                //the identifiers, besides the bound variable, in the integrand
+                let free = [body].concat(Array.from(body.getElementsByTagName('ci')))
+                    .filter(child => child.tagName === 'ci')
+                    .map(this._parseIdentifier, this)
+                    .filter(name => name !== variable);
+                let cache = new Map();
+
+                return function(scope) {
+                    let [a, b] = [lower(scope), upper(scope)];
+                    let [midA, midB] = [a, b].map(limit => (limit.lo + limit.hi) / 2);
+
+                    if(a.isEmpty || b.isEmpty) {
+                        return Interval.empty();
+                    } else if(!Number.isFinite(midA) || !Number.isFinite(midB) ||
+                            free.some(name => name in scope && !scope[name].isPoint)) {
+                        return at(scope, Interval.hull([a, b])).times(b.minus(a));
+                    }
+
+                    let key = free.map(name => name in scope ? scope[name].lo : '').join();
+                    let integral = integralInterval(t => at(scope, t), derivatives === null ?
+                        null : (t => derivatives.map(derivative => at(scope, t, derivative))),
+                        midA, midB, cache, key);
+
+                    return integral
+                        .plus(at(scope, b).times(b.minus(new Interval(midB))))
+                        .minus(at(scope, a).times(a.minus(new Interval(midA))));
+                };
+            case 'sum':
+            case 'product':
+                let identity = new Interval(action === 'sum' ? 0 : 1);
+
+                return function(scope) {
+                    let [a, b] = [lower(scope), upper(scope)];
+                    let [firsts, lasts] = [[Math.ceil(a.lo), Math.ceil(a.hi)],
+                                           [Math.floor(b.lo), Math.floor(b.hi)]];
+
+                    if(a.isEmpty || b.isEmpty) {
+                        return Interval.empty();
+                    } else if(!firsts.concat(lasts).every(Number.isFinite) ||
+                            (firsts[1] - firsts[0] + 1) * (lasts[1] - firsts[0] + 1) > MAX_TERMS) {
+                        return new Interval(-Infinity, Infinity, false);
+                    }
+
+                    //the value of each range of terms the limits could give
+                    let values = [];
+                    for(let first = firsts[0]; first <= firsts[1]; first++) {
+                        let total = identity;
+
+                        if(lasts[0] < first) {
+                            values.push(identity);
+                        }
+
+                        for(let i = first; i <= lasts[1]; i++) {
+                            let term = at(scope, new Interval(i));
+                            total = action === 'sum' ? total.plus(term) : total.times(term);
+
+                            if(i >= lasts[0]) {
+                                values.push(total);
+                            }
+                        }
+                    }
+
+                    let hull = Interval.hull(values);
+                    return new Interval(hull.lo, hull.hi, hull.defined && a.defined && b.defined,
+                        hull.continuous && values.length === 1);
+                };
+        }
+    }
+
+    /**
+     * Parse a <piecewise> MathML node, returning a function which will bound
+     * it across Intervals.
+     *
+     * The bounds are those of every piece which could be used. Unless a
+     * single piece is certainly used throughout, the function may jump
+     * between pieces, so isn't continuous; and unless some piece certainly
+     * is used, it may be undefined.
+     *
+     * @see parsePiecewiseToFunction
+     * @param  {Element}   node A MathML <piecewise> node
+     * @return {Function}       A function of a scope of Intervals, returning
+     *                          an Interval
+     */
+    _parsePiecewiseToInterval(node) {
+        let pieces = this._getPieces(node).map(piece => ({
+            value: this._parseNodeToInterval(piece.value),
+            condition: piece.condition === null ?
+                (scope => new Interval(1)) : this._parseNodeToInterval(piece.condition)
+        }));
+
+        return function(scope) {
+            let values = [];
+
+            for(let piece of pieces) {
+                let condition = piece.condition(scope);
+
+                if(!condition.isFalse) {
+                    values.push(piece.value(scope));
+                }
+
+                if(condition.isTrue) {
+                    let hull = Interval.hull(values);
+
+                    return new Interval(hull.lo, hull.hi, hull.defined,
+                        hull.continuous && values.length === 1);
+                }
+            }
+
+            let hull = Interval.hull(values);
+            return new Interval(hull.lo, hull.hi, false);
+        };
+    }
+
+    /**
+     * Given any MathML node, return functions of a scope whose roots are the
+     * points at which the node may be undefined, @see singularities().
+     *
+     * @param  {Element} node Any MathML node
+     * @return {Array}        The functions
+     */
+    _getSingularities(node) {
+        let children = Array.from(node.children);
+
+        if(node.tagName !== 'apply') {
+            return children.flatMap(this._getSingularities, this);
+        }
+
+        let action = node.firstElementChild.tagName;
+        let args = children.slice(1);
+
+        if(BOUND_ACTIONS.includes(action)) {
+            return [];
+        }
+
+        let singular = [];
+        switch(action) {
+            case 'divide':
+            case 'rem':
+            case 'quotient':
+                singular = [this._parseNodeToFunction(args[1])];
+                break;
+            case 'power':
+                let exponent = args[1];
+                if(exponent.tagName !== 'cn' || parseFloat(exponent.textContent) < 0) {
+                    singular = [this._parseNodeToFunction(args[0])];
+                }
+                break;
+            case 'ln':
+            case 'log':
+            case 'arcsec':
+            case 'arccsc':
+                //the argument of <log/> comes after its <logbase>, if any
+                singular = [this._parseNodeToFunction(args[args.length - 1])];
+                break;
+            case 'tan':
+            case 'sec':
+                let cosArg = this._parseNodeToFunction(args[0]);
+                singular = [(scope => Math.cos(cosArg(scope)))];
+                break;
+            case 'cot':
+            case 'csc':
+                let sinArg = this._parseNodeToFunction(args[0]);
+                singular = [(scope => Math.sin(sinArg(scope)))];
+                break;
         }
+
+        return singular.concat(args.flatMap(this._getSingularities, this));
     }
 
     /**
@@ -228,13 +2206,23 @@ class MathML {
         switch(node.tagName) {
             case 'apply':
                 return this._parseApplyToRational(node);
+            case 'ci':
+                let name = this._parseIdentifier(node);
+                assert(name in this._constants,
+                    `No value given for <ci>${name}</ci>.`);
+
+                return new Rational(this._constants[name]);
             case 'cn':
-                assert(/^-?[0-9]+(\.[0-9]+)?$/.test(node.textContent), '<cn> must contain a number.');
+                assert(/^-?[0-9]+(\.[0-9]+)?$/.test(node.textContent), '<cn> must contain a number.',
+                    'invalid-number');
 
                 return new Rational(parseFloat(node.textContent));
             case 'degree':
             case 'logbase':
-                return this._parseNodeToRational(node.firstChild);
+                assert(node.childElementCount === 1,
+                    `<${node.tagName}> must have 1 child.`, 'wrong-arity');
+
+                return this._parseNodeToRational(node.firstElementChild);
             case 'pi':
                 return new Rational(1, 1, 1);
             case 'exponentiale':
@@ -244,8 +2232,17 @@ class MathML {
                 let elements = elementNodes.map(this._parseNodeToRational, this);
 
                 return new RationalTuple(elements);
+            case 'piecewise':
+                let piece = this._getPieces(node).find(piece =>
+                    piece.condition === null ||
+                    this._parseNodeToRational(piece.condition));
+
+                assert(typeof piece !== 'undefined',
+                    '<piecewise> has no piece matching its argument.');
+
+                return this._parseNodeToRational(piece.value);
             default:
-                throw new Error('Unknown MathML element: ' + node.tagName);
+                throw new MathMLError('Unknown MathML element: ' + node.tagName, 'unknown-element');
         }
     }
 
@@ -258,20 +2255,18 @@ class MathML {
      * @return {Rational}       An equivalent Rational
      */
     _parseApplyToRational(node) {
-        assert(node.childElementCount >= 2, "<apply> must have at least two children.")
+        assert(node.childElementCount >= 2, "<apply> must have at least two children.", 'wrong-arity');
 
-        let action = node.firstChild.tagName;
+        let action = node.firstElementChild.tagName;
         let argNodes = Array.from(node.children).slice(1);
         let args = argNodes.map(this._parseNodeToRational, this);
 
         switch(action) {
             case 'plus':
-                this._assertChildren(node, 3);
-
-                return args[0].plus(args[1]);
+                return args.reduce((sum, arg) => sum.plus(arg));
             case 'minus':
                 assert(node.childElementCount === 2 || node.childElementCount === 3,
-                    '<apply><minus/> must have 2 or 3 children.');
+                    '<apply><minus/> must have 2 or 3 children.', 'wrong-arity');
 
                 if(node.childElementCount === 3) {
                     return args[0].minus(args[1]);
@@ -279,9 +2274,7 @@ class MathML {
                     return args[0].times(-1);
                 }
             case 'times':
-                this._assertChildren(node, 3);
-
-                return args[0].times(args[1]);
+                return args.reduce((product, arg) => product.times(arg));
             case 'divide':
                 this._assertChildren(node, 3);
 
@@ -292,7 +2285,7 @@ class MathML {
                 return args[0].power(args[1]);
             case 'root':
                 assert(node.childElementCount === 2 || node.childElementCount === 3,
-                    '<apply><root/> must have 2 or 3 children.');
+                    '<apply><root/> must have 2 or 3 children.', 'wrong-arity');
 
                 if(node.childElementCount === 3) {
                     return new Rational(args[1].approx ** (1 / args[0].approx));
@@ -323,6 +2316,54 @@ class MathML {
                 this._assertChildren(node, 2);
 
                 return new Rational(Math.atan(args[0].approx))
+            case 'sec':
+                this._assertChildren(node, 2);
+
+                return new Rational(1 / Math.cos(args[0].approx));
+            case 'csc':
+                this._assertChildren(node, 2);
+
+                return new Rational(1 / Math.sin(args[0].approx));
+            case 'cot':
+                this._assertChildren(node, 2);
+
+                return new Rational(1 / Math.tan(args[0].approx));
+            case 'arcsec':
+                this._assertChildren(node, 2);
+
+                return new Rational(Math.acos(1 / args[0].approx));
+            case 'arccsc':
+                this._assertChildren(node, 2);
+
+                return new Rational(Math.asin(1 / args[0].approx));
+            case 'arccot':
+                this._assertChildren(node, 2);
+
+                return new Rational(Math.PI / 2 - Math.atan(args[0].approx));
+            case 'sinh':
+                this._assertChildren(node, 2);
+
+                return new Rational(Math.sinh(args[0].approx));
+            case 'cosh':
+                this._assertChildren(node, 2);
+
+                return new Rational(Math.cosh(args[0].approx));
+            case 'tanh':
+                this._assertChildren(node, 2);
+
+                return new Rational(Math.tanh(args[0].approx));
+            case 'arcsinh':
+                this._assertChildren(node, 2);
+
+                return new Rational(Math.asinh(args[0].approx));
+            case 'arccosh':
+                this._assertChildren(node, 2);
+
+                return new Rational(Math.acosh(args[0].approx));
+            case 'arctanh':
+                this._assertChildren(node, 2);
+
+                return new Rational(Math.atanh(args[0].approx));
             case 'abs':
                 this._assertChildren(node, 2);
 
@@ -331,20 +2372,154 @@ class MathML {
                 this._assertChildren(node, 2);
 
                 return new Rational(Math.log(args[0].approx))
+            case 'exp':
+                this._assertChildren(node, 2);
+
+                //e^n is exact for integer n
+                if(this._isInteger(args[0])) {
+                    return new Rational(1, 1, 0, args[0].numerator);
+                } else {
+                    return new Rational(Math.exp(args[0].approx));
+                }
+            case 'floor':
+                this._assertChildren(node, 2);
+
+                return new Rational(Math.floor(args[0].approx));
+            case 'ceiling':
+                this._assertChildren(node, 2);
+
+                return new Rational(Math.ceil(args[0].approx));
+            case 'factorial':
+                this._assertChildren(node, 2);
+
+                return new Rational(factorial(args[0].approx));
+            case 'min':
+                return args.reduce((a, b) => b.lessThan(a) ? b : a);
+            case 'max':
+                return args.reduce((a, b) => b.greaterThan(a) ? b : a);
+            case 'rem':
+                this._assertChildren(node, 3);
+
+                //exact if both numbers are the same multiple of pi/e
+                if(args[0].piFactor === args[1].piFactor &&
+                        args[0].eFactor === args[1].eFactor) {
+                    let quotient = Math.trunc(args[0].approx / args[1].approx);
+
+                    return args[0].minus(args[1].times(quotient));
+                } else {
+                    return new Rational(args[0].approx % args[1].approx);
+                }
+            case 'quotient':
+                this._assertChildren(node, 3);
+
+                return new Rational(Math.trunc(args[0].approx / args[1].approx));
+            case 'gcd':
+                assert(args.every(this._isInteger), '<apply><gcd/> requires integers.');
+
+                return new Rational(args.map(arg => arg.numerator).reduce(gcd));
+            case 'lcm':
+                assert(args.every(this._isInteger), '<apply><lcm/> requires integers.');
+
+                return new Rational(args.map(arg => arg.numerator).reduce(lcm));
             case 'log':
                 let childCount = node.childElementCount;
 
                 assert([2, 3].includes(childCount),
-                    `<apply><log/> must have 1 or 2 children.`);
+                    `<apply><log/> must have 1 or 2 children.`, 'wrong-arity');
 
                 if(childCount === 2) {
                     return new Rational(Math.log(args[0].approx) / Math.log(10));
                 } else {
                     return new Rational(Math.log(args[1].approx) / Math.log(args[0].approx));
                 }
+            case 'lt':
+                this._assertChildren(node, 3);
+
+                return args[0].lessThan(args[1]);
+            case 'leq':
+                this._assertChildren(node, 3);
+
+                return !args[0].greaterThan(args[1]);
+            case 'gt':
+                this._assertChildren(node, 3);
+
+                return args[0].greaterThan(args[1]);
+            case 'geq':
+                this._assertChildren(node, 3);
+
+                return !args[0].lessThan(args[1]);
+            case 'eq':
+                this._assertChildren(node, 3);
+
+                return args[0].equal(args[1]);
+            case 'neq':
+                this._assertChildren(node, 3);
+
+                return !args[0].equal(args[1]);
+            case 'and':
+                return args.every(arg => arg);
+            case 'or':
+                return args.some(arg => arg);
+            case 'not':
+                this._assertChildren(node, 2);
+
+                return !args[0];
             default:
-                throw new Error('Unknown <apply> action: ' + action);
+                throw new MathMLError('Unknown <apply> action: ' + action, 'unknown-element');
+        }
+    }
+
+    /**
+     * Given the arguments passed to this.exec(), return the scope object
+     * passed to this._func().
+     *
+     * The arguments are either one value for each of this._variables in
+     * order, or a single object mapping identifiers to values. In either
+     * case, values are added to those in this._constants.
+     *
+     * @param  {Array}  values The arguments passed to this.exec()
+     * @return {Object}        An object mapping identifiers to values
+     */
+    _bind(values) {
+        let scope = Object.assign({}, this._constants);
+
+        if(values.length === 1 && isScope(values[0])) {
+            Object.assign(scope, values[0]);
+        } else {
+            this._variables.forEach((name, i) => scope[name] = values[i]);
+        }
+
+        for(let name of this._identifiers) {
+            if(!(name in scope)) {
+                throw new MathMLError(`No value given for <ci>${name}</ci>.`, 'unknown-identifier');
+            }
         }
+
+        return scope;
+    }
+
+    /**
+     * Given a <ci> node, return the name of the identifier it contains.
+     *
+     * @param  {Element} node A MathML <ci> node
+     * @return {String}       The identifier's name
+     */
+    _parseIdentifier(node) {
+        let name = node.textContent.trim();
+
+        return CI_ALIASES[name] || name;
+    }
+
+    /**
+     * Test whether a Rational is an integer, i.e. has a denominator of 1 and
+     * no factors of pi or e.
+     *
+     * @param  {Rational} rational The Rational to be tested
+     * @return {Boolean}           True if `rational` is an integer
+     */
+    _isInteger(rational) {
+        return rational.denominator === 1 && rational.piFactor === 0 &&
+            rational.eFactor === 0;
     }
 
     /**
@@ -355,10 +2530,11 @@ class MathML {
      * @param  {Number}  count The expected number of children
      */
     _assertChildren(node, count) {
-        let action = node.firstChild.tagName;
+        let action = node.firstElementChild.tagName;
         assert(node.childElementCount === count,
-            `<apply><${action}/> must have ${count-1} children.`);
+            `<apply><${action}/> must have ${count-1} children.`, 'wrong-arity');
     }
 }
 
-export default MathML;
\ No newline at end of file
+export default MathML;
+export {MathMLError, parseDocument};
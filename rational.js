@@ -7,6 +7,16 @@ const DRAW_MINUS_WIDTH = 5;
 const DRAW_MINUS_SEPARATION = 3;
 const DRAW_TUPLE_PADDING = 5;
 
+// The largest denominator recogniseRational() will try
+const RECOGNISE_MAX_DENOMINATOR = 12;
+
+// How close a float must be to a Rational to be recognised as it
+const RECOGNISE_TOLERANCE = 1e-9;
+
+// The multiples [piFactor, eFactor] recogniseRational() will try, simplest
+// first
+const RECOGNISE_FACTORS = [[0, 0], [1, 0], [0, 1], [-1, 0], [0, -1]];
+
 /**
  * Assert that `condition` is true. If it is not, raise an error with
  * message `message`.
@@ -572,6 +582,10 @@ class RationalTuple {
      *           "(1/2, pi, 3pi)"
      *     - an array of Rationals
      *
+     * A string may instead use interval notation, with a square bracket at
+     * either end, e.g. "[0, 2pi)". The brackets used are recorded, and
+     * whether each end is closed can be checked with the `closed` property.
+     *
      * @see  Rational
      * 
      * @constructs
@@ -582,13 +596,15 @@ class RationalTuple {
     constructor(tuple) {
         if(Array.isArray(tuple)) {
             this._tuple = tuple;
+            this.brackets = ['(', ')'];
         } else {
             tuple = tuple.replace(/\s/g, '');
-            assert(/^\([^(),]+(,[^(),]+)*\)$/.test(tuple),
+            assert(/^[(\[][^()\[\],]+(,[^()\[\],]+)*[)\]]$/.test(tuple),
                    "Invalid tuple provided.");
 
             let matches = tuple.slice(1, -1).split(',');
             this._tuple = matches.map(el => new Rational(el));
+            this.brackets = [tuple[0], tuple[tuple.length - 1]];
         }
     }
 
@@ -604,6 +620,18 @@ class RationalTuple {
         return this._tuple.map(rat => rat.approx);
     }
 
+    /**
+     * Returns whether each end of the tuple, read as an interval, is closed:
+     * that is, whether it was written with a square bracket.
+     *
+     *     new RationalTuple("[0, 2pi)").closed // => [true, false]
+     *
+     * @return {Array} A pair of Booleans, for the left and right ends
+     */
+    get closed() {
+        return [this.brackets[0] === '[', this.brackets[1] === ']'];
+    }
+
     /**
      * Returns the length of `_tuple`, which is the number of elements in the
      * tuple.
@@ -629,7 +657,7 @@ class RationalTuple {
         let tupleFontsize = Math.max(...rationalHeights);
 
         let tupleElementCount = this._tuple.length;
-        let tupleChars = '()' + ','.repeat(tupleElementCount - 1);
+        let tupleChars = this.brackets.join('') + ','.repeat(tupleElementCount - 1);
 
         context.font = tupleFontsize + 'px serif';
         let tupleCharWidth = context.measureText(tupleChars).width;
@@ -717,7 +745,8 @@ class RationalTuple {
         }
 
         let curPos = position;
-        curPos = this._drawAddOuterText(context, position, tupleFontsize, '(');
+        curPos = this._drawAddOuterText(context, position, tupleFontsize,
+                                        this.brackets[0]);
 
         let self = this;
         let first = true;
@@ -733,8 +762,49 @@ class RationalTuple {
             curPos.left += rational.getDrawWidth(context) + DRAW_TUPLE_PADDING;
         });
 
-        this._drawAddOuterText(context, position, tupleFontsize, ')');
+        this._drawAddOuterText(context, position, tupleFontsize,
+                               this.brackets[1]);
     }
 }
 
-export {Rational, RationalTuple};
+/**
+ * Given a float `value`, return the Rational it approximates, if it is (to
+ * within RECOGNISE_TOLERANCE) a fraction with a denominator of at most
+ * `maxDenominator`, optionally multiplied or divided by pi or e. Otherwise,
+ * return null.
+ *
+ * Used to write numbers found numerically exactly where possible:
+ *     recogniseRational(1.5707963267948966) // => pi/2
+ *     recogniseRational(0.3333333333333333) // => 1/3
+ *     recogniseRational(Math.SQRT2)         // => null
+ *
+ * @param  {Number}        value          The float
+ * @param  {Int}           maxDenominator (Optional) The largest denominator
+ *                                        tried
+ * @return {Rational|null}                The Rational approximated, if any
+ */
+function recogniseRational(value, maxDenominator=RECOGNISE_MAX_DENOMINATOR) {
+    if(!Number.isFinite(value)) {
+        return null;
+    }
+
+    let tolerance = RECOGNISE_TOLERANCE * Math.max(1, Math.abs(value));
+
+    for(let [piFactor, eFactor] of RECOGNISE_FACTORS) {
+        let multiple = Math.PI**piFactor * Math.E**eFactor;
+
+        for(let denominator = 1; denominator <= maxDenominator; denominator++) {
+            //`|| 0` to avoid a numerator of -0
+            let numerator = Math.round(value / multiple * denominator) || 0;
+
+            if(Math.abs(numerator * multiple / denominator - value) <= tolerance) {
+                return new Rational(numerator, denominator, numerator === 0 ? 0 : piFactor,
+                                    numerator === 0 ? 0 : eFactor);
+            }
+        }
+    }
+
+    return null;
+}
+
+export {Rational, RationalTuple, recogniseRational};
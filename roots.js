@@ -0,0 +1,140 @@
+// The number of equal steps an interval is sampled at, by default, when
+// looking for changes of sign
+const DEFAULT_SAMPLES = 1000;
+
+// The most times a bracket around a change of sign is halved. Doubles have a
+// 52 bit mantissa, so this is ample to narrow any bracket to adjacent doubles.
+const MAX_BISECTIONS = 200;
+
+// How close to zero a function must be where it changes sign for that to be
+// a root, rather than e.g. a jump or an asymptote
+const ROOT_TOLERANCE = 1e-6;
+
+// How close two roots must be to be counted as one
+const DUPLICATE_TOLERANCE = 1e-9;
+
+
+/**
+ * Given a bracket [a, b] across which `func` changes sign, narrow it by
+ * bisection, returning the point at which the sign changes.
+ *
+ * If `func` is zero, or undefined, at a midpoint, that midpoint is returned.
+ *
+ * @param  {Function} func The function
+ * @param  {Number}   a    The start of the bracket
+ * @param  {Number}   fa   func(a)
+ * @param  {Number}   b    The end of the bracket
+ * @return {Number}        The point at which `func` changes sign
+ */
+function bisect(func, a, fa, b) {
+    for(let i = 0; i < MAX_BISECTIONS; i++) {
+        //doubles are densest around 0, so halving a bracket across 0 would
+        //never reach it: split it there instead
+        let m = Math.sign(a) * Math.sign(b) < 0 ? 0 : (a + b) / 2;
+
+        //the bracket can't be narrowed any further
+        if(m <= Math.min(a, b) || m >= Math.max(a, b)) {
+            return m;
+        }
+
+        let fm = func(m);
+
+        if(fm === 0 || !Number.isFinite(fm)) {
+            return m;
+        } else if(Math.sign(fm) === Math.sign(fa)) {
+            [a, fa] = [m, fm];
+        } else {
+            b = m;
+        }
+    }
+
+    return (a + b) / 2;
+}
+
+/**
+ * Return `values` sorted, with any within DUPLICATE_TOLERANCE of the one
+ * before left out.
+ *
+ * @param  {Array} values The values
+ * @return {Array}        The distinct values, in order
+ */
+function distinct(values) {
+    return values.sort((a, b) => a - b).filter((value, i, sorted) => i === 0 ||
+        value - sorted[i - 1] > DUPLICATE_TOLERANCE * Math.max(1, Math.abs(value)));
+}
+
+/**
+ * Return the points in [a, b] at which `func` changes sign, i.e. is
+ * negative on one side and positive on the other.
+ *
+ * The interval is sampled at `samples` equal steps, and each step across
+ * which the sign changes is narrowed down by bisection. So two changes
+ * within one step, e.g. the two roots of x^2 - 1e-6, are not found. Samples
+ * at which `func` is zero are skipped over, so e.g. x^3 changes sign at 0
+ * but x^2 doesn't.
+ *
+ * A change of sign isn't necessarily a root: the function may jump from
+ * negative to positive, or go off to infinity, as 1/x does. The caller may
+ * check each point, @see findRoots().
+ *
+ * @param  {Function} func    The function, taking and returning a Number
+ * @param  {Number}   a       The start of the interval
+ * @param  {Number}   b       The end of the interval
+ * @param  {Int}      samples (Optional) The number of steps sampled
+ * @return {Array}            The points at which the sign changes, in order
+ */
+function findSignChanges(func, a, b, samples=DEFAULT_SAMPLES) {
+    let changes = [];
+    //the last sample with a finite, non-zero value, and the zeros since
+    let last = null;
+    let zeros = [];
+
+    for(let i = 0; i <= samples; i++) {
+        let x = i === samples ? b : a + (b - a) * i / samples;
+        let y = func(x);
+
+        if(!Number.isFinite(y)) {
+            //the function is undefined here, so can't be bracketed across
+            [last, zeros] = [null, []];
+            continue;
+        } else if(y === 0) {
+            zeros.push(x);
+            continue;
+        }
+
+        if(last !== null && Math.sign(last.y) !== Math.sign(y)) {
+            changes.push(zeros.length > 0 ?
+                zeros[Math.floor(zeros.length / 2)] : bisect(func, last.x, last.y, x));
+        }
+
+        [last, zeros] = [{x: x, y: y}, []];
+    }
+
+    return distinct(changes);
+}
+
+/**
+ * Return the roots of `func` in [a, b]: the points at which it changes
+ * sign, @see findSignChanges(), and is (very nearly) zero, along with any
+ * sample at which it is exactly zero.
+ *
+ * Roots at which the function touches zero without changing sign, e.g. the
+ * root of x^2 at 0, are only found if a sample lands on them.
+ *
+ * @param  {Function} func    The function, taking and returning a Number
+ * @param  {Number}   a       The start of the interval
+ * @param  {Number}   b       The end of the interval
+ * @param  {Int}      samples (Optional) The number of steps sampled
+ * @return {Array}            The roots, in order
+ */
+export default function findRoots(func, a, b, samples=DEFAULT_SAMPLES) {
+    let changes = findSignChanges(func, a, b, samples)
+        .filter(x => Math.abs(func(x)) <= ROOT_TOLERANCE);
+    let zeros = Array.from({length: samples + 1},
+        (_, i) => i === samples ? b : a + (b - a) * i / samples)
+        .filter(x => func(x) === 0);
+
+    return distinct(changes.concat(zeros));
+}
+
+export {findSignChanges};
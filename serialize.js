@@ -0,0 +1,949 @@
+// How tightly each kind of term binds, loosest first. A term is bracketed
+// when it appears where a tighter-binding term is required.
+const PRECEDENCE = {
+    OR: 1,
+    AND: 2,
+    NOT: 3,
+    RELATION: 4,
+    SUM: 5,
+    PRODUCT: 6,
+    UNARY: 7,
+    POWER: 8,
+    FRACTION: 9,
+    POSTFIX: 10,
+    ATOM: 11
+};
+
+// The relational <apply> actions
+const RELATIONS = ['lt', 'leq', 'gt', 'geq', 'eq', 'neq'];
+
+// The <apply> actions written as a function name followed by bracketed
+// arguments, e.g. sin(x)
+const FUNCTIONS = [
+    'sin', 'cos', 'tan', 'sec', 'csc', 'cot',
+    'arcsin', 'arccos', 'arctan', 'arcsec', 'arccsc', 'arccot',
+    'sinh', 'cosh', 'tanh', 'arcsinh', 'arccosh', 'arctanh',
+    'ln', 'min', 'max', 'rem', 'quotient', 'gcd', 'lcm'
+];
+
+// The <apply> actions which take a bound variable, given in a <bvar>
+const BOUND_ACTIONS = ['int', 'diff', 'sum', 'product'];
+
+// Greek letters which may be used as identifiers, by name
+const GREEK = {
+    alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε',
+    zeta: 'ζ', eta: 'η', theta: 'θ', iota: 'ι', kappa: 'κ', lambda: 'λ',
+    mu: 'μ', nu: 'ν', xi: 'ξ', rho: 'ρ', sigma: 'σ', tau: 'τ',
+    phi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω'
+};
+
+
+/**
+ * Walks a content MathML node, producing an equivalent string in some other
+ * notation, with brackets inserted only where operator precedence requires
+ * them.
+ *
+ * This class handles the structure of the expression. Subclasses supply the
+ * notation, by implementing the token methods (number(), identifier(),
+ * constant(), operator(), row(), group() and func()), and by overriding any
+ * of the _serialize*() methods whose layout differs from the infix default.
+ *
+ * Each _serialize*() method returns a term, an Object:
+ *     {text:_, precedence:_}
+ * where `precedence` is one of PRECEDENCE.
+ */
+class Serializer {
+    /**
+     * Serialize the MathML node `node`.
+     *
+     * @param  {Element} node Any MathML node
+     * @return {String}       The serialized expression
+     */
+    serialize(node) {
+        return this._serializeNode(node).text;
+    }
+
+    /**
+     * Return a term with text `text` and precedence `precedence`.
+     *
+     * @param  {String} text       The serialized term
+     * @param  {Number} precedence (Optional) The term's precedence, defaults
+     *                             to PRECEDENCE.ATOM
+     * @return {Object}            The term
+     */
+    _term(text, precedence=PRECEDENCE.ATOM) {
+        return {text: text, precedence: precedence};
+    }
+
+    /**
+     * Return the text of `term` as an operand of an operator requiring at
+     * least `precedence`, bracketing it if necessary.
+     *
+     * Where `bracketSigned` is true, a negated term is also bracketed, e.g.
+     * the right operand of a minus: x - (-y).
+     *
+     * @param  {Object}  term          The operand
+     * @param  {Number}  precedence    The precedence required
+     * @param  {Boolean} bracketSigned (Optional) Whether to bracket a
+     *                                 negated operand
+     * @return {String}                The operand's text
+     */
+    _operand(term, precedence, bracketSigned=false) {
+        if(term.precedence < precedence ||
+                (bracketSigned && term.precedence === PRECEDENCE.UNARY)) {
+            return this.group(term.text);
+        }
+
+        return term.text;
+    }
+
+    /**
+     * Serialize any MathML node.
+     *
+     * @param  {Element} node Any MathML node
+     * @return {Object}       The serialized term
+     */
+    _serializeNode(node) {
+        switch(node.tagName) {
+            case 'apply':
+                return this._serializeApply(node);
+            case 'ci':
+                return this._term(this.identifier(node.textContent.trim()));
+            case 'cn':
+                let value = node.textContent.trim();
+                if(value[0] === '-') {
+                    return this._term(
+                        this.row([this.operator('negate'), this.number(value.slice(1))]),
+                        PRECEDENCE.UNARY);
+                }
+
+                return this._term(this.number(value));
+            case 'degree':
+            case 'logbase':
+                return this._serializeNode(node.firstElementChild);
+            case 'pi':
+                return this._term(this.constant('pi'));
+            case 'exponentiale':
+                return this._term(this.constant('e'));
+            case 'list':
+                let elements = Array.from(node.children).map(
+                    child => this._serializeNode(child).text);
+
+                return this._term(this.group(elements.join(this.operator('comma'))));
+            case 'piecewise':
+                return this._serializePiecewise(node);
+            default:
+                throw new Error('Unknown MathML element: ' + node.tagName);
+        }
+    }
+
+    /**
+     * Serialize an <apply> MathML node.
+     *
+     * @param  {Element} node A MathML <apply> node
+     * @return {Object}       The serialized term
+     */
+    _serializeApply(node) {
+        let action = node.firstElementChild.tagName;
+
+        if(BOUND_ACTIONS.includes(action)) {
+            return this._serializeBound(action, this._getQualifiers(node));
+        }
+
+        let argNodes = Array.from(node.children).slice(1);
+        let args = argNodes.map(this._serializeNode, this);
+
+        if(RELATIONS.includes(action)) {
+            return this._term(this.row([
+                this._operand(args[0], PRECEDENCE.SUM),
+                this.operator(action),
+                this._operand(args[1], PRECEDENCE.SUM)
+            ]), PRECEDENCE.RELATION);
+        } else if(FUNCTIONS.includes(action)) {
+            return this._term(this.func(action, args.map(arg => arg.text)));
+        }
+
+        switch(action) {
+            case 'plus':
+                return this._serializeSum(args.map(arg => ['plus', arg]));
+            case 'minus':
+                if(args.length === 1) {
+                    return this._term(this.row([
+                        this.operator('negate'),
+                        this._operand(args[0], PRECEDENCE.UNARY)
+                    ]), PRECEDENCE.UNARY);
+                }
+
+                return this._serializeSum([['plus', args[0]], ['minus', args[1]]]);
+            case 'times':
+                return this._serializeProduct(argNodes, args);
+            case 'divide':
+                return this._serializeDivide(args[0], args[1]);
+            case 'power':
+                return this._serializePower(args[0], args[1]);
+            case 'root':
+                if(args.length === 2) {
+                    //a <degree> comes first, @see MathML._compileApply()
+                    return this._serializeRoot(args[1], args[0]);
+                }
+
+                return this._serializeRoot(args[0], null);
+            case 'log':
+                if(args.length === 2) {
+                    //a <logbase> comes first, @see MathML._compileApply()
+                    return this._serializeLog(args[1], args[0]);
+                }
+
+                return this._serializeLog(args[0], null);
+            case 'exp':
+                return this._serializeExp(args[0]);
+            case 'abs':
+            case 'floor':
+            case 'ceiling':
+                return this._serializeBracketed(action, args[0]);
+            case 'factorial':
+                return this._term(this.row([
+                    this._operand(args[0], PRECEDENCE.POSTFIX),
+                    this.operator('factorial')
+                ]), PRECEDENCE.POSTFIX);
+            case 'and':
+            case 'or':
+                let precedence = action === 'and' ? PRECEDENCE.AND : PRECEDENCE.OR;
+                let operands = args.map(arg => this._operand(arg, precedence + 1));
+
+                return this._term(this.row(this._join(operands, action)), precedence);
+            case 'not':
+                return this._term(this.row([
+                    this.operator('not'),
+                    this._operand(args[0], PRECEDENCE.NOT)
+                ]), PRECEDENCE.NOT);
+            default:
+                throw new Error('Unknown <apply> action: ' + action);
+        }
+    }
+
+    /**
+     * Return `operands` with the operator `action` between each pair.
+     *
+     * @param  {Array}  operands The operands' text
+     * @param  {String} action   The operator's action, @see operator()
+     * @return {Array}           The operands and operators
+     */
+    _join(operands, action) {
+        return operands.reduce((parts, operand, i) =>
+            i === 0 ? [operand] : parts.concat([this.operator(action), operand]), []);
+    }
+
+    /**
+     * Serialize a sum of terms, given as an array of [action, term] pairs,
+     * where `action` is 'plus' or 'minus'. The first action is ignored.
+     *
+     * @param  {Array} summands The terms being summed
+     * @return {Object}         The serialized term
+     */
+    _serializeSum(summands) {
+        let parts = summands.map(([action, term], i) => {
+            if(i === 0) {
+                return [this._operand(term, PRECEDENCE.SUM)];
+            }
+
+            //subtraction is left-associative: a - (b + c)
+            let precedence = action === 'minus' ? PRECEDENCE.PRODUCT : PRECEDENCE.SUM;
+
+            return [this.operator(action), this._operand(term, precedence, true)];
+        });
+
+        return this._term(this.row(parts.flat()), PRECEDENCE.SUM);
+    }
+
+    /**
+     * Serialize a product, writing a number followed by a juxtaposable
+     * factor without an operator, e.g. 2x rather than 2 * x.
+     *
+     * @see  _isJuxtaposable()
+     * @param  {Array}  argNodes The MathML nodes of the factors
+     * @param  {Array}  args     The serialized factors
+     * @return {Object}          The serialized term
+     */
+    _serializeProduct(argNodes, args) {
+        let parts = args.map((arg, i) => {
+            if(i === 0) {
+                return [this._operand(arg, PRECEDENCE.PRODUCT)];
+            }
+
+            let previous = argNodes[i - 1];
+            let juxtapose = previous.tagName === 'cn' &&
+                previous.textContent.trim()[0] !== '-' &&
+                this._isJuxtaposable(argNodes[i]);
+
+            return [this.operator(juxtapose ? 'juxtapose' : 'times'),
+                    this._operand(arg, PRECEDENCE.POWER)];
+        });
+
+        return this._term(this.row(parts.flat()), PRECEDENCE.PRODUCT);
+    }
+
+    /**
+     * Can the MathML node `node` follow a number without a multiplication
+     * sign? True of identifiers, constants and functions, and powers and
+     * factorials of them.
+     *
+     * @param  {Element} node Any MathML node
+     * @return {Boolean}      Whether `node` is juxtaposable
+     */
+    _isJuxtaposable(node) {
+        if(['ci', 'pi', 'exponentiale'].includes(node.tagName)) {
+            return true;
+        } else if(node.tagName !== 'apply') {
+            return false;
+        }
+
+        let action = node.firstElementChild.tagName;
+        if(action === 'power' || action === 'factorial') {
+            return this._isJuxtaposable(node.children[1]);
+        }
+
+        return FUNCTIONS.includes(action) ||
+            ['root', 'log', 'exp', 'floor', 'ceiling'].includes(action);
+    }
+
+    /**
+     * Serialize a quotient. By default, numerator / denominator.
+     *
+     * @param  {Object} numerator   The serialized numerator
+     * @param  {Object} denominator The serialized denominator
+     * @return {Object}             The serialized term
+     */
+    _serializeDivide(numerator, denominator) {
+        return this._term(this.row([
+            this._operand(numerator, PRECEDENCE.PRODUCT),
+            this.operator('divide'),
+            this._operand(denominator, PRECEDENCE.POWER)
+        ]), PRECEDENCE.PRODUCT);
+    }
+
+    /**
+     * Serialize a power. By default, base ^ exponent, which is
+     * right-associative.
+     *
+     * @param  {Object} base     The serialized base
+     * @param  {Object} exponent The serialized exponent
+     * @return {Object}          The serialized term
+     */
+    _serializePower(base, exponent) {
+        return this._term(this.row([
+            this._operand(base, PRECEDENCE.POSTFIX),
+            this.operator('power'),
+            this._operand(exponent, PRECEDENCE.POWER)
+        ]), PRECEDENCE.POWER);
+    }
+
+    /**
+     * Serialize a root. By default, sqrt(x) or root(x, n).
+     *
+     * @param  {Object}      radicand The serialized radicand
+     * @param  {Object|null} degree   The serialized degree, or null for a
+     *                                square root
+     * @return {Object}               The serialized term
+     */
+    _serializeRoot(radicand, degree) {
+        if(degree === null) {
+            return this._term(this.func('sqrt', [radicand.text]));
+        }
+
+        return this._term(this.func('root', [radicand.text, degree.text]));
+    }
+
+    /**
+     * Serialize a logarithm. By default, log(x) or log(x, b).
+     *
+     * @param  {Object}      arg  The serialized argument
+     * @param  {Object|null} base The serialized base, or null for base 10
+     * @return {Object}           The serialized term
+     */
+    _serializeLog(arg, base) {
+        if(base === null) {
+            return this._term(this.func('log', [arg.text]));
+        }
+
+        return this._term(this.func('log', [arg.text, base.text]));
+    }
+
+    /**
+     * Serialize an exponential. By default, exp(x).
+     *
+     * @param  {Object} arg The serialized exponent
+     * @return {Object}     The serialized term
+     */
+    _serializeExp(arg) {
+        return this._term(this.func('exp', [arg.text]));
+    }
+
+    /**
+     * Serialize an absolute value, floor or ceiling. By default, |x| or
+     * floor(x) or ceiling(x).
+     *
+     * @param  {String} action 'abs', 'floor' or 'ceiling'
+     * @param  {Object} arg    The serialized argument
+     * @return {Object}        The serialized term
+     */
+    _serializeBracketed(action, arg) {
+        if(action === 'abs') {
+            return this._term(`|${arg.text}|`);
+        }
+
+        return this._term(this.func(action, [arg.text]));
+    }
+
+    /**
+     * Serialize a <piecewise> MathML node. By default, each piece is written
+     * "value if condition", and the pieces are enclosed in braces:
+     *     {-x if x < 0; x otherwise}
+     *
+     * @param  {Element} node A MathML <piecewise> node
+     * @return {Object}       The serialized term
+     */
+    _serializePiecewise(node) {
+        let pieces = this._getPieces(node).map(({value, condition}) =>
+            condition === null ? `${value} otherwise` : `${value} if ${condition}`);
+
+        return this._term(`{${pieces.join('; ')}}`);
+    }
+
+    /**
+     * Serialize an <apply> of <int/>, <diff/>, <sum/> or <product/>, given
+     * its serialized parts, @see _getQualifiers(). In infix, these are
+     * written as functions, e.g. int(sin(t), t, 0, x), or diff(x^3, x, 2)
+     * for a second derivative.
+     *
+     * @param  {String} action     The <apply> action
+     * @param  {Object} qualifiers The serialized parts of the <apply>
+     * @return {Object}            The serialized term
+     */
+    _serializeBound(action, {variable, degree, lowlimit, uplimit, body}) {
+        let args = action === 'diff' ?
+            [body, variable].concat(degree === null ? [] : [degree]) :
+            [body, variable, lowlimit, uplimit];
+
+        return this._term(this.func(action, args.map(arg => arg.text)));
+    }
+
+    /**
+     * Given an <apply> of one of BOUND_ACTIONS, return its serialized parts,
+     * as an Object:
+     *     {variable:_, degree:_, lowlimit:_, uplimit:_, body:_}
+     * where `degree`, `lowlimit` and `uplimit` are null if absent.
+     *
+     * @param  {Element} node A MathML <apply> node
+     * @return {Object}       The serialized parts
+     */
+    _getQualifiers(node) {
+        let children = Array.from(node.children).slice(1);
+        let qualifier = (tag => children.find(child => child.tagName === tag));
+        let contents = (child => child === undefined ?
+            null : this._serializeNode(child.firstElementChild));
+        let bvar = qualifier('bvar');
+        let body = children.find(
+            child => !['bvar', 'lowlimit', 'uplimit'].includes(child.tagName));
+
+        return {
+            variable: this._serializeNode(bvar.firstElementChild),
+            degree: contents(Array.from(bvar.children).find(child => child.tagName === 'degree')),
+            lowlimit: contents(qualifier('lowlimit')),
+            uplimit: contents(qualifier('uplimit')),
+            body: this._serializeNode(body)
+        };
+    }
+
+    /**
+     * Given a <piecewise> MathML node, return an array of its serialized
+     * pieces, each an Object:
+     *     {value:_, condition:_}
+     * where `condition` is null for an <otherwise>.
+     *
+     * @param  {Element} node A MathML <piecewise> node
+     * @return {Array}        The serialized pieces
+     */
+    _getPieces(node) {
+        return Array.from(node.children).map(child => ({
+            value: this._serializeNode(child.children[0]).text,
+            condition: child.tagName === 'otherwise' ?
+                null : this._serializeNode(child.children[1]).text
+        }));
+    }
+}
+
+
+/**
+ * Serializes content MathML to an infix expression, as read by parseInfix().
+ *
+ * @see  parseInfix() from infix.js
+ */
+class InfixSerializer extends Serializer {
+    /**
+     * @param  {String} value The number, e.g. "2"
+     * @return {String}       The number
+     */
+    number(value) {
+        return value;
+    }
+
+    /**
+     * @param  {String} name The identifier's name
+     * @return {String}      The identifier
+     */
+    identifier(name) {
+        return name;
+    }
+
+    /**
+     * @param  {String} name 'pi' or 'e'
+     * @return {String}      The constant
+     */
+    constant(name) {
+        return name;
+    }
+
+    /**
+     * @param  {String} action The operator's action, e.g. 'plus'
+     * @return {String}        The operator
+     */
+    operator(action) {
+        return {
+            plus: ' + ', minus: ' - ', negate: '-', times: ' * ',
+            juxtapose: '', divide: '/', power: '^', factorial: '!',
+            lt: ' < ', leq: ' <= ', gt: ' > ', geq: ' >= ', eq: ' = ',
+            neq: ' != ', and: ' and ', or: ' or ', not: 'not ', comma: ', '
+        }[action];
+    }
+
+    /**
+     * @param  {Array} parts The serialized parts of a term
+     * @return {String}      The parts as one term
+     */
+    row(parts) {
+        return parts.join('');
+    }
+
+    /**
+     * @param  {String} text A serialized term
+     * @return {String}      The term in brackets
+     */
+    group(text) {
+        return `(${text})`;
+    }
+
+    /**
+     * @param  {String} name The function's name
+     * @param  {Array}  args The serialized arguments
+     * @return {String}      The function applied to its arguments
+     */
+    func(name, args) {
+        return `${name}(${args.join(', ')})`;
+    }
+}
+
+
+/**
+ * Serializes content MathML to LaTeX.
+ */
+class LatexSerializer extends Serializer {
+    /**
+     * @param  {String} value The number, e.g. "2"
+     * @return {String}       The number
+     */
+    number(value) {
+        return value;
+    }
+
+    /**
+     * Single letters are written as is, Greek letters as their command, e.g.
+     * \theta, and anything else in upright type.
+     *
+     * @param  {String} name The identifier's name
+     * @return {String}      The identifier
+     */
+    identifier(name) {
+        let greek = Object.keys(GREEK).find(key => key === name || GREEK[key] === name);
+
+        if(greek !== undefined) {
+            return `\\${greek}`;
+        } else if(name.length === 1) {
+            return name;
+        }
+
+        return `\\mathrm{${name}}`;
+    }
+
+    /**
+     * @param  {String} name 'pi' or 'e'
+     * @return {String}      The constant
+     */
+    constant(name) {
+        return name === 'pi' ? '\\pi' : 'e';
+    }
+
+    /**
+     * @param  {String} action The operator's action, e.g. 'plus'
+     * @return {String}        The operator
+     */
+    operator(action) {
+        return {
+            plus: ' + ', minus: ' - ', negate: '-', times: ' \\cdot ',
+            juxtapose: '', factorial: '!',
+            lt: ' < ', leq: ' \\leq ', gt: ' > ', geq: ' \\geq ', eq: ' = ',
+            neq: ' \\neq ', and: ' \\land ', or: ' \\lor ', not: '\\lnot ',
+            comma: ', '
+        }[action];
+    }
+
+    /**
+     * @param  {Array} parts The serialized parts of a term
+     * @return {String}      The parts as one term
+     */
+    row(parts) {
+        return parts.join('');
+    }
+
+    /**
+     * @param  {String} text A serialized term
+     * @return {String}      The term in brackets
+     */
+    group(text) {
+        return `\\left(${text}\\right)`;
+    }
+
+    /**
+     * Functions LaTeX has a command for are written with it, e.g. \sin, and
+     * any others with \operatorname.
+     *
+     * @param  {String} name The function's name
+     * @param  {Array}  args The serialized arguments
+     * @return {String}      The function applied to its arguments
+     */
+    func(name, args) {
+        const COMMANDS = [
+            'sin', 'cos', 'tan', 'sec', 'csc', 'cot', 'arcsin', 'arccos',
+            'arctan', 'sinh', 'cosh', 'tanh', 'ln', 'log', 'exp', 'min',
+            'max', 'gcd'
+        ];
+
+        let command = COMMANDS.includes(name) ?
+            `\\${name}` : `\\operatorname{${name}}`;
+
+        return command + this.group(args.join(this.operator('comma')));
+    }
+
+    /**
+     * @see  Serializer._serializeDivide()
+     */
+    _serializeDivide(numerator, denominator) {
+        return this._term(`\\frac{${numerator.text}}{${denominator.text}}`,
+            PRECEDENCE.FRACTION);
+    }
+
+    /**
+     * @see  Serializer._serializePower()
+     */
+    _serializePower(base, exponent) {
+        return this._term(
+            `${this._operand(base, PRECEDENCE.POSTFIX)}^{${exponent.text}}`,
+            PRECEDENCE.POWER);
+    }
+
+    /**
+     * @see  Serializer._serializeRoot()
+     */
+    _serializeRoot(radicand, degree) {
+        if(degree === null) {
+            return this._term(`\\sqrt{${radicand.text}}`);
+        }
+
+        return this._term(`\\sqrt[${degree.text}]{${radicand.text}}`);
+    }
+
+    /**
+     * @see  Serializer._serializeLog()
+     */
+    _serializeLog(arg, base) {
+        if(base === null) {
+            return this._term(this.func('log', [arg.text]));
+        }
+
+        return this._term(`\\log_{${base.text}}${this.group(arg.text)}`);
+    }
+
+    /**
+     * @see  Serializer._serializeExp()
+     */
+    _serializeExp(arg) {
+        return this._term(`e^{${arg.text}}`, PRECEDENCE.POWER);
+    }
+
+    /**
+     * @see  Serializer._serializeBracketed()
+     */
+    _serializeBracketed(action, arg) {
+        let [left, right] = {
+            abs: ['|', '|'],
+            floor: ['\\lfloor ', '\\rfloor'],
+            ceiling: ['\\lceil ', '\\rceil']
+        }[action];
+
+        return this._term(`\\left${left}${arg.text}\\right${right}`);
+    }
+
+    /**
+     * @see  Serializer._serializePiecewise()
+     */
+    _serializePiecewise(node) {
+        let pieces = this._getPieces(node).map(({value, condition}) =>
+            condition === null ?
+                `${value} & \\text{otherwise}` : `${value} & \\text{if } ${condition}`);
+
+        return this._term(`\\begin{cases}${pieces.join(' \\\\ ')}\\end{cases}`);
+    }
+
+    /**
+     * @see  Serializer._serializeBound()
+     */
+    _serializeBound(action, {variable, degree, lowlimit, uplimit, body}) {
+        if(action === 'diff') {
+            let order = degree === null ? '' : `^{${degree.text}}`;
+
+            return this._term(`\\frac{d${order}}{d${variable.text}${order}}` +
+                this._operand(body, PRECEDENCE.PRODUCT), PRECEDENCE.PRODUCT);
+        } else if(action === 'int') {
+            //the integrand is closed by the dt, so needn't be bracketed
+            return this._term(`\\int_{${lowlimit.text}}^{${uplimit.text}}` +
+                `${this._operand(body, PRECEDENCE.SUM)}\\,d${variable.text}`, PRECEDENCE.PRODUCT);
+        }
+
+        let command = action === 'sum' ? '\\sum' : '\\prod';
+
+        return this._term(`${command}_{${variable.text}=${lowlimit.text}}^{${uplimit.text}}` +
+            this._operand(body, PRECEDENCE.PRODUCT), PRECEDENCE.PRODUCT);
+    }
+}
+
+
+/**
+ * Serializes content MathML to presentation MathML, wrapped in a <math>
+ * element ready to be displayed.
+ */
+class PresentationSerializer extends Serializer {
+    /**
+     * @see  Serializer.serialize()
+     */
+    serialize(node) {
+        let text = super.serialize(node);
+
+        return `<math xmlns="http://www.w3.org/1998/Math/MathML">${text}</math>`;
+    }
+
+    /**
+     * @param  {String} value The number, e.g. "2"
+     * @return {String}       The number
+     */
+    number(value) {
+        return `<mn>${value}</mn>`;
+    }
+
+    /**
+     * Greek letters given by name are written as the letter, e.g. θ.
+     *
+     * @param  {String} name The identifier's name
+     * @return {String}      The identifier
+     */
+    identifier(name) {
+        return `<mi>${GREEK[name] || name}</mi>`;
+    }
+
+    /**
+     * @param  {String} name 'pi' or 'e'
+     * @return {String}      The constant
+     */
+    constant(name) {
+        return `<mi>${name === 'pi' ? 'π' : 'e'}</mi>`;
+    }
+
+    /**
+     * @param  {String} action The operator's action, e.g. 'plus'
+     * @return {String}        The operator
+     */
+    operator(action) {
+        //U+2062 is the invisible times operator
+        let operator = {
+            plus: '+', minus: '−', negate: '−', times: '×',
+            juxtapose: '\u2062', factorial: '!',
+            lt: '&lt;', leq: '≤', gt: '&gt;', geq: '≥', eq: '=', neq: '≠',
+            and: '∧', or: '∨', not: '¬', comma: ','
+        }[action];
+
+        return `<mo>${operator}</mo>`;
+    }
+
+    /**
+     * @param  {Array} parts The serialized parts of a term
+     * @return {String}      The parts as one term
+     */
+    row(parts) {
+        return `<mrow>${parts.join('')}</mrow>`;
+    }
+
+    /**
+     * @param  {String} text A serialized term
+     * @return {String}      The term in brackets
+     */
+    group(text) {
+        return this._fence('(', text, ')');
+    }
+
+    /**
+     * @param  {String} name The function's name
+     * @param  {Array}  args The serialized arguments
+     * @return {String}      The function applied to its arguments
+     */
+    func(name, args) {
+        return this._applyFunction(`<mi>${name}</mi>`, args);
+    }
+
+    /**
+     * Return the presentation MathML of the function `func` applied to
+     * `args`.
+     *
+     * @param  {String} func The presentation MathML of the function
+     * @param  {Array}  args The serialized arguments
+     * @return {String}      The function applied to its arguments
+     */
+    _applyFunction(func, args) {
+        //U+2061 is the invisible function application operator
+        return this.row([
+            func,
+            '<mo>\u2061</mo>',
+            this.group(args.join(this.operator('comma')))
+        ]);
+    }
+
+    /**
+     * Return `text` between the fences `left` and `right`, e.g. brackets.
+     *
+     * @param  {String} left  The opening fence
+     * @param  {String} text  The presentation MathML being enclosed
+     * @param  {String} right The closing fence
+     * @return {String}       The enclosed presentation MathML
+     */
+    _fence(left, text, right) {
+        return `<mrow><mo>${left}</mo>${text}<mo>${right}</mo></mrow>`;
+    }
+
+    /**
+     * @see  Serializer._serializeDivide()
+     */
+    _serializeDivide(numerator, denominator) {
+        return this._term(`<mfrac>${numerator.text}${denominator.text}</mfrac>`,
+            PRECEDENCE.FRACTION);
+    }
+
+    /**
+     * @see  Serializer._serializePower()
+     */
+    _serializePower(base, exponent) {
+        return this._term(
+            `<msup>${this._operand(base, PRECEDENCE.POSTFIX)}${exponent.text}</msup>`,
+            PRECEDENCE.POWER);
+    }
+
+    /**
+     * @see  Serializer._serializeRoot()
+     */
+    _serializeRoot(radicand, degree) {
+        if(degree === null) {
+            return this._term(`<msqrt>${radicand.text}</msqrt>`);
+        }
+
+        return this._term(`<mroot>${radicand.text}${degree.text}</mroot>`);
+    }
+
+    /**
+     * @see  Serializer._serializeLog()
+     */
+    _serializeLog(arg, base) {
+        if(base === null) {
+            return this._term(this.func('log', [arg.text]));
+        }
+
+        return this._term(this._applyFunction(
+            `<msub><mi>log</mi>${base.text}</msub>`, [arg.text]));
+    }
+
+    /**
+     * @see  Serializer._serializeExp()
+     */
+    _serializeExp(arg) {
+        return this._term(`<msup><mi>e</mi>${arg.text}</msup>`, PRECEDENCE.POWER);
+    }
+
+    /**
+     * @see  Serializer._serializeBracketed()
+     */
+    _serializeBracketed(action, arg) {
+        let [left, right] = {
+            abs: ['|', '|'],
+            floor: ['⌊', '⌋'],
+            ceiling: ['⌈', '⌉']
+        }[action];
+
+        return this._term(this._fence(left, arg.text, right));
+    }
+
+    /**
+     * @see  Serializer._serializePiecewise()
+     */
+    _serializePiecewise(node) {
+        let rows = this._getPieces(node).map(({value, condition}) => {
+            let when = condition === null ?
+                '<mtext>otherwise</mtext>' :
+                `<mrow><mtext>if</mtext><mspace width="0.5em"/>${condition}</mrow>`;
+
+            return `<mtr><mtd>${value}</mtd><mtd>${when}</mtd></mtr>`;
+        });
+
+        return this._term(`<mrow><mo>{</mo><mtable>${rows.join('')}</mtable></mrow>`);
+    }
+
+    /**
+     * @see  Serializer._serializeBound()
+     */
+    _serializeBound(action, {variable, degree, lowlimit, uplimit, body}) {
+        const D = '<mi>d</mi>';
+
+        if(action === 'diff') {
+            let [top, bottom] = degree === null ?
+                [D, this.row([D, variable.text])] :
+                [`<msup>${D}${degree.text}</msup>`,
+                    this.row([D, `<msup>${variable.text}${degree.text}</msup>`])];
+
+            return this._term(this.row([`<mfrac>${top}${bottom}</mfrac>`,
+                this._operand(body, PRECEDENCE.PRODUCT)]), PRECEDENCE.PRODUCT);
+        } else if(action === 'int') {
+            return this._term(this.row([
+                `<msubsup><mo>∫</mo>${lowlimit.text}${uplimit.text}</msubsup>`,
+                this._operand(body, PRECEDENCE.SUM),
+                D,
+                variable.text
+            ]), PRECEDENCE.PRODUCT);
+        }
+
+        let under = this.row([variable.text, this.operator('eq'), lowlimit.text]);
+        let operator = action === 'sum' ? '∑' : '∏';
+
+        return this._term(this.row([
+            `<munderover><mo>${operator}</mo>${under}${uplimit.text}</munderover>`,
+            this._operand(body, PRECEDENCE.PRODUCT)
+        ]), PRECEDENCE.PRODUCT);
+    }
+}
+
+
+export {InfixSerializer, LatexSerializer, PresentationSerializer};
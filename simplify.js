@@ -0,0 +1,1116 @@
+import Differentiator from './derivative.js';
+
+/**
+ * Assert that `condition` is true. If it is not, raise an error with
+ * message `message`.
+ *
+ * @param  {Boolean} condition The condition being asserted
+ * @param  {String} message    The error string to be raised if condition
+ *                             is false
+ */
+function assert(condition, message) {
+    if(!condition) {
+        throw new Error(message);
+    }
+}
+
+// The <apply> actions which take a bound variable, given in a <bvar>
+const BOUND_ACTIONS = ['int', 'diff', 'sum', 'product'];
+
+// The <apply> actions whose arguments can be given in any order
+const COMMUTATIVE = ['min', 'max', 'gcd', 'lcm'];
+
+// The value at 0 of each function for which it's a whole number
+const VALUES_AT_ZERO = {
+    sin: 0, tan: 0, arcsin: 0, arctan: 0, sinh: 0, tanh: 0, arcsinh: 0, arctanh: 0,
+    cos: 1, cosh: 1,
+};
+
+// The most terms a product of sums is expanded to, once like terms are
+// collected. Larger products are left unexpanded.
+const MAX_EXPANSION = 64;
+
+// The functions defined for every real argument, @see isTotal()
+const TOTAL_FUNCTIONS = ['sin', 'cos', 'arctan', 'arccot', 'sinh', 'cosh', 'tanh', 'arcsinh',
+                         'abs', 'floor', 'ceiling', 'min', 'max'];
+
+// The most digits a number raised to a power is worked out exactly to.
+// Larger powers are left unevaluated.
+const MAX_DIGITS = 256;
+
+// The largest number whose factorial is worked out exactly
+const MAX_FACTORIAL = 100;
+
+
+/**
+ * Find the greatest common divisor of two BigInts `a` and `b`.
+ *
+ * @param  {BigInt} a An integer
+ * @param  {BigInt} b An integer
+ * @return {BigInt}   The GCD of `a` and `b`, which is never negative
+ */
+function gcd(a, b) {
+    [a, b] = [a < 0n ? -a : a, b < 0n ? -b : b];
+    while(b) {
+        [a, b] = [b, a % b];
+    }
+
+    return a;
+}
+
+/**
+ * Return the exact `degree`th root of the non-negative BigInt `n`, or null
+ * if it isn't an integer.
+ *
+ * @param  {BigInt} n      The radicand
+ * @param  {BigInt} degree The degree of the root
+ * @return {BigInt|null}   The root
+ */
+function integerRoot(n, degree) {
+    let estimate = Math.round(Number(n) ** (1 / Number(degree)));
+
+    if(!Number.isFinite(estimate)) {
+        return null;
+    }
+
+    //the estimate may be off by one, through rounding
+    estimate = BigInt(estimate);
+    return [estimate - 1n, estimate, estimate + 1n]
+        .find(root => root >= 0n && root ** degree === n) ?? null;
+}
+
+
+/*
+ * A term is a simplified expression. It is one of:
+ *     {type: 'number', n:_, d:_}          the rational n/d, BigInts in lowest
+ *                                        terms with d > 0
+ *     {type: 'leaf', mathml:_}            a <ci>, <pi/> or <exponentiale/>,
+ *                                        or anything else which is only
+ *                                        simplified within, e.g. a <list>
+ *     {type: 'sum', terms:_}              at least two terms, none of them
+ *                                        sums, with no two alike
+ *     {type: 'product', coefficient:_, factors:_}
+ *                                        a number times at least one factor,
+ *                                        none of them numbers or products,
+ *                                        with no two of the same base
+ *     {type: 'power', base:_, exponent:_}
+ *     {type: 'apply', action:_, args:_}   any other <apply>
+ * Sums and products are kept in a canonical order, so two terms are the same
+ * if and only if their MathML is, @see key().
+ */
+
+/**
+ * Return the number n/d as a term.
+ *
+ * @param  {BigInt|Number} n The numerator
+ * @param  {BigInt|Number} d (Optional) The denominator, defaults to 1
+ * @return {Object}          The term
+ */
+function number(n, d=1n) {
+    [n, d] = [BigInt(n), BigInt(d)];
+
+    if(d < 0n) {
+        [n, d] = [-n, -d];
+    }
+
+    let divisor = gcd(n, d);
+
+    return {type: 'number', n: n / divisor, d: d / divisor};
+}
+
+const ZERO = number(0);
+const ONE = number(1);
+const MINUS_ONE = number(-1);
+const HALF = number(1, 2);
+const E = {type: 'leaf', mathml: '<exponentiale/>'};
+const PI = {type: 'leaf', mathml: '<pi/>'};
+
+/**
+ * Is `term` the number `value`? If `value` isn't given, is it any number?
+ *
+ * @param  {Object} term  The term
+ * @param  {Number} value (Optional) The number
+ * @return {Boolean}      Whether `term` is the number
+ */
+function isNumber(term, value) {
+    if(term.type !== 'number') {
+        return false;
+    }
+
+    return value === undefined || (term.d === 1n && term.n === BigInt(value));
+}
+
+/**
+ * Is `term` an integer?
+ *
+ * @param  {Object} term The term
+ * @return {Boolean}     Whether `term` is an integer
+ */
+function isInteger(term) {
+    return term.type === 'number' && term.d === 1n;
+}
+
+/**
+ * Does `term` have a negative coefficient, so that it's written following a
+ * minus sign in a sum?
+ *
+ * @param  {Object} term The term
+ * @return {Boolean}     Whether `term` is negative
+ */
+function isNegative(term) {
+    if(term.type === 'product') {
+        return term.coefficient.n < 0n;
+    }
+
+    return term.type === 'number' && term.n < 0n;
+}
+
+/**
+ * Is `term` a power to a negative number, so that it's written in the
+ * denominator of a quotient?
+ *
+ * @param  {Object} term The term
+ * @return {Boolean}     Whether `term` is an inverse
+ */
+function isInverse(term) {
+    return term.type === 'power' && isNumber(term.exponent) && term.exponent.n < 0n;
+}
+
+/**
+ * Is `term` defined for every real value of the identifiers in it? Only
+ * identities which hold everywhere `term` is defined may be applied to it,
+ * e.g. 0 * f is 0 only if f is never undefined, so this errs towards false.
+ *
+ * @param  {Object} term The term
+ * @return {Boolean}     Whether `term` is defined everywhere
+ */
+function isTotal(term) {
+    switch(term.type) {
+        case 'number':
+            return true;
+        case 'leaf':
+            return rank(term) < 3;
+        case 'sum':
+            return term.terms.every(isTotal);
+        case 'product':
+            return term.factors.every(isTotal);
+        case 'power':
+            return isTotal(term.base) && isTotal(term.exponent) &&
+                (isPositive(term.base) || (isInteger(term.exponent) && term.exponent.n >= 0n));
+        case 'apply':
+            return TOTAL_FUNCTIONS.includes(term.action) && term.args.every(isTotal);
+    }
+}
+
+/**
+ * Is `term` defined, and positive, for every real value of the identifiers
+ * in it? As for isTotal(), this errs towards false, e.g. x^2 + 1 is
+ * positive, but isn't found to be.
+ *
+ * @param  {Object} term The term
+ * @return {Boolean}     Whether `term` is always positive
+ */
+function isPositive(term) {
+    switch(term.type) {
+        case 'number':
+            return term.n > 0n;
+        case 'leaf':
+            return [E.mathml, PI.mathml].includes(term.mathml);
+        case 'sum':
+            return term.terms.every(isPositive);
+        case 'product':
+            return term.coefficient.n > 0n && term.factors.every(isPositive);
+        case 'power':
+            return isPositive(term.base) && isTotal(term.exponent);
+        case 'apply':
+            return term.action === 'cosh' && isTotal(term.args[0]);
+    }
+}
+
+/**
+ * Return what a power to the number `exponent` requires of its base to be
+ * defined, as an Object:
+ *     {nonNegative:_, nonZero:_}
+ * A fractional power of a negative number is undefined (as it's NaN when
+ * executed), and a negative power of zero. For an exponent which isn't a
+ * number, null is returned, as it could be either.
+ *
+ * @param  {Object} exponent The exponent term
+ * @return {Object|null}     The requirements
+ */
+function requirements(exponent) {
+    if(exponent.type !== 'number') {
+        return null;
+    }
+
+    return {nonNegative: exponent.d !== 1n, nonZero: exponent.n < 0n};
+}
+
+/**
+ * Can `base` to each of `exponents`, multiplied together, be written as
+ * `base` to their sum, without changing where it's defined? It can if
+ * `base` is always positive, or if the sum requires the same of `base` as
+ * the exponents between them, @see requirements(). e.g. x^2 * x^(1/2) is
+ * x^(5/2), but x^(1/2) * x^(1/2) isn't x, which is defined for x < 0 too,
+ * nor is x * x^-1 equal to 1 at 0.
+ *
+ * @param  {Object}  base      The base term
+ * @param  {Array}   exponents The exponent terms
+ * @return {Boolean}           Whether the exponents may be added
+ */
+function canCollect(base, exponents) {
+    if(isPositive(base)) {
+        return true;
+    }
+
+    let required = exponents.map(requirements);
+    let collected = requirements(sum(...exponents));
+
+    return !required.includes(null) && collected !== null &&
+        collected.nonNegative === required.some(each => each.nonNegative) &&
+        collected.nonZero === required.some(each => each.nonZero);
+}
+
+/**
+ * Return the sum of two numbers.
+ *
+ * @param  {Object} a A number term
+ * @param  {Object} b A number term
+ * @return {Object}   The number term a + b
+ */
+function addNumbers(a, b) {
+    return number(a.n * b.d + b.n * a.d, a.d * b.d);
+}
+
+/**
+ * Return the product of two numbers.
+ *
+ * @param  {Object} a A number term
+ * @param  {Object} b A number term
+ * @return {Object}   The number term a * b
+ */
+function multiplyNumbers(a, b) {
+    return number(a.n * b.n, a.d * b.d);
+}
+
+/**
+ * Compare two numbers.
+ *
+ * @param  {Object} a A number term
+ * @param  {Object} b A number term
+ * @return {Number}   Negative if a < b, positive if a > b, else zero
+ */
+function compareNumbers(a, b) {
+    let difference = a.n * b.d - b.n * a.d;
+
+    return difference < 0n ? -1 : difference > 0n ? 1 : 0;
+}
+
+/**
+ * Return `base` ^ `exponent` for two numbers, or null if it can't be written
+ * exactly, or is undefined, e.g. 2^(1/2) or 0^-1.
+ *
+ * Negative numbers to fractional powers aren't evaluated, even where there's
+ * a real root, since they're NaN when executed, @see MathML.exec().
+ *
+ * @param  {Object} base     A number term
+ * @param  {Object} exponent A number term
+ * @return {Object|null}     The number term
+ */
+function powerOfNumbers(base, exponent) {
+    if(exponent.d !== 1n) {
+        if(base.n < 0n || exponent.d > BigInt(MAX_DIGITS)) {
+            return null;
+        }
+
+        let [n, d] = [base.n, base.d].map(part => integerRoot(part, exponent.d));
+
+        return n === null || d === null ? null : powerOfNumbers(number(n, d), number(exponent.n));
+    }
+
+    let k = exponent.n < 0n ? -exponent.n : exponent.n;
+    let digits = String(base.n).length + String(base.d).length;
+
+    if((base.n === 0n && exponent.n < 0n) || BigInt(digits) * k > BigInt(MAX_DIGITS)) {
+        return null;
+    }
+
+    return exponent.n < 0n ? number(base.d ** k, base.n ** k) : number(base.n ** k, base.d ** k);
+}
+
+/**
+ * Return the MathML string of `term`. This is canonical: two terms have the
+ * same MathML only if they're the same.
+ *
+ * @param  {Object} term The term
+ * @return {String}      The MathML string
+ */
+function key(term) {
+    if(term.mathml === undefined) {
+        term.mathml = toMathML(term);
+    }
+
+    return term.mathml;
+}
+
+/**
+ * Return the MathML string of `term`, written simply: numbers and powers to
+ * a negative number are written as quotients, and terms of a sum with a
+ * negative coefficient are subtracted.
+ *
+ * @param  {Object} term The term
+ * @return {String}      The MathML string
+ */
+function toMathML(term) {
+    const cn = (n => `<cn>${n}</cn>`);
+
+    switch(term.type) {
+        case 'number':
+            if(term.d === 1n) {
+                return cn(term.n);
+            }
+
+            return `<apply><divide/>${cn(term.n)}${cn(term.d)}</apply>`;
+        case 'leaf':
+            return term.mathml;
+        case 'sum':
+            //runs of positive terms are added, and negative terms subtracted
+            let mathml = null;
+            let run = [];
+            const add = (() => run.length === 0 ? mathml : mathml === null && run.length === 1 ?
+                run[0] : `<apply><plus/>${mathml === null ? '' : mathml}${run.join('')}</apply>`);
+
+            term.terms.forEach(function(summand, i) {
+                if(i === 0 || !isNegative(summand)) {
+                    run.push(key(summand));
+                } else {
+                    mathml = `<apply><minus/>${add()}${key(product(MINUS_ONE, summand))}</apply>`;
+                    run = [];
+                }
+            });
+
+            return add();
+        case 'product':
+            return productToMathML(term.coefficient, term.factors);
+        case 'power':
+            if(isInverse(term)) {
+                return productToMathML(ONE, [term]);
+            } else if(key(term.exponent) === key(HALF)) {
+                return `<apply><root/>${key(term.base)}</apply>`;
+            }
+
+            return `<apply><power/>${key(term.base)}${key(term.exponent)}</apply>`;
+        case 'apply':
+            if(term.action === 'log' && term.args.length === 2) {
+                return `<apply><log/><logbase>${key(term.args[0])}</logbase>${key(term.args[1])}</apply>`;
+            }
+
+            return `<apply><${term.action}/>${term.args.map(key).join('')}</apply>`;
+    }
+}
+
+/**
+ * Return the MathML string of the product of the number `coefficient` and
+ * `factors`. Any factors to a negative power, and the denominator of the
+ * coefficient, are written as the denominator of a quotient.
+ *
+ * @param  {Object} coefficient The number term
+ * @param  {Array}  factors     The factor terms
+ * @return {String}             The MathML string
+ */
+function productToMathML(coefficient, factors) {
+    const join = (parts => parts.length === 1 ? parts[0] : `<apply><times/>${parts.join('')}</apply>`);
+
+    let numerator = factors.filter(factor => !isInverse(factor)).map(key);
+    let denominator = factors.filter(isInverse).map(factor =>
+        key(power(factor.base, multiplyNumbers(MINUS_ONE, factor.exponent))));
+
+    if(coefficient.n !== 1n && coefficient.n !== -1n) {
+        numerator.unshift(`<cn>${coefficient.n}</cn>`);
+    } else if(numerator.length === 0) {
+        numerator.push(`<cn>1</cn>`);
+    }
+
+    if(coefficient.d !== 1n) {
+        denominator.unshift(`<cn>${coefficient.d}</cn>`);
+    }
+
+    let mathml = join(numerator);
+    if(denominator.length > 0) {
+        mathml = `<apply><divide/>${mathml}${join(denominator)}</apply>`;
+    }
+
+    return coefficient.n === -1n ? `<apply><minus/>${mathml}</apply>` : mathml;
+}
+
+/**
+ * Return the rank of `term`'s kind, which orders factors in a product:
+ * numbers, then constants, then identifiers, then functions, then sums.
+ * Powers are ranked by their base.
+ *
+ * @param  {Object} term The term
+ * @return {Number}      The rank
+ */
+function rank(term) {
+    switch(term.type) {
+        case 'number':
+            return 0;
+        case 'leaf':
+            return term.mathml.startsWith('<ci>') ? 2 :
+                [E.mathml, PI.mathml].includes(term.mathml) ? 1 : 3;
+        case 'power':
+            return rank(term.base);
+        case 'apply':
+            return 3;
+        default:
+            return 4;
+    }
+}
+
+/**
+ * Compare two factors of a product, ordering them by their bases, @see
+ * rank(), and then by their exponents, largest first.
+ *
+ * @param  {Object} a A factor
+ * @param  {Object} b A factor
+ * @return {Number}   Negative if `a` comes first, positive if `b` does
+ */
+function compareFactors(a, b) {
+    let [baseA, baseB] = [a, b].map(factor => factor.type === 'power' ? factor.base : factor);
+    let [exponentA, exponentB] = [a, b].map(factor => factor.type === 'power' ? factor.exponent : ONE);
+
+    if(rank(baseA) !== rank(baseB)) {
+        return rank(baseA) - rank(baseB);
+    } else if(key(baseA) !== key(baseB)) {
+        return key(baseA) < key(baseB) ? -1 : 1;
+    } else if(isNumber(exponentA) && isNumber(exponentB)) {
+        return compareNumbers(exponentB, exponentA);
+    }
+
+    return key(exponentA) < key(exponentB) ? -1 : key(exponentA) > key(exponentB) ? 1 : 0;
+}
+
+/**
+ * Return the factors of `term`, besides its coefficient.
+ *
+ * @param  {Object} term The term
+ * @return {Array}       The factors
+ */
+function factorsOf(term) {
+    return term.type === 'product' ? term.factors : [term];
+}
+
+/**
+ * Return the degree of `term` as a polynomial: the total power of the
+ * identifiers it's a product of. Other factors have no degree.
+ *
+ * @param  {Object} term The term
+ * @return {Number}      The degree
+ */
+function degree(term) {
+    return factorsOf(term).reduce(function(total, factor) {
+        let [base, exponent] = factor.type === 'power' ?
+            [factor.base, factor.exponent] : [factor, ONE];
+
+        if(rank(base) !== 2 || !isNumber(exponent)) {
+            return total;
+        }
+
+        return total + Number(exponent.n) / Number(exponent.d);
+    }, 0);
+}
+
+/**
+ * Compare two terms of a sum, ordering them by degree, highest first, and
+ * then by their factors, @see compareFactors(), e.g. x^2 + xy + y^2 + x.
+ *
+ * @param  {Object} a A term
+ * @param  {Object} b A term
+ * @return {Number}   Negative if `a` comes first, positive if `b` does
+ */
+function compareTerms(a, b) {
+    if(degree(a) !== degree(b)) {
+        return degree(b) - degree(a);
+    }
+
+    let [factorsA, factorsB] = [a, b].map(factorsOf);
+
+    for(let i = 0; i < Math.min(factorsA.length, factorsB.length); i++) {
+        let comparison = compareFactors(factorsA[i], factorsB[i]);
+
+        if(comparison !== 0) {
+            return comparison;
+        }
+    }
+
+    return factorsA.length - factorsB.length;
+}
+
+/**
+ * Return a term as the product of a number and the rest of it, [coefficient,
+ * rest].
+ *
+ * @param  {Object} term A term, which isn't a number
+ * @return {Array}       The coefficient and the rest
+ */
+function splitCoefficient(term) {
+    if(term.type !== 'product') {
+        return [ONE, term];
+    } else if(term.factors.length === 1) {
+        return [term.coefficient, term.factors[0]];
+    }
+
+    return [term.coefficient, {type: 'product', coefficient: ONE, factors: term.factors}];
+}
+
+/**
+ * Return the sum of `terms`. Nested sums are flattened, numbers added
+ * together, and like terms, differing only in their coefficients,
+ * collected.
+ *
+ * @param  {...Object} terms The terms
+ * @return {Object}          The sum
+ */
+function sum(...terms) {
+    let constant = ZERO;
+    let like = new Map();
+
+    terms.flatMap(term => term.type === 'sum' ? term.terms : [term]).forEach(function(term) {
+        if(term.type === 'number') {
+            constant = addNumbers(constant, term);
+            return;
+        }
+
+        let [coefficient, rest] = splitCoefficient(term);
+        let collected = like.get(key(rest));
+
+        like.set(key(rest), {
+            rest: rest,
+            coefficient: collected === undefined ? coefficient : addNumbers(collected.coefficient, coefficient),
+        });
+    });
+
+    //f - f is only 0 where f is defined, so is kept as 0f otherwise
+    let summands = Array.from(like.values())
+        .filter(({rest, coefficient}) => coefficient.n !== 0n || !isTotal(rest))
+        .map(({rest, coefficient}) => product(coefficient, rest))
+        .sort(compareTerms);
+
+    if(constant.n !== 0n) {
+        summands.push(constant);
+    }
+
+    if(summands.length === 0) {
+        return ZERO;
+    }
+
+    return summands.length === 1 ? summands[0] : {type: 'sum', terms: summands};
+}
+
+/**
+ * Return the negation of `term`.
+ *
+ * @param  {Object} term The term
+ * @return {Object}      The negation
+ */
+function negate(term) {
+    return product(MINUS_ONE, term);
+}
+
+/**
+ * Return the product of `factors`. Nested products are flattened, numbers
+ * multiplied together into a coefficient, and powers of the same base
+ * collected, e.g. x * x^2 is x^3, where that doesn't change where the
+ * product is defined, @see canCollect(). Likewise 0 * f is 0 only if f is
+ * defined everywhere, @see isTotal().
+ *
+ * Sums are expanded, e.g. 2(x + 1)^2 is 2x^2 + 4x + 2, unless the product
+ * would have more than MAX_EXPANSION terms. Only the numerator is expanded:
+ * (x + 1)/(x - 1) is left as it is.
+ *
+ * @param  {...Object} factors The factors
+ * @return {Object}            The product
+ */
+function product(...factors) {
+    let coefficient = ONE;
+    let bases = new Map();
+
+    factors.flatMap(function flatten(factor) {
+        return factor.type === 'product' ? [factor.coefficient].concat(factor.factors) : [factor];
+    }).forEach(function(factor) {
+        if(factor.type === 'number') {
+            coefficient = multiplyNumbers(coefficient, factor);
+            return;
+        }
+
+        let [base, exponent] = factor.type === 'power' ? [factor.base, factor.exponent] : [factor, ONE];
+        let collected = bases.get(key(base));
+
+        bases.set(key(base), {
+            base: base,
+            exponents: collected === undefined ? [exponent] : collected.exponents.concat([exponent]),
+        });
+    });
+
+    let powers = Array.from(bases.values()).flatMap(({base, exponents}) =>
+        exponents.length === 1 ? [power(base, exponents[0])] :
+            canCollect(base, exponents) ? [power(base, sum(...exponents))] : separate(base, exponents));
+
+    //collecting powers may leave numbers or products, e.g. x^(1/3) * x^(2/3) * y^0
+    if(powers.some(factor => ['number', 'product'].includes(factor.type))) {
+        return product(coefficient, ...powers);
+    }
+
+    powers.sort(compareFactors);
+
+    if(coefficient.n === 0n) {
+        return powers.every(isTotal) ? ZERO : {type: 'product', coefficient: ZERO, factors: powers};
+    }
+
+    let numerator = powers.filter(factor => !isInverse(factor));
+    let denominator = powers.filter(isInverse);
+
+    //a denominator with a sum in it is expanded, as it is when written as
+    //a quotient and simplified again, e.g. 1/(x(x + 1)) is 1/(x^2 + x)
+    if(denominator.length > 1 && denominator.some(factor => factor.base.type === 'sum')) {
+        let expanded = expand(ONE, denominator.map(factor =>
+            power(factor.base, multiplyNumbers(MINUS_ONE, factor.exponent))));
+
+        if(expanded !== null) {
+            return product(coefficient, ...numerator, power(expanded, MINUS_ONE));
+        }
+    }
+
+    let expanded = expand(coefficient, numerator);
+
+    if(expanded !== null && (denominator.length === 0 || expanded.type !== 'sum')) {
+        return denominator.length === 0 ? expanded : product(expanded, ...denominator);
+    } else if(expanded !== null) {
+        //the coefficient is now part of the numerator
+        [coefficient, powers] = [ONE, [expanded].concat(denominator).sort(compareFactors)];
+    }
+
+    if(powers.length === 0) {
+        return coefficient;
+    } else if(isNumber(coefficient, 1) && powers.length === 1) {
+        return powers[0];
+    }
+
+    return {type: 'product', coefficient: coefficient, factors: powers};
+}
+
+/**
+ * Return the factors of a product of `base` to each of `exponents`, where
+ * they can't all be collected into one power, @see canCollect(). The whole
+ * powers are collected together, and each other exponent into a power of a
+ * power, e.g. x * x * x^(1/2) * x^(1/2) is x^2 * sqrt(x)^2.
+ *
+ * @param  {Object} base      The base term
+ * @param  {Array}  exponents The exponent terms
+ * @return {Array}            The factors
+ */
+function separate(base, exponents) {
+    let whole = exponents.filter(exponent => isInteger(exponent) && exponent.n > 0n);
+    let counts = new Map();
+
+    exponents.filter(exponent => !whole.includes(exponent)).forEach(function(exponent) {
+        let counted = counts.get(key(exponent));
+        counts.set(key(exponent), {exponent: exponent, count: counted === undefined ? 1 : counted.count + 1});
+    });
+
+    let factors = Array.from(counts.values()).map(({exponent, count}) =>
+        count === 1 ? power(base, exponent) : power(power(base, exponent), number(count)));
+
+    return whole.length === 0 ? factors : [power(base, sum(...whole))].concat(factors);
+}
+
+/**
+ * Return the product of `coefficient` and `factors`, with any sums, and
+ * whole powers of sums, among them multiplied out. Returns null if there
+ * are none, or the product would have more than MAX_EXPANSION terms.
+ *
+ * @param  {Object} coefficient A number term
+ * @param  {Array}  factors     The factor terms, none of them numbers
+ * @return {Object|null}        The expanded sum
+ */
+function expand(coefficient, factors) {
+    let expandable = (factor => factor.type === 'sum' || (factor.type === 'power' &&
+        factor.base.type === 'sum' && isInteger(factor.exponent) && factor.exponent.n > 1n));
+
+    //a sum to the nth power has at least n + 1 terms
+    if(!factors.some(expandable) || factors.some(factor =>
+            factor.type === 'power' && expandable(factor) && factor.exponent.n >= BigInt(MAX_EXPANSION))) {
+        return null;
+    }
+
+    let expanded = coefficient;
+
+    for(let factor of factors) {
+        let multipliers = [[factor]];
+
+        if(factor.type === 'sum') {
+            multipliers = [factor.terms];
+        } else if(expandable(factor)) {
+            multipliers = Array(Number(factor.exponent.n)).fill(factor.base.terms);
+        }
+
+        for(let summands of multipliers) {
+            let terms = expanded.type === 'sum' ? expanded.terms : [expanded];
+
+            expanded = sum(...terms.flatMap(term => summands.map(summand => product(term, summand))));
+
+            if(expanded.type === 'sum' && expanded.terms.length > MAX_EXPANSION) {
+                return null;
+            }
+        }
+    }
+
+    return expanded;
+}
+
+/**
+ * Return the power `base` ^ `exponent`. Numbers are raised to powers where
+ * the result is exact, and a power of a power, product or sum to a whole
+ * power is multiplied out, e.g. (2x^3)^2 is 4x^6, @see expand(). As for
+ * products, a power of a power is only collected where that doesn't change
+ * where it's defined: (x^(1/3))^3 isn't x.
+ *
+ * @param  {Object} base     The base
+ * @param  {Object} exponent The exponent
+ * @return {Object}          The power
+ */
+function power(base, exponent) {
+    //anything to the power 0 is 1 when executed, even NaN, but 1^NaN isn't
+    if(isNumber(exponent, 0) || (isNumber(base, 1) && isTotal(exponent))) {
+        return ONE;
+    } else if(isNumber(exponent, 1)) {
+        return base;
+    } else if(base.type === 'number' && exponent.type === 'number') {
+        let result = powerOfNumbers(base, exponent);
+
+        if(result !== null) {
+            return result;
+        }
+    } else if(isInteger(exponent) && base.type === 'power' &&
+            canCollect(base.base, [base.exponent, product(base.exponent, number(exponent.n - 1n))])) {
+        return power(base.base, product(base.exponent, exponent));
+    } else if(isInteger(exponent) && base.type === 'product') {
+        return product(power(base.coefficient, exponent),
+            ...base.factors.map(factor => power(factor, exponent)));
+    } else if(isInteger(exponent) && base.type === 'sum') {
+        //to a negative power, the denominator is expanded...
+        let whole = exponent.n < 0n ? multiplyNumbers(MINUS_ONE, exponent) : exponent;
+        let expanded = expand(ONE, [{type: 'power', base: base, exponent: whole}]);
+
+        if(expanded !== null) {
+            return exponent.n < 0n ? power(expanded, MINUS_ONE) : expanded;
+        }
+
+        //...and its first coefficient taken out, e.g. 1/(2x + 4) is 1/(2(x + 2))
+        let [lead] = splitCoefficient(base.terms[0]);
+
+        if(exponent.n < 0n && !isNumber(lead, 1)) {
+            let reciprocal = number(lead.d, lead.n);
+
+            return product(power(lead, exponent),
+                power(sum(...base.terms.map(term => product(reciprocal, term))), exponent));
+        }
+    }
+
+    return {type: 'power', base: base, exponent: exponent};
+}
+
+/**
+ * Return the natural logarithm of `term`, which is x if `term` is e^x.
+ *
+ * @param  {Object} term The term
+ * @return {Object}      The logarithm
+ */
+function ln(term) {
+    if(isNumber(term, 1)) {
+        return ZERO;
+    } else if(key(term) === key(E)) {
+        return ONE;
+    } else if(term.type === 'power' && key(term.base) === key(E)) {
+        return term.exponent;
+    }
+
+    return {type: 'apply', action: 'ln', args: [term]};
+}
+
+/**
+ * Return the factorial of the number `term`, or null if it isn't a whole
+ * number, or is larger than MAX_FACTORIAL.
+ *
+ * @param  {Object} term A number term
+ * @return {Object|null} The number term
+ */
+function factorial(term) {
+    if(!isInteger(term) || term.n < 0n || term.n > BigInt(MAX_FACTORIAL)) {
+        return null;
+    }
+
+    let result = 1n;
+    for(let i = 2n; i <= term.n; i++) {
+        result *= i;
+    }
+
+    return number(result);
+}
+
+/**
+ * Evaluate an <apply> of `action` to the numbers `args`, where the result is
+ * exact, returning null otherwise, or if the action isn't one evaluated.
+ *
+ * @param  {String} action The action, e.g. 'floor'
+ * @param  {Array}  args   The number terms
+ * @return {Object|null}   The number term
+ */
+function evaluate(action, args) {
+    let [a, b] = args;
+
+    switch(action) {
+        case 'abs':
+            return number(a.n < 0n ? -a.n : a.n, a.d);
+        case 'floor':
+        case 'ceiling':
+            //BigInt division truncates towards zero
+            let quotient = a.n / a.d;
+            let remainder = a.n % a.d;
+
+            if(action === 'floor' && remainder < 0n) {
+                quotient -= 1n;
+            } else if(action === 'ceiling' && remainder > 0n) {
+                quotient += 1n;
+            }
+
+            return number(quotient);
+        case 'factorial':
+            return factorial(a);
+        case 'min':
+        case 'max':
+            let direction = action === 'min' ? 1 : -1;
+
+            return args.reduce((best, arg) =>
+                compareNumbers(arg, best) * direction < 0 ? arg : best);
+        case 'gcd':
+        case 'lcm':
+            if(!args.every(isInteger)) {
+                return null;
+            }
+
+            return number(args.map(arg => arg.n).reduce(function(x, y) {
+                if(action === 'gcd') {
+                    return gcd(x, y);
+                }
+
+                return x === 0n || y === 0n ? 0n : (x * y < 0n ? -x * y : x * y) / gcd(x, y);
+            }));
+        case 'rem':
+        case 'quotient':
+            if(!isInteger(a) || !isInteger(b) || b.n === 0n) {
+                return null;
+            }
+
+            return number(action === 'rem' ? a.n % b.n : a.n / b.n);
+        default:
+            if(action in VALUES_AT_ZERO && isNumber(a, 0)) {
+                return number(VALUES_AT_ZERO[action]);
+            }
+
+            return null;
+    }
+}
+
+
+/**
+ * Simplifies content MathML symbolically, producing the MathML of an
+ * expression with the same value, in a canonical form: two expressions
+ * which differ only in arrangement, e.g. 2(x + 1) and x + x + 2, are
+ * written the same.
+ *
+ * Numbers are kept exact, as fractions, and arithmetic on them is carried
+ * out, along with e.g. floor(7/2) = 3 or sin(0) = 0. Sums and products are
+ * flattened, and their terms collected and sorted, and products of sums
+ * expanded. Identities such as x * 1 = x, x + 0 = x, x^1 = x and
+ * ln(e^x) = x are applied. Differences, quotients, roots and exponentials
+ * are rewritten as sums, products and powers, so those identities apply to
+ * them too.
+ *
+ * Identities which hold only where an expression is defined aren't
+ * applied, so that the result is defined exactly where the original is:
+ * x/x isn't 1, as it's undefined at 0, nor is sqrt(x)^2 x, @see isTotal().
+ */
+class Simplifier {
+    /**
+     * @constructs
+     * @param  {Function} nameOf Given a <ci> node, returns the name of its
+     *                           identifier
+     */
+    constructor(nameOf) {
+        this._nameOf = nameOf;
+    }
+
+    /**
+     * Return the MathML string of `node`, simplified.
+     *
+     * @param  {Element} node Any MathML node
+     * @return {String}       The MathML of the simplified expression
+     */
+    simplify(node) {
+        return toMathML(this._simplifyNode(node));
+    }
+
+    /**
+     * Simplify a MathML string, as a term.
+     *
+     * @param  {String} mathml The MathML string
+     * @return {Object}        The simplified term
+     */
+    _simplifyString(mathml) {
+        let doc = new DOMParser().parseFromString(mathml, 'text/xml');
+
+        return this._simplifyNode(doc.documentElement);
+    }
+
+    /**
+     * Simplify any MathML node.
+     *
+     * @param  {Element} node Any MathML node
+     * @return {Object}       The simplified term
+     */
+    _simplifyNode(node) {
+        switch(node.tagName) {
+            case 'apply':
+                return this._simplifyApply(node);
+            case 'ci':
+                return {type: 'leaf', mathml: `<ci>${this._nameOf(node)}</ci>`};
+            case 'cn':
+                let [, sign, whole, fraction=''] = node.textContent.trim().match(/^(-?)([0-9]+)(?:\.([0-9]+))?$/);
+
+                return number(BigInt(sign + whole + fraction), 10n ** BigInt(fraction.length));
+            case 'pi':
+                return PI;
+            case 'exponentiale':
+                return E;
+            case 'degree':
+            case 'logbase':
+                return this._simplifyNode(node.firstElementChild);
+            case 'list':
+                let elements = Array.from(node.children).map(child => key(this._simplifyNode(child)));
+
+                return {type: 'leaf', mathml: `<list>${elements.join('')}</list>`};
+            case 'piecewise':
+                let pieces = Array.from(node.children).map(child => {
+                    let parts = Array.from(child.children).map(part => key(this._simplifyNode(part)));
+
+                    return `<${child.tagName}>${parts.join('')}</${child.tagName}>`;
+                });
+
+                return {type: 'leaf', mathml: `<piecewise>${pieces.join('')}</piecewise>`};
+            default:
+                throw new Error('Unknown MathML element: ' + node.tagName);
+        }
+    }
+
+    /**
+     * Simplify an <apply> MathML node.
+     *
+     * @param  {Element} node A MathML <apply> node
+     * @return {Object}       The simplified term
+     */
+    _simplifyApply(node) {
+        let action = node.firstElementChild.tagName;
+
+        if(BOUND_ACTIONS.includes(action)) {
+            return this._simplifyBound(node);
+        }
+
+        let args = Array.from(node.children).slice(1).map(this._simplifyNode, this);
+
+        switch(action) {
+            case 'plus':
+                return sum(...args);
+            case 'minus':
+                return args.length === 1 ? negate(args[0]) : sum(args[0], negate(args[1]));
+            case 'times':
+                return product(...args);
+            case 'divide':
+                return product(args[0], power(args[1], MINUS_ONE));
+            case 'power':
+                return power(args[0], args[1]);
+            case 'root':
+                //a <degree> comes first
+                return args.length === 1 ? power(args[0], HALF) :
+                    power(args[1], power(args[0], MINUS_ONE));
+            case 'exp':
+                return power(E, args[0]);
+            case 'ln':
+                return ln(args[0]);
+            case 'log':
+                if(isNumber(args[args.length - 1], 1)) {
+                    return ZERO;
+                }
+                break;
+        }
+
+        if(args.every(arg => arg.type === 'number')) {
+            let result = evaluate(action, args);
+
+            if(result !== null) {
+                return result;
+            }
+        }
+
+        if(COMMUTATIVE.includes(action)) {
+            let numbers = args.filter(arg => arg.type === 'number');
+            let folded = numbers.length > 1 ? evaluate(action, numbers) : null;
+
+            if(folded !== null) {
+                args = [folded].concat(args.filter(arg => arg.type !== 'number'));
+            }
+
+            args.sort(compareFactors);
+        }
+
+        return {type: 'apply', action: action, args: args};
+    }
+
+    /**
+     * Simplify an <apply> of <int/>, <diff/>, <sum/> or <product/>. A
+     * <diff/> is differentiated, and the derivative simplified; the others
+     * have their limits and bodies simplified.
+     *
+     * @param  {Element} node A MathML <apply> node
+     * @return {Object}       The simplified term
+     */
+    _simplifyBound(node) {
+        let action = node.firstElementChild.tagName;
+        let children = Array.from(node.children).slice(1);
+        let bvar = children.find(child => child.tagName === 'bvar');
+        let body = children.find(child => !['bvar', 'lowlimit', 'uplimit'].includes(child.tagName));
+        let variable = this._nameOf(bvar.firstElementChild);
+
+        assert(body !== undefined, `<apply><${action}/> must have 1 child besides its qualifiers.`);
+
+        if(action === 'diff') {
+            let degree = bvar.getElementsByTagName('degree')[0];
+            let differentiator = new Differentiator(variable, this._nameOf);
+
+            return this._simplifyString(differentiator.differentiate(body,
+                degree === undefined ? 1 : parseInt(degree.textContent)));
+        }
+
+        let qualifiers = children.filter(child => child !== body).map(child =>
+            child.tagName === 'bvar' ? `<bvar><ci>${variable}</ci></bvar>` :
+                `<${child.tagName}>${key(this._simplifyNode(child.firstElementChild))}</${child.tagName}>`);
+
+        return {
+            type: 'leaf',
+            mathml: `<apply><${action}/>${qualifiers.join('')}${key(this._simplifyNode(body))}</apply>`,
+        };
+    }
+}
+
+
+export default Simplifier;
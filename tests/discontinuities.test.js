@@ -0,0 +1,132 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import MathML from '../mathml.js';
+import findDiscontinuities, {findLimit} from '../discontinuities.js';
+
+
+ /**
+ * Given a number, round it to `precision` decimal places
+ *
+ * @param  {float}    number     The number to be rounded
+ * @param  {integer}  precision  The number of decimal places to return
+ * @return {float}               The rounded number
+ */
+function approx(number, precision) {
+    let mult = 10 ** precision;
+
+    return Math.round(number * mult) / mult;
+}
+
+/**
+ * Given an Array of discontinuities, return the x coordinate and type of
+ * each, with the x coordinates rounded to `precision` decimal places.
+ *
+ * @param  {Array}   discontinuities The discontinuities
+ * @param  {integer} precision       The number of decimal places to return
+ * @return {Array}                   Pairs [x, type]
+ */
+function summarise(discontinuities, precision=8) {
+    return discontinuities.map(d => [approx(d.x, precision) || 0, d.type]);
+}
+
+test('discontinuities-pole-odd', function() {
+    let discontinuities = findDiscontinuities(x => 1 / x, -1.3, 1);
+
+    expect(summarise(discontinuities)).toStrictEqual([[0, 'pole']]);
+    expect(discontinuities[0].left).toBe(-Infinity);
+    expect(discontinuities[0].right).toBe(Infinity);
+});
+
+test('discontinuities-pole-even', function() {
+    // 1/x^2 doesn't change sign at its pole
+    let discontinuities = findDiscontinuities(x => 1 / (x - 0.5) ** 2, -1.3, 1);
+
+    expect(summarise(discontinuities, 6)).toStrictEqual([[0.5, 'pole']]);
+    expect(discontinuities[0].left).toBe(Infinity);
+    expect(discontinuities[0].right).toBe(Infinity);
+});
+
+test('discontinuities-pole-sampled', function() {
+    // a sample lands on the pole at 0
+    expect(summarise(findDiscontinuities(x => 1 / x, -1, 1))).toStrictEqual([[0, 'pole']]);
+});
+
+test('discontinuities-periodic', function() {
+    let discontinuities = findDiscontinuities(Math.tan, -5, 5);
+
+    expect(discontinuities.map(d => approx(d.x / Math.PI, 6)))
+        .toStrictEqual([-1.5, -0.5, 0.5, 1.5]);
+    expect(discontinuities.every(d => d.type === 'pole')).toBe(true);
+});
+
+test('discontinuities-logarithm', function() {
+    // ln(x) is undefined left of 0, so only has a limit from the right
+    let discontinuities = findDiscontinuities(Math.log, -1, 2.3);
+
+    expect(summarise(discontinuities)).toStrictEqual([[0, 'pole']]);
+    expect(discontinuities[0].right).toBe(-Infinity);
+    expect(discontinuities[0].left).toBeNaN();
+});
+
+test('discontinuities-jump', function() {
+    let discontinuities = findDiscontinuities(Math.floor, -1.5, 2.5);
+
+    expect(summarise(discontinuities)).toStrictEqual([[-1, 'jump'], [0, 'jump'], [1, 'jump'], [2, 'jump']]);
+    expect([discontinuities[1].left, discontinuities[1].right]).toStrictEqual([-1, 0]);
+});
+
+test('discontinuities-hole-sampled', function() {
+    // a sample lands on the hole at 1
+    let discontinuities = findDiscontinuities(x => (x * x - 1) / (x - 1), -1, 3);
+
+    expect(summarise(discontinuities)).toStrictEqual([[1, 'hole']]);
+    expect(approx(discontinuities[0].left, 8)).toBe(2);
+});
+
+test('discontinuities-hole-candidate', function() {
+    // no sample lands on the hole at 1, so it's only found as a candidate
+    let func = x => (x * x - 1) / (x - 1);
+
+    expect(findDiscontinuities(func, -1.3, 3)).toStrictEqual([]);
+    expect(summarise(findDiscontinuities(func, -1.3, 3, [1]))).toStrictEqual([[1, 'hole']]);
+});
+
+test('discontinuities-candidate-continuous', function() {
+    // a candidate at which the function is continuous isn't a discontinuity
+    expect(findDiscontinuities(x => x * x, -1.3, 3, [0, 1])).toStrictEqual([]);
+});
+
+test('discontinuities-continuous', function() {
+    expect(findDiscontinuities(Math.sin, -10, 10)).toStrictEqual([]);
+    expect(findDiscontinuities(x => Math.tanh(50 * x), -1.3, 1)).toStrictEqual([]);
+    expect(findDiscontinuities(x => Math.abs(x), -1, 1)).toStrictEqual([]);
+});
+
+test('discontinuities-domain-ends', function() {
+    // the ends of sqrt(1 - x^2)'s domain aren't discontinuities
+    expect(findDiscontinuities(x => Math.sqrt(1 - x * x), -2.1, 2)).toStrictEqual([]);
+});
+
+test('discontinuities-mathml', function() {
+    let mathml = new MathML('sin(x) / x + 1 / (x - 2)');
+    let candidates = [0, 2];
+
+    expect(summarise(findDiscontinuities(mathml.exec, -3.3, 3, candidates)))
+        .toStrictEqual([[0, 'hole'], [2, 'pole']]);
+});
+
+test('limit-undefined-point', function() {
+    expect(approx(findLimit(x => Math.sin(x) / x, 0, 1, 0.01), 6)).toBe(1);
+});
+
+test('limit-one-sided', function() {
+    expect([findLimit(Math.floor, 1, -1, 0.01), findLimit(Math.floor, 1, 1, 0.01)])
+        .toStrictEqual([0, 1]);
+});
+
+test('limit-pole', function() {
+    expect([findLimit(x => 1 / x, 0, -1, 0.01), findLimit(x => 1 / x, 0, 1, 0.01)])
+        .toStrictEqual([-Infinity, Infinity]);
+});
@@ -0,0 +1,279 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import {Rational, RationalTuple} from '../rational.js';
+import MathML from '../mathml.js';
+import parseInfix from '../infix.js';
+
+
+ /**
+ * Given an infix string, return a MathML object
+ *
+ * @see  class MathML from math-plot.js
+ *
+ * @param  {string}  str The infix string
+ * @return {MathML}      The resultant MathML object
+ */
+function infix(str, variables) {
+    return new MathML(str, variables);
+}
+
+ /**
+ * Given a number, round it to `precision` decimal places
+ *
+ * @param  {float}    number     The number to be rounded
+ * @param  {integer}  precision  The number of decimal places to return
+ * @return {float}               The rounded number
+ */
+function approx(number, precision) {
+    let mult = 10 ** precision;
+
+    return Math.round(number * mult) / mult;
+}
+
+test('parse-number', function() {
+    expect(parseInfix('2')).toBe('<cn>2</cn>');
+});
+
+test('parse-number-decimal', function() {
+    expect(parseInfix('.5')).toBe('<cn>0.5</cn>');
+});
+
+test('parse-identifier', function() {
+    expect(parseInfix('x')).toBe('<ci>x</ci>');
+});
+
+test('parse-identifier-theta', function() {
+    expect(parseInfix('theta')).toBe('<ci>theta</ci>');
+});
+
+test('parse-constants', function() {
+    expect(parseInfix('pi')).toBe('<pi/>');
+    expect(parseInfix('π')).toBe('<pi/>');
+    expect(parseInfix('e')).toBe('<exponentiale/>');
+});
+
+test('parse-plus', function() {
+    expect(parseInfix('x + 1')).toBe(
+        '<apply><plus/><ci>x</ci><cn>1</cn></apply>');
+});
+
+test('parse-implicit-times', function() {
+    expect(parseInfix('2x')).toBe(
+        '<apply><times/><cn>2</cn><ci>x</ci></apply>');
+});
+
+test('parse-implicit-times-letters', function() {
+    expect(parseInfix('xy')).toBe(
+        '<apply><times/><ci>x</ci><ci>y</ci></apply>');
+});
+
+test('parse-implicit-times-power', function() {
+    expect(parseInfix('2x^2')).toBe(
+        '<apply><times/><cn>2</cn><apply><power/><ci>x</ci><cn>2</cn></apply></apply>');
+});
+
+test('parse-negative-power', function() {
+    expect(parseInfix('-x^2')).toBe(
+        '<apply><minus/><apply><power/><ci>x</ci><cn>2</cn></apply></apply>');
+});
+
+test('parse-function', function() {
+    expect(parseInfix('sin(2x)')).toBe(
+        '<apply><sin/><apply><times/><cn>2</cn><ci>x</ci></apply></apply>');
+});
+
+test('parse-function-no-brackets', function() {
+    expect(parseInfix('sin x')).toBe('<apply><sin/><ci>x</ci></apply>');
+});
+
+test('parse-function-coefficient', function() {
+    expect(parseInfix('sin 2x')).toBe(
+        '<apply><sin/><apply><times/><cn>2</cn><ci>x</ci></apply></apply>');
+});
+
+test('parse-function-coefficient-factors', function() {
+    expect(parseInfix('cos 2pi t^2 sin x')).toBe(
+        '<apply><times/>' +
+            '<apply><cos/><apply><times/>' +
+                '<apply><times/><cn>2</cn><pi/></apply>' +
+                '<apply><power/><ci>t</ci><cn>2</cn></apply>' +
+            '</apply></apply>' +
+            '<apply><sin/><ci>x</ci></apply>' +
+        '</apply>');
+});
+
+test('parse-function-longest-name', function() {
+    expect(parseInfix('sinh x')).toBe('<apply><sinh/><ci>x</ci></apply>');
+});
+
+test('parse-sqrt', function() {
+    expect(parseInfix('sqrt(x)')).toBe('<apply><root/><ci>x</ci></apply>');
+});
+
+test('parse-root', function() {
+    expect(parseInfix('root(x, 3)')).toBe(
+        '<apply><root/><degree><cn>3</cn></degree><ci>x</ci></apply>');
+});
+
+test('parse-log-base', function() {
+    expect(parseInfix('log(x, 2)')).toBe(
+        '<apply><log/><logbase><cn>2</cn></logbase><ci>x</ci></apply>');
+});
+
+test('parse-abs', function() {
+    expect(parseInfix('|x|')).toBe('<apply><abs/><ci>x</ci></apply>');
+});
+
+test('parse-factorial', function() {
+    expect(parseInfix('x!')).toBe('<apply><factorial/><ci>x</ci></apply>');
+});
+
+test('parse-list', function() {
+    expect(parseInfix('(0, 2pi)')).toBe(
+        '<list><cn>0</cn><apply><times/><cn>2</cn><pi/></apply></list>');
+});
+
+test('parse-relation', function() {
+    expect(parseInfix('y <= x')).toBe(
+        '<apply><leq/><ci>y</ci><ci>x</ci></apply>');
+});
+
+test('parse-relation-chain', function() {
+    expect(parseInfix('0 < x < 1')).toBe(
+        '<apply><and/>' +
+            '<apply><lt/><cn>0</cn><ci>x</ci></apply>' +
+            '<apply><lt/><ci>x</ci><cn>1</cn></apply>' +
+        '</apply>');
+});
+
+test('parse-keywords', function() {
+    expect(parseInfix('not x > 0 or y > 0')).toBe(
+        '<apply><or/>' +
+            '<apply><not/><apply><gt/><ci>x</ci><cn>0</cn></apply></apply>' +
+            '<apply><gt/><ci>y</ci><cn>0</cn></apply>' +
+        '</apply>');
+});
+
+test('parse-int', function() {
+    expect(parseInfix('int(t^2, t, 0, x)')).toBe(
+        '<apply><int/>' +
+            '<bvar><ci>t</ci></bvar>' +
+            '<lowlimit><cn>0</cn></lowlimit>' +
+            '<uplimit><ci>x</ci></uplimit>' +
+            '<apply><power/><ci>t</ci><cn>2</cn></apply>' +
+        '</apply>');
+});
+
+test('parse-diff-degree', function() {
+    expect(parseInfix('diff(sin x, x, 2)')).toBe(
+        '<apply><diff/>' +
+            '<bvar><ci>x</ci><degree><cn>2</cn></degree></bvar>' +
+            '<apply><sin/><ci>x</ci></apply>' +
+        '</apply>');
+});
+
+test('parse-piecewise', function() {
+    expect(parseInfix('{-x if x < 0; x otherwise}')).toBe(
+        '<piecewise>' +
+            '<piece><apply><minus/><ci>x</ci></apply><apply><lt/><ci>x</ci><cn>0</cn></apply></piece>' +
+            '<otherwise><ci>x</ci></otherwise>' +
+        '</piecewise>');
+});
+
+test('parse-piecewise-otherwise-last', function() {
+    expect(() => parseInfix('{0 otherwise; x if x > 0}')).toThrow(
+        "Expected '}' but found ';' in expression: {0 otherwise; x if x > 0}");
+});
+
+test('parse-invalid-character', function() {
+    expect(() => parseInfix('x # 2')).toThrow(
+        "Unexpected '#' in expression: x # 2");
+});
+
+test('parse-invalid-number', function() {
+    expect(() => parseInfix('3.5.2')).toThrow(
+        "Invalid number '3.5.2' in expression: 3.5.2");
+    expect(() => parseInfix('2x + 1..2')).toThrow(
+        "Invalid number '1..2' in expression: 2x + 1..2");
+});
+
+test('parse-unclosed-bracket', function() {
+    expect(() => parseInfix('(x + 1')).toThrow(
+        "Expected ')' but found 'end of expression' in expression: (x + 1");
+});
+
+test('parse-trailing-operator', function() {
+    expect(() => parseInfix('x +')).toThrow(
+        'Unexpected end of expression: x +');
+});
+
+test('parse-sqrt-arguments', function() {
+    expect(() => parseInfix('sqrt(x, 2)')).toThrow(
+        'sqrt() must have 1 argument in expression: sqrt(x, 2)');
+});
+
+test('parse-bound-variable', function() {
+    expect(() => parseInfix('sum(k, 2k, 1, 3)')).toThrow(
+        'sum() must have a variable as its second argument in expression: sum(k, 2k, 1, 3)');
+});
+
+test('tofunction-infix-precedence', function() {
+    expect(infix('1 + 2 * 3 ^ 2').exec(0)).toBe(19);
+});
+
+test('tofunction-infix-subtraction-left', function() {
+    expect(infix('10 - 4 - 3').exec(0)).toBe(3);
+});
+
+test('tofunction-infix-power-right', function() {
+    expect(infix('2^3^2').exec(0)).toBe(512);
+});
+
+test('tofunction-infix-polynomial', function() {
+    expect(infix('x^2 - 3x + 2').exec(4)).toBe(6);
+});
+
+test('tofunction-infix-brackets-implicit-times', function() {
+    expect(infix('(x + 1)(x - 1)').exec(3)).toBe(8);
+});
+
+test('tofunction-infix-trig', function() {
+    expect(approx(infix('3sin(2x)').exec(Math.PI / 4), 6)).toBe(3);
+});
+
+test('tofunction-infix-multivariable', function() {
+    expect(infix('x^2 + y^2', ['x', 'y']).exec(3, 4)).toBe(25);
+});
+
+test('tofunction-infix-theta', function() {
+    expect(approx(infix('1 + cos θ', ['theta']).exec(Math.PI), 6)).toBe(0);
+});
+
+test('tofunction-infix-abs', function() {
+    expect(infix('|x - 5|').exec(2)).toBe(3);
+});
+
+test('tofunction-infix-factorial', function() {
+    expect(infix('x!').exec(5)).toBe(120);
+});
+
+test('tofunction-infix-piecewise', function() {
+    let func = infix('2{-x if x < 0; x^2 if x < 1 and x != 0.5}');
+
+    expect([func.exec(-3), func.exec(0.25), func.exec(0.5)]).toStrictEqual([6, 0.125, NaN]);
+});
+
+test('tofunction-infix-list', function() {
+    expect(infix('(1, 2x)').exec(2)).toStrictEqual([1, 4]);
+});
+
+test('torational-infix', function() {
+    expect(infix('2pi/3').rational).toStrictEqual(new Rational(2, 3, 1));
+});
+
+test('torational-infix-list', function() {
+    expect(infix('(-pi, pi/2)').rational).toStrictEqual(
+        new RationalTuple([new Rational(-1, 1, 1), new Rational(1, 2, 1)]));
+});
@@ -0,0 +1,69 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import MathML from '../mathml.js';
+import integrate from '../integrate.js';
+
+
+ /**
+ * Given a number, round it to `precision` decimal places
+ *
+ * @param  {float}    number     The number to be rounded
+ * @param  {integer}  precision  The number of decimal places to return
+ * @return {float}               The rounded number
+ */
+function approx(number, precision) {
+    let mult = 10 ** precision;
+
+    return Math.round(number * mult) / mult;
+}
+
+test('integrate-polynomial', function() {
+    expect(approx(integrate(x => x * x, 0, 3), 8)).toBe(9);
+});
+
+test('integrate-reversed-limits', function() {
+    expect(approx(integrate(x => x * x, 3, 0), 8)).toBe(-9);
+});
+
+test('integrate-equal-limits', function() {
+    expect(integrate(x => x * x, 2, 2)).toBe(0);
+});
+
+test('integrate-signed', function() {
+    expect(Math.abs(integrate(Math.sin, 0, 2 * Math.PI))).toBeLessThan(1e-8);
+});
+
+test('integrate-absolute', function() {
+    expect(approx(integrate(x => Math.abs(Math.sin(x)), 0, 2 * Math.PI), 8)).toBe(4);
+});
+
+test('integrate-periodic', function() {
+    expect(approx(integrate(x => Math.sin(x) ** 2, 0, 2 * Math.PI), 8))
+        .toBe(approx(Math.PI, 8));
+});
+
+test('integrate-exponential', function() {
+    expect(approx(integrate(Math.exp, 0, 1), 8)).toBe(approx(Math.E - 1, 8));
+});
+
+test('integrate-step', function() {
+    expect(approx(integrate(Math.floor, 0, 3.5), 4)).toBe(4.5);
+});
+
+test('integrate-mathml', function() {
+    let mathml = new MathML('1 / (1 + x^2)');
+
+    expect(approx(integrate(mathml.exec, 0, 1), 8)).toBe(approx(Math.PI / 4, 8));
+});
+
+test('integrate-undefined', function() {
+    expect(() => integrate(x => 1 / x, 0, 1)).toThrow(
+        'The integral from 0 to 1 is undefined.');
+});
+
+test('integrate-invalid-limits', function() {
+    expect(() => integrate(x => x, 0, Infinity)).toThrow(
+        'Invalid limits of integration: 0, Infinity');
+});
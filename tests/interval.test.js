@@ -0,0 +1,243 @@
+import Interval from '../interval.js';
+
+
+ /**
+ * Given a number, round it to `precision` decimal places
+ *
+ * @param  {float}    number     The number to be rounded
+ * @param  {integer}  precision  The number of decimal places to return
+ * @return {float}               The rounded number
+ */
+function approx(number, precision) {
+    let mult = 10 ** precision;
+
+    return Math.round(number * mult) / mult;
+}
+
+/**
+ * Given an Interval, return its bounds, rounded to `precision` decimal
+ * places, and whether it's defined and continuous.
+ *
+ * @param  {Interval} interval  The Interval
+ * @param  {integer}  precision The number of decimal places to return
+ * @return {Array}              [lo, hi, defined, continuous]
+ */
+function summarise(interval, precision=9) {
+    let round = (bound => Number.isFinite(bound) ? approx(bound, precision) || 0 : bound);
+
+    return [round(interval.lo), round(interval.hi), interval.defined, interval.continuous];
+}
+
+/**
+ * Given a pair [lo, hi], return the Interval [lo, hi].
+ *
+ * @param  {Number}   lo The lower bound
+ * @param  {Number}   hi The upper bound
+ * @return {Interval}    A new Interval object
+ */
+function interval(lo, hi) {
+    return new Interval(lo, hi);
+}
+
+test('interval-construct', function() {
+    expect(summarise(new Interval(1, 2))).toStrictEqual([1, 2, true, true]);
+    expect(summarise(new Interval(3))).toStrictEqual([3, 3, true, true]);
+    expect(summarise(new Interval(1, 2, false))).toStrictEqual([1, 2, false, false]);
+    expect(new Interval(2, 1).isEmpty).toBe(true);
+    expect(new Interval(NaN).isEmpty).toBe(true);
+    expect(new Interval(2, 1).defined).toBe(false);
+});
+
+test('interval-from', function() {
+    expect(summarise(Interval.from([1, 2]))).toStrictEqual([1, 2, true, true]);
+    expect(summarise(Interval.from(3))).toStrictEqual([3, 3, true, true]);
+    expect(Interval.from(interval(1, 2)).hi).toBe(2);
+    expect(() => Interval.from([1, 2, 3])).toThrow('An Interval must have 2 bounds.');
+});
+
+test('interval-rounded', function() {
+    let pi = Interval.rounded(Math.PI);
+
+    expect(pi.lo).toBeLessThan(Math.PI);
+    expect(pi.hi).toBeGreaterThan(Math.PI);
+});
+
+test('interval-hull', function() {
+    let hull = Interval.hull([interval(1, 2), interval(4, 5), Interval.empty()]);
+
+    expect(summarise(hull)).toStrictEqual([1, 5, false, false]);
+    expect(Interval.hull([]).isEmpty).toBe(true);
+});
+
+test('interval-intersect', function() {
+    let a = new Interval(1, 4, false);
+    let b = new Interval(2, 6);
+
+    expect(summarise(a.intersect(b))).toStrictEqual([2, 4, true, true]);
+    expect(interval(1, 2).intersect(interval(3, 4)).isEmpty).toBe(true);
+});
+
+test('interval-plus-minus', function() {
+    expect(summarise(interval(1, 2).plus(interval(3, 5)))).toStrictEqual([4, 7, true, true]);
+    expect(summarise(interval(1, 2).minus(interval(3, 5)))).toStrictEqual([-4, -1, true, true]);
+    expect(summarise(interval(1, 2).negate())).toStrictEqual([-2, -1, true, true]);
+});
+
+test('interval-rounding', function() {
+    // the bounds hold despite floating point error...
+    let sum = new Interval(0.1).plus(new Interval(0.2));
+
+    expect(sum.lo).toBeLessThan(0.1 + 0.2);
+    expect(sum.hi).toBeGreaterThan(0.1 + 0.2);
+
+    // ...but integer arithmetic is exact
+    expect(new Interval(2).times(new Interval(3)).minus(new Interval(1)).isPoint).toBe(true);
+});
+
+test('interval-times', function() {
+    expect(summarise(interval(-1, 2).times(interval(3, 4)))).toStrictEqual([-4, 8, true, true]);
+    expect(summarise(interval(-2, -1).times(interval(-3, 4)))).toStrictEqual([-8, 6, true, true]);
+    expect(summarise(interval(0, 1).times(interval(0, Infinity)))).toStrictEqual([0, Infinity, true, true]);
+});
+
+test('interval-divide', function() {
+    expect(summarise(interval(1, 2).divide(interval(4, 8)))).toStrictEqual([0.125, 0.5, true, true]);
+    expect(summarise(interval(1, 2).divide(interval(0, 1)))).toStrictEqual([1, Infinity, false, false]);
+    expect(summarise(interval(1, 2).divide(interval(-1, 1))))
+        .toStrictEqual([-Infinity, Infinity, false, false]);
+    expect(interval(1, 2).divide(new Interval(0)).isEmpty).toBe(true);
+});
+
+test('interval-power', function() {
+    expect(summarise(interval(-1, 2).power(new Interval(2)))).toStrictEqual([0, 4, true, true]);
+    expect(summarise(interval(-2, -1).power(new Interval(3)))).toStrictEqual([-8, -1, true, true]);
+    expect(summarise(interval(1, 2).power(new Interval(-1)))).toStrictEqual([0.5, 1, true, true]);
+    expect(summarise(interval(2, 4).power(interval(0.5, 2)))).toStrictEqual([1.414213562, 16, true, true]);
+});
+
+test('interval-power-undefined', function() {
+    // a negative base is only defined to an integer power
+    expect(summarise(interval(-1, 4).power(new Interval(0.5)))).toStrictEqual([0, 2, false, false]);
+    expect(interval(-8, -1).power(new Interval(0.5)).isEmpty).toBe(true);
+    expect(summarise(interval(-1, 4).power(interval(1.5, 2.5))))
+        .toStrictEqual([-Infinity, Infinity, false, false]);
+
+    // and 0 isn't defined to a negative power
+    expect(summarise(interval(0, 1).power(new Interval(-2)))).toStrictEqual([1, Infinity, false, false]);
+});
+
+test('interval-abs-min-max', function() {
+    expect(summarise(interval(-3, 2).abs())).toStrictEqual([0, 3, true, true]);
+    expect(summarise(interval(-3, -2).abs())).toStrictEqual([2, 3, true, true]);
+    expect(summarise(interval(1, 4).min(interval(2, 3)))).toStrictEqual([1, 3, true, true]);
+    expect(summarise(interval(1, 4).max(interval(2, 3)))).toStrictEqual([2, 4, true, true]);
+});
+
+test('interval-rem', function() {
+    expect(summarise(interval(4, 5).rem(new Interval(3)))).toStrictEqual([1, 2, true, true]);
+    expect(summarise(interval(-5, -4).rem(new Interval(3)))).toStrictEqual([-2, -1, true, true]);
+
+    // wrapping around is discontinuous
+    expect(summarise(interval(2, 4).rem(new Interval(3)))).toStrictEqual([0, 3, true, false]);
+    expect(summarise(interval(2, 4).rem(interval(-1, 1)))).toStrictEqual([0, 1, false, false]);
+});
+
+test('interval-quotient', function() {
+    expect(summarise(new Interval(7).quotient(new Interval(2)))).toStrictEqual([3, 3, true, true]);
+    expect(summarise(interval(4.5, 5.5).quotient(new Interval(2)))).toStrictEqual([2, 2, true, true]);
+    expect(summarise(interval(3, 5).quotient(new Interval(2)))).toStrictEqual([1, 2, true, false]);
+});
+
+test('interval-sqrt-exp-ln', function() {
+    expect(summarise(interval(4, 9).sqrt())).toStrictEqual([2, 3, true, true]);
+    expect(summarise(interval(-1, 4).sqrt())).toStrictEqual([0, 2, false, false]);
+    expect(summarise(interval(0, 1).exp())).toStrictEqual([1, approx(Math.E, 9), true, true]);
+    expect(summarise(interval(1, Math.E).ln())).toStrictEqual([0, 1, true, true]);
+    expect(summarise(interval(-1, 1).ln())).toStrictEqual([-Infinity, 0, false, false]);
+    expect(interval(-2, -1).ln().isEmpty).toBe(true);
+    expect(interval(-1, 0).ln().isEmpty).toBe(true);
+});
+
+test('interval-sin-cos', function() {
+    expect(summarise(interval(0, 0.5).sin())).toStrictEqual([0, approx(Math.sin(0.5), 9), true, true]);
+    expect(summarise(interval(0, 3).sin())).toStrictEqual([0, 1, true, true]);
+    expect(summarise(interval(4, 5).sin())).toStrictEqual([-1, approx(Math.sin(4), 9), true, true]);
+    expect(summarise(interval(1, 7).cos())).toStrictEqual([-1, 1, true, true]);
+    expect(summarise(interval(-Infinity, 0).cos())).toStrictEqual([-1, 1, true, true]);
+});
+
+test('interval-tan', function() {
+    expect(summarise(interval(0, 1).tan())).toStrictEqual([0, approx(Math.tan(1), 9), true, true]);
+    expect(summarise(interval(1, 2).tan())).toStrictEqual([-Infinity, Infinity, false, false]);
+    expect(summarise(interval(4, 4.5).tan()))
+        .toStrictEqual([approx(Math.tan(4), 9), approx(Math.tan(4.5), 9), true, true]);
+});
+
+test('interval-inverse-trig', function() {
+    expect(summarise(interval(0, 1).arcsin())).toStrictEqual([0, approx(Math.PI / 2, 9), true, true]);
+    expect(summarise(interval(0.5, 3).arcsin()))
+        .toStrictEqual([approx(Math.PI / 6, 9), approx(Math.PI / 2, 9), false, false]);
+    expect(summarise(interval(0, 1).arccos())).toStrictEqual([0, approx(Math.PI / 2, 9), true, true]);
+    expect(summarise(interval(-Infinity, Infinity).arctan()))
+        .toStrictEqual([approx(-Math.PI / 2, 9), approx(Math.PI / 2, 9), true, true]);
+    expect(interval(2, 3).arccos().isEmpty).toBe(true);
+});
+
+test('interval-hyperbolic', function() {
+    expect(summarise(interval(-1, 2).cosh())).toStrictEqual([1, approx(Math.cosh(2), 9), true, true]);
+    expect(summarise(interval(-1, 2).sinh()))
+        .toStrictEqual([approx(Math.sinh(-1), 9), approx(Math.sinh(2), 9), true, true]);
+    expect(summarise(interval(0, 2).arccosh())).toStrictEqual([0, approx(Math.acosh(2), 9), false, false]);
+    expect(summarise(interval(0, 1).arctanh())).toStrictEqual([0, Infinity, false, false]);
+});
+
+test('interval-floor-ceiling', function() {
+    expect(summarise(interval(0.5, 0.7).floor())).toStrictEqual([0, 0, true, true]);
+    expect(summarise(interval(0.5, 1.5).floor())).toStrictEqual([0, 1, true, false]);
+
+    // floor is continuous from the right, and ceiling from the left
+    expect(interval(0.5, 1).floor().continuous).toBe(false);
+    expect(interval(1, 1.5).floor().continuous).toBe(true);
+    expect(interval(0.5, 1).ceiling().continuous).toBe(true);
+    expect(interval(1, 1.5).ceiling().continuous).toBe(false);
+});
+
+test('interval-comparisons', function() {
+    expect(summarise(interval(1, 2).lt(interval(3, 4)))).toStrictEqual([1, 1, true, true]);
+    expect(summarise(interval(3, 4).lt(interval(1, 2)))).toStrictEqual([0, 0, true, true]);
+    expect(summarise(interval(1, 3).lt(interval(2, 4)))).toStrictEqual([0, 1, true, false]);
+    expect(summarise(interval(1, 2).leq(interval(2, 3)))).toStrictEqual([1, 1, true, true]);
+    expect(summarise(interval(1, 2).lt(interval(2, 3)))).toStrictEqual([0, 1, true, false]);
+    expect(summarise(new Interval(2).eq(new Interval(2)))).toStrictEqual([1, 1, true, true]);
+    expect(summarise(interval(1, 3).neq(new Interval(2)))).toStrictEqual([0, 1, true, false]);
+
+    // comparing an undefined value is false, as with NaN
+    expect(summarise(interval(-1, 4).sqrt().geq(new Interval(0)))).toStrictEqual([0, 1, true, false]);
+    expect(summarise(Interval.empty().lt(new Interval(0)))).toStrictEqual([0, 0, true, true]);
+});
+
+test('interval-logic', function() {
+    let [yes, no, maybe] = [new Interval(1), new Interval(0), interval(0, 1)];
+
+    expect(yes.isTrue && no.isFalse && !maybe.isTrue && !maybe.isFalse).toBe(true);
+    expect(summarise(yes.and(maybe))).toStrictEqual([0, 1, true, false]);
+    expect(summarise(no.and(maybe))).toStrictEqual([0, 0, true, true]);
+    expect(summarise(yes.or(maybe))).toStrictEqual([1, 1, true, true]);
+    expect(summarise(no.or(maybe))).toStrictEqual([0, 1, true, false]);
+    expect(summarise(yes.not())).toStrictEqual([0, 0, true, true]);
+    expect(summarise(maybe.not())).toStrictEqual([0, 1, true, false]);
+});
+
+test('interval-widen', function() {
+    expect(summarise(interval(1, 2).widen(0.5))).toStrictEqual([0.5, 2.5, true, true]);
+    expect(summarise(interval(1, 2).widen(0, 0.5))).toStrictEqual([0.5, 3, true, true]);
+});
+
+test('interval-empty', function() {
+    let empty = Interval.empty();
+
+    expect(empty.isEmpty).toBe(true);
+    expect(empty.plus(interval(1, 2)).isEmpty).toBe(true);
+    expect(empty.sin().isEmpty).toBe(true);
+    expect(interval(1, 2).times(empty).isEmpty).toBe(true);
+});
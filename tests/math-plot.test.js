@@ -0,0 +1,494 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import {MathMLError} from '../mathml.js';
+import MathPlot from '../math-plot.js';
+
+
+/**
+ * Replace the canvas's 2d context with one which records, in `calls`, every
+ * method call, as an array [name, ...args], and every property set, as an
+ * array ['set', name, value]. jsdom doesn't implement the canvas, so this is
+ * all the drawing there is to test.
+ */
+let calls = [];
+HTMLCanvasElement.prototype.getContext = function() {
+    return new Proxy({}, {
+        get(target, prop) {
+            if(prop in target) {
+                return target[prop];
+            } else if(prop === 'measureText') {
+                return text => ({width: String(text).length * 8});
+            }
+
+            return (...args) => calls.push([prop, ...args]);
+        },
+        set(target, prop, value) {
+            target[prop] = value;
+            calls.push(['set', prop, value]);
+
+            return true;
+        }
+    });
+};
+
+afterEach(function() {
+    document.body.innerHTML = '';
+    calls = [];
+});
+
+/**
+ * Add the <math-plot> described by `html` to the document, which draws it.
+ *
+ * @param  {String}   html The <math-plot> element's HTML
+ * @return {MathPlot}      The <math-plot> element
+ */
+function plot(html) {
+    calls = [];
+    document.body.innerHTML = html;
+
+    return document.body.firstElementChild;
+}
+
+/**
+ * Return the points of the paths drawn in graph coordinates, i.e. while the
+ * context is scaled to the graph, as [x, y] pairs.
+ *
+ * @return {Array} The points
+ */
+function graphPoints() {
+    let points = [];
+    let scaled = false;
+
+    calls.forEach(function([name, ...args]) {
+        if(name === 'scale') {
+            scaled = true;
+        } else if(name === 'restore') {
+            scaled = false;
+        } else if(scaled && (name === 'moveTo' || name === 'lineTo')) {
+            points.push(args);
+        }
+    });
+
+    return points;
+}
+
+/**
+ * Return the paths drawn in graph coordinates, @see graphPoints(), each an
+ * Array of the points joined after a moveTo.
+ *
+ * @return {Array} The paths
+ */
+function graphPaths() {
+    let paths = [];
+    let scaled = false;
+
+    calls.forEach(function([name, ...args]) {
+        if(name === 'scale') {
+            scaled = true;
+        } else if(name === 'restore') {
+            scaled = false;
+        } else if(scaled && name === 'moveTo') {
+            paths.push([args]);
+        } else if(scaled && name === 'lineTo') {
+            paths[paths.length - 1].push(args);
+        }
+    });
+
+    return paths;
+}
+
+/**
+ * Return the graph coordinates of the points marked on `mathPlot`, rounded
+ * to 3 decimal places.
+ *
+ * @param  {MathPlot} mathPlot The <math-plot> element
+ * @return {Array}             The points, as [x, y] pairs
+ */
+function markedPoints(mathPlot) {
+    let round = (x => Math.round(x * 1000) / 1000 + 0);
+
+    return calls.filter(([name]) => name === 'arc').map(([_, x, y]) => [
+        round((x - mathPlot.center.x) / mathPlot.scale.x),
+        round((y - mathPlot.center.y) / mathPlot.scale.y)
+    ]);
+}
+
+/**
+ * Return the text written on the canvas.
+ *
+ * @return {Array} The strings written
+ */
+function texts() {
+    return calls.filter(([name]) => name === 'fillText').map(([_, text]) => text);
+}
+
+/**
+ * Return the labels of the points marked, i.e. the text written after each
+ * point up to the next, as Arrays of the strings written: exact values are
+ * typeset in pieces.
+ *
+ * @return {Array} The labels
+ */
+function labels() {
+    return calls.reduce((labels, [name, text]) => {
+        if (name === 'arc') labels.push([]);
+        else if (name === 'fillText' && labels.length) labels[labels.length - 1].push(text);
+        return labels;
+    }, []);
+}
+
+test('plot-endpoints', function() {
+    let mathPlot = plot('<math-plot range-x="(-3, 3)" range-y="(-3, 3)">' +
+        '<math-plot-function rule="sin(x)/x" domain="(0, 2]"></math-plot-function>' +
+        '<math-plot-function rule="floor(x)" domain="[-2, -1)"></math-plot-function>' +
+    '</math-plot>');
+
+    //each point's fill is set just after its arc: white if it's hollow
+    let hollow = calls.flatMap((call, i) => call[0] === 'arc' ?
+        [calls[i + 1][2] === '#ffffff'] : []);
+
+    //the open ends are where the curves approach them
+    expect(markedPoints(mathPlot)).toStrictEqual(
+        [[0, 1], [2, Math.round(Math.sin(2) / 2 * 1000) / 1000], [-2, -2], [-1, -2]]);
+    expect(hollow).toStrictEqual([true, false, false, true]);
+});
+
+test('plot-function-clipped', function() {
+    ['x^2', '-x^2'].forEach(function(rule) {
+        let mathPlot = plot('<math-plot range-x="(-3, 3)" range-y="(-3, 3)">' +
+            `<math-plot-function rule="${rule}"></math-plot-function>` +
+        '</math-plot>');
+        let {top, bottom} = mathPlot.drawRegion;
+        let edge = (rule === 'x^2' ? top : bottom);
+        let paths = graphPaths();
+        let [first, last] = [paths[0][0], paths[0][paths[0].length - 1]];
+
+        //the curve is drawn from and to exactly where it leaves the plot
+        expect(paths.length).toBe(1);
+        expect(first[0]).toBeCloseTo(-Math.sqrt(Math.abs(edge)), 9);
+        expect(last[0]).toBeCloseTo(Math.sqrt(Math.abs(edge)), 9);
+        expect([first[1], last[1]]).toStrictEqual([edge, edge]);
+        expect(paths[0].every(([x, y]) => y <= top && y >= bottom)).toBe(true);
+    });
+});
+
+test('plot-function-adaptive', function() {
+    //the number of points drawn within (0, 0.1)
+    let count = function(rule) {
+        plot(`<math-plot range-x="(-1, 1)" range-y="(-1, 1)"><math-plot-function rule="${rule}"></math-plot-function></math-plot>`);
+
+        return graphPoints().filter(([x]) => x > 0 && x < 0.1).length;
+    };
+
+    //a straight line takes only the initial samples, but sin(1/x) is
+    //refined where it oscillates faster and faster towards 0
+    expect(count('sin(1/x)')).toBeGreaterThan(10 * count('x'));
+});
+
+test('plot-floodfill-clipped', function() {
+    let mathPlot = plot('<math-plot range-x="(-3, 3)" range-y="(-3, 3)">' +
+        '<math-plot-floodfill rule-top="x^2" rule-bottom="-x^2"></math-plot-floodfill>' +
+    '</math-plot>');
+    let {top, bottom} = mathPlot.drawRegion;
+    let points = graphPoints();
+
+    //the fill stays within the plot, and meets its edges where the bounds do
+    expect(points.every(([x, y]) => y <= top && y >= bottom)).toBe(true);
+    [[top, -1], [top, 1], [bottom, -1], [bottom, 1]].forEach(function([edge, side]) {
+        expect(points.some(([x, y]) => y === edge &&
+            Math.abs(x - side * Math.sqrt(Math.abs(edge))) < 1e-9)).toBe(true);
+    });
+});
+
+test('plot-parametric', function() {
+    plot('<math-plot><math-plot-parametric rule-x="<apply><cos/><ci>t</ci></apply>" rule-y="<apply><sin/><ci>t</ci></apply>" t-range="(0, 2pi)"></math-plot-parametric></math-plot>');
+
+    let points = graphPoints();
+
+    expect(points.length).toBeGreaterThan(100);
+    expect(points[0]).toStrictEqual([1, 0]);
+    expect(points.every(([x, y]) => Math.abs(Math.hypot(x, y) - 1) < 1e-9)).toBe(true);
+});
+
+test('plot-polar', function() {
+    plot('<math-plot><math-plot-polar rule="<cn>2</cn>"></math-plot-polar></math-plot>');
+
+    let points = graphPoints();
+
+    expect(points.length).toBeGreaterThan(100);
+    expect(points.every(([x, y]) => Math.abs(Math.hypot(x, y) - 2) < 1e-9)).toBe(true);
+});
+
+test('plot-parametric-clipped', function() {
+    let mathPlot = plot('<math-plot range-x="(-3, 3)" range-y="(-3, 3)">' +
+        '<math-plot-parametric rule-x="5cos t" rule-y="5sin t" t-range="(0, 2pi)"></math-plot-parametric>' +
+    '</math-plot>');
+
+    let {left, right, top, bottom} = mathPlot.drawRegion;
+    let points = graphPoints();
+
+    expect(points.every(([x, y]) => x >= left && x <= right && y >= bottom && y <= top)).toBe(true);
+    //the curve stops exactly at the top edge, where x = sqrt(25 - top^2)
+    expect(points.some(([x, y]) =>
+        y === top && Math.abs(x - Math.sqrt(25 - top * top)) < 1e-9)).toBe(true);
+});
+
+test('plot-polar-discontinuous', function() {
+    plot('<math-plot range-x="(-3, 3)" range-y="(-3, 3)">' +
+        '<math-plot-polar rule="tan θ"></math-plot-polar>' +
+    '</math-plot>');
+
+    //r = tan θ has poles at θ = π/2 and 3π/2, which aren't joined across
+    let paths = graphPaths();
+    let segments = paths.flatMap(path => path.slice(1).map(([x, y], i) =>
+        Math.hypot(x - path[i][0], y - path[i][1])));
+
+    expect(paths.length).toBeGreaterThan(1);
+    expect(Math.max(...segments)).toBeLessThan(0.5);
+});
+
+test('plot-implicit', function() {
+    plot('<math-plot range-x="(-3, 3)" range-y="(-3, 3)"><math-plot-implicit rule="' +
+        '<apply><eq/><apply><plus/>' +
+            '<apply><power/><ci>x</ci><cn>2</cn></apply>' +
+            '<apply><power/><ci>y</ci><cn>2</cn></apply>' +
+        '</apply><cn>4</cn></apply>' +
+    '"></math-plot-implicit></math-plot>');
+
+    let points = graphPoints();
+
+    expect(points.length).toBeGreaterThan(50);
+    expect(points.every(([x, y]) => Math.abs(Math.hypot(x, y) - 2) < 0.01)).toBe(true);
+});
+
+test('plot-floodfill-area', function() {
+    plot('<math-plot>' +
+        '<math-plot-floodfill rule-top="x - 1" rule-bottom="0" domain="(0, 3)" show-area></math-plot-floodfill>' +
+        '<math-plot-floodfill rule-top="x - 1" rule-bottom="0" domain="(0, 3)" show-area="absolute" label="g"></math-plot-floodfill>' +
+    '</math-plot>');
+
+    expect(texts()).toEqual(expect.arrayContaining(['A = 1.5', 'g, A = 2.5']));
+});
+
+test('plot-floodfill-area-undefined', function() {
+    let mathPlot = plot('<math-plot>' +
+        '<math-plot-floodfill rule-top="1/sqrt(x)" rule-bottom="0" domain="(0, 4)" label="f" show-area></math-plot-floodfill>' +
+    '</math-plot>');
+
+    //the region is still filled and labelled, without its area
+    expect(mathPlot.errors).toStrictEqual([]);
+    expect(calls).toContainEqual(['fill']);
+    expect(texts()).toContain('f');
+    expect(texts().filter(text => /^A /.test(text))).toStrictEqual([]);
+});
+
+test('plot-floodfill-area-one-rule', function() {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    let mathPlot = plot('<math-plot><math-plot-floodfill rule-top="x" show-area></math-plot-floodfill></math-plot>');
+
+    expect(mathPlot.errors.map(({error}) => error.message)).toStrictEqual(
+        ['<math-plot-floodfill> show-area requires both rule-top and rule-bottom.']);
+    console.error.mockRestore();
+});
+
+test('integrate-static', function() {
+    expect(customElements.get('math-plot')).toBe(MathPlot);
+    expect(MathPlot.integrate('x^2', 0, 3)).toBeCloseTo(9, 9);
+    expect(MathPlot.integrate('a x', '0', 'a', {a: 2})).toBeCloseTo(4, 9);
+});
+
+test('plot-mark-features', function() {
+    let mathPlot = plot('<math-plot range-x="(-3, 3)" range-y="(-3, 3)">' +
+        '<math-plot-function rule="x^3 - 3x" mark-intercepts></math-plot-function>' +
+        '<math-plot-function rule="x^3 - 3x" mark-extrema></math-plot-function>' +
+        '<math-plot-function rule="x^3 - 3x" mark-inflections></math-plot-function>' +
+    '</math-plot>');
+
+    expect(markedPoints(mathPlot)).toStrictEqual(
+        [[-1.732, 0], [0, 0], [1.732, 0], [-1, 2], [1, -2], [0, 0]]);
+});
+
+test('plot-label-coordinates', function() {
+    let mathPlot = plot('<math-plot range-x="(-2, 2)" range-y="(-2, 2)">' +
+        '<math-plot-function rule="sin x" mark-extrema label-coordinates></math-plot-function>' +
+        '<math-plot-function rule="x^2 - 3" mark-intercepts label-coordinates></math-plot-function>' +
+    '</math-plot>');
+
+    expect(markedPoints(mathPlot)).toStrictEqual(
+        [[-1.571, -1], [1.571, 1], [-1.732, 0], [1.732, 0]]);
+    //exact coordinates are typeset, the fraction bar and minus sign drawn as lines
+    expect(labels()).toStrictEqual([
+        ['(', 'π', '2', ',', '1', ')'],
+        ['(', 'π', '2', ',', '1', ')'],
+        ['(-1.732, 0)'],
+        ['(1.732, 0)']
+    ]);
+});
+
+test('plot-asymptotes', function() {
+    plot('<math-plot range-x="(-3, 3)" range-y="(-3, 3)">' +
+        '<math-plot-function rule="1/x" show-asymptotes></math-plot-function>' +
+    '</math-plot>');
+
+    //the dash is set when the path is stroked, so the asymptote is the line before it
+    let dashed = calls.findIndex(([name, lineDash]) => name === 'setLineDash' &&
+        lineDash.length > 0);
+    let [from, to] = ['moveTo', 'lineTo'].map(method =>
+        calls.slice(0, dashed).filter(([name]) => name === method).pop());
+
+    expect(calls[dashed]).toStrictEqual(['setLineDash', [10, 5]]);
+    expect([from[1], to[1]]).toStrictEqual([0, 0]);
+    expect(Math.min(from[2], to[2])).toBeLessThanOrEqual(-3);
+    expect(Math.max(from[2], to[2])).toBeGreaterThanOrEqual(3);
+});
+
+test('plot-holes', function() {
+    let mathPlot = plot('<math-plot range-x="(-3, 3)" range-y="(-3, 3)">' +
+        '<math-plot-function rule="(x^2 - 1)/(x - 1)" show-holes></math-plot-function>' +
+    '</math-plot>');
+    let arc = calls.findIndex(([name]) => name === 'arc');
+
+    //the hole is marked, hollow, where the curve approaches it
+    expect(markedPoints(mathPlot)).toStrictEqual([[1, 2]]);
+    expect(calls[arc + 1]).toStrictEqual(['set', 'fillStyle', '#ffffff']);
+});
+
+test('plot-region', function() {
+    plot('<math-plot range-x="(-3, 3)" range-y="(-3, 3)"><math-plot-region rule="<apply><lt/><ci>y</ci><ci>x</ci></apply>"></math-plot-region></math-plot>');
+
+    let rects = calls.filter(([name]) => name === 'rect');
+
+    expect(rects.length).toBeGreaterThan(50);
+    //each rect is a column of cells, which reaches no higher than the line
+    //y = x, to within a cell
+    expect(rects.every(([_, x, y, width, height]) =>
+        y + height <= x + width + 0.1)).toBe(true);
+    //the boundary is dashed, as it isn't included
+    expect(calls).toContainEqual(['setLineDash', [10, 5]]);
+});
+
+test('plot-tangent', function() {
+    plot('<math-plot range-x="(-3, 3)" range-y="(-3, 3)">' +
+        '<math-plot-function id="f" rule="x^2"></math-plot-function>' +
+        '<math-plot-tangent function="f" at="1" mark-points label-slope></math-plot-tangent>' +
+    '</math-plot>');
+
+    let [start, end] = graphPoints().slice(-2);
+
+    expect((end[1] - start[1]) / (end[0] - start[0])).toBeCloseTo(2, 9);
+    expect(start[1]).toBeCloseTo(2 * start[0] - 1, 9);
+    expect(texts()).toContain('m = 2');
+});
+
+test('plot-normal-secant', function() {
+    plot('<math-plot>' +
+        '<math-plot-normal rule="x^2" at="1" label-slope></math-plot-normal>' +
+        '<math-plot-secant rule="x^2" at-a="1" at-b="3" label-slope></math-plot-secant>' +
+    '</math-plot>');
+
+    expect(texts()).toEqual(expect.arrayContaining(['m = -0.5', 'm = 4']));
+});
+
+test('plot-riemann', function() {
+    plot('<math-plot><math-plot-riemann rule="x - 1" domain="(0, 4)" n="4" method="left" label-sum></math-plot-riemann></math-plot>');
+
+    expect(texts()).toContain('Σ = 2');
+    //the part below the axis is filled in the negative colour
+    expect(calls).toContainEqual(['set', 'fillStyle', '#f4c7c3']);
+});
+
+test('plot-intersections', function() {
+    let mathPlot = plot('<math-plot range-x="(-3, 3)" range-y="(-3, 3)">' +
+        '<math-plot-intersections rule-a="x^2 - 1" rule-b="x + 1"></math-plot-intersections>' +
+    '</math-plot>');
+
+    expect(markedPoints(mathPlot)).toStrictEqual([[-1, 0], [2, 3]]);
+});
+
+test('plot-intersections-referenced-domain', function() {
+    let mathPlot = plot('<math-plot range-x="(-3, 3)" range-y="(-3, 3)">' +
+        '<math-plot-function id="f" rule="x^2 - 1" domain="(0, 3)"></math-plot-function>' +
+        '<math-plot-function id="g" rule="x + 1"></math-plot-function>' +
+        '<math-plot-intersections function-a="f" function-b="g"></math-plot-intersections>' +
+    '</math-plot>');
+
+    expect(markedPoints(mathPlot)).toStrictEqual([[2, 3]]);
+});
+
+test('plot-riemann-trapezoid-crossing', function() {
+    let mathPlot = plot('<math-plot><math-plot-riemann rule="100x - 1" domain="(0, 1)" n="1" method="trapezoid"></math-plot-riemann></math-plot>');
+
+    let points = graphPoints();
+
+    //the crossing is placed by the unclipped heights, at the root x = 0.01
+    expect(points).toContainEqual([0.01, 0]);
+    //and the trapezoid is cut off at the top of the graph, not squashed
+    let top = mathPlot.drawRegion.top;
+    expect(points.every(([x, y]) => y <= top + 1e-9)).toBe(true);
+    expect(points.some(([x, y]) =>
+        Math.abs(x - (top + 1) / 100) < 1e-9 && Math.abs(y - top) < 1e-9)).toBe(true);
+});
+
+test('error-skipped', function() {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    let mathPlot = plot('<math-plot>' +
+        '<math-plot-function rule="x +"></math-plot-function>' +
+        '<math-plot-function rule="x" domain="(0, 1)"></math-plot-function>' +
+    '</math-plot>');
+
+    expect(mathPlot.errors).toHaveLength(1);
+    expect(mathPlot.errors[0].element).toBe(mathPlot.children[0]);
+    expect(mathPlot.errors[0].error).toBeInstanceOf(MathMLError);
+    expect(graphPoints()).toContainEqual([1, 1]);
+    console.error.mockRestore();
+});
+
+test('error-event', function() {
+    let events = [];
+    let listener = (event => events.push(event));
+    document.addEventListener('math-plot-error', listener);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    let mathPlot = plot('<math-plot><math-plot-point position="(1, 2"></math-plot-point></math-plot>');
+
+    expect(events).toHaveLength(1);
+    expect(events[0].cancelable).toBe(true);
+    expect(events[0].target).toBe(mathPlot.children[0]);
+    expect(events[0].detail).toStrictEqual(mathPlot.errors[0]);
+    expect(console.error).toHaveBeenCalledWith(mathPlot.errors[0].error);
+
+    document.removeEventListener('math-plot-error', listener);
+    console.error.mockRestore();
+});
+
+test('error-event-cancelled', function() {
+    let listener = (event => event.preventDefault());
+    document.addEventListener('math-plot-error', listener);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    let mathPlot = plot('<math-plot show-errors><math-plot-function rule="x +"></math-plot-function></math-plot>');
+
+    expect(mathPlot.errors).toStrictEqual([]);
+    expect(console.error).not.toHaveBeenCalled();
+    expect(calls.filter(([name]) => name === 'strokeRect')).toStrictEqual([]);
+
+    document.removeEventListener('math-plot-error', listener);
+    console.error.mockRestore();
+});
+
+test('error-show-errors', function() {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    let mathPlot = plot('<math-plot show-errors>' +
+        '<math-plot-function rule="x"></math-plot-function>' +
+        '<math-plot-function rule="<cn>x</cn>"></math-plot-function>' +
+    '</math-plot>');
+
+    expect(console.error).not.toHaveBeenCalled();
+    expect(calls).toContainEqual(['strokeRect', 1, 1, 298, 298]);
+    expect(texts()).toContain(
+        'math-plot-function[1]: <cn> must contain a number. (cn[0])');
+    console.error.mockRestore();
+});
@@ -3,7 +3,7 @@
  */
 
 import {Rational, RationalTuple} from '../rational.js';
-import MathML from '../mathml.js';
+import MathML, {MathMLError} from '../mathml.js';
 
 
  /**
@@ -324,3 +324,1205 @@ test('tofunction-tuple', function() {
     expect(mathml('<list><cn>3</cn><cn>4</cn></list>').exec())
         .toStrictEqual([3, 4]);
 });
+
+test('tofunction-variable-named', function() {
+    let mml = new MathML('<apply><times/><cn>2</cn><ci>t</ci></apply>', ['t']);
+
+    expect(mml.exec(3)).toEqual(6);
+});
+
+test('tofunction-variable-multiple', function() {
+    let mml = new MathML('<apply><minus/><ci>x</ci><ci>y</ci></apply>', ['x', 'y']);
+
+    expect(mml.exec(5, 3)).toEqual(2);
+});
+
+test('tofunction-variable-unbound', function() {
+    let mml = new MathML('<apply><plus/><ci>x</ci><ci>a</ci></apply>');
+
+    expect(() => mml.exec(1))
+        .toThrow(new Error('No value given for <ci>a</ci>.'));
+});
+
+test('tofunction-variable-alias', function() {
+    let mml = new MathML('<apply><cos/><ci>θ</ci></apply>', ['theta']);
+
+    expect(mml.exec(0)).toEqual(1);
+});
+
+test('tofunction-bindings', function() {
+    let mml = mathml('<apply><times/><ci>a</ci><ci>x</ci></apply>');
+
+    expect(mml.exec({a: 2, x: 3})).toEqual(6);
+});
+
+test('tofunction-constants', function() {
+    let mml = new MathML('<apply><times/><ci>k</ci><ci>x</ci></apply>', ['x'], {k: 4});
+
+    expect(mml.exec(3)).toEqual(12);
+});
+
+test('tofunction-constants-overridden', function() {
+    let mml = new MathML('<apply><times/><ci>k</ci><ci>x</ci></apply>', ['x'], {k: 4});
+
+    expect(mml.exec({x: 3, k: 5})).toEqual(15);
+});
+
+test('identifiers', function() {
+    let mml = mathml('<apply><plus/><ci>x</ci><apply><times/><ci>a</ci><ci>x</ci></apply></apply>');
+
+    expect(mml.identifiers).toStrictEqual(['x', 'a']);
+});
+
+test('torational-constant', function() {
+    let mml = new MathML('<apply><times/><ci>a</ci><pi/></apply>', ['x'], {a: 2});
+
+    expect(mml.rational).toStrictEqual(new Rational(2, 1, 1));
+});
+
+test('torational-lt', function() {
+    expect(mathml('<apply><lt/><cn>1</cn><pi/></apply>').rational).toBe(true);
+});
+
+test('torational-geq', function() {
+    expect(mathml('<apply><geq/><cn>3</cn><cn>3</cn></apply>').rational).toBe(true);
+});
+
+test('torational-neq', function() {
+    expect(mathml('<apply><neq/><cn>3</cn><cn>3</cn></apply>').rational).toBe(false);
+});
+
+test('torational-piecewise', function() {
+    let mml = mathml(
+        '<piecewise>' +
+            '<piece><cn>1</cn><apply><gt/><cn>0</cn><cn>1</cn></apply></piece>' +
+            '<piece><pi/><apply><lt/><cn>0</cn><cn>1</cn></apply></piece>' +
+            '<otherwise><cn>2</cn></otherwise>' +
+        '</piecewise>');
+
+    expect(mml.rational).toStrictEqual(new Rational('pi'));
+});
+
+test('tofunction-relations', function() {
+    let relations = ['lt', 'leq', 'gt', 'geq', 'eq', 'neq'].map(rel =>
+        mathml(`<apply><${rel}/><ci>x</ci><cn>1</cn></apply>`).exec(1));
+
+    expect(relations).toStrictEqual([false, true, false, true, true, false]);
+});
+
+test('tofunction-logic', function() {
+    let mml = mathml(
+        '<apply><or/>' +
+            '<apply><and/>' +
+                '<apply><gt/><ci>x</ci><cn>0</cn></apply>' +
+                '<apply><lt/><ci>x</ci><cn>1</cn></apply>' +
+            '</apply>' +
+            '<apply><not/><apply><lt/><ci>x</ci><cn>5</cn></apply></apply>' +
+        '</apply>');
+
+    expect([-1, 0.5, 3, 6].map(mml.exec)).toStrictEqual([false, true, false, true]);
+});
+
+test('tofunction-piecewise', function() {
+    let mml = mathml(
+        '<piecewise>' +
+            '<piece><apply><minus/><ci>x</ci></apply><apply><lt/><ci>x</ci><cn>0</cn></apply></piece>' +
+            '<otherwise><apply><power/><ci>x</ci><cn>2</cn></apply></otherwise>' +
+        '</piecewise>');
+
+    expect([-2, 3].map(mml.exec)).toStrictEqual([2, 9]);
+});
+
+test('tofunction-piecewise-undefined', function() {
+    let mml = mathml(
+        '<piecewise>' +
+            '<piece><ci>x</ci><apply><lt/><ci>x</ci><cn>0</cn></apply></piece>' +
+        '</piecewise>');
+
+    expect(mml.exec(1)).toBeNaN();
+});
+
+test('tofunction-piecewise-otherwise-last', function() {
+    let mmlStr = '<piecewise>' +
+            '<otherwise><cn>0</cn></otherwise>' +
+            '<piece><ci>x</ci><apply><lt/><ci>x</ci><cn>0</cn></apply></piece>' +
+        '</piecewise>';
+
+    expect(() => mathml(mmlStr))
+        .toThrow(new Error('<otherwise> must be the last child of <piecewise>.'));
+});
+
+test('branch', function() {
+    let mml = mathml(
+        '<apply><plus/><cn>1</cn><piecewise>' +
+            '<piece><cn>0</cn><apply><lt/><ci>x</ci><cn>0</cn></apply></piece>' +
+            '<piece><cn>1</cn><apply><lt/><ci>x</ci><cn>1</cn></apply></piece>' +
+            '<otherwise><ci>x</ci></otherwise>' +
+        '</piecewise></apply>');
+
+    expect([-1, 0.5, 2].map(x => mml.branch(x))).toStrictEqual(['0', '1', 'otherwise']);
+});
+
+test('branch-none', function() {
+    expect(mathml('<ci>x</ci>').branch).toBeNull();
+});
+
+test('singularities', function() {
+    let mml = new MathML('1 / (x - 2) + ln(x + 1) + tan(x) + x^2');
+    let singularities = mml.singularities;
+
+    expect(singularities.length).toBe(3);
+    expect(singularities.map(func => approx(func(2), 10))).toStrictEqual(
+        [0, 3, approx(Math.cos(2), 10)]);
+    expect(approx(singularities[1](-1), 10)).toBe(0);
+});
+
+test('singularities-none', function() {
+    expect(new MathML('x^2 + sin(x)').singularities).toStrictEqual([]);
+    // the bound variable has no value outside the integral
+    expect(new MathML('int(1/t, t, 1, x)').singularities).toStrictEqual([]);
+});
+
+test('torational-plus-nary', function() {
+    expect(mathml('<apply><plus/><cn>1</cn><cn>2</cn><cn>3</cn></apply>').rational)
+        .toStrictEqual(new Rational(6));
+});
+
+test('torational-times-nary', function() {
+    expect(mathml('<apply><times/><cn>2</cn><cn>3</cn><pi/></apply>').rational)
+        .toStrictEqual(new Rational(6, 1, 1));
+});
+
+test('torational-sec-exact', function() {
+    expect(mathml('<apply><sec/><cn>0</cn></apply>').rational)
+        .toStrictEqual(new Rational(1));
+});
+
+test('torational-cot-approx', function() {
+    let rationalApprox = mathml(
+        '<apply><cot/><apply><divide/><pi/><cn>4</cn></apply></apply>')
+            .rational.approx;
+    expect(approx(rationalApprox, 3)).toEqual(1);
+});
+
+test('torational-sinh-exact', function() {
+    expect(mathml('<apply><sinh/><cn>0</cn></apply>').rational)
+        .toStrictEqual(new Rational(0));
+});
+
+test('torational-exp-exact', function() {
+    expect(mathml('<apply><exp/><cn>2</cn></apply>').rational)
+        .toStrictEqual(new Rational(1, 1, 0, 2));
+});
+
+test('torational-floor', function() {
+    expect(mathml('<apply><floor/><pi/></apply>').rational)
+        .toStrictEqual(new Rational(3));
+});
+
+test('torational-ceiling', function() {
+    expect(mathml('<apply><ceiling/><cn>-2.5</cn></apply>').rational)
+        .toStrictEqual(new Rational(-2));
+});
+
+test('torational-factorial', function() {
+    expect(mathml('<apply><factorial/><cn>5</cn></apply>').rational)
+        .toStrictEqual(new Rational(120));
+});
+
+test('torational-min', function() {
+    expect(mathml('<apply><min/><cn>4</cn><pi/><cn>5</cn></apply>').rational)
+        .toStrictEqual(new Rational('pi'));
+});
+
+test('torational-max', function() {
+    expect(mathml('<apply><max/><cn>4</cn><pi/><cn>5</cn></apply>').rational)
+        .toStrictEqual(new Rational(5));
+});
+
+test('torational-rem-exact', function() {
+    let mml = mathml('<apply><rem/><apply><times/><cn>7</cn><pi/></apply><apply><times/><cn>2</cn><pi/></apply></apply>');
+
+    expect(mml.rational).toStrictEqual(new Rational('pi'));
+});
+
+test('torational-quotient', function() {
+    expect(mathml('<apply><quotient/><cn>7</cn><cn>2</cn></apply>').rational)
+        .toStrictEqual(new Rational(3));
+});
+
+test('torational-gcd', function() {
+    expect(mathml('<apply><gcd/><cn>12</cn><cn>18</cn><cn>8</cn></apply>').rational)
+        .toStrictEqual(new Rational(2));
+});
+
+test('torational-lcm', function() {
+    expect(mathml('<apply><lcm/><cn>4</cn><cn>6</cn></apply>').rational)
+        .toStrictEqual(new Rational(12));
+});
+
+test('torational-gcd-non-integer', function() {
+    expect(() => mathml('<apply><gcd/><cn>4</cn><pi/></apply>').rational)
+        .toThrow(new Error('<apply><gcd/> requires integers.'));
+});
+
+test('tofunction-plus-nary', function() {
+    expect(mathml('<apply><plus/><cn>1</cn><cn>2</cn><cn>3</cn></apply>').exec())
+        .toEqual(6);
+});
+
+test('tofunction-times-nary', function() {
+    expect(mathml('<apply><times/><cn>2</cn><cn>3</cn><cn>4</cn></apply>').exec())
+        .toEqual(24);
+});
+
+test('tofunction-reciprocal-trig', function() {
+    let results = ['sec', 'csc', 'cot'].map(action => mathml(
+        `<apply><${action}/><apply><divide/><pi/><cn>4</cn></apply></apply>`).exec());
+
+    expect(results.map(r => approx(r, 5)))
+        .toStrictEqual([1.41421, 1.41421, 1]);
+});
+
+test('tofunction-inverse-reciprocal-trig', function() {
+    let results = ['arcsec', 'arccsc', 'arccot'].map(action => mathml(
+        `<apply><${action}/><cn>2</cn></apply>`).exec());
+
+    expect(results.map(r => approx(r, 5))).toStrictEqual([
+        approx(Math.PI / 3, 5), approx(Math.PI / 6, 5), approx(Math.atan(0.5), 5)]);
+});
+
+test('tofunction-arccot-negative', function() {
+    // arccot takes values in (0, pi), so is continuous through 0
+    expect(approx(mathml('<apply><arccot/><cn>-1</cn></apply>').exec(), 5))
+        .toEqual(approx(3 * Math.PI / 4, 5));
+});
+
+test('tofunction-hyperbolic', function() {
+    let results = ['sinh', 'cosh', 'tanh'].map(action => mathml(
+        `<apply><${action}/><cn>1</cn></apply>`).exec());
+
+    expect(results.map(r => approx(r, 5))).toStrictEqual([1.1752, 1.54308, 0.76159]);
+});
+
+test('tofunction-inverse-hyperbolic', function() {
+    let results = ['arcsinh', 'arccosh', 'arctanh'].map(action => mathml(
+        `<apply><${action}/><apply><${action.slice(3)}/><cn>0.5</cn></apply></apply>`).exec());
+
+    expect(results.map(r => approx(r, 5))).toStrictEqual([0.5, 0.5, 0.5]);
+});
+
+test('tofunction-exp', function() {
+    expect(approx(mathml('<apply><exp/><cn>1</cn></apply>').exec(), 5))
+        .toEqual(approx(Math.E, 5));
+});
+
+test('tofunction-floor-ceiling', function() {
+    let floor = mathml('<apply><floor/><ci>x</ci></apply>');
+    let ceiling = mathml('<apply><ceiling/><ci>x</ci></apply>');
+
+    expect([floor.exec(-1.5), ceiling.exec(-1.5)]).toStrictEqual([-2, -1]);
+});
+
+test('tofunction-factorial', function() {
+    expect(mathml('<apply><factorial/><cn>6</cn></apply>').exec()).toEqual(720);
+});
+
+test('tofunction-factorial-gamma', function() {
+    // (1/2)! = sqrt(pi) / 2
+    expect(approx(mathml('<apply><factorial/><cn>0.5</cn></apply>').exec(), 5))
+        .toEqual(approx(Math.sqrt(Math.PI) / 2, 5));
+});
+
+test('tofunction-min-max', function() {
+    let min = mathml('<apply><min/><cn>3</cn><ci>x</ci><cn>5</cn></apply>');
+    let max = mathml('<apply><max/><cn>3</cn><ci>x</ci><cn>5</cn></apply>');
+
+    expect([min.exec(4), max.exec(4), min.exec(1), max.exec(7)])
+        .toStrictEqual([3, 5, 1, 7]);
+});
+
+test('tofunction-rem-quotient', function() {
+    let rem = mathml('<apply><rem/><cn>17</cn><cn>5</cn></apply>');
+    let quotient = mathml('<apply><quotient/><cn>17</cn><cn>5</cn></apply>');
+
+    expect([rem.exec(), quotient.exec()]).toStrictEqual([2, 3]);
+});
+
+test('tofunction-gcd-lcm', function() {
+    let gcd = mathml('<apply><gcd/><cn>12</cn><cn>18</cn></apply>');
+    let lcm = mathml('<apply><lcm/><cn>4</cn><cn>6</cn><cn>10</cn></apply>');
+
+    expect([gcd.exec(), lcm.exec()]).toStrictEqual([6, 60]);
+});
+
+test('tofunction-int', function() {
+    let integral = mathml(
+        '<apply><int/>' +
+            '<bvar><ci>t</ci></bvar>' +
+            '<lowlimit><cn>0</cn></lowlimit>' +
+            '<uplimit><ci>x</ci></uplimit>' +
+            '<apply><sin/><apply><power/><ci>t</ci><cn>2</cn></apply></apply>' +
+        '</apply>');
+
+    // the Fresnel integral S(1), scaled
+    expect([approx(integral.exec(1), 8), integral.exec(0)])
+        .toStrictEqual([0.31026830, 0]);
+});
+
+test('tofunction-int-undefined', function() {
+    expect(mathml('int(1/t, t, 0, x)').exec(1)).toBeNaN();
+});
+
+test('tofunction-sum', function() {
+    let sum = mathml(
+        '<apply><sum/>' +
+            '<bvar><ci>k</ci></bvar>' +
+            '<lowlimit><cn>1</cn></lowlimit>' +
+            '<uplimit><ci>x</ci></uplimit>' +
+            '<apply><power/><ci>k</ci><cn>2</cn></apply>' +
+        '</apply>');
+
+    // a partial sum up to a non-integer stops at the integer below
+    expect([sum.exec(4), sum.exec(4.5), sum.exec(0)]).toStrictEqual([30, 30, 0]);
+});
+
+test('tofunction-product', function() {
+    let product = mathml('product(k, k, 1, x)');
+
+    expect([product.exec(5), product.exec(0)]).toStrictEqual([120, 1]);
+});
+
+test('tofunction-diff', function() {
+    let first = mathml(
+        '<apply><diff/><bvar><ci>x</ci></bvar>' +
+            '<apply><power/><ci>x</ci><cn>3</cn></apply>' +
+        '</apply>');
+    let second = mathml(
+        '<apply><diff/><bvar><ci>x</ci><degree><cn>2</cn></degree></bvar>' +
+            '<apply><power/><ci>x</ci><cn>3</cn></apply>' +
+        '</apply>');
+
+    expect([first.exec(2), second.exec(2)]).toStrictEqual([12, 12]);
+});
+
+test('tofunction-bound-scope', function() {
+    // the x summed over is a different variable to the x outside the sum
+    let shadowed = mathml('x + sum(x, x, 1, 3)');
+    let nested = mathml('sum(sum(j * k, j, 1, k), k, 1, x)');
+
+    expect([shadowed.exec(10), nested.exec(3)]).toStrictEqual([16, 25]);
+    expect(nested.identifiers).toStrictEqual(['x']);
+});
+
+test('tofunction-bound-errors', function() {
+    expect(() => mathml('<apply><int/><ci>x</ci></apply>')).toThrow(
+        '<apply><int/> must have a <bvar> containing a <ci>.');
+    expect(() => mathml('<apply><sum/><bvar><ci>k</ci></bvar><ci>k</ci></apply>'))
+        .toThrow('<apply><sum/> must have a <lowlimit> and an <uplimit>.');
+});
+
+test('toinfix-polynomial', function() {
+    expect(mathml(
+        '<apply><minus/>' +
+            '<apply><power/><ci>x</ci><cn>2</cn></apply>' +
+            '<apply><times/><cn>3</cn><ci>x</ci></apply>' +
+        '</apply>').toInfix()).toBe('x^2 - 3x');
+});
+
+test('toinfix-brackets-minus', function() {
+    expect(mathml(
+        '<apply><minus/><ci>x</ci>' +
+            '<apply><minus/><ci>x</ci><cn>1</cn></apply>' +
+        '</apply>').toInfix()).toBe('x - (x - 1)');
+});
+
+test('toinfix-brackets-negative', function() {
+    expect(mathml(
+        '<apply><plus/><ci>x</ci><cn>-1</cn></apply>').toInfix()).toBe('x + (-1)');
+});
+
+test('toinfix-brackets-power', function() {
+    let inner = mathml(
+        '<apply><power/><ci>x</ci>' +
+            '<apply><power/><cn>2</cn><cn>3</cn></apply>' +
+        '</apply>');
+    let outer = mathml(
+        '<apply><power/>' +
+            '<apply><power/><ci>x</ci><cn>2</cn></apply>' +
+            '<cn>3</cn>' +
+        '</apply>');
+
+    expect([inner.toInfix(), outer.toInfix()]).toStrictEqual(['x^2^3', '(x^2)^3']);
+});
+
+test('toinfix-negative-power', function() {
+    expect(mathml(
+        '<apply><minus/><apply><power/><ci>x</ci><cn>2</cn></apply></apply>'
+    ).toInfix()).toBe('-x^2');
+});
+
+test('toinfix-divide', function() {
+    expect(mathml(
+        '<apply><divide/>' +
+            '<apply><plus/><ci>x</ci><cn>1</cn></apply>' +
+            '<apply><times/><cn>2</cn><ci>x</ci></apply>' +
+        '</apply>').toInfix()).toBe('(x + 1)/(2x)');
+});
+
+test('toinfix-constants', function() {
+    expect(mathml(
+        '<apply><plus/><apply><times/><cn>2</cn><pi/></apply><exponentiale/></apply>'
+    ).toInfix()).toBe('2pi + e');
+});
+
+test('toinfix-functions', function() {
+    expect(mathml(
+        '<apply><plus/>' +
+            '<apply><sin/><ci>x</ci></apply>' +
+            '<apply><root/><ci>x</ci></apply>' +
+            '<apply><root/><degree><cn>3</cn></degree><ci>x</ci></apply>' +
+            '<apply><log/><logbase><cn>2</cn></logbase><ci>x</ci></apply>' +
+            '<apply><abs/><ci>x</ci></apply>' +
+            '<apply><factorial/><ci>x</ci></apply>' +
+        '</apply>').toInfix()).toBe('sin(x) + sqrt(x) + root(x, 3) + log(x, 2) + |x| + x!');
+});
+
+test('toinfix-logic', function() {
+    expect(mathml(
+        '<apply><or/>' +
+            '<apply><and/>' +
+                '<apply><lt/><cn>0</cn><ci>x</ci></apply>' +
+                '<apply><leq/><ci>x</ci><cn>1</cn></apply>' +
+            '</apply>' +
+            '<apply><not/><apply><eq/><ci>x</ci><cn>2</cn></apply></apply>' +
+        '</apply>').toInfix()).toBe('0 < x and x <= 1 or not x = 2');
+});
+
+test('toinfix-piecewise', function() {
+    expect(mathml(
+        '<piecewise>' +
+            '<piece><cn>0</cn><apply><lt/><ci>x</ci><cn>0</cn></apply></piece>' +
+            '<otherwise><ci>x</ci></otherwise>' +
+        '</piecewise>').toInfix()).toBe('{0 if x < 0; x otherwise}');
+});
+
+test('toinfix-roundtrip', function() {
+    let original = mathml(
+        '<apply><divide/>' +
+            '<apply><minus/><apply><exp/><ci>x</ci></apply><cn>1</cn></apply>' +
+            '<apply><power/><apply><minus/><ci>x</ci></apply><cn>3</cn></apply>' +
+        '</apply>');
+    let roundtrip = mathml(original.toInfix());
+
+    expect(roundtrip.exec(2)).toBe(original.exec(2));
+});
+
+test('toinfix-roundtrip-piecewise', function() {
+    let original = mathml(
+        '<piecewise>' +
+            '<piece><apply><minus/><ci>x</ci></apply><apply><lt/><ci>x</ci><cn>0</cn></apply></piece>' +
+            '<otherwise><ci>x</ci></otherwise>' +
+        '</piecewise>');
+    let roundtrip = mathml(original.toInfix());
+
+    expect(roundtrip.toInfix()).toBe('{-x if x < 0; x otherwise}');
+    expect([roundtrip.exec(-2), roundtrip.exec(3)]).toStrictEqual([2, 3]);
+});
+
+test('toinfix-bound', function() {
+    expect(mathml(
+        '<apply><int/>' +
+            '<bvar><ci>t</ci></bvar>' +
+            '<lowlimit><cn>0</cn></lowlimit>' +
+            '<uplimit><ci>x</ci></uplimit>' +
+            '<apply><sin/><apply><power/><ci>t</ci><cn>2</cn></apply></apply>' +
+        '</apply>').toInfix()).toBe('int(sin(t^2), t, 0, x)');
+});
+
+test('tolatex-fraction', function() {
+    expect(mathml(
+        '<apply><divide/><pi/><cn>2</cn></apply>').toLatex()).toBe('\\frac{\\pi}{2}');
+});
+
+test('tolatex-power', function() {
+    expect(mathml(
+        '<apply><power/>' +
+            '<apply><plus/><ci>x</ci><cn>1</cn></apply>' +
+            '<apply><divide/><cn>1</cn><cn>2</cn></apply>' +
+        '</apply>').toLatex()).toBe('\\left(x + 1\\right)^{\\frac{1}{2}}');
+});
+
+test('tolatex-functions', function() {
+    expect(mathml(
+        '<apply><times/>' +
+            '<cn>3</cn>' +
+            '<apply><sin/><apply><times/><cn>2</cn><ci>θ</ci></apply></apply>' +
+            '<apply><arcsec/><ci>x</ci></apply>' +
+        '</apply>').toLatex()).toBe(
+            '3\\sin\\left(2\\theta\\right) \\cdot \\operatorname{arcsec}\\left(x\\right)');
+});
+
+test('tolatex-roots-logs', function() {
+    expect(mathml(
+        '<apply><minus/>' +
+            '<apply><root/><degree><cn>3</cn></degree><ci>x</ci></apply>' +
+            '<apply><log/><logbase><cn>2</cn></logbase><ci>x</ci></apply>' +
+        '</apply>').toLatex()).toBe('\\sqrt[3]{x} - \\log_{2}\\left(x\\right)');
+});
+
+test('tolatex-relation', function() {
+    expect(mathml(
+        '<apply><geq/><ci>y</ci><apply><abs/><ci>x</ci></apply></apply>'
+    ).toLatex()).toBe('y \\geq \\left|x\\right|');
+});
+
+test('tolatex-piecewise', function() {
+    expect(mathml(
+        '<piecewise>' +
+            '<piece><cn>0</cn><apply><lt/><ci>x</ci><cn>0</cn></apply></piece>' +
+            '<otherwise><exponentiale/></otherwise>' +
+        '</piecewise>').toLatex()).toBe(
+            '\\begin{cases}0 & \\text{if } x < 0 \\\\ e & \\text{otherwise}\\end{cases}');
+});
+
+test('tolatex-bound', function() {
+    expect([
+        mathml('int(t + 1, t, 0, x)').toLatex(),
+        mathml('sum(1/k^2, k, 1, x)').toLatex(),
+        mathml('diff(x^2 + 1, x, 2)').toLatex()
+    ]).toStrictEqual([
+        '\\int_{0}^{x}t + 1\\,dt',
+        '\\sum_{k=1}^{x}\\frac{1}{k^{2}}',
+        '\\frac{d^{2}}{dx^{2}}\\left(x^{2} + 1\\right)'
+    ]);
+});
+
+test('topresentationmathml-polynomial', function() {
+    expect(mathml(
+        '<apply><minus/>' +
+            '<apply><power/><ci>x</ci><cn>2</cn></apply>' +
+            '<apply><divide/><pi/><cn>2</cn></apply>' +
+        '</apply>').toPresentationMathML()).toBe(
+            '<math xmlns="http://www.w3.org/1998/Math/MathML"><mrow>' +
+                '<msup><mi>x</mi><mn>2</mn></msup>' +
+                '<mo>−</mo>' +
+                '<mfrac><mi>π</mi><mn>2</mn></mfrac>' +
+            '</mrow></math>');
+});
+
+test('topresentationmathml-function', function() {
+    expect(mathml(
+        '<apply><sin/><apply><plus/><ci>x</ci><cn>1</cn></apply></apply>'
+    ).toPresentationMathML()).toBe(
+        '<math xmlns="http://www.w3.org/1998/Math/MathML"><mrow>' +
+            '<mi>sin</mi><mo>\u2061</mo>' +
+            '<mrow><mo>(</mo><mrow><mi>x</mi><mo>+</mo><mn>1</mn></mrow><mo>)</mo></mrow>' +
+        '</mrow></math>');
+});
+
+test('topresentationmathml-well-formed', function() {
+    let presentation = mathml(
+        '<apply><lt/><ci>x</ci><apply><root/><ci>y</ci></apply></apply>'
+    ).toPresentationMathML();
+    let doc = new DOMParser().parseFromString(presentation, 'text/xml');
+
+    expect(doc.getElementsByTagName('parsererror').length).toBe(0);
+});
+
+test('derivative-polynomial', function() {
+    expect(mathml('3x^2 + 2x + 1').derivative().toInfix()).toBe('6x + 2');
+});
+
+test('derivative-constant', function() {
+    expect(mathml('<apply><times/><cn>2</cn><pi/></apply>').derivative().toInfix())
+        .toBe('0');
+});
+
+test('derivative-chain-rule', function() {
+    expect(mathml('sin(2x)').derivative().toInfix()).toBe('2cos(2x)');
+});
+
+test('derivative-product-rule', function() {
+    expect(mathml('x sin(x)').derivative().toInfix()).toBe('sin(x) + x * cos(x)');
+});
+
+test('derivative-quotient-rule', function() {
+    expect(mathml('sin(x)/x').derivative().toInfix())
+        .toBe('(cos(x) * x - sin(x))/x^2');
+});
+
+test('derivative-folded', function() {
+    let derivatives = ['(x + 1)^(1/3)', 'cos(x) - cos(2x)', 'ln(x)/x', '1/x^2', 'x^(-1/2)']
+        .map(rule => mathml(rule).derivative().toInfix());
+
+    expect(derivatives).toStrictEqual(['1/3 * (x + 1)^(-2/3)', '-sin(x) + 2sin(2x)',
+        '(1 - ln(x))/x^2', '-2/x^3', '-1/2 * x^(-3/2)']);
+});
+
+test('derivative-exponential', function() {
+    let natural = mathml('e^(3x)').derivative();
+    let base = mathml('2^x').derivative();
+
+    expect([natural.toInfix(), base.toInfix()])
+        .toStrictEqual(['3e^(3x)', '2^x * ln(2)']);
+});
+
+test('derivative-variable-exponent', function() {
+    expect(mathml('x^x').derivative().toInfix()).toBe('x^x * (ln(x) + 1)');
+});
+
+test('derivative-second', function() {
+    expect(mathml('x^4').derivative().derivative().toInfix()).toBe('12x^2');
+});
+
+test('derivative-other-identifier', function() {
+    let wrtX = new MathML('a x^2 + a^2', ['x', 'a']).derivative('x');
+    let wrtA = new MathML('a x^2 + a^2', ['x', 'a']).derivative('a');
+
+    expect([wrtX.toInfix(), wrtA.toInfix()])
+        .toStrictEqual(['2a * x', 'x^2 + 2a']);
+});
+
+test('derivative-piecewise', function() {
+    expect(mathml(
+        '<piecewise>' +
+            '<piece><apply><power/><ci>x</ci><cn>2</cn></apply><apply><lt/><ci>x</ci><cn>0</cn></apply></piece>' +
+            '<otherwise><ci>x</ci></otherwise>' +
+        '</piecewise>').derivative().toInfix()).toBe('{2x if x < 0; 1 otherwise}');
+});
+
+test('derivative-max', function() {
+    let derivative = mathml('max(x, x^2)').derivative();
+
+    expect([derivative.exec(0.5), derivative.exec(2)]).toStrictEqual([1, 4]);
+});
+
+test('derivative-list', function() {
+    expect(mathml('(x, x^2)').derivative().exec(3)).toStrictEqual([1, 6]);
+});
+
+test('derivative-stepwise', function() {
+    expect(mathml('floor(x) + quotient(x, 2)').derivative().toInfix()).toBe('0');
+});
+
+test('derivative-numeric', function() {
+    let rules = [
+        'tan x', 'sec x', 'csc x', 'cot x',
+        'arcsin x', 'arccos x', 'arctan x', 'arcsec(2x)', 'arccsc(2x)', 'arccot x',
+        'sinh x', 'cosh x', 'tanh x', 'arcsinh x', 'arccosh(x + 1)', 'arctanh(x/2)',
+        '|x - 1|', 'ln(x^2)', 'log(x)', 'log(x, 2)', 'log(2, x + 1)', 'exp(-x^2)',
+        'sqrt(x)', 'root(x, 3)', 'root(x + 1, x + 2)', 'rem(x^2, 3)', 'min(x, 1, 2x)'
+    ];
+    let h = 1e-6;
+
+    rules.forEach(function(rule) {
+        let f = mathml(rule);
+        let derivative = f.derivative();
+
+        [0.3, 0.7, 1.3].forEach(function(x) {
+            let numeric = (f.exec(x + h) - f.exec(x - h)) / (2 * h);
+
+            expect(approx(derivative.exec(x), 4)).toBe(approx(numeric, 4));
+        });
+    });
+});
+
+test('derivative-factorial-disallowed', function() {
+    expect(() => mathml('<apply><factorial/><ci>x</ci></apply>').derivative())
+        .toThrow("<apply><factorial/> can't be differentiated with respect to <ci>x</ci>.");
+});
+
+test('derivative-relation-disallowed', function() {
+    expect(() => mathml('<apply><lt/><ci>x</ci><cn>1</cn></apply>').derivative())
+        .toThrow("<apply><lt/> can't be differentiated, its value is not a number.");
+});
+
+test('derivative-int', function() {
+    // the fundamental theorem of calculus
+    expect(mathml(
+        '<apply><int/>' +
+            '<bvar><ci>t</ci></bvar>' +
+            '<lowlimit><cn>0</cn></lowlimit>' +
+            '<uplimit><ci>x</ci></uplimit>' +
+            '<apply><sin/><apply><power/><ci>t</ci><cn>2</cn></apply></apply>' +
+        '</apply>').derivative().toInfix()).toBe('sin(x^2)');
+});
+
+test('derivative-int-leibniz', function() {
+    // x * (x^4 - x^2) / 2, whose derivative is (5x^4 - 3x^2) / 2
+    let derivative = mathml('int(x t, t, x, x^2)').derivative();
+
+    expect(approx(derivative.exec(2), 6)).toBe(34);
+});
+
+test('derivative-sum', function() {
+    expect(mathml('sum(x^k, k, 1, 3)').derivative().exec(2)).toBe(17);
+});
+
+test('derivative-product-disallowed', function() {
+    expect(() => mathml('product(x + k, k, 1, 3)').derivative())
+        .toThrow("<apply><product/> can't be differentiated with respect to <ci>x</ci>.");
+});
+
+test('simplify-identities', function() {
+    let simplified = ['x*1', 'x + 0', 'x^1', 'x^0', '0x', 'ln(e^(2x))', 'ln(exp(x))']
+        .map(rule => mathml(rule).simplify().toInfix());
+
+    expect(simplified).toStrictEqual(['x', 'x', 'x', '1', '0', '2x', 'x']);
+});
+
+test('simplify-constants', function() {
+    let simplified = ['1/2 + 1/3', '0.1 + 0.2', '2^10', 'sqrt(4)', '4^(-3/2)', 'floor(7/2) + 3!',
+                      'sin(0) + cos(0)', 'pi + pi', '2pi/3', 'sqrt(2)']
+        .map(rule => mathml(rule).simplify().toInfix());
+
+    expect(simplified).toStrictEqual(
+        ['5/6', '3/10', '1024', '2', '1/8', '9', '1', '2pi', '2pi/3', 'sqrt(2)']);
+});
+
+test('simplify-like-terms', function() {
+    let simplified = ['x + x', '2x - 3x', 'x*y + y*x', 'x^2 y + 3y x^2', 'x x^2', 'e^x e^(2x)']
+        .map(rule => mathml(rule).simplify().toInfix());
+
+    expect(simplified).toStrictEqual(
+        ['2x', '-x', '2x * y', '4x^2 * y', 'x^3', 'e^(3x)']);
+});
+
+test('simplify-ordering', function() {
+    let [a, b] = ['1 + y^2 + x + y x + x^2', 'x^2 + x y + y^2 + x + 1'].map(rule =>
+        mathml(rule).simplify().toInfix());
+
+    expect(a).toBe('x^2 + x * y + y^2 + x + 1');
+    expect(b).toBe(a);
+});
+
+test('simplify-nary', function() {
+    let simplified = mathml('<apply><plus/><ci>a</ci><apply><plus/><ci>b</ci>' +
+        '<apply><plus/><ci>c</ci><cn>1</cn></apply></apply></apply>').simplify();
+
+    expect(simplified.toInfix()).toBe('a + b + c + 1');
+    expect(simplified._root.childElementCount).toBe(5);
+});
+
+test('simplify-expand', function() {
+    let simplified = ['(x + 1)^2', '(x - 1)(x + 1)', '2(x + 3)', '(x + y)^3', '(x + 1)^100']
+        .map(rule => mathml(rule).simplify().toInfix());
+
+    expect(simplified).toStrictEqual(['x^2 + 2x + 1', 'x^2 - 1', '2x + 6',
+        'x^3 + 3x^2 * y + 3x * y^2 + y^3', '(x + 1)^100']);
+});
+
+test('simplify-quotient', function() {
+    let simplified = ['2x/4', 'x/x', 'x^-2', '3/(2x)', '(x + 1)/(x - 1)', '1/(2x + 4)']
+        .map(rule => mathml(rule).simplify().toInfix());
+
+    expect(simplified).toStrictEqual(
+        ['x/2', 'x/x', '1/x^2', '3/(2x)', '(x + 1)/(x - 1)', '1/(2 * (x + 2))']);
+});
+
+test('simplify-roots', function() {
+    let simplified = ['sqrt(x) sqrt(x)', 'x^(-1/2)', '(x^2)^(1/2)', '(-8)^(1/3)']
+        .map(rule => mathml(rule).simplify().toInfix());
+
+    expect(simplified).toStrictEqual(['sqrt(x)^2', '1/sqrt(x)', 'sqrt(x^2)', '(-8)^(1/3)']);
+});
+
+test('simplify-domain', function() {
+    let simplified = ['(x^(1/3))^3', 'x^(2/3) x^(1/3)', '0ln(x)', 'ln(x) - ln(x)', 'sin(x)/sin(x)',
+                      '0sin(x)', 'x^2 x^(1/2)', 'e^x e^x']
+        .map(rule => mathml(rule).simplify().toInfix());
+
+    expect(simplified).toStrictEqual(['(x^(1/3))^3', 'x^(2/3) * x^(1/3)', '0ln(x)', '0ln(x)',
+                                      'sin(x)/sin(x)', '0', 'x^(5/2)', 'e^(2x)']);
+});
+
+test('simplify-expansion-limit', function() {
+    expect(mathml('(x + 1)^63').simplify().toInfix()).toMatch(/^x\^63 \+ 63x\^62/);
+    expect(mathml('(x + 1)^64').simplify().toInfix()).toBe('(x + 1)^64');
+});
+
+test('simplify-within', function() {
+    let simplified = ['sin(x + x)', 'max(3, x, 1)', 'sum(k^2 + 0, k, 1, 3)', 'diff(x^3 + x, x)']
+        .map(rule => mathml(rule).simplify().toInfix());
+
+    expect(simplified).toStrictEqual(['sin(2x)', 'max(3, x)', 'sum(k^2, k, 1, 3)', '3x^2 + 1']);
+    expect(mathml('<piecewise><piece><apply><plus/><ci>x</ci><ci>x</ci></apply>' +
+        '<apply><lt/><ci>x</ci><apply><plus/><cn>1</cn><cn>1</cn></apply></apply></piece>' +
+        '<otherwise><cn>0</cn></otherwise></piecewise>').simplify().toInfix())
+        .toBe('{2x if x < 2; 0 otherwise}');
+});
+
+test('simplify-idempotent', function() {
+    let rules = ['(x + 1)^-2', '1/(x(x + 1))', '3/(2(x - 1)) + x^2/y', 'e^x sin(x)^2 - x/(1 + x)'];
+
+    rules.forEach(function(rule) {
+        let simplified = mathml(rule).simplify();
+
+        expect(simplified.simplify().toInfix()).toBe(simplified.toInfix());
+    });
+});
+
+test('simplify-variables', function() {
+    let simplified = new MathML('a x + a x', ['x'], {a: 3}).simplify();
+
+    expect(simplified.toInfix()).toBe('2a * x');
+    expect(simplified.exec(2)).toBe(12);
+});
+
+test('equivalent-symbolic', function() {
+    expect(mathml('(x + 1)^2').equivalent(mathml('x^2 + 2x + 1'))).toBe(true);
+    expect(mathml('x/2 + x/2').equivalent('x')).toBe(true);
+});
+
+test('equivalent-numeric', function() {
+    expect(mathml('sin(x)^2 + cos(x)^2').equivalent('1')).toBe(true);
+    expect(mathml('sqrt(x^2)').equivalent('abs(x)')).toBe(true);
+    expect(mathml('ln(x^2)').equivalent('2ln(abs(x))')).toBe(true);
+});
+
+test('equivalent-different', function() {
+    expect(mathml('(x + 1)^2').equivalent('x^2 + 1')).toBe(false);
+    expect(mathml('sin(x)').equivalent('cos(x)')).toBe(false);
+    expect(mathml('x').equivalent('y')).toBe(false);
+});
+
+test('equivalent-undefined', function() {
+    expect(mathml('ln(-x^2 - 1)').equivalent('sqrt(-x^2 - 2)')).toBe(false);
+});
+
+test('equivalent-domain', function() {
+    expect(mathml('sqrt(x)^2').equivalent('x')).toBe(false);
+    expect(mathml('ln(x y)').equivalent(new MathML('ln(x) + ln(y)'))).toBe(false);
+    expect(mathml('ln(x^2)').equivalent('2ln(x)')).toBe(false);
+});
+
+test('equivalent-constants', function() {
+    let mathml = new MathML('a x', ['x'], {a: 2});
+
+    expect(mathml.equivalent('2x')).toBe(true);
+    expect(mathml.equivalent('3x')).toBe(false);
+});
+
+test('exec-interval', function() {
+    let mml = mathml('<apply><power/><ci>x</ci><cn>2</cn></apply>');
+    let bounds = mml.execInterval([-1, 2]);
+
+    expect([approx(bounds.lo, 10), approx(bounds.hi, 10)]).toStrictEqual([0, 4]);
+    expect(bounds.defined && bounds.continuous).toBe(true);
+    expect(approx(mml.execInterval({x: [3, 4]}).hi, 10)).toBe(16);
+    expect(approx(mml.execInterval(3).lo, 10)).toBe(9);
+});
+
+test('exec-interval-constants', function() {
+    let mml = new MathML('a x + b', ['x'], {a: 2});
+    let bounds = mml.execInterval({x: [1, 2], b: [0, 1]});
+
+    expect([approx(bounds.lo, 10), approx(bounds.hi, 10)]).toStrictEqual([2, 5]);
+    expect(() => mml.execInterval([1, 2])).toThrow('No value given for <ci>b</ci>.');
+});
+
+test('exec-interval-undefined', function() {
+    let ln = mathml('ln(x)');
+    let sqrt = mathml('sqrt(x)');
+
+    expect(ln.execInterval([-2, -1]).isEmpty).toBe(true);
+    expect(ln.execInterval([-1, 1]).defined).toBe(false);
+    expect(ln.execInterval([-1, 1]).hi).toBeGreaterThanOrEqual(0);
+    expect(sqrt.execInterval([-4, -1]).isEmpty).toBe(true);
+    expect(sqrt.execInterval([1, 4]).defined).toBe(true);
+    expect(mathml('1 / x').execInterval([-1, 1]).continuous).toBe(false);
+});
+
+test('exec-interval-discontinuous', function() {
+    expect(mathml('floor(x)').execInterval([0.5, 1.5]).continuous).toBe(false);
+    expect(mathml('floor(x)').execInterval([0.5, 0.9]).continuous).toBe(true);
+    expect(mathml('tan(x)').execInterval([1, 2]).continuous).toBe(false);
+    expect(mathml('tan(x)').execInterval([2, 4]).continuous).toBe(true);
+});
+
+test('exec-interval-piecewise', function() {
+    let mml = mathml('<piecewise>' +
+        '<piece><cn>0</cn><apply><lt/><ci>x</ci><cn>0</cn></apply></piece>' +
+        '<otherwise><ci>x</ci></otherwise>' +
+    '</piecewise>');
+    let bounds = mml.execInterval([-1, 1]);
+
+    expect(mml.execInterval([-2, -1]).isPoint).toBe(true);
+    expect(mml.execInterval([1, 2]).continuous).toBe(true);
+    // either piece may be used, so the bounds cover both
+    expect([bounds.lo, bounds.hi, bounds.continuous]).toStrictEqual([-1, 1, false]);
+
+    // with no <otherwise>, it may be undefined
+    let partial = mathml('<piecewise>' +
+        '<piece><ci>x</ci><apply><gt/><ci>x</ci><cn>0</cn></apply></piece>' +
+    '</piecewise>');
+
+    expect(partial.execInterval([1, 2]).defined).toBe(true);
+    expect(partial.execInterval([-1, 2]).defined).toBe(false);
+    expect(partial.execInterval([-2, -1]).isEmpty).toBe(true);
+});
+
+test('exec-interval-bound', function() {
+    let integral = mathml('int(sin(t^2), t, 0, x)');
+    let bounds = integral.execInterval([1, 1.1]);
+
+    expect(bounds.lo).toBeLessThanOrEqual(integral.exec(1));
+    expect(bounds.hi).toBeGreaterThanOrEqual(integral.exec(1.1));
+    expect(bounds.hi - bounds.lo).toBeLessThan(0.2);
+
+    // a partial sum is a step function of its limit
+    let sum = mathml('sum(k, k, 1, x)');
+
+    expect(sum.execInterval([3.2, 3.8]).isPoint).toBe(true);
+    expect(sum.execInterval([3.5, 4.5]).continuous).toBe(false);
+    expect(mathml('diff(t^2, t)').execInterval({t: [1, 2]}).hi).toBeGreaterThanOrEqual(4);
+});
+
+test('exec-interval-integral', function() {
+    // the bounds hold where the integrand isn't smooth, or jumps
+    let root = mathml('int(t^0.1, t, 0, x)').execInterval([1, 1]);
+    let steps = mathml('int(floor(100t)/100, t, 0, x)').execInterval([1, 1]);
+
+    expect(root.lo <= 1 / 1.1 && 1 / 1.1 <= root.hi).toBe(true);
+    expect(steps.lo <= 0.495 && 0.495 <= steps.hi).toBe(true);
+    expect(steps.continuous).toBe(true);
+    expect(steps.hi - steps.lo).toBeLessThan(1e-3);
+
+    // and are tight where it's smooth
+    let smooth = mathml('int(t^2, t, 0, x)').execInterval([3, 3]);
+
+    expect(smooth.lo <= 9 && 9 <= smooth.hi).toBe(true);
+    expect(smooth.hi - smooth.lo).toBeLessThan(1e-9);
+    expect(mathml('int(1/t, t, -1, x)').execInterval([1, 1]).defined).toBe(false);
+});
+
+test('exec-interval-guaranteed', function() {
+    // every value taken across the interval lies within the bounds, and is
+    // a number wherever the bounds say it's defined
+    let cases = [
+        ['x^3 - 3x', -2, 1.5], ['sin(3x) cos(x)', -1, 4], ['tan(x)', -1, 1],
+        ['sec(x) + csc(x)', 0.2, 1.4], ['cot(x)', 0.5, 3], ['arcsec(x) + arccsc(x)', 1.1, 5],
+        ['arccot(x)', -3, 3], ['arcsin(x/2) + arccos(x/3)', -1, 1], ['arctan(x)', -9, 9],
+        ['sinh(x) cosh(x) - tanh(x)', -2, 2], ['arcsinh(x) + arccosh(x + 3)', -1, 1],
+        ['arctanh(x/2)', -1.5, 1.5], ['abs(x - 1)', -2, 3], ['exp(-x^2)', -1, 2],
+        ['log(x) + ln(x + 1)', 0.5, 20], ['sqrt(x) + root(x, 3)', 1, 8],
+        ['x! + 1/x!', 0.1, 4], ['x!', -2.9, -2.1], ['floor(x) + ceil(x)', 1.1, 1.9],
+        ['min(x, 1) + max(x^2, 2)', -2, 2], ['rem(x, 3) + quotient(x, 4)', 4.1, 5.9],
+        ['gcd(12, 18) + lcm(4, 6)', 0, 1], ['x^x', 0.1, 3], ['2^x + e^x + pi', -2, 2],
+        ['sum(x^k, k, 0, 4)', -1.5, 1.5], ['product(x + k, k, 1, 3)', -4, 1],
+        ['int(t^2, t, 0, x)', -1, 2], ['diff(sin(x^2), x)', 0, 2]
+    ];
+
+    cases.forEach(function([rule, lo, hi]) {
+        let mml = mathml(rule);
+        let bounds = mml.execInterval([lo, hi]);
+
+        for(let i = 0; i <= 100; i++) {
+            let y = mml.exec(lo + (hi - lo) * i / 100);
+
+            if(Number.isFinite(y)) {
+                expect([rule, bounds.lo <= y && y <= bounds.hi]).toStrictEqual([rule, true]);
+            } else {
+                expect([rule, bounds.defined]).toStrictEqual([rule, false]);
+            }
+        }
+    });
+});
+
+test('error-path', function() {
+    let error = null;
+
+    try {
+        mathml('<apply><plus/><ci>x</ci><apply><times/><cn>2</cn><cn>2.x</cn></apply></apply>');
+    } catch(e) {
+        error = e;
+    }
+
+    expect(error).toBeInstanceOf(MathMLError);
+    expect(error.message).toBe('<cn> must contain a number.');
+    expect(error.code).toBe('invalid-number');
+    expect(error.path).toBe('apply[0] > apply[2] > cn[2]');
+    expect(error.snippet).toBe('<cn>2.x</cn>');
+    expect(error.node.tagName).toBe('cn');
+});
+
+test('error-codes', function() {
+    const codeOf = function(rule) {
+        try {
+            mathml(rule);
+        } catch(e) {
+            return [e.code, e.path];
+        }
+    };
+
+    expect(codeOf('<apply><plus/><cn>1</cn>')).toStrictEqual(['malformed-xml', null]);
+    expect(codeOf('x # 2')).toStrictEqual(['invalid-infix', null]);
+    expect(codeOf('<apply><sin/><cn>1</cn><cn>2</cn></apply>')).toStrictEqual(['wrong-arity', 'apply[0]']);
+    expect(codeOf('<apply><foo/><cn>1</cn></apply>')).toStrictEqual(['unknown-element', 'apply[0]']);
+    expect(codeOf('<apply><ln/><bar/></apply>')).toStrictEqual(['unknown-element', 'apply[0] > bar[1]']);
+    expect(codeOf('<apply><int/><ci>x</ci></apply>')).toStrictEqual(['invalid', 'apply[0]']);
+    expect(codeOf('<apply><root/><degree></degree><ci>x</ci></apply>'))
+        .toStrictEqual(['wrong-arity', 'apply[0] > degree[1]']);
+    expect(codeOf('<piecewise><piece><cn>1</cn><cn>0</cn></piece><piece><cn>2</cn></piece></piecewise>'))
+        .toStrictEqual(['wrong-arity', 'piecewise[0] > piece[1]']);
+});
+
+test('error-unbound', function() {
+    let error = null;
+
+    try {
+        mathml('x + a').exec(1);
+    } catch(e) {
+        error = e;
+    }
+
+    expect(error).toBeInstanceOf(MathMLError);
+    expect(error.code).toBe('unknown-identifier');
+});
+
+test('error-malformed', function() {
+    expect(() => mathml('<apply><plus/><cn>1</cn>')).toThrow(/^Malformed MathML: /);
+    expect(() => mathml('<apply><plus/><cn>1</cn>')).not.toThrow('parsererror');
+});
+
+test('error-snippet', function() {
+    let rule = '<apply><plus/>' + '<cn>1</cn>'.repeat(20) + '<foo/></apply>';
+    let error = MathML.validate(rule)[0];
+
+    expect(error.path).toBe('apply[0] > foo[21]');
+    expect(error.snippet).toBe('<foo/>');
+    expect(MathML.validate(rule.slice(0, -8))[0].snippet).toHaveLength(80);
+});
+
+test('error-derivative', function() {
+    let [problem] = MathML.validate('<apply><diff/><bvar><ci>x</ci></bvar>' +
+        '<apply><sin/><apply><bar/><ci>x</ci></apply></apply></apply>');
+
+    expect([problem.code, problem.path]).toStrictEqual(['unknown-element', 'apply[0] > apply[2] > apply[1]']);
+});
+
+test('validate-valid', function() {
+    expect(MathML.validate('x^2 + sin(x)')).toStrictEqual([]);
+    expect(MathML.validate('sum(k^2, k, 1, x)')).toStrictEqual([]);
+    expect(MathML.validate('a x', ['x'], {a: 2})).toStrictEqual([]);
+    expect(MathML.validate('a x', ['x', 'a'])).toStrictEqual([]);
+});
+
+test('validate-every-problem', function() {
+    let problems = MathML.validate(
+        '<apply><plus/>' +
+            '<apply><sin/><cn>1.2.3</cn><ci>x</ci></apply>' +
+            '<apply><foo/><ci>x</ci></apply>' +
+            '<apply><times/><ci>a</ci><cn>two</cn></apply>' +
+        '</apply>');
+
+    expect(problems.every(problem => problem instanceof MathMLError)).toBe(true);
+    expect(problems.map(problem => [problem.code, problem.path])).toStrictEqual([
+        ['wrong-arity', 'apply[0] > apply[1]'],
+        ['invalid-number', 'apply[0] > apply[1] > cn[1]'],
+        ['unknown-element', 'apply[0] > apply[2]'],
+        ['unknown-identifier', 'apply[0] > apply[3] > ci[1]'],
+        ['invalid-number', 'apply[0] > apply[3] > cn[2]'],
+    ]);
+});
+
+test('validate-identifiers', function() {
+    let problems = MathML.validate('a x + sum(k b, k, 1, n)');
+
+    expect(problems.map(problem => problem.message)).toStrictEqual([
+        'No value given for <ci>a</ci>.',
+        'No value given for <ci>n</ci>.',
+        'No value given for <ci>b</ci>.',
+    ]);
+    expect(problems.every(problem => problem.code === 'unknown-identifier')).toBe(true);
+});
+
+test('validate-empty-qualifier', function() {
+    let problems = MathML.validate('<apply><log/><logbase></logbase><ci>x</ci></apply>');
+
+    expect(problems.map(problem => [problem.code, problem.path]))
+        .toStrictEqual([['wrong-arity', 'apply[0] > logbase[1]']]);
+});
+
+test('validate-malformed', function() {
+    let problems = MathML.validate('<apply><plus/><cn>1</cn>');
+
+    expect(problems).toHaveLength(1);
+    expect(problems[0].code).toBe('malformed-xml');
+    expect(problems[0].snippet).toBe('<apply><plus/><cn>1</cn>');
+});
+
+test('tofunction-math-element', function() {
+    let wrapped = mathml('<math xmlns="http://www.w3.org/1998/Math/MathML" display="block">' +
+        '<apply><plus/><ci>x</ci><cn>1</cn></apply></math>');
+
+    expect(wrapped.exec(2)).toBe(3);
+    expect(wrapped.toInfix()).toBe('x + 1');
+    expect(() => mathml('<math><cn>1</cn><cn>2</cn></math>')).toThrow('<math> must have 1 child.');
+});
+
+test('tofunction-namespace-prefix', function() {
+    let prefixed = mathml('<m:math xmlns:m="http://www.w3.org/1998/Math/MathML">' +
+        '<m:apply><m:times/><m:cn>2</m:cn><m:apply><m:sin/><m:ci>x</m:ci></m:apply></m:apply></m:math>');
+
+    expect(prefixed.exec(Math.PI / 2)).toBe(2);
+    expect(prefixed.derivative().toInfix()).toBe('2cos(x)');
+});
+
+test('tofunction-foreign-namespace', function() {
+    expect(() => mathml('<apply xmlns:svg="http://www.w3.org/2000/svg"><plus/><svg:ci>x</svg:ci><cn>1</cn></apply>'))
+        .toThrow('Unknown MathML element: svg:ci');
+});
+
+test('tofunction-semantics', function() {
+    let exported = mathml(
+        '<math xmlns="http://www.w3.org/1998/Math/MathML">' +
+            '<semantics>' +
+                '<mrow><msup><mi>x</mi><mn>2</mn></msup></mrow>' +
+                '<annotation encoding="application/x-tex">x^2</annotation>' +
+                '<annotation-xml encoding="MathML-Content">' +
+                    '<apply><power/><ci>x</ci><cn>2</cn></apply>' +
+                '</annotation-xml>' +
+            '</semantics>' +
+        '</math>');
+    let nested = mathml('<apply><plus/><semantics><ci>x</ci><annotation>x</annotation></semantics><cn>1</cn></apply>');
+
+    expect(exported.exec(3)).toBe(9);
+    expect(nested.exec(3)).toBe(4);
+});
+
+test('tofunction-whitespace-comments', function() {
+    let formatted = mathml(`
+        <apply>
+            <!-- the sum of two terms -->
+            <plus/>
+            <apply>
+                <power/>
+                <ci> x </ci>
+                <cn> 2 </cn>
+            </apply>
+            <?editor cursor?>
+            <cn>1</cn>
+        </apply>`);
+
+    expect(formatted.exec(3)).toBe(10);
+    expect(formatted.execInterval([0, 1]).hi).toBeCloseTo(2);
+    expect(formatted.toInfix()).toBe('x^2 + 1');
+    expect(formatted.simplify().toInfix()).toBe('x^2 + 1');
+});
+
+test('torational-whitespace', function() {
+    expect(mathml('<apply>\n  <divide/>\n  <cn> 1 </cn>\n  <cn>2</cn>\n</apply>').rational.approx).toBe(0.5);
+});
+
+test('error-path-math-element', function() {
+    let [problem] = MathML.validate(
+        '<math xmlns="http://www.w3.org/1998/Math/MathML">\n' +
+        '  <apply>\n    <plus/>\n    <ci>x</ci>\n    <cn>one</cn>\n  </apply>\n' +
+        '</math>');
+
+    expect([problem.code, problem.path, problem.snippet])
+        .toStrictEqual(['invalid-number', 'math[0] > apply[0] > cn[2]',
+                        '<cn xmlns="http://www.w3.org/1998/Math/MathML">one</cn>']);
+});
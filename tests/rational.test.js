@@ -1,4 +1,4 @@
-import {Rational, RationalTuple} from '../rational.js';
+import {Rational, RationalTuple, recogniseRational} from '../rational.js';
 
 
  /**
@@ -440,3 +440,48 @@ test('tuple-from-rationals-approx', function() {
     expect(tuple([rational(1), rational("3/2")]).approx)
         .toStrictEqual([1, 1.5]);
 });
+
+test('tuple-closed-default', function() {
+    expect(tuple("(1, pi)").closed).toStrictEqual([false, false]);
+});
+
+test('tuple-closed-interval', function() {
+    expect(tuple("[0, 2pi)").closed).toStrictEqual([true, false]);
+});
+
+test('tuple-closed-interval-right', function() {
+    expect(tuple("(-1, 3]").closed).toStrictEqual([false, true]);
+});
+
+test('tuple-interval-approx', function() {
+    expect(tuple("[0, 3/2)").approx).toStrictEqual([0, 1.5]);
+});
+
+test('tuple-invalid-bracket', function() {
+    expect(() => tuple("{0, 1}")).toThrow(new Error("Invalid tuple provided."));
+});
+
+test('recognise-integer', function() {
+    expect(recogniseRational(2.0000000000004)).toStrictEqual(rational(2, 1));
+});
+
+test('recognise-fraction', function() {
+    expect(recogniseRational(-2 / 3)).toStrictEqual(rational(-2, 3));
+});
+
+test('recognise-pi', function() {
+    expect(recogniseRational(3 * Math.PI / 4)).toStrictEqual(rational(3, 4, 1));
+});
+
+test('recognise-e', function() {
+    expect(recogniseRational(1 / Math.E)).toStrictEqual(rational(1, 1, 0, -1));
+});
+
+test('recognise-zero', function() {
+    expect(recogniseRational(-1e-12)).toStrictEqual(rational(0, 1));
+});
+
+test('recognise-irrational', function() {
+    expect(recogniseRational(Math.SQRT2)).toBe(null);
+    expect(recogniseRational(NaN)).toBe(null);
+});
@@ -0,0 +1,76 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import MathML from '../mathml.js';
+import findRoots, {findSignChanges} from '../roots.js';
+
+
+ /**
+ * Given a number, round it to `precision` decimal places
+ *
+ * @param  {float}    number     The number to be rounded
+ * @param  {integer}  precision  The number of decimal places to return
+ * @return {float}               The rounded number
+ */
+function approx(number, precision) {
+    let mult = 10 ** precision;
+
+    return Math.round(number * mult) / mult;
+}
+
+test('roots-quadratic', function() {
+    let roots = findRoots(x => x * x - 2, -3, 3);
+
+    expect(roots.map(x => approx(x, 12)))
+        .toStrictEqual([approx(-Math.SQRT2, 12), approx(Math.SQRT2, 12)]);
+});
+
+test('roots-periodic', function() {
+    let roots = findRoots(Math.sin, -1, 10);
+
+    expect(roots.map(x => approx(x / Math.PI, 10))).toStrictEqual([0, 1, 2, 3]);
+});
+
+test('roots-sample-zero', function() {
+    // x^2 touches zero without changing sign, but 0 is sampled
+    expect(findRoots(x => x * x, -1, 1)).toStrictEqual([0]);
+});
+
+test('roots-asymptote', function() {
+    // 1/x changes sign at 0, but has no root there
+    expect(findRoots(x => 1 / x, -1.3, 1)).toStrictEqual([]);
+    let changes = findSignChanges(x => 1 / x, -1.3, 1);
+
+    expect(changes.length).toBe(1);
+    expect(Math.abs(changes[0])).toBeLessThan(1e-10);
+});
+
+test('roots-zero', function() {
+    // bisection reaches a root at exactly 0, though doubles are densest there
+    expect(findRoots(x => x, -1.3, 1)).toStrictEqual([0]);
+});
+
+test('roots-jump', function() {
+    expect(findRoots(x => x < 0.3 ? -1 : 1, 0, 1)).toStrictEqual([]);
+});
+
+test('roots-undefined', function() {
+    // sqrt(x) - 1 is undefined for x < 0, and has a root at 1
+    let roots = findRoots(x => Math.sqrt(x) - 1, -2, 2);
+
+    expect(roots.map(x => approx(x, 10))).toStrictEqual([1]);
+});
+
+test('roots-mathml', function() {
+    let mathml = new MathML('x^3 - 6x^2 + 11x - 6');
+    let roots = findRoots(mathml.exec, 0, 4);
+
+    expect(roots.map(x => approx(x, 10))).toStrictEqual([1, 2, 3]);
+});
+
+test('sign-changes-skip-zeros', function() {
+    // x^3 changes sign at 0 and x^2 doesn't, though both are sampled there
+    expect(findSignChanges(x => x ** 3, -1, 1)).toStrictEqual([0]);
+    expect(findSignChanges(x => x ** 2, -1, 1)).toStrictEqual([]);
+});